@@ -0,0 +1,228 @@
+/*****************************
+ * HyperKart 3D — LAN relay server
+ * - Tiny WebSocket server (no dependencies: the handshake and framing are
+ *   done by hand on top of node:http) that groups peers into rooms
+ * - The first peer in a room is its host; the host's browser runs the
+ *   authoritative race simulation and the relay only forwards messages
+ * - Run: `npm run relay` (or `node server/relay.js --port 8787`)
+ *
+ * Protocol (JSON text frames):
+ *   → { type: "join", room?, name }         room omitted = create a new one
+ *   ← { type: "welcome", id, room }
+ *   ← { type: "room", room, hostId, peers: [{ id, name }] }   on every change
+ *   → { type: "send", to: "host" | "all" | peerId, data }
+ *   ← { type: "message", from, data }
+ *   ← { type: "error", message }
+ *****************************/
+import { createServer } from "node:http";
+import { createHash } from "node:crypto";
+import { pathToFileURL } from "node:url";
+
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+export const MAX_FRAME = 1 << 20;
+export const MAX_PEERS_PER_ROOM = 4;
+const PING_INTERVAL = 15000;
+const ROOM_CODE_CHARS = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+// -----------------------------
+// WebSocket framing (RFC 6455, server side)
+// -----------------------------
+function encodeFrame(opcode, payload) {
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode; header[1] = 126; header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode; header[1] = 127; header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Wraps an upgraded socket: emits whole text messages, answers pings, closes cleanly.
+function createConnection(socket, { onMessage, onClose }) {
+  let buffer = Buffer.alloc(0);
+  let fragments = [];
+  let fragmentBytes = 0;
+  let closed = false;
+  const conn = {
+    alive: true,
+    send(text) { if (!closed) socket.write(encodeFrame(0x1, Buffer.from(text))); },
+    ping() { if (!closed) socket.write(encodeFrame(0x9, Buffer.alloc(0))); },
+    close(code = 1000) {
+      if (closed) return;
+      const body = Buffer.alloc(2);
+      body.writeUInt16BE(code, 0);
+      socket.end(encodeFrame(0x8, body));
+      finish();
+    },
+  };
+  const finish = () => {
+    if (closed) return;
+    closed = true;
+    onClose();
+  };
+
+  socket.on("data", (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (buffer.length >= 2) {
+      const fin = (buffer[0] & 0x80) !== 0;
+      const opcode = buffer[0] & 0x0f;
+      const masked = (buffer[1] & 0x80) !== 0;
+      let len = buffer[1] & 0x7f;
+      let offset = 2;
+      if (len === 126) {
+        if (buffer.length < 4) return;
+        len = buffer.readUInt16BE(2); offset = 4;
+      } else if (len === 127) {
+        if (buffer.length < 10) return;
+        len = Number(buffer.readBigUInt64BE(2)); offset = 10;
+      }
+      if (!masked || len > MAX_FRAME) { conn.close(1002); return; } // clients must mask
+      if (buffer.length < offset + 4 + len) return;
+      const mask = buffer.subarray(offset, offset + 4);
+      const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + len));
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+      buffer = buffer.subarray(offset + 4 + len);
+
+      if (opcode === 0x8) { conn.close(); return; }
+      if (opcode === 0x9) { socket.write(encodeFrame(0xa, payload)); continue; }
+      if (opcode === 0xa) { conn.alive = true; continue; }
+      if (opcode === 0x1 || opcode === 0x2 || opcode === 0x0) {
+        fragments.push(payload);
+        fragmentBytes += payload.length;
+        // MAX_FRAME caps a whole message too, not just each of its fragments
+        if (fragmentBytes > MAX_FRAME) { conn.close(1009); return; }
+        if (!fin) continue;
+        const text = Buffer.concat(fragments).toString("utf8");
+        fragments = [];
+        fragmentBytes = 0;
+        onMessage(text);
+      }
+    }
+  });
+  // A client that drops without a close frame only half-closes the socket
+  socket.on("end", () => { socket.end(); finish(); });
+  socket.on("close", finish);
+  socket.on("error", finish);
+  return conn;
+}
+
+// -----------------------------
+// Rooms
+// -----------------------------
+function makeRoomCode(rooms) {
+  let code;
+  do {
+    code = Array.from({ length: 4 }, () => ROOM_CODE_CHARS[Math.floor(Math.random() * ROOM_CODE_CHARS.length)]).join("");
+  } while (rooms.has(code));
+  return code;
+}
+
+/** Starts the relay. Resolves to { port, close() } once listening. */
+export function createRelayServer({ port = 8787, host = "0.0.0.0", log = () => {} } = {}) {
+  const rooms = new Map(); // code → { code, peers: Map<id, peer> }
+  let nextPeerId = 1;
+
+  const roomUpdate = (room) => {
+    const peers = [...room.peers.values()];
+    const msg = JSON.stringify({ type: "room", room: room.code, hostId: peers[0]?.id ?? null, peers: peers.map((p) => ({ id: p.id, name: p.name })) });
+    peers.forEach((p) => p.conn.send(msg));
+  };
+
+  const leave = (peer) => {
+    const room = peer.room && rooms.get(peer.room);
+    if (!room) return;
+    room.peers.delete(peer.id);
+    peer.room = null;
+    if (room.peers.size === 0) rooms.delete(room.code);
+    else roomUpdate(room); // the next peer in join order becomes host
+    log(`peer ${peer.id} left ${room.code}`);
+  };
+
+  const handle = (peer, text) => {
+    let msg;
+    try { msg = JSON.parse(text); } catch { return peer.conn.send(JSON.stringify({ type: "error", message: "Invalid JSON" })); }
+    if (!msg || typeof msg !== "object" || Array.isArray(msg)) return peer.conn.send(JSON.stringify({ type: "error", message: "Messages must be JSON objects" }));
+    if (msg.type === "join") {
+      if (peer.room) leave(peer);
+      const code = msg.room ? String(msg.room).toUpperCase() : makeRoomCode(rooms);
+      if (msg.room && !rooms.has(code)) return peer.conn.send(JSON.stringify({ type: "error", message: `Room ${code} not found` }));
+      const room = rooms.get(code) || { code, peers: new Map() };
+      if (room.peers.size >= MAX_PEERS_PER_ROOM) return peer.conn.send(JSON.stringify({ type: "error", message: `Room ${code} is full` }));
+      rooms.set(code, room);
+      peer.name = String(msg.name || `Player ${peer.id}`).slice(0, 20);
+      peer.room = code;
+      room.peers.set(peer.id, peer);
+      peer.conn.send(JSON.stringify({ type: "welcome", id: peer.id, room: code }));
+      roomUpdate(room);
+      log(`peer ${peer.id} joined ${code}`);
+    } else if (msg.type === "send") {
+      const room = peer.room && rooms.get(peer.room);
+      if (!room) return;
+      if (!msg.data || typeof msg.data !== "object" || Array.isArray(msg.data)) return peer.conn.send(JSON.stringify({ type: "error", message: "Message data must be a JSON object" }));
+      const out = JSON.stringify({ type: "message", from: peer.id, data: msg.data });
+      const hostId = room.peers.keys().next().value;
+      for (const other of room.peers.values()) {
+        if (other === peer) continue;
+        if (msg.to === "all" || (msg.to === "host" && other.id === hostId) || other.id === msg.to) other.conn.send(out);
+      }
+    }
+  };
+
+  const server = createServer((req, res) => {
+    res.writeHead(200, { "Content-Type": "text/plain" });
+    res.end("HyperKart relay — connect with a WebSocket\n");
+  });
+
+  server.on("upgrade", (req, socket) => {
+    const key = req.headers["sec-websocket-key"];
+    if (!key || String(req.headers.upgrade).toLowerCase() !== "websocket") { socket.destroy(); return; }
+    const accept = createHash("sha1").update(key + WS_GUID).digest("base64");
+    socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`);
+    socket.setNoDelay(true);
+    const peer = { id: nextPeerId++, name: "", room: null, conn: null };
+    // One peer's bad message must never take the relay (and every room on it) down
+    const onMessage = (text) => {
+      try { handle(peer, text); } catch (err) { log(`peer ${peer.id}: ${err.message}`); }
+    };
+    peer.conn = createConnection(socket, { onMessage, onClose: () => { leave(peer); peers.delete(peer); } });
+    peers.add(peer);
+  });
+
+  // Drop peers that stop answering pings
+  const peers = new Set();
+  const heartbeat = setInterval(() => {
+    for (const peer of peers) {
+      if (!peer.conn.alive) { peer.conn.close(1001); continue; }
+      peer.conn.alive = false;
+      peer.conn.ping();
+    }
+  }, PING_INTERVAL);
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      resolve({
+        port: server.address().port,
+        close: () => new Promise((done) => {
+          clearInterval(heartbeat);
+          for (const peer of peers) peer.conn.close(1001);
+          server.close(() => done());
+        }),
+      });
+    });
+  });
+}
+
+// CLI entry
+if (import.meta.url === pathToFileURL(process.argv[1] || "").href) {
+  const i = process.argv.indexOf("--port");
+  const port = i > 0 ? Number(process.argv[i + 1]) : Number(process.env.PORT) || 8787;
+  createRelayServer({ port, log: (line) => console.log(line) }).then(({ port: p }) => {
+    console.log(`HyperKart relay listening on ws://0.0.0.0:${p}`);
+  });
+}
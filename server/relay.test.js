@@ -0,0 +1,205 @@
+/*****************************
+ * HyperKart 3D — relay server tests
+ * - Run: `npm test` (node:test, no dependencies)
+ * - The client below does its own handshake and (masked) framing, like the
+ *   relay itself, so the tests need nothing but Node
+ *****************************/
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { request } from "node:http";
+import { randomBytes } from "node:crypto";
+import { MAX_FRAME, MAX_PEERS_PER_ROOM, createRelayServer } from "./relay.js";
+
+// Client frame: masked, with the short / 16-bit / 64-bit length forms
+function encodeClientFrame(opcode, payload, fin = true) {
+  const len = payload.length;
+  const size = len < 126 ? [0x80 | len] : len < 65536 ? [0x80 | 126, len >> 8, len & 0xff] : [0x80 | 127, ...Buffer.from(new BigUint64Array([BigInt(len)]).buffer).reverse()];
+  const mask = randomBytes(4);
+  const masked = Buffer.from(payload.map((b, i) => b ^ mask[i & 3]));
+  return Buffer.concat([Buffer.from([(fin ? 0x80 : 0) | opcode, ...size]), mask, masked]);
+}
+
+/**
+ * Connects to the relay. Resolves to { send(text), sendFrame(opcode, payload, fin),
+ * next(), until(type), closed, close() }: `next` is the next JSON message, `until`
+ * skips to the next one of a type and `closed` resolves to the close code.
+ */
+function connect(port) {
+  return new Promise((resolve, reject) => {
+    const req = request({
+      port,
+      host: "127.0.0.1",
+      headers: { Connection: "Upgrade", Upgrade: "websocket", "Sec-WebSocket-Key": randomBytes(16).toString("base64"), "Sec-WebSocket-Version": "13" },
+    });
+    req.on("error", reject);
+    req.on("upgrade", (res, socket) => {
+      const queue = [];
+      const waiting = [];
+      let buffer = Buffer.alloc(0);
+      let onClose;
+      const closed = new Promise((done) => { onClose = done; });
+      socket.on("close", () => onClose(null));
+      socket.on("data", (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        // Server frames are unmasked and never need the 64-bit length form here
+        while (buffer.length >= 2) {
+          const opcode = buffer[0] & 0x0f;
+          let len = buffer[1] & 0x7f;
+          let offset = 2;
+          if (len === 126) {
+            if (buffer.length < 4) return;
+            len = buffer.readUInt16BE(2); offset = 4;
+          }
+          if (buffer.length < offset + len) return;
+          const payload = buffer.subarray(offset, offset + len);
+          buffer = buffer.subarray(offset + len);
+          if (opcode === 0x8) { onClose(payload.readUInt16BE(0)); continue; }
+          if (opcode !== 0x1) continue;
+          const msg = JSON.parse(payload.toString("utf8"));
+          if (waiting.length) waiting.shift()(msg); else queue.push(msg);
+        }
+      });
+      const next = () => (queue.length ? Promise.resolve(queue.shift()) : new Promise((done) => waiting.push(done)));
+      const client = {
+        sendFrame: (opcode, payload, fin) => socket.write(encodeClientFrame(opcode, payload, fin)),
+        send: (text) => client.sendFrame(0x1, Buffer.from(text)),
+        next,
+        async until(type) {
+          for (;;) { const msg = await next(); if (msg.type === type) return msg; }
+        },
+        closed,
+        close: () => socket.destroy(),
+      };
+      resolve(client);
+    });
+    req.end();
+  });
+}
+
+// Runs `fn(port)` against a fresh relay and closes it afterwards
+async function withRelay(fn) {
+  const relay = await createRelayServer({ port: 0, host: "127.0.0.1" });
+  try { await fn(relay.port); } finally { await relay.close(); }
+}
+
+// Connects and joins `room` (or creates one); resolves to { client, id, room }
+async function join(port, room, name = "Racer") {
+  const client = await connect(port);
+  client.send(JSON.stringify({ type: "join", room, name }));
+  const welcome = await client.next();
+  assert.equal(welcome.type, "welcome", JSON.stringify(welcome));
+  await client.until("room");
+  return { client, id: welcome.id, room: welcome.room };
+}
+
+const sendTo = (peer, to, data) => peer.client.send(JSON.stringify({ type: "send", to, data }));
+
+test("non-object messages get an error frame and the relay keeps running", () => withRelay(async (port) => {
+  const client = await connect(port);
+  for (const bad of ["null", "[]", "42", '"join"']) {
+    client.send(bad);
+    assert.equal((await client.next()).type, "error", `${bad} should be answered with an error`);
+  }
+  client.send(JSON.stringify({ type: "join", name: "Rex" }));
+  assert.equal((await client.next()).type, "welcome");
+  assert.equal((await client.next()).type, "room");
+  client.close();
+}));
+
+test("send without an object as data is refused and forwarded to no one", () => withRelay(async (port) => {
+  const host = await join(port);
+  const guest = await join(port, host.room);
+  await host.client.until("room");
+  for (const data of [null, undefined, [], "hi"]) {
+    sendTo(guest, "all", data);
+    assert.equal((await guest.client.next()).type, "error", `data ${JSON.stringify(data)} should be refused`);
+  }
+  sendTo(guest, "all", { kind: "marker" });
+  assert.deepEqual(await host.client.next(), { type: "message", from: guest.id, data: { kind: "marker" } });
+  host.client.close();
+  guest.client.close();
+}));
+
+test("a message split into fragments is still capped at MAX_FRAME", () => withRelay(async (port) => {
+  const client = await connect(port);
+  const chunk = Buffer.alloc(MAX_FRAME / 2 + 1, 0x20);
+  client.sendFrame(0x1, chunk, false);
+  client.sendFrame(0x0, chunk, false);
+  assert.equal(await client.closed, 1009);
+  // The relay is still there for everyone else
+  const other = await join(port);
+  other.client.close();
+}));
+
+test("joining without a code creates a room; joining with its code enters it", () => withRelay(async (port) => {
+  const client = await connect(port);
+  client.send(JSON.stringify({ type: "join", name: "Rex" }));
+  const welcome = await client.next();
+  assert.equal(welcome.type, "welcome");
+  assert.match(welcome.room, /^[A-Z2-9]{4}$/);
+  assert.deepEqual(await client.next(), { type: "room", room: welcome.room, hostId: welcome.id, peers: [{ id: welcome.id, name: "Rex" }] });
+  // Codes are case-insensitive; everyone in the room hears about the newcomer
+  const guest = await join(port, welcome.room.toLowerCase(), "Luna");
+  assert.equal(guest.room, welcome.room);
+  const update = await client.next();
+  assert.deepEqual(update, { type: "room", room: welcome.room, hostId: welcome.id, peers: [{ id: welcome.id, name: "Rex" }, { id: guest.id, name: "Luna" }] });
+  client.close();
+  guest.client.close();
+}));
+
+test("unknown room codes and full rooms are refused", () => withRelay(async (port) => {
+  const lost = await connect(port);
+  lost.send(JSON.stringify({ type: "join", room: "zzzz", name: "Rex" }));
+  assert.deepEqual(await lost.next(), { type: "error", message: "Room ZZZZ not found" });
+  const peers = [await join(port)];
+  while (peers.length < MAX_PEERS_PER_ROOM) peers.push(await join(port, peers[0].room));
+  lost.send(JSON.stringify({ type: "join", room: peers[0].room, name: "Late" }));
+  assert.deepEqual(await lost.next(), { type: "error", message: `Room ${peers[0].room} is full` });
+  lost.close();
+  peers.forEach((p) => p.client.close());
+}));
+
+test("send reaches the host, everyone else or one peer, never the sender", () => withRelay(async (port) => {
+  const host = await join(port, undefined, "Host");
+  const a = await join(port, host.room, "A");
+  const b = await join(port, host.room, "B");
+  // Everyone has seen the full room before the messages start
+  await host.client.until("room");
+  await host.client.until("room");
+  await a.client.until("room");
+  const everyone = [host, a, b];
+  // Messages from one sender arrive in order, so each check is the next one that peer gets
+  const expectNext = async (peer, data) => assert.deepEqual((await peer.client.next()).data, data);
+  sendTo(a, "host", { kind: "to-host" });
+  sendTo(b, host.id, { kind: "to-id" });
+  sendTo(host, "all", { kind: "to-all" });
+  await expectNext(host, { kind: "to-host" });
+  await expectNext(host, { kind: "to-id" });
+  await expectNext(a, { kind: "to-all" });
+  await expectNext(b, { kind: "to-all" });
+  sendTo(b, a.id, { kind: "to-a" });
+  await expectNext(a, { kind: "to-a" });
+  // Nothing else was delivered: the next thing anyone gets is this marker
+  for (const from of everyone) {
+    for (const to of everyone) if (to !== from) sendTo(from, to.id, { kind: "marker", from: from.id });
+  }
+  for (const peer of everyone) {
+    const senders = everyone.filter((p) => p !== peer).map((p) => p.id);
+    for (const from of senders) await expectNext(peer, { kind: "marker", from });
+  }
+  everyone.forEach((p) => p.client.close());
+}));
+
+test("when the host leaves, the next peer in join order becomes host", () => withRelay(async (port) => {
+  const host = await join(port);
+  const a = await join(port, host.room);
+  const b = await join(port, host.room);
+  await a.client.until("room");
+  host.client.close();
+  const update = await a.client.until("room");
+  assert.equal(update.hostId, a.id);
+  assert.deepEqual(update.peers.map((p) => p.id), [a.id, b.id]);
+  assert.equal((await b.client.until("room")).hostId, a.id);
+  a.client.close();
+  b.client.close();
+}));
@@ -1,7 +1,31 @@
-import React, { useEffect, useMemo, useRef, useState, useCallback, Suspense } from "react";
+import React, { useEffect, useLayoutEffect, useMemo, useRef, useState, useCallback, useDeferredValue, Suspense } from "react";
 import { Canvas, useFrame, useThree } from "@react-three/fiber";
 import * as THREE from "three";
-import { Environment as DreiEnvironment, Sky, Cloud, Sparkles } from "@react-three/drei";
+import { Environment as DreiEnvironment, Sky, Cloud, Sparkles, OrbitControls } from "@react-three/drei";
+import { AI_RACERS, CARS, CHARACTERS, DEFAULT_DIFFICULTY, DEFAULT_LAPS, DIFFICULTIES, GP_POINTS, ITEMS, PLATFORMS, SURFACES, TIME_TRIAL_DIFFICULTY, TRACKS, TROPHIES } from "./gameData";
+import { createRng, deriveSeed, formatSeed, hashString, parseSeed, randomSeed } from "./rng";
+import {
+  SECTOR_SPLITS, SIM_DT, angleLerp, autopilotInput, clamp, createRaceState, createRaceWorld, createTrackCurve, findNearestT, getRandomItem, humanId, isRaceOver, lerp,
+  CURB_WIDTH, RESPAWN_GRACE, getCrossTrackOffset, missedGate, runRace, surfaceAt, trackSurfaces, wallOffset, stepRace, surfacePose, trackFrameAt,
+} from "./raceSim";
+import { ACTIONS, BINDING_SLOTS, DEFAULT_BINDINGS, actionKeys, assignBinding, bindingLookup, keyLabel } from "./bindings";
+import { getBestLap, submitLap } from "./lapRecords";
+import { TOUCH_STEERING, exportSave, getSaveStatus, importSave, loadSave, normalizeSave, migrateSave, resetProgress, updateSave } from "./saveData";
+import {
+  DRAFT_TRACK_ID, ENV_PRESETS, HEIGHT_RANGE, MAP_EXTENT, MAX_BANK, MIN_WAYPOINTS, RUNOFF_SURFACES, RUNOFF_WIDTH_RANGE, TRACK_COLORS, TRACK_THEMES, TRACK_WIDTH_RANGE,
+  addMarker, createDraftTrack, insertWaypoint, moveWaypoint, nearestTrackT, removeMarker, removeWaypoint, sampleCurve, setSurfaces, setWaypointElevation, updateDraft,
+} from "./trackEditor";
+import { allTracks, decodeTrack, encodeTrack, findTrack, importTrack, isUserTrackId, removeUserTrack, validateTrack } from "./trackFiles";
+import { clearGhosts, exportGhost, ghostTime, importGhost, loadGhost, sampleGhost, saveGhostIfBest } from "./ghosts";
+import { createReplayRecorder, decodeReplay, encodeReplay, finishReplay, openReplay, recordReplayTick, resimulateReplay } from "./replay";
+import {
+  buildLobby, clientReceiveSnapshot, clientStep, clientView, connectRelay, createNetClient, createNetHost, hostAfterStep, hostDropPeer,
+  hostReceiveInput, hostTickInputs,
+} from "./netplay";
+import {
+  awardTrophy, createGrandPrix, grandPrixKart, grandPrixRoster, grandPrixStandings, grandPrixTrack, isGrandPrixOver, isRewardUnlocked, newRewards, pointsForPlace,
+  recordGrandPrixRace, trophyForPlace,
+} from "./grandPrix";
 
 function SafeEnvironment(props) {
   return <Suspense fallback={null}><DreiEnvironment {...props} /></Suspense>;
@@ -21,101 +45,58 @@ function SafeEnvironment(props) {
  * - Converted <Kart> to forwardRef so CameraRig can track it correctly.
  * - RaceScreen now uses safe selection (fixes TypeError on destructuring).
  * - Minor cleanups; added self-tests overlay (non-intrusive) to ensure store shape & fallbacks.
+ * - Race physics, AI and items now live in raceSim.js (headless, fixed timestep); the
+ *   components here render its state. Static data moved to gameData.js.
+ * - Unlocks, last selection and settings persist through saveData.js.
  *****************************/
 
-// -----------------------------
-// Data: characters, cars, tracks
-// -----------------------------
-const CHARACTERS = [
-  { id: "rex", name: "Rex", color: "#29b6f6" },
-  { id: "luna", name: "Luna", color: "#ef5da8" },
-  { id: "bolt", name: "Bolt", color: "#ffe082" },
-  { id: "ember", name: "Ember", color: "#ff7043" },
-  { id: "oak", name: "Oak", color: "#8bc34a" },
-  { id: "ghost", name: "Ghost", color: "#cfd8dc" },
-];
-
-const CARS = [
-  { id: "sprinter", name: "Sprinter", accel: 9.5, maxSpeed: 28, handling: 1.0, desc: "Balanced all-rounder" },
-  { id: "torque", name: "Torque", accel: 7.5, maxSpeed: 34, handling: 0.8, desc: "Raw power, slides in turns" },
-  { id: "glider", name: "Glider", accel: 8.5, maxSpeed: 31, handling: 1.1, desc: "Nimble and precise" },
-  { id: "bulldog", name: "Bulldog", accel: 6.5, maxSpeed: 36, handling: 0.7, desc: "Heavy hitter, top speed king" },
-];
-
-// Track unlock system: win (1st place) to unlock the next track
-const unlockedTracks = { classic: true, city: false, west: false };
-function getUnlocked() { return { ...unlockedTracks }; }
-function unlockNext(completedId) {
+// Track unlock system: win (1st place) to unlock the next track on that
+// difficulty class; winning the last track opens the classes it unlocks
+// (Mirror after 150cc). Unlocks are kept in the save so they survive a reload.
+// Without a class: tracks open on any class (Time Trial, ghost imports).
+function getUnlocked(difficulty) {
+  const { unlockedTracks } = loadSave().progress;
+  const classes = difficulty ? [difficulty] : Object.keys(unlockedTracks);
+  return Object.fromEntries(TRACKS.map(t => [t.id, classes.some(d => unlockedTracks[d][t.id])]));
+}
+function isClassUnlocked(difficulty) { return !!loadSave().progress.unlockedClasses[difficulty]; }
+function unlockNext(completedId, difficulty) {
   const order = TRACKS.map(t => t.id);
   const idx = order.indexOf(completedId);
-  if (idx >= 0 && idx < order.length - 1) {
-    unlockedTracks[order[idx + 1]] = true;
-  }
+  if (idx < 0) return;
+  updateSave((s) => {
+    const { unlockedTracks, unlockedClasses } = s.progress;
+    if (idx < order.length - 1) {
+      const tracks = { ...unlockedTracks[difficulty], [order[idx + 1]]: true };
+      return { ...s, progress: { ...s.progress, unlockedTracks: { ...unlockedTracks, [difficulty]: tracks } } };
+    }
+    const opened = DIFFICULTIES.filter(d => d.unlockedBy === difficulty).map(d => [d.id, true]);
+    return { ...s, progress: { ...s.progress, unlockedClasses: { ...unlockedClasses, ...Object.fromEntries(opened) } } };
+  });
 }
 
-const TRACKS = [
-  {
-    id: "classic",
-    name: "Speedway",
-    theme: "classic",
-    difficulty: 1,
-    sky: "#87ceeb",
-    fog: "#a6d5f7",
-    seatColor: "#334155",
-    turf: "#2e7d32",
-    roadColor: "#555555",
-    trackWidth: 16,
-    envPreset: "park",
-    waypoints: [
-      [-32,-58],[-58,-32],[-68,0],[-50,14],[-36,25],[-43,40],[-25,54],
-      [0,61],[32,54],[58,32],[68,0],[58,-36],[32,-58],[0,-63],
-    ],
-    boostTs: [0.15, 0.5, 0.8],
-  },
-  {
-    id: "city",
-    name: "Street Circuit",
-    theme: "city",
-    difficulty: 2,
-    sky: "#1a1a2e",
-    fog: "#16213e",
-    seatColor: "#1f2937",
-    turf: "#1a1a2e",
-    roadColor: "#222233",
-    trackWidth: 14,
-    envPreset: "night",
-    waypoints: [
-      [27,18],[54,18],[54,-18],[27,-18],[27,-45],[-27,-45],
-      [-27,-18],[-54,-18],[-54,18],[-27,18],[-27,45],[27,45],
-    ],
-    boostTs: [0.12, 0.45, 0.78],
-  },
-  {
-    id: "west",
-    name: "Canyon Run",
-    theme: "west",
-    difficulty: 3,
-    sky: "#ffcc80",
-    fog: "#ffc080",
-    seatColor: "#5d4037",
-    turf: "#c2956a",
-    roadColor: "#8B5A2B",
-    trackWidth: 16,
-    envPreset: "sunset",
-    waypoints: [
-      [0,72],[40,65],[72,40],[79,0],[72,-36],[45,-65],
-      [0,-72],[-40,-61],[-72,-32],[-76,9],[-54,43],[-22,68],
-    ],
-    boostTs: [0.1, 0.4, 0.7],
-  },
-];
-
-const DEFAULT_LAPS = 3;
+// Grand Prix: the cup in progress lives in the save and is updated after every
+// race, so a reload carries on with the next one. Finishing a cup awards the
+// player's trophy for that class (only ever upgraded), which opens the
+// characters and cars with an `unlock`.
+function getGrandPrix() { return loadSave().progress.grandPrix; }
+function setGrandPrix(gp) { updateSave((s) => ({ ...s, progress: { ...s.progress, grandPrix: gp } })); }
+function getTrophies() { return loadSave().progress.trophies; }
+function isRewardOpen(entry) { return isRewardUnlocked(entry, getTrophies()); }
+function finishGrandPrixRace(gp, state) {
+  const next = recordGrandPrixRace(gp, state);
+  const before = getTrophies();
+  const place = grandPrixStandings(next).findIndex((row) => row.id === humanId(0)) + 1;
+  const trophies = isGrandPrixOver(next) ? awardTrophy(before, gp.difficulty, trophyForPlace(place)) : before;
+  updateSave((s) => ({ ...s, progress: { ...s.progress, grandPrix: next, trophies } }));
+  return { gp: next, rewards: newRewards(before, trophies) };
+}
 
 // -----------------------------
 // Procedural textures (CanvasTexture)
+// Noise comes from a seeded generator so a race seed reproduces its scenery.
 // -----------------------------
-function createRoadTexture(baseColor = "#444") {
+function createRoadTexture(baseColor = "#444", random = createRng(1)) {
   const canvas = document.createElement("canvas");
   canvas.width = 256; canvas.height = 256;
   const ctx = canvas.getContext("2d");
@@ -126,9 +107,9 @@ function createRoadTexture(baseColor = "#444") {
   const bc = parseInt(baseColor.replace("#",""), 16);
   const br = (bc >> 16) & 0xff, bg = (bc >> 8) & 0xff, bb = bc & 0xff;
   for (let i = 0; i < 3000; i++) {
-    const v = (Math.random() - 0.5) * 30;
+    const v = (random() - 0.5) * 30;
     ctx.fillStyle = `rgba(${clamp(br+v,0,255)|0},${clamp(bg+v,0,255)|0},${clamp(bb+v,0,255)|0},0.4)`;
-    ctx.fillRect(Math.random()*256, Math.random()*256, 1+Math.random()*2, 1+Math.random()*2);
+    ctx.fillRect(random()*256, random()*256, 1+random()*2, 1+random()*2);
   }
   // Dashed center line
   ctx.strokeStyle = "rgba(255,255,255,0.6)";
@@ -146,7 +127,7 @@ function createRoadTexture(baseColor = "#444") {
   return tex;
 }
 
-function createGroundTexture(baseColor = "#2e7d32") {
+function createGroundTexture(baseColor = "#2e7d32", random = createRng(1)) {
   const canvas = document.createElement("canvas");
   canvas.width = 256; canvas.height = 256;
   const ctx = canvas.getContext("2d");
@@ -160,29 +141,29 @@ function createGroundTexture(baseColor = "#2e7d32") {
   ctx.fillRect(0, 0, 256, 256);
   // Layer 1: large soft blotches (soil patches)
   for (let i = 0; i < 15; i++) {
-    const v = (Math.random() - 0.5) * 50;
+    const v = (random() - 0.5) * 50;
     ctx.fillStyle = `rgba(${clamp(br+v,0,255)|0},${clamp(bg+v-10,0,255)|0},${clamp(bb+v,0,255)|0},0.3)`;
     ctx.beginPath();
-    ctx.ellipse(Math.random()*256, Math.random()*256, 10+Math.random()*30, 8+Math.random()*20, Math.random()*Math.PI, 0, Math.PI*2);
+    ctx.ellipse(random()*256, random()*256, 10+random()*30, 8+random()*20, random()*Math.PI, 0, Math.PI*2);
     ctx.fill();
   }
   // Layer 2: fine grain noise (dirt/texture)
   for (let i = 0; i < 3000; i++) {
-    const v = (Math.random() - 0.5) * 40;
+    const v = (random() - 0.5) * 40;
     ctx.fillStyle = `rgba(${clamp(br+v,0,255)|0},${clamp(bg+v,0,255)|0},${clamp(bb+v,0,255)|0},0.4)`;
-    const s = 1 + Math.random() * 2;
-    ctx.fillRect(Math.random()*256, Math.random()*256, s, s);
+    const s = 1 + random() * 2;
+    ctx.fillRect(random()*256, random()*256, s, s);
   }
   // Layer 3: grass blade strokes
   for (let i = 0; i < 400; i++) {
-    const gv = (Math.random() - 0.3) * 30;
+    const gv = (random() - 0.3) * 30;
     ctx.strokeStyle = `rgba(${clamp(br+gv,0,255)|0},${clamp(bg+gv+15,0,255)|0},${clamp(bb+gv,0,255)|0},0.35)`;
-    ctx.lineWidth = 0.5 + Math.random();
-    const gx = Math.random() * 256;
-    const gy = Math.random() * 256;
+    ctx.lineWidth = 0.5 + random();
+    const gx = random() * 256;
+    const gy = random() * 256;
     ctx.beginPath();
     ctx.moveTo(gx, gy);
-    ctx.lineTo(gx + (Math.random()-0.5)*4, gy - 3 - Math.random()*5);
+    ctx.lineTo(gx + (random()-0.5)*4, gy - 3 - random()*5);
     ctx.stroke();
   }
   const tex = new THREE.CanvasTexture(canvas);
@@ -192,22 +173,11 @@ function createGroundTexture(baseColor = "#2e7d32") {
 }
 
 // -----------------------------
-// Utilities
-// -----------------------------
-function clamp(v, min, max) { return Math.min(max, Math.max(min, v)); }
-function lerp(a, b, t) { return a + (b - a) * t; }
-function angleLerp(a, b, t) {
-  let diff = ((b - a + Math.PI) % (2 * Math.PI)) - Math.PI;
-  return a + diff * t;
-}
-function radToDeg(rad){ return (rad * 180) / Math.PI; }
-
-// -----------------------------
-// Track curve utilities
+// Track geometry (curve math lives in raceSim.js)
 // -----------------------------
-function createTrackCurve(waypoints) {
-  const pts = waypoints.map(([x, z]) => new THREE.Vector3(x, 0, z));
-  return new THREE.CatmullRomCurve3(pts, true, "catmullrom", 0.5);
+// A point `across` units to the right of the centerline and `lift` above the road surface
+function roadPoint({ point, right, up }, across, lift) {
+  return point.clone().addScaledVector(right, across).addScaledVector(up, lift);
 }
 
 function createRoadGeometry(curve, width, segments = 200) {
@@ -216,13 +186,10 @@ function createRoadGeometry(curve, width, segments = 200) {
   const indices = [];
   for (let i = 0; i <= segments; i++) {
     const t = i / segments;
-    const p = curve.getPointAt(t);
-    const tang = curve.getTangentAt(t);
-    const nx = -tang.z, nz = tang.x;
-    const len = Math.hypot(nx, nz) || 1;
+    const frame = trackFrameAt(curve, t);
     const hw = width / 2;
-    positions.push(p.x - (nx / len) * hw, 0.01, p.z - (nz / len) * hw);
-    positions.push(p.x + (nx / len) * hw, 0.01, p.z + (nz / len) * hw);
+    positions.push(...roadPoint(frame, -hw, 0.01).toArray());
+    positions.push(...roadPoint(frame, hw, 0.01).toArray());
     uvs.push(0, t * 10, 1, t * 10);
   }
   for (let i = 0; i < segments; i++) {
@@ -244,16 +211,12 @@ function createCurbGeometry(curve, width, side, segments = 200) {
   const curbW = 0.6;
   for (let i = 0; i <= segments; i++) {
     const t = i / segments;
-    const p = curve.getPointAt(t);
-    const tang = curve.getTangentAt(t);
-    const nx = -tang.z, nz = tang.x;
-    const len = Math.hypot(nx, nz) || 1;
-    const nnx = nx / len, nnz = nz / len;
+    const frame = trackFrameAt(curve, t);
     const hw = width / 2;
     const base = side === "outer" ? hw : -hw;
     const edge = side === "outer" ? hw + curbW : -hw - curbW;
-    positions.push(p.x + nnx * base, 0.02, p.z + nnz * base);
-    positions.push(p.x + nnx * edge, 0.02, p.z + nnz * edge);
+    positions.push(...roadPoint(frame, base, 0.02).toArray());
+    positions.push(...roadPoint(frame, edge, 0.02).toArray());
     const stripe = Math.floor(t * segments / 4) % 2 === 0;
     const r1 = stripe ? 1 : 1, g1 = stripe ? 0.2 : 1, b1 = stripe ? 0.2 : 1;
     colors.push(r1, g1, b1, r1, g1, b1);
@@ -270,88 +233,176 @@ function createCurbGeometry(curve, width, side, segments = 200) {
   return geo;
 }
 
-function findNearestT(curve, pos, lastT, searchRadius = 0.15, steps = 60) {
-  let bestT = lastT;
-  let bestDist = Infinity;
-  for (let i = -steps; i <= steps; i++) {
-    let t = lastT + (i / steps) * searchRadius;
-    t = ((t % 1) + 1) % 1;
-    const p = curve.getPointAt(t);
-    const d = (pos.x - p.x) ** 2 + (pos.z - p.z) ** 2;
-    if (d < bestDist) { bestDist = d; bestT = t; }
+// Walls from both curb edges down to the ground, so raised road doesn't float
+function createRoadSideGeometry(curve, width, segments = 200) {
+  const positions = [];
+  const indices = [];
+  const hw = width / 2 + 0.6;
+  for (let i = 0; i <= segments; i++) {
+    const frame = trackFrameAt(curve, i / segments);
+    for (const across of [-hw, hw]) {
+      const top = roadPoint(frame, across, 0.02);
+      positions.push(...top.toArray(), top.x, 0, top.z);
+    }
   }
-  return bestT;
+  for (let i = 0; i < segments; i++) {
+    const a = i * 4, c = (i + 1) * 4;
+    indices.push(a, c, a + 1, a + 1, c, c + 1); // left wall
+    indices.push(a + 2, a + 3, c + 2, a + 3, c + 3, c + 2); // right wall
+  }
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+  geo.setIndex(indices);
+  geo.computeVertexNormals();
+  return geo;
 }
 
-function getCrossTrackOffset(curve, pos, t) {
-  const center = curve.getPointAt(t);
-  const tang = curve.getTangentAt(t);
-  const nx = -tang.z, nz = tang.x;
-  const len = Math.hypot(nx, nz) || 1;
-  const dx = pos.x - center.x, dz = pos.z - center.z;
-  return (dx * (nx / len) + dz * (nz / len));
+// Runoff bands on both sides, between the curbs' outer edge and `outer`
+// metres from the centerline, flat on the ground
+function createRunoffGeometry(curve, inner, outer, segments = 200) {
+  const positions = [];
+  const indices = [];
+  for (let i = 0; i <= segments; i++) {
+    const t = i / segments;
+    const p = curve.getPointAt(t);
+    const tang = curve.getTangentAt(t);
+    const len = Math.hypot(tang.x, tang.z) || 1;
+    const nx = -tang.z / len, nz = tang.x / len;
+    for (const d of [-outer, -inner, inner, outer]) positions.push(p.x + nx * d, 0.005, p.z + nz * d);
+  }
+  for (let i = 0; i < segments; i++) {
+    const a = i * 4, c = (i + 1) * 4;
+    indices.push(a, c, a + 1, a + 1, c, c + 1); // left band
+    indices.push(a + 2, c + 2, a + 3, a + 3, c + 2, c + 3); // right band
+  }
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+  geo.setIndex(indices);
+  geo.computeVertexNormals();
+  return geo;
 }
 
-// -----------------------------
-// Items & Power-ups
-// -----------------------------
-const ITEMS = [
-  { id: "mushroom", name: "Mushroom", display: "BOOST" },
-  { id: "banana", name: "Banana", display: "BANANA" },
-  { id: "missile", name: "Missile", display: "MISSILE" },
-  { id: "shield", name: "Shield", display: "SHIELD" },
-  { id: "lightning", name: "Lightning", display: "ZAP" },
-];
-
-const ITEM_WEIGHTS = {
-  1: [30, 20, 10, 40, 0],
-  2: [30, 20, 25, 20, 5],
-  3: [25, 15, 30, 10, 20],
-  4: [15, 10, 30, 5, 40],
-  5: [15, 10, 30, 5, 40],
-};
-
-function getRandomItem(position) {
-  const weights = ITEM_WEIGHTS[clamp(position, 1, 5)];
-  const total = weights.reduce((a, b) => a + b, 0);
-  let r = Math.random() * total;
-  for (let i = 0; i < weights.length; i++) {
-    r -= weights[i];
-    if (r <= 0) return ITEMS[i].id;
+// Barriers `offset` metres either side of the centerline along each [fromT, toT] range
+function createWallGeometry(curve, offset, ranges, height = 1.2, segments = 400) {
+  const positions = [];
+  const indices = [];
+  for (const [from, to] of ranges) {
+    const span = ((to - from + 1) % 1) || 1;
+    const steps = Math.max(2, Math.ceil(span * segments));
+    const base = positions.length / 3;
+    for (let i = 0; i <= steps; i++) {
+      const frame = trackFrameAt(curve, (from + (span * i) / steps) % 1);
+      for (const side of [-1, 1]) {
+        const foot = roadPoint(frame, side * offset, 0);
+        positions.push(...foot.toArray(), foot.x, foot.y + height, foot.z);
+      }
+    }
+    for (let i = 0; i < steps; i++) {
+      const a = base + i * 4, c = base + (i + 1) * 4;
+      indices.push(a, c, a + 1, a + 1, c, c + 1, a + 2, a + 3, c + 2, a + 3, c + 3, c + 2);
+    }
   }
-  return ITEMS[0].id;
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+  geo.setIndex(indices);
+  geo.computeVertexNormals();
+  return geo;
+}
+
+// Position and orientation that lay a flat group (local +z along the track,
+// +y up) on the road surface at curve fraction t
+function roadPlacement(curve, t, lift = 0) {
+  const frame = trackFrameAt(curve, t);
+  const basis = new THREE.Matrix4().makeBasis(frame.right.clone().negate(), frame.up, frame.tangent);
+  return { position: roadPoint(frame, 0, lift).toArray(), quaternion: new THREE.Quaternion().setFromRotationMatrix(basis) };
 }
 
-// Module-level shared race data (written by physics loop, read by HUD)
+// Module-level handle on the running race. RaceSimulation steps `state` with
+// the fixed-timestep simulation in raceSim.js; 3D components and the HUD only
+// read it. `prev` + `alpha` let renderers interpolate between ticks. Replay
+// playback feeds recorded frames through the same fields.
 const liveRace = {
-  playerT: 0, playerPos: [0, 0], playerLap: 1, playerYaw: 0,
-  ai: [], position: 1, drifting: false, totalLaps: DEFAULT_LAPS,
-  // Item system
-  playerItem: null,
-  playerShield: false,
-  playerSpinout: 0,
-  lightningTimer: 0,
-  activeBananas: [],
-  activeMissiles: [],
-  itemBoxCooldowns: {},
+  world: null,
+  state: null,
+  prev: null,
+  alpha: 0,
+  recorder: null,
+  // Online client: own kart from the local prediction { id, prev, state, alpha },
+  // drawn ahead of the (delayed) host snapshots in prev/state
+  local: null,
+  feed: [], // recent item events { racer, item, at } for the online item feed
 };
 
+function getRacer(id, state) {
+  const src = state ?? (liveRace.local?.id === id ? liveRace.local.state : liveRace.state);
+  return src ? src.racers.find((r) => r.id === id) : null;
+}
+function getPlayer() { return getRacer("player"); }
+
 // -----------------------------
 // Global-ish game state (simple hooks)
 // -----------------------------
+// Selection and settings fields of the store, restored from the save
+function storeFieldsFromSave(save) {
+  const { selection, settings } = save;
+  const track = findTrack(selection.track);
+  const difficulty = save.progress.unlockedClasses[selection.difficulty] ? selection.difficulty : DEFAULT_DIFFICULTY;
+  // Grand Prix rewards fall back to the first entry until their trophy is won
+  const pick = (list, id) => list.find((x) => x.id === id && isRewardUnlocked(x, save.progress.trophies)) || list[0];
+  return {
+    selectedCharacter: pick(CHARACTERS, selection.character),
+    selectedCar: pick(CARS, selection.car),
+    selectedTrack: track && (isUserTrackId(track.id) || save.progress.unlockedTracks[difficulty][track.id]) ? track : TRACKS[0],
+    difficulty,
+    laps: selection.laps,
+    ttMushrooms: selection.ttMushrooms,
+    platform: settings.platform || "Laptop",
+    musicEnabled: settings.musicEnabled,
+    bindings: settings.bindings,
+    touch: settings.touch,
+  };
+}
+
+// ...and the reverse, in the save's field order
+function saveFieldsFromStore(s) {
+  return {
+    selection: { character: s.selectedCharacter.id, car: s.selectedCar.id, track: s.selectedTrack.id, laps: s.laps, ttMushrooms: s.ttMushrooms, difficulty: s.difficulty },
+    settings: { platform: s.platform, musicEnabled: s.musicEnabled, bindings: s.bindings, touch: s.touch },
+  };
+}
+
 const useStore = (() => {
   const listeners = new Set();
+  const saved = storeFieldsFromSave(loadSave());
   const state = {
     screen: "home", // home → character → car → track → race (or paused)
-    selectedCharacter: CHARACTERS[0],
-    selectedCar: CARS[0],
-    selectedTrack: TRACKS[0],
-    laps: DEFAULT_LAPS,
-    platform: "Laptop", // Laptop | iPad | iPhone
+    selectedCharacter: saved.selectedCharacter,
+    selectedCar: saved.selectedCar,
+    selectedTrack: saved.selectedTrack,
+    difficulty: saved.difficulty, // DIFFICULTIES id (Time Trial always runs TIME_TRIAL_DIFFICULTY)
+    laps: saved.laps,
+    mode: "race", // race | timeTrial (solo, no items, stocked mushrooms, ghost) | splitScreen | online | testDrive (editor draft) | grandPrix (saved cup)
+    // Split-screen seats: character / car ids and a CONTROL_SCHEMES id each
+    localPlayers: [
+      { character: CHARACTERS[0].id, car: CARS[0].id, scheme: "wasd" },
+      { character: CHARACTERS[1].id, car: CARS[1].id, scheme: "arrows" },
+    ],
+    ttMushrooms: saved.ttMushrooms,
+    platform: saved.platform, // Laptop | Controller | iPad | iPhone
+    bindings: saved.bindings, // keyboard: action → two KeyboardEvent.code slots
+    touch: saved.touch, // { steering: buttons | joystick | tilt, tiltSensitivity, tiltCenter }
+    // Seed for the next race (null = pick a fresh one). Bumping raceKey
+    // remounts the race screen so "Race Again" really restarts.
+    raceSeed: null,
+    raceKey: 0,
+    replay: null, // opened replay shown on the "replay" screen
+    editorTrack: null, // unsaved track on the "editor" screen (trackEditor.js)
+    // Online lobby as shown on the "online" screen (the session itself lives in `netplay`)
+    online: { status: "offline", room: null, myId: null, lobby: null, error: null },
     // runtime
     paused: false,
     showSettings: false,
-    musicEnabled: true,
+    musicEnabled: saved.musicEnabled,
   };
   const setState = (partial) => {
     Object.assign(state, typeof partial === "function" ? partial(state) : partial);
@@ -368,87 +419,491 @@ const useStore = (() => {
     }, []);
     return selRef.current(state);
   };
-  return { useHook, setState, get: () => state };
+  const subscribe = (cb) => { listeners.add(cb); return () => listeners.delete(cb); };
+  return { useHook, setState, get: () => state, subscribe };
 })();
 
+// Mirror selection and settings into the save whenever they change
+useStore.subscribe(() => {
+  const fields = saveFieldsFromStore(useStore.get());
+  const save = loadSave();
+  if (JSON.stringify(fields) === JSON.stringify({ selection: save.selection, settings: save.settings })) return;
+  updateSave((s) => ({ ...s, ...fields }));
+});
+
+// Loads an imported or reset save into the running game
+function applySave(save) {
+  const fields = storeFieldsFromSave(save);
+  useStore.setState(fields);
+  if (!fields.musicEnabled) racingMusic.stop();
+}
+
 // Convenience wrappers
 const useScreen = () => useStore.useHook((s) => s.screen);
-const setScreen = (v) => useStore.setState({ screen: v });
+const setScreen = (v) => useStore.setState({ screen: v, paused: false });
 const useSelection = () => useStore.useHook((s) => ({
   character: s.selectedCharacter,
   car: s.selectedCar,
   track: s.selectedTrack,
   laps: s.laps,
+  difficulty: s.difficulty,
 }));
 const setCharacter = (c) => useStore.setState({ selectedCharacter: c });
 const setCar = (c) => useStore.setState({ selectedCar: c });
 const setTrack = (t) => useStore.setState({ selectedTrack: t });
 const setLaps = (n) => useStore.setState({ laps: n });
+// Switching class keeps the track if it is open on the new class too
+const setDifficulty = (d) => useStore.setState((s) => ({
+  difficulty: d,
+  selectedTrack: isUserTrackId(s.selectedTrack.id) || getUnlocked(d)[s.selectedTrack.id] ? s.selectedTrack : TRACKS[0],
+}));
+const useMode = () => useStore.useHook((s) => s.mode);
+const setMode = (m) => useStore.setState({ mode: m });
+const useLocalPlayers = () => useStore.useHook((s) => s.localPlayers);
+const setLocalPlayers = (players) => useStore.setState({ localPlayers: players });
+const useTimeTrialMushrooms = () => useStore.useHook((s) => s.ttMushrooms);
+const setTimeTrialMushrooms = (n) => useStore.setState({ ttMushrooms: n });
+const useRaceKey = () => useStore.useHook((s) => s.raceKey);
+const startRace = (seed = null) => useStore.setState((s) => ({ screen: "race", paused: false, raceSeed: seed, raceKey: s.raceKey + 1 }));
+const watchReplay = (replay) => useStore.setState({ screen: "replay", paused: false, replay });
+const useEditorTrack = () => useStore.useHook((s) => s.editorTrack);
+const setEditorTrack = (track) => useStore.setState({ editorTrack: track });
+const testDrive = () => { setMode("testDrive"); startRace(); };
+const useBindings = () => useStore.useHook((s) => s.bindings);
+const setBindings = (b) => useStore.setState({ bindings: b });
+const useTouchSettings = () => useStore.useHook((s) => s.touch);
+const setTouchSettings = (patch) => useStore.setState((s) => ({ touch: { ...s.touch, ...patch } }));
 const usePlatform = () => useStore.useHook((s) => s.platform);
 const setPlatform = (p) => useStore.setState({ platform: p });
 const useSettings = () => useStore.useHook((s) => ({ showSettings: s.showSettings, paused: s.paused }));
-const setShowSettings = (v) => useStore.setState({ showSettings: v });
+// Opening settings mid-race pauses the simulation; closing it resumes. Online
+// races never pause — the other players keep driving.
+const setShowSettings = (v) => useStore.setState((s) => ({ showSettings: v, paused: v && s.screen === "race" && s.mode !== "online" }));
 const setPaused = (v) => useStore.setState({ paused: v });
+const isPaused = () => useStore.get().paused;
 const useMusicEnabled = () => useStore.useHook((s) => s.musicEnabled);
 const setMusicEnabled = (v) => {
   useStore.setState({ musicEnabled: v });
-  if (v) racingMusic.start(); else racingMusic.stop();
+  if (v && !isPaused()) racingMusic.start(); else if (!v) racingMusic.stop();
 };
 
+// m:ss.cc — race clock / replay timeline
+function formatTime(seconds) {
+  const cs = Math.max(0, Math.round(seconds * 100));
+  const m = Math.floor(cs / 6000);
+  const s = Math.floor(cs / 100) % 60;
+  return `${m}:${String(s).padStart(2, "0")}.${String(cs % 100).padStart(2, "0")}`;
+}
+
+// 1st, 2nd, 3rd, 4th … for places
+function ordinal(n) {
+  const teen = n % 100 >= 11 && n % 100 <= 13;
+  return `${n}${teen ? "th" : ["th", "st", "nd", "rd"][n % 10] || "th"}`;
+}
+
+// Signed seconds for split/lap deltas: −0.42 is faster
+function formatDelta(seconds) {
+  return `${seconds < 0 ? "−" : "+"}${Math.abs(seconds).toFixed(2)}`;
+}
+
+// Saves text as a local file via a temporary object URL
+function downloadText(filename, text, type = "application/json") {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function exportTrackFile(track) {
+  downloadText(`hyperkart-track-${track.name.replace(/[^a-z0-9]+/gi, "-").toLowerCase()}.track.json`, encodeTrack(track));
+}
+
 // --- Safe selection helpers (fix for undefined destructuring) ---
 function makeSafeSelection(sel){
   if (sel && sel.character && sel.car && sel.track) return sel;
-  return { character: CHARACTERS[0], car: CARS[0], track: TRACKS[0], laps: DEFAULT_LAPS };
+  return { character: CHARACTERS[0], car: CARS[0], track: TRACKS[0], laps: DEFAULT_LAPS, difficulty: DEFAULT_DIFFICULTY };
 }
 function useSafeSelection(){
   const sel = useSelection();
   return makeSafeSelection(sel);
 }
 
+// -----------------------------
+// Online session (relay connection + lobby; race sync lives in netplay.js)
+// -----------------------------
+// The host keeps everyone's character / car picks and broadcasts the lobby;
+// a "start" message from the host sends every peer into the same race.
+const netplay = {
+  session: null,
+  profiles: {}, // host only: peer id → { character, car }
+  start: null, // start message of the current online race
+  unsubscribe: null,
+};
+
+const useOnline = () => useStore.useHook((s) => s.online);
+const setOnline = (patch) => useStore.setState((s) => ({ online: { ...s.online, ...patch } }));
+
+function defaultRelayUrl() {
+  const host = (typeof location !== "undefined" && location.hostname) || "localhost";
+  return `ws://${host}:8787`;
+}
+
+async function goOnline(url, { room, name }) {
+  setOnline({ status: "connecting", error: null });
+  try {
+    const session = await connectRelay(url, { room, name });
+    netplay.session = session;
+    netplay.profiles = {};
+    netplay.unsubscribe = session.subscribe(onNetEvent);
+    setOnline({ status: "connected", room: session.room, myId: session.id, lobby: null });
+    sendProfile();
+  } catch (err) {
+    setOnline({ status: "offline", error: err.message });
+  }
+}
+
+function leaveOnline() {
+  netplay.unsubscribe?.();
+  netplay.session?.close();
+  Object.assign(netplay, { session: null, profiles: {}, start: null, unsubscribe: null });
+  setOnline({ status: "offline", room: null, myId: null, lobby: null });
+}
+
+// Our character / car, sent to the host (or recorded directly when we are the host)
+function sendProfile() {
+  const { session } = netplay;
+  if (!session) return;
+  const s = useStore.get();
+  const profile = { character: s.selectedCharacter.id, car: s.selectedCar.id };
+  if (session.isHost()) {
+    netplay.profiles[session.id] = profile;
+    publishLobby();
+  } else {
+    session.send("host", { kind: "profile", ...profile });
+  }
+}
+
+function publishLobby() {
+  const { session, profiles } = netplay;
+  const s = useStore.get();
+  // Peers only have the built-in tracks, so an imported selection races on the first one
+  const track = TRACKS.some((t) => t.id === s.selectedTrack.id) ? s.selectedTrack.id : TRACKS[0].id;
+  const lobby = buildLobby(session.peers, profiles, { track, laps: s.laps, difficulty: s.difficulty });
+  setOnline({ lobby });
+  // Mid-race, clients would take a lobby message as "the race is over"
+  if (s.screen !== "race") session.send("all", lobby);
+}
+
+function onNetEvent(e) {
+  const { session } = netplay;
+  if (e.type === "closed") {
+    Object.assign(netplay, { session: null, start: null });
+    setOnline({ status: "offline", lobby: null, error: "Disconnected from the server" });
+  } else if (e.type === "room") {
+    // Re-sent on every change so a newly promoted host learns everyone's picks
+    sendProfile();
+  } else if (e.type === "message") {
+    const { data } = e;
+    if (!data || typeof data !== "object") return; // only the relay's own checks stand between us and a bad peer
+    if (data.kind === "profile" && session.isHost()) {
+      netplay.profiles[e.from] = { character: data.character, car: data.car };
+      publishLobby();
+    } else if (data.kind === "lobby" && e.from === session.hostId) {
+      setOnline({ lobby: data });
+    } else if (data.kind === "start" && e.from === session.hostId) {
+      beginOnlineRace(data);
+    }
+  }
+}
+
+function startOnlineRace() {
+  const { lobby } = useStore.get().online;
+  if (!netplay.session?.isHost() || !lobby) return;
+  const start = { kind: "start", seed: randomSeed(), host: netplay.session.id, track: lobby.track, laps: lobby.laps, difficulty: lobby.difficulty, players: lobby.players };
+  netplay.session.send("all", start);
+  beginOnlineRace(start);
+}
+
+function beginOnlineRace(start) {
+  netplay.start = start;
+  setMode("online");
+  startRace(start.seed);
+}
+
 // -----------------------------
 // Keyboard & Touch controls
 // -----------------------------
+const NO_KEYS = { left: false, right: false, up: false, down: false, useItem: false, drift: false, lookBack: false, respawn: false };
+
+// Single-player keyboard, read through the player's binding table (bindings.js).
+// An action stays held while any of its keys is down; "pause" toggles settings.
 function useKeyboardControls(enabled) {
-  const [keys, setKeys] = useState({ left: false, right: false, up: false, down: false, useItem: false });
+  const [keys, setKeys] = useState(NO_KEYS);
   useEffect(() => {
     if (!enabled) return;
-    const down = (e) => {
-      if (["ArrowLeft", "a", "A"].includes(e.key)) setKeys((k) => ({ ...k, left: true }));
-      if (["ArrowRight", "d", "D"].includes(e.key)) setKeys((k) => ({ ...k, right: true }));
-      if (["ArrowUp", "w", "W"].includes(e.key)) setKeys((k) => ({ ...k, up: true }));
-      if (["ArrowDown", "s", "S"].includes(e.key)) setKeys((k) => ({ ...k, down: true }));
-      if (e.key === " ") { e.preventDefault(); setKeys((k) => ({ ...k, useItem: true })); }
-      if (e.key === "Escape" || e.key === "p" || e.key === "P") setShowSettings(true);
+    const held = new Set();
+    const update = () => {
+      const lookup = bindingLookup(useStore.get().bindings);
+      const next = { ...NO_KEYS };
+      held.forEach((code) => { const action = lookup[code]; if (action && action !== "pause") next[action] = true; });
+      setKeys(next);
     };
-    const up = (e) => {
-      if (["ArrowLeft", "a", "A"].includes(e.key)) setKeys((k) => ({ ...k, left: false }));
-      if (["ArrowRight", "d", "D"].includes(e.key)) setKeys((k) => ({ ...k, right: false }));
-      if (["ArrowUp", "w", "W"].includes(e.key)) setKeys((k) => ({ ...k, up: false }));
-      if (["ArrowDown", "s", "S"].includes(e.key)) setKeys((k) => ({ ...k, down: false }));
-      if (e.key === " ") setKeys((k) => ({ ...k, useItem: false }));
+    const down = (e) => {
+      const action = bindingLookup(useStore.get().bindings)[e.code];
+      if (!action) return;
+      if (e.code === "Space" || e.code.startsWith("Arrow")) e.preventDefault();
+      if (action === "pause") { if (!e.repeat) setShowSettings(!useStore.get().showSettings); return; }
+      if (held.has(e.code)) return;
+      held.add(e.code);
+      update();
     };
+    const up = (e) => { if (held.delete(e.code)) update(); };
+    const clear = () => { held.clear(); update(); };
     window.addEventListener("keydown", down);
     window.addEventListener("keyup", up);
-    return () => { window.removeEventListener("keydown", down); window.removeEventListener("keyup", up); };
+    window.addEventListener("blur", clear);
+    return () => {
+      window.removeEventListener("keydown", down);
+      window.removeEventListener("keyup", up);
+      window.removeEventListener("blur", clear);
+    };
   }, [enabled]);
   return keys;
 }
 
-function TouchPad({ onChange }) {
-  const [state, setState] = useState({ left: false, right: false, up: false, down: false, useItem: false });
-  useEffect(() => { onChange && onChange(state); }, [state, onChange]);
+// -----------------------------
+// Split-screen control schemes
+// -----------------------------
+// Each local player owns one scheme; the simulation reads them every tick.
+const CONTROL_SCHEMES = [
+  { id: "wasd", label: "WASD", hint: "Q", keys: { left: ["KeyA"], right: ["KeyD"], up: ["KeyW"], down: ["KeyS"], useItem: ["KeyQ", "ShiftLeft"] } },
+  { id: "arrows", label: "Arrows", hint: "Enter", keys: { left: ["ArrowLeft"], right: ["ArrowRight"], up: ["ArrowUp"], down: ["ArrowDown"], useItem: ["Enter", "ShiftRight"] } },
+  { id: "ijkl", label: "IJKL", hint: "U", keys: { left: ["KeyJ"], right: ["KeyL"], up: ["KeyI"], down: ["KeyK"], useItem: ["KeyU"] } },
+  { id: "numpad", label: "Numpad 8456", hint: "Num 0", keys: { left: ["Numpad4"], right: ["Numpad6"], up: ["Numpad8"], down: ["Numpad5"], useItem: ["Numpad0"] } },
+  ...[0, 1, 2, 3].map((i) => ({ id: `gamepad-${i}`, label: `Gamepad ${i + 1}`, hint: "X / RB", gamepad: i })),
+];
+const NO_CONTROLS = { left: false, right: false, up: false, down: false, useItem: false };
+
+// Shown in Settings and How to Play; readGamepadControls implements it
+const GAMEPAD_MAPPING = [
+  ["Left stick / D-pad", "Steer (stick is proportional)"],
+  ["RT / A", "Accelerate (trigger is analog)"],
+  ["LT / B", "Brake / Reverse (trigger is analog)"],
+  ["X / RB", "Use item"],
+  ["Y / LB", "Drift (or brake while steering)"],
+  ["Right stick click", "Look back"],
+  ["Back / View", "Respawn"],
+  ["Start", "Pause"],
+];
+
+// Physical keys (KeyboardEvent.code) currently held down
+const heldKeys = new Set();
+function useHeldKeys(enabled) {
+  useEffect(() => {
+    if (!enabled) return;
+    const down = (e) => heldKeys.add(e.code);
+    const up = (e) => heldKeys.delete(e.code);
+    const clear = () => heldKeys.clear();
+    window.addEventListener("keydown", down);
+    window.addEventListener("keyup", up);
+    window.addEventListener("blur", clear);
+    return () => {
+      window.removeEventListener("keydown", down);
+      window.removeEventListener("keyup", up);
+      window.removeEventListener("blur", clear);
+      heldKeys.clear();
+    };
+  }, [enabled]);
+}
+
+const STICK_DEADZONE = 0.15;
+
+function getGamepads() {
+  return typeof navigator !== "undefined" && navigator.getGamepads ? [...navigator.getGamepads()] : [];
+}
+
+// Index of the first connected pad (single-player Controller platform), or null
+function connectedGamepad() {
+  return getGamepads().find((p) => p?.connected)?.index ?? null;
+}
+
+// Standard-mapping pad (see GAMEPAD_MAPPING). Analog steer / throttle / brake
+// go to the simulation as is; the booleans keep key-style readers working.
+function readGamepadControls(index) {
+  const pad = index == null ? null : getGamepads()[index];
+  if (!pad) return NO_CONTROLS;
+  const b = (i) => !!pad.buttons[i]?.pressed;
+  const v = (i) => pad.buttons[i]?.value ?? 0;
+  const x = pad.axes[0] || 0;
+  const stick = Math.abs(x) < STICK_DEADZONE ? 0 : Math.sign(x) * (Math.abs(x) - STICK_DEADZONE) / (1 - STICK_DEADZONE);
+  const steer = b(14) ? -1 : b(15) ? 1 : stick;
+  const throttle = Math.max(v(7), b(0) ? 1 : 0);
+  const brake = Math.max(v(6), b(1) ? 1 : 0);
+  return {
+    left: steer < -0.3, right: steer > 0.3, up: throttle > 0.5, down: brake > 0.5,
+    useItem: b(2) || b(5), drift: b(3) || b(4), lookBack: b(11), respawn: b(8),
+    steer, throttle, brake,
+  };
+}
+
+// Keyboard and pad together (Controller platform): either one can drive
+function mergeControls(keys, pad) {
+  return {
+    left: keys.left || pad.left, right: keys.right || pad.right, up: keys.up || pad.up, down: keys.down || pad.down,
+    useItem: keys.useItem || pad.useItem, drift: !!(keys.drift || pad.drift),
+    lookBack: !!(keys.lookBack || pad.lookBack), respawn: !!(keys.respawn || pad.respawn),
+    steer: clamp((pad.steer ?? 0) + (keys.right ? 1 : 0) - (keys.left ? 1 : 0), -1, 1),
+    throttle: Math.max(pad.throttle ?? 0, keys.up ? 1 : 0),
+    brake: Math.max(pad.brake ?? 0, keys.down ? 1 : 0),
+  };
+}
+
+// Start on any pad toggles the pause menu, like Esc on the keyboard
+function useGamepadPause(enabled) {
+  useEffect(() => {
+    if (!enabled) return;
+    const held = {};
+    const id = setInterval(() => {
+      for (const pad of getGamepads()) {
+        if (!pad) continue;
+        const start = !!pad.buttons[9]?.pressed;
+        if (start && !held[pad.index]) setShowSettings(!useStore.get().showSettings);
+        held[pad.index] = start;
+      }
+    }, 50);
+    return () => clearInterval(id);
+  }, [enabled]);
+}
+
+function readSchemeControls(schemeId) {
+  const scheme = CONTROL_SCHEMES.find((c) => c.id === schemeId);
+  if (!scheme) return NO_CONTROLS;
+  if (scheme.gamepad != null) return readGamepadControls(scheme.gamepad);
+  return Object.fromEntries(Object.entries(scheme.keys).map(([action, codes]) => [action, codes.some((c) => heldKeys.has(c))]));
+}
+
+// -----------------------------
+// Touch steering: buttons, virtual joystick or device tilt
+// -----------------------------
+const TILT_FULL_LOCK = 30; // degrees of tilt for full lock at sensitivity 1
+const STEER_DEADZONE = 0.05;
+
+// Latest steering-axis tilt in degrees (null until the device reports one)
+const deviceTilt = { angle: null };
+
+// Rotating the device like a wheel: gamma in portrait, beta in landscape
+function steeringAngle(e) {
+  const angle = (typeof screen !== "undefined" && screen.orientation?.angle) ?? window.orientation ?? 0;
+  if (angle === 90) return e.beta;
+  if (angle === -90 || angle === 270) return -e.beta;
+  if (angle === 180) return -e.gamma;
+  return e.gamma;
+}
+
+function tiltToSteer(angle, center, sensitivity) {
+  if (angle == null) return 0;
+  const v = clamp((angle - center) / (TILT_FULL_LOCK / sensitivity), -1, 1);
+  return Math.abs(v) < STEER_DEADZONE ? 0 : v;
+}
+
+// iOS only delivers orientation events after a permission prompt from a tap
+function requestTiltPermission() {
+  const request = typeof DeviceOrientationEvent !== "undefined" && DeviceOrientationEvent.requestPermission;
+  return request ? request.call(DeviceOrientationEvent).catch(() => "denied") : Promise.resolve("granted");
+}
+
+function useDeviceTilt(enabled, onAngle) {
+  const cb = useRef(onAngle);
+  cb.current = onAngle;
+  useEffect(() => {
+    if (!enabled) return;
+    const handler = (e) => {
+      if (e.beta == null && e.gamma == null) return;
+      deviceTilt.angle = steeringAngle(e);
+      cb.current?.(deviceTilt.angle);
+    };
+    window.addEventListener("deviceorientation", handler);
+    return () => window.removeEventListener("deviceorientation", handler);
+  }, [enabled]);
+}
+
+// Horizontal-only stick: drag distance from the centre is the steering amount
+function VirtualJoystick({ onSteer }) {
+  const RADIUS = 48;
+  const base = useRef(null);
+  const pointer = useRef(null);
+  const [knob, setKnob] = useState(0);
+  const move = (e) => {
+    if (pointer.current !== e.pointerId || !base.current) return;
+    const rect = base.current.getBoundingClientRect();
+    const v = clamp((e.clientX - (rect.left + rect.width / 2)) / RADIUS, -1, 1);
+    setKnob(v);
+    onSteer(Math.abs(v) < STEER_DEADZONE ? 0 : v);
+  };
+  const release = (e) => {
+    if (pointer.current !== e.pointerId) return;
+    pointer.current = null;
+    setKnob(0);
+    onSteer(0);
+  };
+  return (
+    <div ref={base}
+      onPointerDown={(e) => { e.preventDefault(); pointer.current = e.pointerId; e.currentTarget.setPointerCapture(e.pointerId); move(e); }}
+      onPointerMove={move} onPointerUp={release} onPointerCancel={release}
+      className="relative h-32 w-32 rounded-full bg-white/10 backdrop-blur border border-white/20 touch-none">
+      <div className="absolute top-1/2 left-1/2 h-14 w-14 -mt-7 -ml-7 rounded-full bg-white/40 border border-white/60"
+        style={{ transform: `translateX(${knob * RADIUS}px)` }} />
+    </div>
+  );
+}
+
+// On-screen controls for iPad / iPhone. Every steering style reports an
+// analog `steer` (buttons give full lock), plus gas, brake, item, drift and respawn.
+function TouchPad({ onChange, steering = "buttons", tiltSensitivity = 1, tiltCenter = 0 }) {
+  const [state, setState] = useState({ left: false, right: false, up: false, down: false, useItem: false, drift: false, respawn: false });
+  const analog = useRef(0); // joystick / tilt steer
+  const [tiltSteer, setTiltSteer] = useState(0);
+  const emit = useCallback((buttons) => {
+    const steer = steering === "buttons" ? (buttons.right ? 1 : 0) - (buttons.left ? 1 : 0) : analog.current;
+    onChange && onChange({ ...buttons, left: steer < -0.3, right: steer > 0.3, steer });
+  }, [onChange, steering]);
+  useEffect(() => { emit(state); }, [state, emit]);
+  useDeviceTilt(steering === "tilt", (angle) => {
+    analog.current = tiltToSteer(angle, tiltCenter, tiltSensitivity);
+    setTiltSteer(analog.current);
+    emit(state);
+  });
   const mkHandlers = (key) => ({
     onPointerDown: (e) => { e.preventDefault(); setState((s) => ({ ...s, [key]: true })); },
     onPointerUp: (e) => { e.preventDefault(); setState((s) => ({ ...s, [key]: false })); },
     onPointerLeave: (e) => { e.preventDefault(); setState((s) => ({ ...s, [key]: false })); },
   });
   return (
-    <div className="pointer-events-auto fixed bottom-4 left-0 right-0 flex items-center justify-between px-6 select-none">
+    <div className="pointer-events-auto fixed bottom-4 left-0 right-0 flex items-end justify-between px-6 select-none">
+      {steering === "buttons" && (
+        <div className="flex gap-3">
+          <button {...mkHandlers("left")} className={`h-16 w-16 rounded-full bg-white/10 backdrop-blur border border-white/20 ${state.left ? "ring-4 ring-white/60" : ""}`}>◀</button>
+          <button {...mkHandlers("right")} className={`h-16 w-16 rounded-full bg-white/10 backdrop-blur border border-white/20 ${state.right ? "ring-4 ring-white/60" : ""}`}>▶</button>
+        </div>
+      )}
+      {steering === "joystick" && <VirtualJoystick onSteer={(v) => { analog.current = v; emit(state); }} />}
+      {steering === "tilt" && (
+        <div className="flex flex-col items-center gap-2">
+          <div className="h-2 w-32 rounded-full bg-white/10 relative overflow-hidden">
+            <div className="absolute top-0 bottom-0 w-1/2 bg-cyan-400/70"
+              style={tiltSteer < 0 ? { right: "50%", width: `${-tiltSteer * 50}%` } : { left: "50%", width: `${tiltSteer * 50}%` }} />
+          </div>
+          <button onClick={() => { if (deviceTilt.angle != null) setTouchSettings({ tiltCenter: clamp(deviceTilt.angle, -90, 90) }); }}
+            className="rounded-full bg-white/10 backdrop-blur border border-white/20 px-3 py-1 text-xs">⟲ Center</button>
+        </div>
+      )}
       <div className="flex gap-3">
-        <button {...mkHandlers("left")} className={`h-16 w-16 rounded-full bg-white/10 backdrop-blur border border-white/20 ${state.left ? "ring-4 ring-white/60" : ""}`}>◀</button>
-        <button {...mkHandlers("right")} className={`h-16 w-16 rounded-full bg-white/10 backdrop-blur border border-white/20 ${state.right ? "ring-4 ring-white/60" : ""}`}>▶</button>
+        <button {...mkHandlers("drift")} className={`h-14 w-14 rounded-full bg-cyan-500/30 backdrop-blur border-2 border-cyan-400/50 text-xs font-bold ${state.drift ? "ring-4 ring-cyan-400/60" : ""}`}>DRIFT</button>
+        <button {...mkHandlers("useItem")} className={`h-14 w-14 rounded-full bg-yellow-500/30 backdrop-blur border-2 border-yellow-400/50 text-xs font-bold ${state.useItem ? "ring-4 ring-yellow-400/60" : ""}`}>USE</button>
+        <button {...mkHandlers("respawn")} aria-label="Respawn" className={`h-10 w-10 self-center rounded-full bg-white/10 backdrop-blur border border-white/20 text-sm ${state.respawn ? "ring-4 ring-white/60" : ""}`}>↺</button>
       </div>
-      <button {...mkHandlers("useItem")} className={`h-14 w-14 rounded-full bg-yellow-500/30 backdrop-blur border-2 border-yellow-400/50 text-xs font-bold ${state.useItem ? "ring-4 ring-yellow-400/60" : ""}`}>USE</button>
       <div className="flex gap-3">
         <button {...mkHandlers("up")} className={`h-16 w-16 rounded-full bg-white/10 backdrop-blur border border-white/20 ${state.up ? "ring-4 ring-white/60" : ""}`}>▲</button>
         <button {...mkHandlers("down")} className={`h-16 w-16 rounded-full bg-white/10 backdrop-blur border border-white/20 ${state.down ? "ring-4 ring-white/60" : ""}`}>▼</button>
@@ -462,13 +917,42 @@ function TouchPad({ onChange }) {
 // -----------------------------
 // Old Stadium/CityProps/WestProps removed — replaced by ClassicProps, CityNeonProps, WestRockProps
 
-function TrackRoad({ curve, trackWidth, roadColor = "#555" }) {
+function TrackRoad({ curve, trackWidth, roadColor = "#555", seed = 1 }) {
   const geo = useMemo(() => createRoadGeometry(curve, trackWidth), [curve, trackWidth]);
-  const roadTex = useMemo(() => createRoadTexture(roadColor), [roadColor]);
+  const sideGeo = useMemo(() => (curve.flat ? null : createRoadSideGeometry(curve, trackWidth)), [curve, trackWidth]);
+  const roadTex = useMemo(() => createRoadTexture(roadColor, createRng(deriveSeed(seed, "road-texture"))), [roadColor, seed]);
   return (
-    <mesh geometry={geo}>
-      <meshStandardMaterial map={roadTex} metalness={0.1} roughness={0.85} side={THREE.DoubleSide} />
-    </mesh>
+    <group>
+      <mesh geometry={geo}>
+        <meshStandardMaterial map={roadTex} metalness={0.1} roughness={0.85} side={THREE.DoubleSide} />
+      </mesh>
+      {sideGeo && (
+        <mesh geometry={sideGeo}>
+          <meshStandardMaterial color="#8d8a84" roughness={0.95} side={THREE.DoubleSide} />
+        </mesh>
+      )}
+    </group>
+  );
+}
+
+// Runoff beside the curbs and barriers where the track has walls (see trackSurfaces)
+function TrackSurfaces({ track, curve, trackWidth }) {
+  const surfaces = useMemo(() => trackSurfaces(track), [track]);
+  const inner = trackWidth / 2 + CURB_WIDTH;
+  const outer = inner + surfaces.runoffWidth;
+  const runoffGeo = useMemo(() => createRunoffGeometry(curve, inner, outer), [curve, inner, outer]);
+  const wallGeo = useMemo(() => (surfaces.walls.length ? createWallGeometry(curve, outer, surfaces.walls) : null), [curve, outer, surfaces.walls]);
+  return (
+    <group>
+      <mesh geometry={runoffGeo} receiveShadow>
+        <meshStandardMaterial color={SURFACES[surfaces.runoff].color} roughness={1} side={THREE.DoubleSide} />
+      </mesh>
+      {wallGeo && (
+        <mesh geometry={wallGeo} castShadow>
+          <meshStandardMaterial color="#b0bec5" metalness={0.3} roughness={0.6} side={THREE.DoubleSide} />
+        </mesh>
+      )}
+    </group>
   );
 }
 
@@ -484,11 +968,9 @@ function TrackCurbs({ curve, trackWidth }) {
 }
 
 function TrackStartLine({ curve, trackWidth }) {
-  const startP = curve.getPointAt(0);
-  const tang = curve.getTangentAt(0);
-  const angle = Math.atan2(tang.x, tang.z);
+  const placement = useMemo(() => roadPlacement(curve, 0, 0.03), [curve]);
   return (
-    <group position={[startP.x, 0.03, startP.z]} rotation={[0, angle, 0]}>
+    <group {...placement}>
       {/* Checkered pattern */}
       {[...Array(8)].map((_, i) => [...Array(2)].map((_, j) => (
         <mesh key={`${i}-${j}`} position={[(i - 3.5) * (trackWidth / 8), 0, (j - 0.5) * 0.8]} rotation={[-Math.PI / 2, 0, 0]}>
@@ -504,11 +986,8 @@ function BoostPads({ curve, boostTs }) {
   return (
     <group>
       {boostTs.map((t, i) => {
-        const p = curve.getPointAt(t);
-        const tang = curve.getTangentAt(t);
-        const angle = Math.atan2(tang.x, tang.z);
         return (
-          <group key={i} position={[p.x, 0.03, p.z]} rotation={[0, angle, 0]}>
+          <group key={i} {...roadPlacement(curve, t, 0.03)}>
             <mesh rotation={[-Math.PI / 2, 0, 0]}>
               <planeGeometry args={[10, 5]} />
               <meshBasicMaterial color="#00e5ff" transparent opacity={0.5} />
@@ -525,8 +1004,8 @@ function BoostPads({ curve, boostTs }) {
   );
 }
 
-function GroundPlane({ color = "#1b5e20", size = 400 }) {
-  const groundTex = useMemo(() => createGroundTexture(color), [color]);
+function GroundPlane({ color = "#1b5e20", size = 400, seed = 1 }) {
+  const groundTex = useMemo(() => createGroundTexture(color, createRng(deriveSeed(seed, "ground-texture"))), [color, seed]);
   return (
     <mesh rotation={[-Math.PI / 2, 0, 0]} position={[0, -0.01, 0]}>
       <planeGeometry args={[size, size]} />
@@ -535,8 +1014,9 @@ function GroundPlane({ color = "#1b5e20", size = 400 }) {
   );
 }
 
-function ClassicProps({ curve }) {
+function ClassicProps({ curve, seed = 1 }) {
   const trees = useMemo(() => {
+    const random = createRng(deriveSeed(seed, "trees"));
     const arr = [];
     for (let i = 0; i < 40; i++) {
       const t = i / 40;
@@ -545,11 +1025,11 @@ function ClassicProps({ curve }) {
       const nx = -tang.z, nz = tang.x;
       const len = Math.hypot(nx, nz) || 1;
       const side = i % 2 === 0 ? 1 : -1;
-      const dist = 20 + Math.random() * 15;
-      arr.push({ x: p.x + (nx / len) * side * dist, z: p.z + (nz / len) * side * dist, h: 2 + Math.random() * 3 });
+      const dist = 20 + random() * 15;
+      arr.push({ x: p.x + (nx / len) * side * dist, z: p.z + (nz / len) * side * dist, h: 2 + random() * 3 });
     }
     return arr;
-  }, [curve]);
+  }, [curve, seed]);
   return (
     <group>
       {trees.map((t, i) => (
@@ -562,8 +1042,9 @@ function ClassicProps({ curve }) {
   );
 }
 
-function CityNeonProps({ curve }) {
+function CityNeonProps({ curve, seed = 1 }) {
   const signs = useMemo(() => {
+    const random = createRng(deriveSeed(seed, "signs"));
     const arr = [];
     for (let i = 0; i < 20; i++) {
       const t = i / 20;
@@ -572,12 +1053,12 @@ function CityNeonProps({ curve }) {
       const nx = -tang.z, nz = tang.x;
       const len = Math.hypot(nx, nz) || 1;
       const side = i % 2 === 0 ? 1 : -1;
-      const dist = 18 + Math.random() * 10;
+      const dist = 18 + random() * 10;
       const colors = ["#ff00ff", "#00ffff", "#ff6600", "#ffff00", "#ff0066"];
-      arr.push({ x: p.x + (nx / len) * side * dist, z: p.z + (nz / len) * side * dist, h: 3 + Math.random() * 5, c: colors[i % colors.length] });
+      arr.push({ x: p.x + (nx / len) * side * dist, z: p.z + (nz / len) * side * dist, h: 3 + random() * 5, c: colors[i % colors.length] });
     }
     return arr;
-  }, [curve]);
+  }, [curve, seed]);
   return (
     <group>
       {signs.map((s, i) => (
@@ -590,8 +1071,9 @@ function CityNeonProps({ curve }) {
   );
 }
 
-function WestRockProps({ curve }) {
+function WestRockProps({ curve, seed = 1 }) {
   const rocks = useMemo(() => {
+    const random = createRng(deriveSeed(seed, "rocks"));
     const arr = [];
     for (let i = 0; i < 30; i++) {
       const t = i / 30;
@@ -600,11 +1082,11 @@ function WestRockProps({ curve }) {
       const nx = -tang.z, nz = tang.x;
       const len = Math.hypot(nx, nz) || 1;
       const side = i % 2 === 0 ? 1 : -1;
-      const dist = 20 + Math.random() * 15;
-      arr.push({ x: p.x + (nx / len) * side * dist, z: p.z + (nz / len) * side * dist, s: 0.8 + Math.random() * 2.5 });
+      const dist = 20 + random() * 15;
+      arr.push({ x: p.x + (nx / len) * side * dist, z: p.z + (nz / len) * side * dist, s: 0.8 + random() * 2.5 });
     }
     return arr;
-  }, [curve]);
+  }, [curve, seed]);
   return (
     <group>
       {rocks.map((r, i) => (
@@ -617,19 +1099,20 @@ function WestRockProps({ curve }) {
   );
 }
 
-function StarsField({ count = 800, radius = 120 }) {
+function StarsField({ count = 800, radius = 120, seed = 1 }) {
   const positions = useMemo(() => {
+    const random = createRng(deriveSeed(seed, "stars"));
     const arr = new Float32Array(count * 3);
     for (let i = 0; i < count; i++) {
-      const r = Math.random() * radius;
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.acos((Math.random() * 2) - 1);
+      const r = random() * radius;
+      const theta = random() * Math.PI * 2;
+      const phi = Math.acos((random() * 2) - 1);
       arr[i * 3] = r * Math.sin(phi) * Math.cos(theta);
       arr[i * 3 + 1] = Math.abs(r * Math.sin(phi) * Math.sin(theta));
       arr[i * 3 + 2] = r * Math.cos(phi);
     }
     return arr;
-  }, [count, radius]);
+  }, [count, radius, seed]);
   return (
     <points>
       <bufferGeometry>
@@ -641,319 +1124,141 @@ function StarsField({ count = 800, radius = 120 }) {
 }
 
 // -----------------------------
-// 3D: Kart + camera rig + physics
+// 3D: Kart + camera rig
 // -----------------------------
-const Kart = React.forwardRef(function Kart({ color="#29b6f6", accent="#ffffff", controlRef, carStats, curve, trackWidth, boostTs=[] }, ref){
+// Copies a racer's simulated pose onto a group, interpolated between the last
+// two simulation ticks so motion stays smooth at any frame rate.
+function useRacerTransform(racerId, groupRef) {
+  useFrame(() => {
+    const cur = getRacer(racerId);
+    const g = groupRef.current;
+    if (!cur || !g) return;
+    const view = liveRace.local?.id === racerId ? liveRace.local : liveRace;
+    const prev = getRacer(racerId, view.prev) || cur;
+    const a = view.alpha;
+    const x = lerp(prev.x, cur.x, a), z = lerp(prev.z, cur.z, a);
+    const yaw = angleLerp(prev.yaw, cur.yaw, a);
+    placeOnRoad(g, x, z, yaw, cur.t);
+    // Drift visual tilt; otherwise a lean that follows the (analog) steering
+    g.rotation.z += cur.drifting ? cur.driftDir * -0.15 : -(cur.steer || 0) * 0.06;
+    // Just respawned: dropped back onto the road, then flashing while untouchable
+    const grace = cur.respawnTimer || 0;
+    g.position.y += Math.max(0, grace - (RESPAWN_GRACE - 0.5)) * 6;
+    g.visible = !(grace > 0 && Math.floor(grace * 10) % 2);
+  });
+}
+
+// Puts a kart group at (x, z) facing `yaw`, sitting on the road surface near
+// curve fraction t (height, pitch up the slope, roll across the bank)
+function placeOnRoad(g, x, z, yaw, t) {
+  const curve = liveRace.world?.curve;
+  const pose = curve ? surfacePose(curve, x, z, yaw, t) : { y: 0, pitch: 0, roll: 0 };
+  g.rotation.order = "YXZ";
+  g.position.set(x, pose.y + 0.35, z);
+  g.rotation.set(pose.pitch, -yaw - Math.PI / 2, pose.roll);
+}
+
+// Any racer's kart, human or AI, with what it carries: shield and held item
+const Kart = React.forwardRef(function Kart({ racerId = "player", color="#29b6f6", accent="#ffffff", bodyType }, ref){
   const group = useRef();
   const attachRef = (node) => {
     group.current = node;
     if (typeof ref === "function") ref(node);
     else if (ref && typeof ref === "object") ref.current = node;
   };
+  useRacerTransform(racerId, group);
 
-  const vel = useRef(0);
-  const yaw = useRef(0);
-  const pos = useRef(new THREE.Vector3(0, 0.35, 0));
-  const trackT = useRef(0);
-  const checkpoint = useRef(false);
-  const prevT = useRef(0);
-  const setRace = useRaceSetter();
-  const lastBoostTime = useRef(0);
-  // Drift state
-  const drifting = useRef(false);
-  const driftTime = useRef(0);
-  const driftDir = useRef(0);
-  // Init flag
-  const inited = useRef(false);
-  // Item state
-  const itemUsed = useRef(false);
-  const spinoutTimer = useRef(0);
-  const spinoutYawRate = useRef(0);
-
-  useFrame((state, dt) => {
-    if (dt > 0.05) dt = 0.05;
-    if (!curve) return;
-    const controls = controlRef.current || { left: false, right: false, up: false, down: false, useItem: false };
-    const maxSpeed = carStats.maxSpeed;
-    const handling = carStats.handling;
-    const hw = (trackWidth || 10) / 2;
-
-    // --- Check if AI lightning hit us ---
-    if (liveRace.playerSpinout > 0 && spinoutTimer.current <= 0) {
-      if (liveRace.playerShield) { liveRace.playerShield = false; }
-      else {
-        spinoutTimer.current = liveRace.playerSpinout;
-        spinoutYawRate.current = (Math.random() > 0.5 ? 1 : -1) * 8;
-        vel.current = 0;
-      }
-      liveRace.playerSpinout = 0;
-    }
+  return (
+    <group ref={attachRef}>
+      <KartBody bodyType={bodyType} color={color} accent={accent} />
+      <ShieldBubble racerId={racerId} />
+      <HeldItem racerId={racerId} />
+      <MissileLockMarker racerId={racerId} />
+    </group>
+  );
+});
 
-    // --- Spin-out (from item hit) ---
-    if (spinoutTimer.current > 0) {
-      spinoutTimer.current -= dt;
-      vel.current *= 0.9;
-      yaw.current += spinoutYawRate.current * dt;
-      pos.current.x += Math.cos(yaw.current) * vel.current * dt;
-      pos.current.z += Math.sin(yaw.current) * vel.current * dt;
-      liveRace.playerT = findNearestT(curve, pos.current, trackT.current);
-      liveRace.playerPos = [pos.current.x, pos.current.z];
-      liveRace.playerSpinout = spinoutTimer.current;
-      if (group.current) {
-        group.current.position.copy(pos.current);
-        group.current.rotation.y = -yaw.current - Math.PI / 2;
+// Dust / grass clippings thrown up behind a kart off the tarmac, coloured by
+// the surface under it; `sound` also drives the tyre-noise rumble (local kart)
+const DUST_COUNT = 64;
+function SurfaceDust({ racerId, sound = false }) {
+  const pointsRef = useRef();
+  const dust = useMemo(() => ({
+    positions: new Float32Array(DUST_COUNT * 3).fill(-1000),
+    colors: new Float32Array(DUST_COUNT * 3),
+    life: new Float32Array(DUST_COUNT),
+    next: 0,
+  }), []);
+  const color = useMemo(() => new THREE.Color(), []);
+  useFrame((_, delta) => {
+    const r = getRacer(racerId);
+    const pts = pointsRef.current;
+    if (!r || !pts) return;
+    const speed = Math.abs(r.vel);
+    const surface = r.finished ? "road" : r.surface || "road";
+    if (sound) racingMusic.surface(surface, speed);
+    const dt = Math.min(delta, 0.05);
+    if (surface !== "road" && speed > 4 && !isPaused()) {
+      color.set(SURFACES[surface]?.color || "#cccccc");
+      for (let k = 0; k < 2; k++) {
+        const i = dust.next;
+        dust.next = (i + 1) % DUST_COUNT;
+        const back = 1 + Math.random() * 0.5, side = (Math.random() - 0.5) * 1.4;
+        const y = liveRace.world?.curve.getPointAt(r.t).y || 0;
+        dust.positions.set([r.x - Math.cos(r.yaw) * back - Math.sin(r.yaw) * side, y + 0.2, r.z - Math.sin(r.yaw) * back + Math.cos(r.yaw) * side], i * 3);
+        dust.colors.set([color.r, color.g, color.b], i * 3);
+        dust.life[i] = 0.6;
       }
-      return; // skip normal controls during spin-out
     }
-    liveRace.playerSpinout = 0;
-
-    // --- Lightning slowdown ---
-    const lightningMul = liveRace.lightningTimer > 0 ? 0.5 : 1.0;
-
-    // Init start position from curve
-    if (!inited.current) {
-      const startP = curve.getPointAt(0);
-      const startTang = curve.getTangentAt(0);
-      pos.current.set(startP.x, 0.35, startP.z);
-      yaw.current = Math.atan2(startTang.z, startTang.x);
-      trackT.current = 0;
-      prevT.current = 0;
-      inited.current = true;
+    for (let i = 0; i < DUST_COUNT; i++) {
+      if (dust.life[i] <= 0) continue;
+      dust.life[i] -= dt;
+      dust.positions[i * 3 + 1] = dust.life[i] > 0 ? dust.positions[i * 3 + 1] + dt * 1.5 : -1000;
     }
+    pts.geometry.attributes.position.needsUpdate = true;
+    pts.geometry.attributes.color.needsUpdate = true;
+  });
+  useEffect(() => () => { if (sound) racingMusic.surface("road", 0); }, [sound]);
+  return (
+    <points ref={pointsRef} frustumCulled={false}>
+      <bufferGeometry>
+        <bufferAttribute attach="attributes-position" count={DUST_COUNT} array={dust.positions} itemSize={3} />
+        <bufferAttribute attach="attributes-color" count={DUST_COUNT} array={dust.colors} itemSize={3} />
+      </bufferGeometry>
+      <pointsMaterial size={0.5} sizeAttenuation vertexColors depthWrite={false} transparent opacity={0.8} />
+    </points>
+  );
+}
 
-    // --- Steering (classic kart: responsive at low speed, tighter at high speed) ---
-    const speedRatio = clamp(Math.abs(vel.current) / maxSpeed, 0, 1);
-    const steerRate = handling * 2.5 * (1.0 - 0.4 * speedRatio);
-
-    const turning = controls.left || controls.right;
-    const canDrift = controls.down && turning && speedRatio > 0.3;
+// -----------------------------
+// 4 distinct car body designs
+// -----------------------------
+const paintMat = (color) => ({ color, metalness: 0.85, roughness: 0.15, envMapIntensity: 1.2 });
+const darkGlass = { color: "#1a2a3a", metalness: 0.95, roughness: 0.05, transparent: true, opacity: 0.7, envMapIntensity: 2.0 };
+const wheelMat = { color: "#1a1a1a", metalness: 0.4, roughness: 0.6 };
+const wheelRimMat = { color: "#888", metalness: 0.9, roughness: 0.1 };
+const accentMat = (c) => ({ color: c, metalness: 0.6, roughness: 0.25, envMapIntensity: 1.0 });
 
-    if (canDrift) {
-      // Enter or continue drift
-      if (!drifting.current) {
-        drifting.current = true;
-        driftDir.current = controls.left ? -1 : 1;
-        driftTime.current = 0;
-      }
-      const driftSteer = steerRate * 1.4;
-      yaw.current += driftDir.current * driftSteer * dt;
-      driftTime.current += dt;
-      vel.current *= (1 - 0.2 * dt); // slight speed loss during drift
-    } else {
-      // Drift boost on release
-      if (drifting.current && driftTime.current > 0.3) {
-        const boostAmt = Math.min(driftTime.current / 1.5, 1.0) * 10;
-        vel.current = Math.min(maxSpeed * 1.3, vel.current + boostAmt);
-      }
-      drifting.current = false;
-      driftTime.current = 0;
-
-      // Normal steering
-      if (controls.left) yaw.current -= steerRate * dt;
-      if (controls.right) yaw.current += steerRate * dt;
-    }
-
-    // --- Acceleration (ease-in: stronger at low speed) ---
-    const accelRate = carStats.accel * 0.7 * (1.0 - 0.3 * speedRatio);
-    if (controls.up && !drifting.current) {
-      vel.current += accelRate * dt;
-    }
-    if (!controls.up && !drifting.current) {
-      vel.current *= (1 - 1.5 * dt); // natural deceleration
-    }
-    if (controls.down && !drifting.current) {
-      vel.current -= carStats.accel * 0.9 * dt; // brake
-    }
-    vel.current = clamp(vel.current, -maxSpeed * 0.3, maxSpeed * lightningMul);
-
-    // --- Integrate position ---
-    pos.current.x += Math.cos(yaw.current) * vel.current * dt;
-    pos.current.z += Math.sin(yaw.current) * vel.current * dt;
-
-    // --- Track boundary collision ---
-    prevT.current = trackT.current;
-    trackT.current = findNearestT(curve, pos.current, trackT.current);
-    const crossOff = getCrossTrackOffset(curve, pos.current, trackT.current);
-    if (Math.abs(crossOff) > hw) {
-      const sign = crossOff > 0 ? 1 : -1;
-      const center = curve.getPointAt(trackT.current);
-      const tang = curve.getTangentAt(trackT.current);
-      const nx = -tang.z, nz = tang.x;
-      const len = Math.hypot(nx, nz) || 1;
-      pos.current.x = center.x + (nx / len) * sign * hw;
-      pos.current.z = center.z + (nz / len) * sign * hw;
-      vel.current *= 0.7;
-    }
-
-    // --- Kart-to-kart collision with AI ---
-    for (const ai of liveRace.ai) {
-      if (!ai.pos) continue;
-      const dx = pos.current.x - ai.pos[0];
-      const dz = pos.current.z - ai.pos[1];
-      const dist = Math.hypot(dx, dz);
-      if (dist < 2.0 && dist > 0.01) {
-        const pushX = (dx / dist) * (2.0 - dist) * 0.5;
-        const pushZ = (dz / dist) * (2.0 - dist) * 0.5;
-        pos.current.x += pushX;
-        pos.current.z += pushZ;
-        vel.current *= 0.85;
-      }
-    }
-
-    // --- Boost pad detection ---
-    for (const bt of boostTs) {
-      const padCenter = curve.getPointAt(bt);
-      const dx = pos.current.x - padCenter.x;
-      const dz = pos.current.z - padCenter.z;
-      if (Math.hypot(dx, dz) < 6 && state.clock.elapsedTime - lastBoostTime.current > 1.0) {
-        vel.current = Math.min(maxSpeed * 1.3, vel.current + 10);
-        lastBoostTime.current = state.clock.elapsedTime;
-      }
-    }
-
-    // --- Item box pickup ---
-    if (!liveRace.playerItem) {
-      const numBoxes = 8;
-      for (let bi = 0; bi < numBoxes; bi++) {
-        const boxT = (bi + 0.5) / numBoxes;
-        const cd = liveRace.itemBoxCooldowns[bi];
-        if (cd && state.clock.elapsedTime < cd) continue;
-        const bp = curve.getPointAt(boxT);
-        if (Math.hypot(pos.current.x - bp.x, pos.current.z - bp.z) < 3) {
-          liveRace.playerItem = getRandomItem(liveRace.position);
-          liveRace.itemBoxCooldowns[bi] = state.clock.elapsedTime + 5;
-        }
-      }
-    }
-
-    // --- Use item ---
-    if (controls.useItem && liveRace.playerItem && !itemUsed.current) {
-      itemUsed.current = true;
-      const item = liveRace.playerItem;
-      liveRace.playerItem = null;
-      if (item === "mushroom") {
-        vel.current = Math.min(maxSpeed * 1.4, vel.current + maxSpeed * 0.5);
-      } else if (item === "banana") {
-        liveRace.activeBananas.push({ x: pos.current.x, z: pos.current.z, owner: "player", spawnTime: state.clock.elapsedTime });
-      } else if (item === "missile") {
-        liveRace.activeMissiles.push({ t: trackT.current, speed: maxSpeed * 2, owner: "player", spawnTime: state.clock.elapsedTime, hitIdx: -1 });
-      } else if (item === "shield") {
-        liveRace.playerShield = true;
-        setTimeout(() => { liveRace.playerShield = false; }, 10000);
-      } else if (item === "lightning") {
-        liveRace.lightningTimer = 2.0;
-        for (const ai of liveRace.ai) { ai.spinout = 1.0; }
-      }
-    }
-    if (!controls.useItem) itemUsed.current = false;
-
-    // --- Check banana collision (player hits bananas placed by AI) ---
-    for (let bi = liveRace.activeBananas.length - 1; bi >= 0; bi--) {
-      const b = liveRace.activeBananas[bi];
-      if (b.owner === "player") continue;
-      if (Math.hypot(pos.current.x - b.x, pos.current.z - b.z) < 2) {
-        liveRace.activeBananas.splice(bi, 1);
-        if (liveRace.playerShield) { liveRace.playerShield = false; continue; }
-        vel.current = 0;
-        spinoutTimer.current = 1.0;
-        spinoutYawRate.current = (Math.random() > 0.5 ? 1 : -1) * 8;
-      }
-    }
-
-    // --- Check missile collision (missiles targeting player) ---
-    for (let mi = liveRace.activeMissiles.length - 1; mi >= 0; mi--) {
-      const m = liveRace.activeMissiles[mi];
-      if (m.owner === "player") continue;
-      const mp = curve.getPointAt(m.t);
-      if (Math.hypot(pos.current.x - mp.x, pos.current.z - mp.z) < 3) {
-        liveRace.activeMissiles.splice(mi, 1);
-        if (liveRace.playerShield) { liveRace.playerShield = false; continue; }
-        vel.current = 0;
-        spinoutTimer.current = 1.2;
-        spinoutYawRate.current = (Math.random() > 0.5 ? 1 : -1) * 10;
-      }
-    }
-
-    // --- Decrement lightning timer ---
-    if (liveRace.lightningTimer > 0) liveRace.lightningTimer -= dt;
-
-    // --- Lap counting ---
-    // Set checkpoint when crossing the halfway point (t ≈ 0.5)
-    if (prevT.current < 0.5 && trackT.current >= 0.5) {
-      checkpoint.current = true;
-    }
-    // Lap complete when crossing start (t wraps from >0.9 to <0.1) after checkpoint
-    if (prevT.current > 0.9 && trackT.current < 0.1 && checkpoint.current) {
-      liveRace.playerLap += 1;
-      setRace((s) => {
-        const newLap = s.currentLap + 1;
-        const finished = newLap > s.totalLaps;
-        return { ...s, currentLap: newLap, finished };
-      });
-      checkpoint.current = false;
-    }
-
-    // --- Position tracking ---
-    const playerTotal = (useRaceStore.useHook ? 0 : 0) + trackT.current;
-    let pos1 = 1;
-    for (const ai of liveRace.ai) {
-      const aiTotal = (ai.lap - 1) + ai.t;
-      const myTotal = (liveRace.playerLap - 1) + trackT.current;
-      if (aiTotal > myTotal) pos1++;
-    }
-    liveRace.position = pos1;
-
-    // --- Update shared race data ---
-    liveRace.playerT = trackT.current;
-    liveRace.playerPos = [pos.current.x, pos.current.z];
-    liveRace.playerYaw = yaw.current;
-    liveRace.drifting = drifting.current;
-
-    // --- Write to scene ---
-    if (group.current) {
-      group.current.position.copy(pos.current);
-      group.current.rotation.y = -yaw.current - Math.PI / 2;
-      // Drift visual tilt
-      group.current.rotation.z = drifting.current ? driftDir.current * -0.15 : 0;
-    }
-  });
-
-  return (
-    <group ref={attachRef}>
-      <KartBody bodyType={carStats.id} color={color} accent={accent} />
-      <ShieldBubble owner="player" />
-    </group>
-  );
-});
-
-// -----------------------------
-// 4 distinct car body designs
-// -----------------------------
-const paintMat = (color) => ({ color, metalness: 0.85, roughness: 0.15, envMapIntensity: 1.2 });
-const darkGlass = { color: "#1a2a3a", metalness: 0.95, roughness: 0.05, transparent: true, opacity: 0.7, envMapIntensity: 2.0 };
-const wheelMat = { color: "#1a1a1a", metalness: 0.4, roughness: 0.6 };
-const wheelRimMat = { color: "#888", metalness: 0.9, roughness: 0.1 };
-const accentMat = (c) => ({ color: c, metalness: 0.6, roughness: 0.25, envMapIntensity: 1.0 });
-
-function Wheel({ x, z, r = 0.22, w = 0.18 }) {
-  return (
-    <group position={[x, r, z]}>
-      <mesh rotation={[0, 0, Math.PI / 2]} castShadow>
-        <cylinderGeometry args={[r, r, w, 16]} />
-        <meshStandardMaterial {...wheelMat} />
-      </mesh>
-      <mesh rotation={[0, 0, Math.PI / 2]}>
-        <cylinderGeometry args={[r * 0.6, r * 0.6, w + 0.02, 8]} />
-        <meshStandardMaterial {...wheelRimMat} />
-      </mesh>
-    </group>
-  );
-}
+function Wheel({ x, z, r = 0.22, w = 0.18 }) {
+  return (
+    <group position={[x, r, z]}>
+      <mesh rotation={[0, 0, Math.PI / 2]} castShadow>
+        <cylinderGeometry args={[r, r, w, 16]} />
+        <meshStandardMaterial {...wheelMat} />
+      </mesh>
+      <mesh rotation={[0, 0, Math.PI / 2]}>
+        <cylinderGeometry args={[r * 0.6, r * 0.6, w + 0.02, 8]} />
+        <meshStandardMaterial {...wheelRimMat} />
+      </mesh>
+    </group>
+  );
+}
 
 function KartBody({ bodyType, color = "#29b6f6", accent = "#fff" }) {
   switch (bodyType) {
     case "torque": return <TorqueBody color={color} accent={accent} />;
     case "glider": return <GliderBody color={color} accent={accent} />;
+    case "comet": return <GliderBody color={color} accent="#facc15" />; // Grand Prix reward: a Glider in gold trim
     case "bulldog": return <BulldogBody color={color} accent={accent} />;
     default: return <SprinterBody color={color} accent={accent} />;
   }
@@ -1107,7 +1412,6 @@ function BulldogBody({ color, accent }) {
   );
 }
 
-
 // Race state kept separate so non-React bits can mutate
 const useRace = (sel) => useRaceStore.useHook(sel);
 const useRaceSetter = () => useRaceStore.setState;
@@ -1128,18 +1432,24 @@ const useRaceStore = (() => {
   return { useHook, setState };
 })();
 
-function CameraRig({ targetRef }){
-  const { camera } = useThree();
+// Follows targetRef with the default camera, or with `camera` (split-screen).
+// While `lookBack()` is true the camera sits in front of the kart facing back.
+function CameraRig({ targetRef, camera: ownCamera, racerId = "player", lookBack }){
+  const { camera: defaultCamera } = useThree();
+  const camera = ownCamera || defaultCamera;
   const ready = useRef(false);
+  const lookingBack = useRef(false);
   const shakeRef = useRef(0);
   useFrame((state, dt) => {
     const t = targetRef.current?.position || new THREE.Vector3();
     const rotY = targetRef.current?.rotation?.y || 0;
+    const back = !!lookBack?.();
+    if (back !== lookingBack.current) { lookingBack.current = back; ready.current = false; } // cut, don't swing
     const behind = new THREE.Vector3(Math.sin(rotY), 0, Math.cos(rotY));
-    const desired = new THREE.Vector3().copy(t).addScaledVector(behind, 10).add(new THREE.Vector3(0, 7, 0));
+    const desired = new THREE.Vector3().copy(t).addScaledVector(behind, back ? -10 : 10).add(new THREE.Vector3(0, 7, 0));
 
     // Look-ahead when drifting
-    if (liveRace.drifting) {
+    if (getRacer(racerId)?.drifting) {
       shakeRef.current = 0.15;
     } else {
       shakeRef.current *= 0.9;
@@ -1159,190 +1469,37 @@ function CameraRig({ targetRef }){
 }
 
 // -----------------------------
-// AI opponents
+// Time Trial ghost
 // -----------------------------
-const AI_RACERS = [
-  { color: "#ef5da8", accent: "#fff", startT: 0.08, speedMul: 0.95, bodyType: "glider", offset: -2.5, tier: "challenger" },
-  { color: "#ffe082", accent: "#fff", startT: 0.16, speedMul: 1.02, bodyType: "torque", offset: 2.5, tier: "threat" },
-  { color: "#ff7043", accent: "#fff", startT: 0.24, speedMul: 0.88, bodyType: "bulldog", offset: -1.0, tier: "rookie" },
-  { color: "#8bc34a", accent: "#fff", startT: 0.32, speedMul: 0.92, bodyType: "sprinter", offset: 1.0, tier: "competitive" },
-];
-
-function AIKart({ color, accent="#fff", startT, speedMul=0.85, bodyType, offset=0, tier="competitive", curve, trackWidth, playerMaxSpeed=30 }) {
+// The saved personal-best run as a see-through kart, following its recorded
+// frames by race time
+function GhostKart({ ghost }) {
   const ref = useRef();
-  const progress = useRef(startT);
-  const lap = useRef(1);
-  const prevT = useRef(startT);
-  const wobble = useRef(Math.random() * Math.PI * 2);
-  const aiIndex = useRef(-1);
-  const aiItem = useRef(null);
-  const aiItemDelay = useRef(0);
-  const aiShield = useRef(false);
-  const aiSpinout = useRef(0);
-  const aiSpinYaw = useRef(0);
-  const aiYaw = useRef(0);
-
-  useEffect(() => {
-    const idx = liveRace.ai.length;
-    aiIndex.current = idx;
-    liveRace.ai.push({ t: startT, lap: 1, pos: [0, 0], color, spinout: 0 });
+  const racer = ghost.meta.racers.find((r) => r.kind === "player");
+  useLayoutEffect(() => {
+    ref.current?.traverse((o) => {
+      if (!o.material) return;
+      o.material.transparent = true;
+      o.material.opacity = 0.35;
+      o.material.depthWrite = false;
+    });
   }, []);
-
-  useFrame((state, dt) => {
-    if (dt > 0.05) dt = 0.05;
-    if (!curve) return;
-    const idx = aiIndex.current;
-    const curveLen = curve.getLength();
-    const baseSpeed = speedMul * playerMaxSpeed;
-    const posX = ref.current?.position.x || 0;
-    const posZ = ref.current?.position.z || 0;
-
-    // Check for lightning hit from player
-    if (idx >= 0 && idx < liveRace.ai.length && liveRace.ai[idx].spinout > 0) {
-      aiSpinout.current = liveRace.ai[idx].spinout;
-      aiSpinYaw.current = (Math.random() > 0.5 ? 1 : -1) * 6;
-      liveRace.ai[idx].spinout = 0;
-    }
-
-    // Spin-out state
-    if (aiSpinout.current > 0) {
-      aiSpinout.current -= dt;
-      aiYaw.current += aiSpinYaw.current * dt;
-      if (ref.current) ref.current.rotation.y = aiYaw.current;
-      return;
-    }
-
-    // Lightning slowdown
-    const lightningMul = liveRace.lightningTimer > 0 ? 0.5 : 1.0;
-
-    // Smooth rubber banding
-    const playerProgress = (liveRace.playerLap - 1) + liveRace.playerT;
-    const aiProgress = (lap.current - 1) + progress.current;
-    const gap = aiProgress - playerProgress;
-    const rubberBand = clamp(1.0 - gap * 0.3, 0.75, 1.3);
-
-    // Curvature-based speed
-    const t1 = progress.current;
-    const t2 = (t1 + 0.01) % 1;
-    const tang1 = curve.getTangentAt(t1);
-    const tang2 = curve.getTangentAt(t2);
-    const curvature = tang1.distanceTo(tang2) * 100;
-    const curveMul = tier === "threat" ? 1.2 : tier === "rookie" ? 2.5 : 1.8;
-    const cornerFactor = 1.0 / (1 + curvature * curveMul);
-
-    const wobbleSpeed = 1 + Math.sin(state.clock.elapsedTime * 0.7 + wobble.current) * 0.06;
-    const mistakeCycle = 8 + wobble.current * 1.3;
-    const timeMod = state.clock.elapsedTime % mistakeCycle;
-    const mistakeFactor = (timeMod < 0.2) ? 0.8 : 1.0;
-
-    const actualSpeed = baseSpeed * rubberBand * cornerFactor * wobbleSpeed * mistakeFactor * lightningMul;
-    const tDelta = (actualSpeed * dt) / curveLen;
-
-    prevT.current = progress.current;
-    progress.current = (progress.current + tDelta) % 1;
-
-    if (prevT.current > 0.9 && progress.current < 0.1) {
-      lap.current += 1;
-    }
-
-    // Position on track with offset
-    const p = curve.getPointAt(progress.current);
-    const tang = curve.getTangentAt(progress.current);
-    const nx = -tang.z, nz = tang.x;
-    const len = Math.hypot(nx, nz) || 1;
-    // Dynamic lane changes — aggressive swerving and overtake attempts
-    const overtakeOff = Math.sin(state.clock.elapsedTime * 1.2 + wobble.current * 2) * 3.5;
-    const weaveOff = Math.sin(state.clock.elapsedTime * 0.7 + wobble.current) * 2.0;
-    // Actively move toward player's lane when close behind
-    const behindPlayer = (playerProgress - aiProgress) > 0 && (playerProgress - aiProgress) < 0.15;
-    const huntOffset = behindPlayer ? Math.sin(state.clock.elapsedTime * 2) * 3 : 0;
-    const sideOff = offset + weaveOff + overtakeOff * 0.6 + huntOffset;
-    const clampedOff = clamp(sideOff, -trackWidth / 2 + 1.5, trackWidth / 2 - 1.5);
-
-    if (ref.current) {
-      ref.current.position.set(p.x + (nx / len) * clampedOff, 0.35, p.z + (nz / len) * clampedOff);
-      ref.current.rotation.y = Math.atan2(-tang.x, -tang.z);
-      aiYaw.current = ref.current.rotation.y;
-    }
-
-    // --- AI Item pickup ---
-    if (!aiItem.current) {
-      const numBoxes = 8;
-      for (let bi = 0; bi < numBoxes; bi++) {
-        const boxT = (bi + 0.5) / numBoxes;
-        const cd = liveRace.itemBoxCooldowns[bi];
-        if (cd && state.clock.elapsedTime < cd) continue;
-        const bp = curve.getPointAt(boxT);
-        if (Math.hypot(posX - bp.x, posZ - bp.z) < 3) {
-          const aiPos = 1 + liveRace.ai.filter((a, ai2) => ai2 !== idx && ((a.lap - 1) + a.t) > aiProgress).length;
-          aiItem.current = getRandomItem(aiPos);
-          aiItemDelay.current = 1 + Math.random() * 2;
-          liveRace.itemBoxCooldowns[bi] = state.clock.elapsedTime + 5;
-        }
-      }
-    }
-
-    // --- AI Item usage ---
-    if (aiItem.current) {
-      aiItemDelay.current -= dt;
-      if (aiItemDelay.current <= 0) {
-        const item = aiItem.current;
-        aiItem.current = null;
-        if (item === "mushroom") {
-          // Boost: advance progress
-          progress.current = (progress.current + 0.02) % 1;
-        } else if (item === "banana") {
-          liveRace.activeBananas.push({ x: posX, z: posZ, owner: "ai", spawnTime: state.clock.elapsedTime });
-        } else if (item === "missile") {
-          liveRace.activeMissiles.push({ t: progress.current, speed: playerMaxSpeed * 2, owner: "ai", spawnTime: state.clock.elapsedTime, hitIdx: -1 });
-        } else if (item === "shield") {
-          aiShield.current = true;
-          setTimeout(() => { aiShield.current = false; }, 10000);
-        } else if (item === "lightning") {
-          // AI lightning: spin out player + other AIs
-          if (liveRace.playerShield) { liveRace.playerShield = false; }
-          else {
-            liveRace.playerSpinout = 1.0;
-            // Set spinout on player kart via liveRace flag (handled in next frame)
-          }
-        }
-      }
-    }
-
-    // --- AI banana collision (hits player-dropped bananas) ---
-    for (let bi = liveRace.activeBananas.length - 1; bi >= 0; bi--) {
-      const b = liveRace.activeBananas[bi];
-      if (b.owner === "ai") continue;
-      if (Math.hypot(posX - b.x, posZ - b.z) < 2) {
-        liveRace.activeBananas.splice(bi, 1);
-        if (aiShield.current) { aiShield.current = false; continue; }
-        aiSpinout.current = 1.0;
-        aiSpinYaw.current = (Math.random() > 0.5 ? 1 : -1) * 8;
-      }
-    }
-
-    // --- AI missile collision (player missiles hitting this AI) ---
-    for (let mi = liveRace.activeMissiles.length - 1; mi >= 0; mi--) {
-      const m = liveRace.activeMissiles[mi];
-      if (m.owner === "ai") continue;
-      const mp = curve.getPointAt(m.t);
-      if (Math.hypot(posX - mp.x, posZ - mp.z) < 3) {
-        liveRace.activeMissiles.splice(mi, 1);
-        if (aiShield.current) { aiShield.current = false; continue; }
-        aiSpinout.current = 1.2;
-        aiSpinYaw.current = (Math.random() > 0.5 ? 1 : -1) * 10;
-      }
-    }
-
-    // Update shared race data
-    if (idx >= 0 && idx < liveRace.ai.length) {
-      liveRace.ai[idx] = { t: progress.current, lap: lap.current, pos: [posX, posZ], color, spinout: 0 };
-    }
+  const trackT = useRef(null);
+  useFrame(() => {
+    const g = ref.current;
+    const { state, prev, alpha, world } = liveRace;
+    if (!g || !state) return;
+    const pose = sampleGhost(ghost, lerp(prev?.time ?? state.time, state.time, alpha));
+    g.visible = !!pose;
+    if (!pose) return;
+    // Ghost frames carry no track position; track it like the simulation does
+    // (searching the whole loop the first time)
+    trackT.current = findNearestT(world.curve, pose, trackT.current ?? 0, trackT.current == null ? 0.5 : 0.15);
+    placeOnRoad(g, pose.x, pose.z, pose.yaw, trackT.current);
   });
-
   return (
     <group ref={ref}>
-      <KartModel color={color} accent={accent} bodyType={bodyType} />
+      <KartModel color={racer?.color} accent={racer?.accent} bodyType={racer?.bodyType} />
     </group>
   );
 }
@@ -1350,36 +1507,84 @@ function AIKart({ color, accent="#fff", startT, speedMul=0.85, bodyType, offset=
 // -----------------------------
 // Racing music (Web Audio procedural beat)
 // -----------------------------
+// Tyre noise per surface: band-passed noise, scaled by speed (none on tarmac)
+const SURFACE_SOUNDS = {
+  curb: { freq: 90, gain: 0.25 },
+  grass: { freq: 500, gain: 0.08 },
+  gravel: { freq: 1800, gain: 0.12 },
+  sand: { freq: 300, gain: 0.1 },
+};
+
 const racingMusic = {
-  ctx: null, interval: null, playing: false,
+  ctx: null, interval: null, playing: false, suspended: false, nextBar: 0, rumble: null,
   start() {
     if (this.playing) return;
     try {
       this.ctx = new (window.AudioContext || window.webkitAudioContext)();
     } catch { return; }
     this.playing = true;
-    const bpm = 140;
-    const beat = 60 / bpm;
-    const schedule = () => {
-      if (!this.playing || !this.ctx) return;
-      const now = this.ctx.currentTime;
+    this.suspended = false;
+    this.nextBar = this.ctx.currentTime;
+    this._tick();
+    this.interval = setInterval(() => this._tick(), 100);
+  },
+  stop() {
+    this.playing = false;
+    this.suspended = false;
+    if (this.interval) { clearInterval(this.interval); this.interval = null; }
+    if (this.ctx) { this.ctx.close().catch(() => {}); this.ctx = null; }
+    this.rumble = null;
+  },
+  // Suspending the AudioContext freezes its clock along with any notes already
+  // queued, so resume() picks the beat up exactly where pause() left it.
+  pause() {
+    if (!this.playing || this.suspended) return;
+    this.suspended = true;
+    if (this.interval) { clearInterval(this.interval); this.interval = null; }
+    this.ctx.suspend().catch(() => {});
+  },
+  resume() {
+    if (!this.playing) { this.start(); return; }
+    if (!this.suspended) return;
+    this.suspended = false;
+    this.ctx.resume().catch(() => {});
+    this.interval = setInterval(() => this._tick(), 100);
+  },
+  // Tyre noise for the surface under the local kart; rides on the music's
+  // context so it mutes and pauses with it
+  surface(name, speed) {
+    if (!this.playing || this.suspended || !this.ctx) return;
+    if (!this.rumble) {
+      const buf = this.ctx.createBuffer(1, this.ctx.sampleRate, this.ctx.sampleRate);
+      const d = buf.getChannelData(0); for (let i = 0; i < d.length; i++) d[i] = Math.random() * 2 - 1;
+      const n = this.ctx.createBufferSource(); n.buffer = buf; n.loop = true;
+      const f = this.ctx.createBiquadFilter(); f.type = "bandpass"; f.Q.value = 1.5;
+      const g = this.ctx.createGain(); g.gain.value = 0;
+      n.connect(f).connect(g).connect(this.ctx.destination); n.start();
+      this.rumble = { f, g };
+    }
+    const sound = SURFACE_SOUNDS[name];
+    const now = this.ctx.currentTime;
+    if (sound) this.rumble.f.frequency.setTargetAtTime(sound.freq, now, 0.05);
+    this.rumble.g.gain.setTargetAtTime(sound ? sound.gain * Math.min(1, speed / 20) : 0, now, 0.08);
+  },
+  // Look-ahead scheduler: queue whole bars while the next one starts within 0.2s.
+  _tick() {
+    if (!this.playing || !this.ctx) return;
+    const beat = 60 / 140;
+    while (this.nextBar < this.ctx.currentTime + 0.2) {
+      const bar = Math.max(this.nextBar, this.ctx.currentTime);
       for (let i = 0; i < 4; i++) {
-        const t = now + i * beat;
+        const t = bar + i * beat;
         if (i === 0 || i === 2) this._kick(t);
         if (i === 1 || i === 3) this._snare(t);
         this._hihat(t);
         this._hihat(t + beat * 0.5);
       }
-      this._bass(now, beat * 2, 80);
-      this._bass(now + beat * 2, beat * 2, 100);
-    };
-    schedule();
-    this.interval = setInterval(schedule, (4 * beat * 1000) - 50);
-  },
-  stop() {
-    this.playing = false;
-    if (this.interval) { clearInterval(this.interval); this.interval = null; }
-    if (this.ctx) { this.ctx.close().catch(() => {}); this.ctx = null; }
+      this._bass(bar, beat * 2, 80);
+      this._bass(bar + beat * 2, beat * 2, 100);
+      this.nextBar = bar + 4 * beat;
+    }
   },
   _kick(t) {
     const o = this.ctx.createOscillator(), g = this.ctx.createGain();
@@ -1415,26 +1620,18 @@ const racingMusic = {
 // -----------------------------
 // Item 3D entities
 // -----------------------------
-function ItemBoxes({ curve }) {
-  const numBoxes = 8;
+function ItemBoxes({ boxes }) {
   const groupRef = useRef();
   const boxRefs = useRef([]);
 
-  const boxPositions = useMemo(() => {
-    if (!curve) return [];
-    return Array.from({ length: numBoxes }, (_, i) => {
-      const t = (i + 0.5) / numBoxes;
-      const p = curve.getPointAt(t);
-      return [p.x, 1.2, p.z];
-    });
-  }, [curve]);
-
-  useFrame((state) => {
-    const time = state.clock.elapsedTime;
+  useFrame(() => {
+    const state = liveRace.state;
+    if (isPaused() || !state) return;
+    const time = state.time;
     for (let i = 0; i < boxRefs.current.length; i++) {
       const g = boxRefs.current[i];
       if (!g) continue;
-      const cd = liveRace.itemBoxCooldowns[i];
+      const cd = state.itemBoxCooldowns[i];
       const active = !cd || time >= cd;
       g.visible = active;
       if (active) {
@@ -1442,7 +1639,7 @@ function ItemBoxes({ curve }) {
         g.rotation.x = time * 1.2 + i * 0.5;
         // Bouncy bob: combination of fast + slow sine for lively feel
         const bounce = Math.abs(Math.sin(time * 3 + i * 1.7)) * 0.4 + Math.sin(time * 1.5 + i) * 0.15;
-        g.position.y = 1.4 + bounce;
+        g.position.y = (boxes[i].y || 0) + 1.4 + bounce;
         // Pulsing scale
         const pulse = 1.0 + Math.sin(time * 4 + i * 2) * 0.08;
         g.scale.setScalar(pulse);
@@ -1452,8 +1649,8 @@ function ItemBoxes({ curve }) {
 
   return (
     <group ref={groupRef}>
-      {boxPositions.map((pos, i) => (
-        <group key={i} ref={(el) => (boxRefs.current[i] = el)} position={pos}>
+      {boxes.map((box, i) => (
+        <group key={i} ref={(el) => (boxRefs.current[i] = el)} position={[box.x, (box.y || 0) + 1.2, box.z]}>
           {/* Solid shiny cube */}
           <mesh>
             <boxGeometry args={[1.5, 1.5, 1.5]} />
@@ -1475,76 +1672,44 @@ function ItemBoxes({ curve }) {
   );
 }
 
-function BananaHazards() {
-  const [, forceUpdate] = useState(0);
-  useFrame((state) => {
-    // Expire old bananas
-    for (let i = liveRace.activeBananas.length - 1; i >= 0; i--) {
-      if (state.clock.elapsedTime - liveRace.activeBananas[i].spawnTime > 15) {
-        liveRace.activeBananas.splice(i, 1);
-      }
-    }
-    forceUpdate((v) => v + 1);
-  });
-
+// How each item in ITEMS looks: `Trap` one laid on the road (from road
+// level), `Projectile` one in flight (nose along -z) and `Held` what a kart
+// carries behind it before using it, given the `uses` left
+function BananaModel() {
   return (
-    <group>
-      {liveRace.activeBananas.map((b, i) => (
-        <mesh key={`${i}-${b.spawnTime}`} position={[b.x, 0.4, b.z]}>
-          <sphereGeometry args={[0.5, 8, 8]} />
-          <meshStandardMaterial color="#ffd700" emissive="#ffaa00" emissiveIntensity={0.3} />
-        </mesh>
-      ))}
-    </group>
+    <mesh position={[0, 0.4, 0]}>
+      <sphereGeometry args={[0.5, 8, 8]} />
+      <meshStandardMaterial color="#ffd700" emissive="#ffaa00" emissiveIntensity={0.3} />
+    </mesh>
   );
 }
 
-function MissileEntities({ curve }) {
-  const [, forceUpdate] = useState(0);
-
-  useFrame((state, dt) => {
-    if (!curve) return;
-    const curveLen = curve.getLength();
-    for (let i = liveRace.activeMissiles.length - 1; i >= 0; i--) {
-      const m = liveRace.activeMissiles[i];
-      const tDelta = (m.speed * dt) / curveLen;
-      m.t = (m.t + tDelta) % 1;
-      // Expire after 6 seconds
-      if (state.clock.elapsedTime - m.spawnTime > 6) {
-        liveRace.activeMissiles.splice(i, 1);
-      }
-    }
-    forceUpdate((v) => v + 1);
+// The item a kart holds, drawn with its ITEM_MODELS `Held` model
+function HeldItem({ racerId }) {
+  const [held, setHeld] = useState(null);
+  useFrame(() => {
+    const r = getRacer(racerId);
+    const next = r?.item && ITEM_MODELS[r.item]?.Held ? `${r.item}:${r.itemUses || 1}` : null;
+    if (next !== held) setHeld(next);
   });
-
-  if (!curve) return null;
-  return (
-    <group>
-      {liveRace.activeMissiles.map((m, i) => {
-        const p = curve.getPointAt(m.t);
-        const tang = curve.getTangentAt(m.t);
-        return (
-          <mesh key={`${i}-${m.spawnTime}`} position={[p.x, 0.8, p.z]} rotation={[0, Math.atan2(-tang.x, -tang.z), 0]}>
-            <boxGeometry args={[0.4, 0.4, 1.5]} />
-            <meshStandardMaterial color="#ff2222" emissive="#ff0000" emissiveIntensity={0.8} />
-          </mesh>
-        );
-      })}
-    </group>
-  );
+  if (!held) return null;
+  const [item, uses] = held.split(":");
+  const Held = ITEM_MODELS[item].Held;
+  return <Held uses={Number(uses)} />;
 }
 
-function ShieldBubble({ owner }) {
+// Red marker over a kart that a missile has locked on to
+function MissileLockMarker({ racerId }) {
   const ref = useRef();
-  useFrame(() => {
+  useFrame(({ clock }) => {
     if (!ref.current) return;
-    const active = owner === "player" ? liveRace.playerShield : false;
-    ref.current.visible = active;
+    ref.current.visible = !!liveRace.state?.missiles.some((m) => m.target === racerId);
+    ref.current.rotation.y = clock.elapsedTime * 4;
   });
   return (
-    <mesh ref={ref}>
-      <sphereGeometry args={[2, 16, 12]} />
-      <meshStandardMaterial color="#00ccff" transparent opacity={0.15} wireframe />
+    <mesh ref={ref} position={[0, 2.6, 0]} rotation={[Math.PI, 0, 0]}>
+      <coneGeometry args={[0.45, 0.8, 4]} />
+      <meshStandardMaterial color="#ff2222" emissive="#ff0000" emissiveIntensity={0.8} />
     </mesh>
   );
 }
@@ -1552,12 +1717,26 @@ function ShieldBubble({ owner }) {
 // -----------------------------
 // HUD: Position display + Mini-map
 // -----------------------------
-function PositionHUD() {
+function LapHUD({ racerId = "player", totalLaps }) {
+  const [lap, setLap] = useState(1);
+  useEffect(() => {
+    const id = setInterval(() => setLap(getRacer(racerId)?.lap || 1), 200);
+    return () => clearInterval(id);
+  }, [racerId]);
+  return (
+    <div className="pointer-events-none absolute top-4 left-1/2 -translate-x-1/2 text-center bg-black/50 rounded-2xl px-6 py-3 backdrop-blur-md border border-white/20">
+      <div className="text-xs uppercase tracking-widest text-white/70 mb-1">Lap</div>
+      <div className="text-2xl font-bold tabular-nums">{Math.min(lap, totalLaps)} <span className="text-white/50">/</span> {totalLaps}</div>
+    </div>
+  );
+}
+
+function PositionHUD({ racerId = "player" }) {
   const [pos, setPos] = useState(1);
   useEffect(() => {
-    const id = setInterval(() => setPos(liveRace.position), 200);
+    const id = setInterval(() => setPos(getRacer(racerId)?.place || 1), 200);
     return () => clearInterval(id);
-  }, []);
+  }, [racerId]);
   const suffix = pos === 1 ? "st" : pos === 2 ? "nd" : pos === 3 ? "rd" : "th";
   return (
     <div className="pointer-events-none absolute top-20 left-1/2 -translate-x-1/2 text-center">
@@ -1566,8 +1745,66 @@ function PositionHUD() {
   );
 }
 
-function MiniMap({ curve }) {
-  const [dots, setDots] = useState({ player: [0, 0], ai: [] });
+function TimeTrialHUD({ best }) {
+  const [mushrooms, setMushrooms] = useState(0);
+  useEffect(() => {
+    const id = setInterval(() => setMushrooms(getPlayer()?.mushrooms || 0), 100);
+    return () => clearInterval(id);
+  }, []);
+  return (
+    <div className="pointer-events-none absolute top-20 left-1/2 -translate-x-1/2 text-center">
+      <div className="text-sm text-white/70 tabular-nums">Ghost {best != null ? formatTime(best) : "—"}</div>
+      {mushrooms > 0 && <div className="mt-1 text-sm font-semibold text-green-300">🍄 ×{mushrooms} <span className="text-white/50 font-normal">{actionKeys(useStore.get().bindings, "useItem")}</span></div>}
+    </div>
+  );
+}
+
+function Delta({ d }) {
+  if (!Number.isFinite(d)) return null;
+  return <span className={d < 0 ? "text-green-300" : "text-red-300"}>{formatDelta(d)}</span>;
+}
+
+// Race clock, current lap time and sector splits, and the last lap's delta.
+// Deltas compare against `record` (the track's best lap when the race began);
+// the last-lap delta falls back to the best earlier lap of this race.
+function RaceTimerHUD({ racerId = "player", record }) {
+  const [hud, setHud] = useState(null);
+  useEffect(() => {
+    const id = setInterval(() => {
+      const p = getRacer(racerId);
+      if (!p) return;
+      const now = p.finishTime ?? (liveRace.local?.id === racerId ? liveRace.local.state : liveRace.state).time;
+      setHud({ time: now, lapTime: p.finished ? null : now - p.lapStart, splits: p.splits, lapTimes: p.lapTimes });
+    }, 50);
+    return () => clearInterval(id);
+  }, [racerId]);
+  if (!hud) return null;
+  const last = hud.lapTimes[hud.lapTimes.length - 1];
+  const reference = Math.min(record?.time ?? Infinity, ...hud.lapTimes.slice(0, -1).map((l) => l.time));
+  return (
+    <div className="pointer-events-none absolute top-16 right-4 bg-black/50 rounded-2xl px-4 py-2 backdrop-blur-md border border-white/20 text-sm tabular-nums min-w-[10rem]">
+      <div className="flex justify-between gap-4"><span className="text-white/60">Time</span><span className="text-lg font-bold">{formatTime(hud.time)}</span></div>
+      {hud.lapTime != null && (
+        <div className="flex justify-between gap-4"><span className="text-white/60">Lap</span><span>{formatTime(hud.lapTime)}</span></div>
+      )}
+      {hud.lapTime != null && hud.splits.map((t, i) => (
+        <div key={i} className="flex justify-between gap-4 text-xs">
+          <span className="text-white/60">S{i + 1}</span>
+          <span>{formatTime(t)} <Delta d={t - record?.splits?.[i]} /></span>
+        </div>
+      ))}
+      {last && (
+        <div className="flex justify-between gap-4 border-t border-white/10 mt-1 pt-1">
+          <span className="text-white/60">Last</span>
+          <span>{formatTime(last.time)} <Delta d={last.time - reference} /></span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function MiniMap({ curve, className = "bottom-20 right-4" }) {
+  const [dots, setDots] = useState({ humans: [], ai: [] });
   const outline = useMemo(() => {
     if (!curve) return "";
     const pts = [];
@@ -1588,15 +1825,14 @@ function MiniMap({ curve }) {
 
   useEffect(() => {
     const id = setInterval(() => {
-      if (!outline.scale) return;
-      setDots({
-        player: [(liveRace.playerPos[0] - outline.cx) * outline.scale + 45, (liveRace.playerPos[1] - outline.cz) * outline.scale + 45],
-        ai: liveRace.ai.map(a => ({
-          x: (a.pos[0] - outline.cx) * outline.scale + 45,
-          z: (a.pos[1] - outline.cz) * outline.scale + 45,
-          color: a.color,
-        })),
+      const { world, state } = liveRace;
+      if (!outline.scale || !world || !state) return;
+      const toMap = (r) => [(r.x - outline.cx) * outline.scale + 45, (r.z - outline.cz) * outline.scale + 45];
+      const dotsOf = (kind) => state.racers.filter((_, i) => world.entrants[i].kind === kind).map((r) => {
+        const [x, z] = toMap(r);
+        return { x, z, color: world.entrants[state.racers.indexOf(r)].color };
       });
+      setDots({ humans: dotsOf("player"), ai: dotsOf("ai") });
     }, 100);
     return () => clearInterval(id);
   }, [outline]);
@@ -1605,11 +1841,13 @@ function MiniMap({ curve }) {
   const pathD = outline.pts.map((p, i) => `${i === 0 ? "M" : "L"}${p[0].toFixed(1)},${p[1].toFixed(1)}`).join(" ") + " Z";
 
   return (
-    <div className="pointer-events-none absolute bottom-20 right-4 w-[90px] h-[90px] opacity-80">
+    <div className={`pointer-events-none absolute ${className} w-[90px] h-[90px] opacity-80`}>
       <svg viewBox="0 0 90 90" className="w-full h-full">
         <path d={pathD} fill="none" stroke="rgba(255,255,255,0.3)" strokeWidth={3} />
         {dots.ai.map((a, i) => <circle key={i} cx={a.x} cy={a.z} r={3} fill={a.color} />)}
-        <circle cx={dots.player[0]} cy={dots.player[1]} r={4} fill="#fff" stroke="#000" strokeWidth={1} />
+        {dots.humans.map((h, i) => (
+          <circle key={i} cx={h.x} cy={h.z} r={4} fill={dots.humans.length > 1 ? h.color : "#fff"} stroke={dots.humans.length > 1 ? "#fff" : "#000"} strokeWidth={1} />
+        ))}
       </svg>
     </div>
   );
@@ -1619,32 +1857,34 @@ function MiniMap({ curve }) {
 // Race scene
 // -----------------------------
 // Distant layered backdrop scenery
-function BackdropMountains({ theme }) {
+function BackdropMountains({ theme, seed = 1 }) {
   const mountains = useMemo(() => {
+    const random = createRng(deriveSeed(seed, "mountains-far"));
     const arr = [];
     const count = 24;
     for (let i = 0; i < count; i++) {
       const angle = (i / count) * Math.PI * 2;
-      const dist = 180 + Math.random() * 40;
-      const h = 15 + Math.random() * 35;
-      const w = 20 + Math.random() * 30;
+      const dist = 180 + random() * 40;
+      const h = 15 + random() * 35;
+      const w = 20 + random() * 30;
       arr.push({ x: Math.cos(angle) * dist, z: Math.sin(angle) * dist, h, w, angle });
     }
     return arr;
-  }, []);
+  }, [seed]);
 
   const midLayer = useMemo(() => {
+    const random = createRng(deriveSeed(seed, "mountains-mid"));
     const arr = [];
     const count = 16;
     for (let i = 0; i < count; i++) {
       const angle = (i / count) * Math.PI * 2 + 0.15;
-      const dist = 150 + Math.random() * 20;
-      const h = 8 + Math.random() * 15;
-      const w = 15 + Math.random() * 20;
+      const dist = 150 + random() * 20;
+      const h = 8 + random() * 15;
+      const w = 15 + random() * 20;
       arr.push({ x: Math.cos(angle) * dist, z: Math.sin(angle) * dist, h, w });
     }
     return arr;
-  }, []);
+  }, [seed]);
 
   const farColor = theme === "city" ? "#0a0a1e" : theme === "west" ? "#8B6914" : "#1a5c1a";
   const midColor = theme === "city" ? "#111133" : theme === "west" ? "#a07030" : "#2a6e2a";
@@ -1669,33 +1909,258 @@ function BackdropMountains({ theme }) {
   );
 }
 
-function RaceScene({ theme, character, car, platform, onFinish }){
-  const kartRef = useRef();
-  const controlRef = useRef({ left:false,right:false,up:false,down:false });
-  const kbd = useKeyboardControls(platform === "Laptop");
-  const { currentLap, totalLaps, finished } = useRace((r)=>({ currentLap: r.currentLap, totalLaps: r.totalLaps, finished: r.finished }));
+// Steps the simulation at its fixed rate from the render loop. Mounted first
+// in the Canvas so it runs before the karts and item entities read the state.
+// Nothing advances while paused, so the race resumes exactly where it stopped.
+// Online (`net.current` set by RaceScene): the host steps with everyone's
+// inputs and broadcasts snapshots; a client only predicts its own kart and
+// shows the rest interpolated from the host's snapshots.
+function RaceSimulation({ readInputs, net }) {
+  const acc = useRef(0);
+  const lastLaps = useRef({});
+  const setRace = useRaceSetter();
+  useFrame((_, dt) => {
+    const { world } = liveRace;
+    if (isPaused() || !world || !liveRace.state) return;
+    const online = net?.current;
+    acc.current += Math.min(dt, 0.1);
+    while (acc.current >= SIM_DT) {
+      const inputs = readInputs();
+      if (online?.client) {
+        online.send("host", clientStep(online.client, inputs[online.localId]));
+      } else {
+        const tickInputs = online?.host ? hostTickInputs(online.host, inputs) : inputs;
+        liveRace.prev = liveRace.state;
+        liveRace.state = stepRace(world, liveRace.state, tickInputs);
+        pushItemFeed(liveRace.state.events);
+        if (liveRace.recorder) recordReplayTick(liveRace.recorder, tickInputs, liveRace.state);
+        const snapshot = online?.host && hostAfterStep(online.host, liveRace.state, tickInputs);
+        if (snapshot) online.send("all", snapshot);
+      }
+      acc.current -= SIM_DT;
+    }
+    liveRace.alpha = acc.current / SIM_DT;
+    if (online?.client) {
+      const { client } = online;
+      Object.assign(liveRace, clientView(client, performance.now(), SIM_DT * 1000));
+      liveRace.local = { id: online.localId, prev: client.predictedPrev, state: client.predicted, alpha: acc.current / SIM_DT };
+    }
+
+    // Completed laps of the humans on this device count toward the track record
+    // (not on an editor draft)
+    let lapChanged = false;
+    liveRace.state.racers.forEach((r, i) => {
+      if (world.entrants[i].kind !== "player" || (online && r.id !== online.localId)) return;
+      if (r.lap === (lastLaps.current[r.id] ?? 1)) return;
+      lastLaps.current[r.id] = r.lap;
+      lapChanged = true;
+      const lap = r.lapTimes[r.lapTimes.length - 1];
+      if (lap && world.track.id !== DRAFT_TRACK_ID) submitLap(world.track.id, world.difficulty.id, lap);
+    });
+    if (lapChanged) {
+      const finished = online ? !!getRacer(online.localId)?.finished : isRaceOver(world, liveRace.state);
+      setRace({ currentLap: getRacer(online?.localId || "player")?.lap || 1, finished });
+    }
+  });
+  return null;
+}
+
+// Appends item events to the feed shown in online races (last few only)
+function pushItemFeed(events) {
+  if (!events?.length) return;
+  const at = performance.now();
+  liveRace.feed = [...liveRace.feed, ...events.map((e) => ({ ...e, at }))].slice(-5);
+}
+
+// Screen rectangles (fractions, CSS top-left origin) for 1–4 players:
+// two players split top/bottom, three or four get quadrants.
+function splitViewports(count) {
+  if (count <= 1) return [{ left: 0, top: 0, width: 1, height: 1 }];
+  if (count === 2) return [{ left: 0, top: 0, width: 1, height: 0.5 }, { left: 0, top: 0.5, width: 1, height: 0.5 }];
+  return [0, 1, 2, 3].slice(0, count).map((i) => ({ left: (i % 2) * 0.5, top: Math.floor(i / 2) * 0.5, width: 0.5, height: 0.5 }));
+}
+
+const viewportStyle = (v) => ({ left: `${v.left * 100}%`, top: `${v.top * 100}%`, width: `${v.width * 100}%`, height: `${v.height * 100}%` });
+
+// Draws the scene once per player camera into that player's rectangle. A
+// positive useFrame priority takes over rendering from r3f.
+function SplitScreenRenderer({ cameras }) {
+  const { gl, scene, size } = useThree();
+  useFrame(() => {
+    gl.setScissorTest(false);
+    gl.clear();
+    gl.setScissorTest(true);
+    splitViewports(cameras.length).forEach((v, i) => {
+      const w = v.width * size.width, h = v.height * size.height;
+      const x = v.left * size.width, y = (1 - v.top - v.height) * size.height;
+      const camera = cameras[i];
+      camera.aspect = w / h;
+      camera.updateProjectionMatrix();
+      gl.setViewport(x, y, w, h);
+      gl.setScissor(x, y, w, h);
+      gl.render(scene, camera);
+    });
+    gl.setScissorTest(false);
+    gl.setViewport(0, 0, size.width, size.height);
+  }, 1);
+  return null;
+}
+
+// One split-screen quadrant's HUD: lap, position, item and status for that player
+function PlayerHUD({ racerId, index, color, scheme, totalLaps }) {
+  return (
+    <>
+      <div className="pointer-events-none absolute top-4 left-4 rounded-lg px-2 py-0.5 text-sm font-black border border-white/30" style={{ background: color, color: "#000" }}>P{index + 1}</div>
+      <LapHUD racerId={racerId} totalLaps={totalLaps} />
+      <PositionHUD racerId={racerId} />
+      <ItemHUD racerId={racerId} hint={CONTROL_SCHEMES.find((c) => c.id === scheme)?.hint || "Item"} />
+      <DriftIndicator racerId={racerId} />
+      <SpinOutIndicator racerId={racerId} />
+      <CheckpointWarning racerId={racerId} />
+      <MissileWarning racerId={racerId} />
+    </>
+  );
+}
 
-  // Create track curve from waypoints
-  const curve = useMemo(() => theme?.waypoints ? createTrackCurve(theme.waypoints) : null, [theme]);
+// Lights, sky, ground, road and themed props for a track — shared by the live
+// race and replay playback.
+function TrackScenery({ theme, curve, seed }) {
   const trackWidth = theme?.trackWidth || 10;
   const boostTs = theme?.boostTs || [];
+  const bgColor = new THREE.Color(theme?.sky || "#222");
+  const fogColor = new THREE.Color(theme?.fog || "#333");
+  const hemiGround = new THREE.Color(theme?.turf || "#1b5e20");
+  return (
+    <>
+      <color attach="background" args={[bgColor]} />
+      <fog attach="fog" args={[fogColor, 60, 300]} />
+      <hemisphereLight skyColor={bgColor} groundColor={hemiGround} intensity={0.6} />
+      <directionalLight position={[20, 30, 15]} intensity={1.2} castShadow shadow-mapSize-width={2048} shadow-mapSize-height={2048} />
+      <directionalLight position={[-15, 20, -10]} intensity={0.4} />
+      <SafeEnvironment preset={theme?.envPreset || "sunset"} background={false} />
+
+      {/* Sky — physically-based for day/sunset tracks */}
+      {theme.theme === "classic" && <Sky sunPosition={[100, 20, 100]} turbidity={8} rayleigh={2} />}
+      {theme.theme === "west" && <Sky sunPosition={[0, 5, -100]} turbidity={10} rayleigh={0.5} mieCoefficient={0.1} />}
+
+      {/* Clouds — atmosphere for outdoor tracks */}
+      {theme.theme === "classic" && (
+        <Suspense fallback={null}>
+          <Cloud position={[50, 40, -40]} speed={0.2} opacity={0.4} />
+          <Cloud position={[-60, 50, 30]} speed={0.15} opacity={0.35} />
+          <Cloud position={[20, 35, 60]} speed={0.25} opacity={0.3} />
+        </Suspense>
+      )}
+      {theme.theme === "west" && (
+        <Suspense fallback={null}>
+          <Cloud position={[40, 35, -50]} speed={0.1} opacity={0.3} color="#ffcc80" />
+          <Cloud position={[-50, 45, 20]} speed={0.12} opacity={0.25} color="#ffa060" />
+        </Suspense>
+      )}
 
-  useEffect(() => { if(platform === "Laptop") controlRef.current = kbd; }, [kbd, platform]);
+      {/* Ground + Track */}
+      <GroundPlane color={theme?.turf || "#1b5e20"} seed={seed} />
+      <BackdropMountains theme={theme.theme} seed={seed} />
+      {curve && <TrackRoad curve={curve} trackWidth={trackWidth} roadColor={theme?.roadColor || "#555"} seed={seed} />}
+      {curve && <TrackCurbs curve={curve} trackWidth={trackWidth} />}
+      {curve && <TrackSurfaces track={theme} curve={curve} trackWidth={trackWidth} />}
+      {curve && <TrackStartLine curve={curve} trackWidth={trackWidth} />}
+      {curve && <BoostPads curve={curve} boostTs={boostTs} />}
+
+      {/* Theme props */}
+      {theme.theme === "classic" && curve && <ClassicProps curve={curve} seed={seed} />}
+      {theme.theme === "city" && curve && <CityNeonProps curve={curve} seed={seed} />}
+      {theme.theme === "west" && curve && <WestRockProps curve={curve} seed={seed} />}
+    </>
+  );
+}
 
+// `players` lists every human's { character, car } — in split-screen with each
+// local player's control `scheme`. `online` is { session, start, localIndex }
+// for a networked race, where only players[localIndex] drives on this device.
+function RaceScene({ theme, character, car, players = null, laps, difficulty, platform, seed, mode = "race", mushrooms = 0, ghost = null, record = null, online = null, onFinish }){
+  const controlRef = useRef({ left:false,right:false,up:false,down:false });
+  const kbd = useKeyboardControls(platform === "Laptop" || platform === "Controller");
+  const touch = useTouchSettings();
+  const split = mode === "splitScreen" && !!players;
+  useHeldKeys(split);
+  useGamepadPause(platform === "Controller" || split);
+  const { totalLaps, finished } = useRace((r)=>({ totalLaps: r.totalLaps, finished: r.finished }));
+  const { paused } = useSettings();
+
+  // Static race setup (track curve, entrants, pads, boxes) for the simulation
+  const world = useMemo(() => {
+    if (!theme?.waypoints) return null;
+    if (mode === "timeTrial") return createRaceWorld({ track: theme, car, character, laps, aiRacers: [], items: false, mushrooms, difficulty });
+    const humans = players || [{ car, character }];
+    const aiRacers = AI_RACERS.filter(a => !humans.some(h => h.character.color === a.color));
+    return createRaceWorld({ track: theme, humans, laps, aiRacers, difficulty });
+  }, [theme, car, character, players, laps, difficulty, mode, mushrooms]);
+  const humanEntrants = useMemo(() => (world?.entrants || []).filter(e => e.kind === "player"), [world]);
+  const kartRefs = useMemo(() => humanEntrants.map(() => React.createRef()), [humanEntrants]);
+  const cameras = useMemo(() => split ? humanEntrants.map(() => new THREE.PerspectiveCamera(55, 1, 0.1, 1000)) : [], [split, humanEntrants]);
+  const localIndex = online ? online.localIndex : 0;
+  const localId = humanId(localIndex);
+  const readInputs = useCallback(() => (split
+    ? Object.fromEntries(humanEntrants.map((e, i) => [e.id, readSchemeControls(players[i].scheme)]))
+    : platform === "Controller"
+      ? { [localId]: mergeControls(controlRef.current, readGamepadControls(connectedGamepad())) }
+      : { [localId]: { ...controlRef.current } }), [split, players, humanEntrants, localId, platform]);
+  const lookBack = useCallback(() => !!controlRef.current.lookBack
+    || (platform === "Controller" && readGamepadControls(connectedGamepad()).lookBack), [platform]);
+  const net = useRef(null);
+  const [netStatus, setNetStatus] = useState(null);
+  const curve = world?.curve || null;
+
+  useEffect(() => { if(platform === "Laptop" || platform === "Controller") controlRef.current = kbd; }, [kbd, platform]);
+
+  useLayoutEffect(() => {
+    liveRace.world = world;
+    liveRace.state = world ? createRaceState(world, { seed }) : null;
+    liveRace.prev = liveRace.state;
+    liveRace.alpha = 0;
+    liveRace.local = null;
+    liveRace.feed = [];
+    // Online races are recorded by the host, whose simulation is the real one
+    const isClient = !!online && online.start.host !== online.session.id;
+    liveRace.recorder = world && !isClient ? createReplayRecorder(world, liveRace.state, { trackId: theme.id, carId: car.id, characterId: character.id, mode, mushrooms }) : null;
+    net.current = world && online ? {
+      localId,
+      send: online.session.send,
+      host: isClient ? null : createNetHost(online.start.players, online.session.id),
+      client: isClient ? createNetClient(world, liveRace.state, localId) : null,
+    } : null;
+    useRaceSetter()({ currentLap: 1, totalLaps: laps, finished: false, position: 1 });
+  }, [world, seed]);
+
+  // Online: feed remote inputs to the host sim / snapshots to the client prediction
   useEffect(() => {
-    liveRace.ai = [];
-    liveRace.playerT = 0;
-    liveRace.playerLap = 1;
-    liveRace.position = 1;
-    liveRace.playerItem = null;
-    liveRace.playerShield = false;
-    liveRace.playerSpinout = 0;
-    liveRace.lightningTimer = 0;
-    liveRace.activeBananas = [];
-    liveRace.activeMissiles = [];
-    liveRace.itemBoxCooldowns = {};
-    useRaceSetter()({ currentLap: 1, totalLaps: useStore.get().laps, finished: false, position: 1 });
-  }, []);
+    if (!online) return;
+    const { session, start } = online;
+    const unsubscribe = session.subscribe((e) => {
+      const n = net.current;
+      if (!n || (e.type === "message" && (!e.data || typeof e.data !== "object"))) return;
+      if (e.type === "message" && e.data.kind === "input" && n.host) {
+        hostReceiveInput(n.host, e.from, e.data);
+      } else if (e.type === "message" && e.data.kind === "snapshot" && n.client && e.from === start.host) {
+        clientReceiveSnapshot(n.client, e.data, performance.now());
+        pushItemFeed(e.data.events);
+      } else if (e.type === "message" && e.data.kind === "lobby" && n.client) {
+        setNetStatus("The host ended the race");
+      } else if (e.type === "room") {
+        if (n.host) start.players.forEach((p) => { if (!e.peers.some((q) => q.id === p.id)) hostDropPeer(n.host, p.id); });
+        else if (!e.peers.some((q) => q.id === start.host)) setNetStatus("The host left the race");
+      } else if (e.type === "closed") {
+        setNetStatus("Disconnected from the server");
+      }
+    });
+    return () => {
+      unsubscribe();
+      // Let go of the controls so the host doesn't keep our last input held
+      const n = net.current;
+      if (n?.client) n.send("host", clientStep(n.client, NO_CONTROLS));
+    };
+  }, [world]);
 
   useEffect(() => { if(finished && onFinish) onFinish(); }, [finished, onFinish]);
 
@@ -1704,98 +2169,117 @@ function RaceScene({ theme, character, car, platform, onFinish }){
     return () => racingMusic.stop();
   }, []);
 
-  const bgColor = new THREE.Color(theme?.sky || "#222");
-  const fogColor = new THREE.Color(theme?.fog || "#333");
-  const hemiGround = new THREE.Color(theme?.turf || "#1b5e20");
-  const aiRacers = AI_RACERS.filter(a => a.color !== character.color);
+  useEffect(() => {
+    if (paused) racingMusic.pause();
+    else if (useStore.get().musicEnabled) racingMusic.resume();
+  }, [paused]);
+
+  // Auto-pause when the tab is hidden; the player resumes from the settings modal.
+  useEffect(() => {
+    if (online) return;
+    const onVisibility = () => { if (document.hidden && !isPaused()) setShowSettings(true); };
+    document.addEventListener("visibilitychange", onVisibility);
+    return () => document.removeEventListener("visibilitychange", onVisibility);
+  }, []);
+
+  const aiEntrants = (world?.entrants || []).filter(e => e.kind === "ai");
 
   return (
     <div className="relative h-full w-full">
       <Canvas shadows camera={{ position:[0,10,15], fov:55 }}>
-        <color attach="background" args={[bgColor]} />
-        <fog attach="fog" args={[fogColor, 60, 300]} />
-        <hemisphereLight skyColor={bgColor} groundColor={hemiGround} intensity={0.6} />
-        <directionalLight position={[20, 30, 15]} intensity={1.2} castShadow shadow-mapSize-width={2048} shadow-mapSize-height={2048} />
-        <directionalLight position={[-15, 20, -10]} intensity={0.4} />
-        <SafeEnvironment preset={theme?.envPreset || "sunset"} background={false} />
-
-        {/* Sky — physically-based for day/sunset tracks */}
-        {theme.theme === "classic" && <Sky sunPosition={[100, 20, 100]} turbidity={8} rayleigh={2} />}
-        {theme.theme === "west" && <Sky sunPosition={[0, 5, -100]} turbidity={10} rayleigh={0.5} mieCoefficient={0.1} />}
-
-        {/* Clouds — atmosphere for outdoor tracks */}
-        {theme.theme === "classic" && (
-          <Suspense fallback={null}>
-            <Cloud position={[50, 40, -40]} speed={0.2} opacity={0.4} />
-            <Cloud position={[-60, 50, 30]} speed={0.15} opacity={0.35} />
-            <Cloud position={[20, 35, 60]} speed={0.25} opacity={0.3} />
-          </Suspense>
-        )}
-        {theme.theme === "west" && (
-          <Suspense fallback={null}>
-            <Cloud position={[40, 35, -50]} speed={0.1} opacity={0.3} color="#ffcc80" />
-            <Cloud position={[-50, 45, 20]} speed={0.12} opacity={0.25} color="#ffa060" />
-          </Suspense>
-        )}
+        <RaceSimulation readInputs={readInputs} net={net} />
+        <TrackScenery theme={theme} curve={curve} seed={seed} />
 
-        {/* Ground + Track */}
-        <GroundPlane color={theme?.turf || "#1b5e20"} />
-        <BackdropMountains theme={theme.theme} />
-        {curve && <TrackRoad curve={curve} trackWidth={trackWidth} roadColor={theme?.roadColor || "#555"} />}
-        {curve && <TrackCurbs curve={curve} trackWidth={trackWidth} />}
-        {curve && <TrackStartLine curve={curve} trackWidth={trackWidth} />}
-        {curve && <BoostPads curve={curve} boostTs={boostTs} />}
-
-        {/* Theme props */}
-        {theme.theme === "classic" && curve && <ClassicProps curve={curve} />}
-        {theme.theme === "city" && curve && <CityNeonProps curve={curve} />}
-        {theme.theme === "west" && curve && <WestRockProps curve={curve} />}
-
-        {/* Player Kart */}
-        <Kart ref={kartRef} color={character.color} accent={"#fff"} controlRef={controlRef} carStats={car} curve={curve} trackWidth={trackWidth} boostTs={boostTs} />
-        <CameraRig targetRef={kartRef} />
+        {/* Player karts — one camera each in split-screen */}
+        {humanEntrants.map((e, i) => (
+          <Kart key={e.id} ref={kartRefs[i]} racerId={e.id} color={e.color} accent={e.accent} bodyType={e.bodyType} />
+        ))}
+        {humanEntrants.map((e) => <SurfaceDust key={e.id} racerId={e.id} sound={e.id === localId} />)}
+        {split
+          ? humanEntrants.map((e, i) => <CameraRig key={e.id} targetRef={kartRefs[i]} camera={cameras[i]} racerId={e.id} />)
+          : kartRefs[localIndex] && <CameraRig targetRef={kartRefs[localIndex]} racerId={localId} lookBack={lookBack} />}
+        {split && <SplitScreenRenderer cameras={cameras} />}
+        {ghost && <GhostKart ghost={ghost} />}
 
         {/* AI opponents */}
-        {aiRacers.map((ai, i) => (
-          <AIKart key={i} color={ai.color} accent={ai.accent} startT={ai.startT} speedMul={ai.speedMul} bodyType={ai.bodyType} offset={ai.offset} tier={ai.tier} curve={curve} trackWidth={trackWidth} playerMaxSpeed={car?.maxSpeed || 30} />
+        {aiEntrants.map((ai) => (
+          <Kart key={ai.id} racerId={ai.id} color={ai.color} accent={ai.accent} bodyType={ai.bodyType} />
         ))}
 
         {/* Item entities */}
-        {curve && <ItemBoxes curve={curve} />}
-        <BananaHazards />
+        {world && <ItemBoxes boxes={world.itemBoxes} />}
+        <TrapEntities />
         {curve && <MissileEntities curve={curve} />}
 
-        {theme.theme !== "classic" && <StarsField count={1000} radius={250} />}
+        {theme.theme !== "classic" && <StarsField count={1000} radius={250} seed={seed} />}
       </Canvas>
 
-      {/* HUD: Lap counter + Position */}
-      <div className="pointer-events-none absolute top-4 left-1/2 -translate-x-1/2 text-center bg-black/50 rounded-2xl px-6 py-3 backdrop-blur-md border border-white/20">
-        <div className="text-xs uppercase tracking-widest text-white/70 mb-1">Lap</div>
-        <div className="text-2xl font-bold tabular-nums">{Math.min(currentLap, totalLaps)} <span className="text-white/50">/</span> {totalLaps}</div>
-      </div>
-      <PositionHUD />
-      {curve && <MiniMap curve={curve} />}
-
-      {/* Drift indicator + Item HUD + Effects */}
-      <DriftIndicator />
-      <ItemHUD />
-      <SpinOutIndicator />
+      {split ? (
+        <>
+          {/* Split-screen: a HUD per viewport, one shared minimap */}
+          {splitViewports(players.length).map((v, i) => (
+            <div key={humanEntrants[i]?.id || i} className="pointer-events-none absolute overflow-hidden border border-black/60" style={viewportStyle(v)}>
+              {humanEntrants[i] && <PlayerHUD racerId={humanEntrants[i].id} index={i} color={humanEntrants[i].color} scheme={players[i].scheme} totalLaps={totalLaps} />}
+            </div>
+          ))}
+          {curve && <MiniMap curve={curve} className={players.length === 3 ? "bottom-[calc(25%-45px)] right-[calc(25%-45px)]" : "top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2"} />}
+        </>
+      ) : (
+        <>
+          {/* HUD: Lap counter + Position */}
+          <LapHUD racerId={localId} totalLaps={totalLaps} />
+          {mode === "timeTrial" ? <TimeTrialHUD best={ghostTime(ghost)} /> : <PositionHUD racerId={localId} />}
+          <RaceTimerHUD racerId={localId} record={record} />
+          {curve && <MiniMap curve={curve} />}
+
+          {/* Drift indicator + Item HUD */}
+          <DriftIndicator racerId={localId} />
+          <ItemHUD racerId={localId} />
+          <SpinOutIndicator racerId={localId} />
+          <CheckpointWarning racerId={localId} />
+          <MissileWarning racerId={localId} />
+        </>
+      )}
+      {online && <ItemFeed players={online.start.players} />}
+      {netStatus && (
+        <div className="absolute top-1/3 left-1/2 -translate-x-1/2 z-10 bg-black/80 border border-white/20 rounded-2xl px-6 py-4 text-center">
+          <div className="font-semibold mb-3">{netStatus}</div>
+          <button onClick={() => setScreen(netplay.session ? "online" : "home")} className="rounded-xl bg-indigo-500 hover:bg-indigo-400 px-4 py-2 font-semibold">{netplay.session ? "Back to Lobby" : "Main Menu"}</button>
+        </div>
+      )}
       <LightningFlash />
 
+      {platform === "Controller" && !split && <ControllerNotice />}
+
       {/* Touch controls overlay */}
       {(platform === "iPad" || platform === "iPhone") && (
-        <TouchPad onChange={(s)=> (controlRef.current = s)} />
+        <TouchPad onChange={(s)=> (controlRef.current = s)} steering={touch.steering} tiltSensitivity={touch.tiltSensitivity} tiltCenter={touch.tiltCenter} />
       )}
     </div>
   );
 }
 
-function DriftIndicator() {
-  const [drift, setDrift] = useState(false);
+// Reminder while the Controller platform has no pad to read
+function ControllerNotice() {
+  const [missing, setMissing] = useState(false);
   useEffect(() => {
-    const id = setInterval(() => setDrift(liveRace.drifting), 100);
+    const id = setInterval(() => setMissing(connectedGamepad() == null), 500);
     return () => clearInterval(id);
   }, []);
+  if (!missing) return null;
+  return (
+    <div className="pointer-events-none absolute bottom-4 left-1/2 -translate-x-1/2 bg-black/60 rounded-xl px-4 py-2 text-sm text-white/80 border border-white/20">
+      No controller found — connect one and press any button (keyboard still works)
+    </div>
+  );
+}
+
+function DriftIndicator({ racerId = "player" }) {
+  const [drift, setDrift] = useState(false);
+  useEffect(() => {
+    const id = setInterval(() => setDrift(!!getRacer(racerId)?.drifting), 100);
+    return () => clearInterval(id);
+  }, [racerId]);
   if (!drift) return null;
   return (
     <div className="pointer-events-none absolute bottom-32 left-1/2 -translate-x-1/2 text-center">
@@ -1804,32 +2288,35 @@ function DriftIndicator() {
   );
 }
 
-function ItemHUD() {
-  const [item, setItem] = useState(null);
+function ItemHUD({ racerId = "player", hint = actionKeys(useStore.get().bindings, "useItem") }) {
+  const [held, setHeld] = useState(null);
   useEffect(() => {
-    const id = setInterval(() => setItem(liveRace.playerItem), 100);
+    const id = setInterval(() => {
+      const r = getRacer(racerId);
+      setHeld(r?.item ? `${r.item}:${r.itemUses || 1}` : null);
+    }, 100);
     return () => clearInterval(id);
-  }, []);
-  if (!item) return null;
+  }, [racerId]);
+  if (!held) return null;
+  const [item, uses] = held.split(":");
   const info = ITEMS.find((i) => i.id === item);
-  const colors = { mushroom: "bg-green-500/80", banana: "bg-yellow-500/80", missile: "bg-red-500/80", shield: "bg-cyan-500/80", lightning: "bg-purple-500/80" };
   return (
     <div className="pointer-events-none absolute top-20 left-4">
-      <div className={`${colors[item] || "bg-white/20"} rounded-xl px-4 py-2 text-center border border-white/30`}>
+      <div className="rounded-xl px-4 py-2 text-center border border-white/30" style={{ backgroundColor: `${info?.color || "#ffffff"}cc` }}>
         <div className="text-xs uppercase tracking-wider text-white/70">Item</div>
-        <div className="text-lg font-bold">{info?.display || item}</div>
-        <div className="text-xs text-white/50 mt-0.5">Space to use</div>
+        <div className="text-lg font-bold">{info?.icon} {info?.display || item}{info?.uses > 1 && <span className="ml-1 text-sm">({uses} left)</span>}</div>
+        <div className="text-xs text-white/50 mt-0.5">{hint} to use</div>
       </div>
     </div>
   );
 }
 
-function SpinOutIndicator() {
+function SpinOutIndicator({ racerId = "player" }) {
   const [active, setActive] = useState(false);
   useEffect(() => {
-    const id = setInterval(() => setActive(liveRace.playerSpinout > 0), 50);
+    const id = setInterval(() => setActive(getRacer(racerId)?.spinout > 0), 50);
     return () => clearInterval(id);
-  }, []);
+  }, [racerId]);
   if (!active) return null;
   return (
     <div className="pointer-events-none absolute top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2">
@@ -1838,10 +2325,44 @@ function SpinOutIndicator() {
   );
 }
 
+// Wrong-way driving, or a checkpoint gate left behind (the lap won't count until it's passed)
+function CheckpointWarning({ racerId = "player" }) {
+  const [warning, setWarning] = useState(null);
+  useEffect(() => {
+    const id = setInterval(() => {
+      const r = getRacer(racerId);
+      const world = liveRace.world;
+      setWarning(!r || !world ? null : r.wrongWay ? "WRONG WAY" : missedGate(world, r) ? "MISSED CHECKPOINT — GO BACK" : null);
+    }, 100);
+    return () => clearInterval(id);
+  }, [racerId]);
+  if (!warning) return null;
+  return (
+    <div className="pointer-events-none absolute top-1/3 left-1/2 -translate-x-1/2 text-center">
+      <div className="rounded-xl bg-red-600/80 px-5 py-2 text-2xl font-black tracking-widest animate-pulse border border-white/40">{warning}</div>
+    </div>
+  );
+}
+
+// A missile is locked on to this racer
+function MissileWarning({ racerId = "player" }) {
+  const [incoming, setIncoming] = useState(false);
+  useEffect(() => {
+    const id = setInterval(() => setIncoming(!!liveRace.state?.missiles.some((m) => m.target === racerId)), 100);
+    return () => clearInterval(id);
+  }, [racerId]);
+  if (!incoming) return null;
+  return (
+    <div className="pointer-events-none absolute bottom-28 left-1/2 -translate-x-1/2 text-center">
+      <div className="rounded-xl bg-red-600/80 px-4 py-1 text-lg font-black tracking-widest animate-pulse border border-white/40">MISSILE INCOMING</div>
+    </div>
+  );
+}
+
 function LightningFlash() {
   const [flash, setFlash] = useState(false);
   useEffect(() => {
-    const id = setInterval(() => setFlash(liveRace.lightningTimer > 1.5), 50);
+    const id = setInterval(() => setFlash(liveRace.state?.lightningTimer > 1.5), 50);
     return () => clearInterval(id);
   }, []);
   if (!flash) return null;
@@ -1852,6 +2373,31 @@ function LightningFlash() {
   );
 }
 
+// Online races: who just used which item, so everyone sees the same hazards appear
+function ItemFeed({ players }) {
+  const [feed, setFeed] = useState([]);
+  useEffect(() => {
+    const id = setInterval(() => setFeed(liveRace.feed.filter((e) => performance.now() - e.at < 4000)), 200);
+    return () => clearInterval(id);
+  }, []);
+  const nameOf = (racerId) => {
+    const i = (liveRace.world?.entrants || []).findIndex((e) => e.id === racerId);
+    const entrant = liveRace.world?.entrants[i];
+    if (!entrant) return racerId;
+    return entrant.kind === "player" ? players[i]?.name || `P${i + 1}` : `CPU ${i - players.length + 1}`;
+  };
+  if (!feed.length) return null;
+  return (
+    <div className="pointer-events-none absolute top-44 left-4 space-y-1 text-sm">
+      {feed.map((e, i) => (
+        <div key={`${e.at}-${i}`} className="bg-black/50 rounded-lg px-3 py-1 border border-white/10">
+          <span className="font-semibold">{nameOf(e.racer)}</span> <span className="text-white/70">{ITEMS.find((i) => i.id === e.item)?.feed || `used ${e.item}`}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
 // -----------------------------
 // 3D: Kart preview for selection screens
 // -----------------------------
@@ -1890,10 +2436,10 @@ function TrackPreviewMesh({ track }) {
   if (!curve) return null;
   return (
     <group>
-      <TrackRoad curve={curve} trackWidth={track.trackWidth || 10} roadColor={track.roadColor || "#555"} />
+      <TrackRoad curve={curve} trackWidth={track.trackWidth || 10} roadColor={track.roadColor || "#555"} seed={hashString(track.id)} />
       <TrackCurbs curve={curve} trackWidth={track.trackWidth || 10} />
       <BoostPads curve={curve} boostTs={track.boostTs || []} />
-      <GroundPlane color={track.turf} size={120} />
+      <GroundPlane color={track.turf} size={120} seed={hashString(track.id)} />
     </group>
   );
 }
@@ -1920,8 +2466,7 @@ function TrackPreview({ track }) {
   );
 }
 
-function StepIndicator({ step }) {
-  const steps = ["Character", "Car", "Track"];
+function StepIndicator({ step, steps = ["Character", "Car", "Track"] }) {
   return (
     <div className="shrink-0 flex items-center justify-center gap-1 py-3 px-4">
       {steps.map((s, i) => (
@@ -1960,21 +2505,53 @@ function TopBar(){
 }
 
 function HomeScreen(){
+  const [loadError, setLoadError] = useState(null);
+  const [cup, setCup] = useState(getGrandPrix);
+  const loadReplay = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try { watchReplay(decodeReplay(await file.text())); }
+    catch (err) { setLoadError(err.message); }
+  };
   return (
     <div className="h-full w-full grid place-items-center">
       <div className="text-center max-w-xl px-6">
         <h1 className="text-4xl font-extrabold mb-4">HyperKart 3D</h1>
         <p className="text-white/80 mb-6">Arcade racing in a roaring stadium. Pick your racer, tune your kart, choose a vibe, and punch the gas. Built for Laptop, iPad, and iPhone—controls adapt on the fly.</p>
-        <div className="flex items-center justify-center gap-3">
-          <button onClick={()=> setScreen("character")} className="rounded-2xl bg-indigo-500 hover:bg-indigo-400 px-6 py-3 font-semibold">Start</button>
+        <div className="flex items-center justify-center gap-3 flex-wrap">
+          <button onClick={()=> { setMode("race"); setScreen("character"); }} className="rounded-2xl bg-indigo-500 hover:bg-indigo-400 px-6 py-3 font-semibold">Start</button>
+          <button onClick={()=> { setMode("grandPrix"); setScreen("character"); }} className="rounded-2xl bg-white/10 border border-white/20 px-6 py-3">Grand Prix</button>
+          <button onClick={()=> { setMode("timeTrial"); setScreen("character"); }} className="rounded-2xl bg-white/10 border border-white/20 px-6 py-3">Time Trial</button>
+          <button onClick={()=> { setMode("splitScreen"); setScreen("players"); }} className="rounded-2xl bg-white/10 border border-white/20 px-6 py-3">Split Screen</button>
+          <button onClick={()=> setScreen("online")} className="rounded-2xl bg-white/10 border border-white/20 px-6 py-3">Online</button>
+          <button onClick={()=> { if (!useStore.get().editorTrack) setEditorTrack(createDraftTrack(useStore.get().selectedTrack)); setScreen("editor"); }} className="rounded-2xl bg-white/10 border border-white/20 px-6 py-3">Track Editor</button>
           <button onClick={()=> setScreen("howto")} className="rounded-2xl bg-white/10 border border-white/20 px-6 py-3">How to Play</button>
+          <label className="cursor-pointer rounded-2xl bg-white/10 border border-white/20 px-6 py-3">
+            Load Replay
+            <input type="file" accept=".json,application/json" onChange={loadReplay} className="hidden" />
+          </label>
         </div>
+        {cup && (
+          <div className="mt-4 rounded-2xl border border-yellow-400/40 bg-yellow-500/10 px-4 py-3 flex items-center justify-center gap-3 flex-wrap text-sm">
+            <span className="text-white/80">
+              Grand Prix in progress · {DIFFICULTIES.find((d) => d.id === cup.difficulty)?.name} · {isGrandPrixOver(cup) ? "cup finished" : `race ${cup.results.length + 1} of ${TRACKS.length}`}
+            </span>
+            <button onClick={()=> { setMode("grandPrix"); if (isGrandPrixOver(cup)) setScreen("podium"); else startRace(); }} className="rounded-xl bg-yellow-500 hover:bg-yellow-400 text-black px-4 py-1 font-semibold">{isGrandPrixOver(cup) ? "Trophy Ceremony" : "Continue"}</button>
+            <button onClick={()=> { setGrandPrix(null); setCup(null); }} className="rounded-xl bg-white/10 border border-white/20 px-3 py-1">Abandon</button>
+          </div>
+        )}
+        {loadError && <div className="mt-4 text-sm whitespace-pre-line text-red-300">{loadError}</div>}
+        {getSaveStatus() === "recovered" && (
+          <div className="mt-4 text-sm text-amber-300">Your save data could not be read, so progress started fresh. A copy of the old data was kept.</div>
+        )}
       </div>
     </div>
   );
 }
 
 function HowToPlayScreen(){
+  const bindings = useBindings();
   return (
     <div className="h-full w-full flex flex-col">
       <div className="flex-1 overflow-y-auto min-h-0 px-4 sm:px-6 pb-4 pt-12">
@@ -1987,37 +2564,38 @@ function HowToPlayScreen(){
           <div>
             <h3 className="text-lg font-bold mb-2 text-indigo-300">Keyboard Controls</h3>
             <div className="grid grid-cols-2 gap-2 text-sm">
-              <div className="bg-white/5 rounded-xl p-3 border border-white/10">
-                <div className="font-semibold text-white mb-1">W / Arrow Up</div>
-                <div className="text-white/60">Accelerate</div>
-              </div>
-              <div className="bg-white/5 rounded-xl p-3 border border-white/10">
-                <div className="font-semibold text-white mb-1">S / Arrow Down</div>
-                <div className="text-white/60">Brake / Reverse</div>
-              </div>
-              <div className="bg-white/5 rounded-xl p-3 border border-white/10">
-                <div className="font-semibold text-white mb-1">A / Arrow Left</div>
-                <div className="text-white/60">Steer Left</div>
-              </div>
-              <div className="bg-white/5 rounded-xl p-3 border border-white/10">
-                <div className="font-semibold text-white mb-1">D / Arrow Right</div>
-                <div className="text-white/60">Steer Right</div>
-              </div>
+              {ACTIONS.map((a) => (
+                <div key={a.id} className="bg-white/5 rounded-xl p-3 border border-white/10">
+                  <div className="font-semibold text-white mb-1">{actionKeys(bindings, a.id)}</div>
+                  <div className="text-white/60">{a.label}</div>
+                </div>
+              ))}
+            </div>
+            <p className="text-white/50 text-xs mt-2">Change keys in Settings → Edit key bindings.</p>
+          </div>
+          <div>
+            <h3 className="text-lg font-bold mb-2 text-indigo-300">Controller</h3>
+            <p className="text-white/80 mb-2 text-sm">Pick <span className="font-semibold text-white">Controller</span> under Settings → Platform. The stick steers proportionally and the triggers work as analog gas and brake.</p>
+            <div className="grid grid-cols-2 gap-2 text-sm">
+              {GAMEPAD_MAPPING.map(([button, action]) => (
+                <div key={button} className="bg-white/5 rounded-xl p-3 border border-white/10">
+                  <div className="font-semibold text-white mb-1">{button}</div>
+                  <div className="text-white/60">{action}</div>
+                </div>
+              ))}
             </div>
           </div>
           <div>
             <h3 className="text-lg font-bold mb-2 text-indigo-300">Drift Boost</h3>
-            <p className="text-white/80">Hold <span className="font-semibold text-white">Brake + Steer</span> while moving fast to enter a drift. Release to get a speed boost! The longer you drift, the bigger the boost.</p>
+            <p className="text-white/80">Hold <span className="font-semibold text-white">Brake + Steer</span> (or <span className="font-semibold text-white">{actionKeys(bindings, "drift")}</span> + Steer) while moving fast to enter a drift. Release to get a speed boost! The longer you drift, the bigger the boost.</p>
           </div>
           <div>
             <h3 className="text-lg font-bold mb-2 text-indigo-300">Items</h3>
-            <p className="text-white/80 mb-2">Drive through <span className="font-semibold text-yellow-300">glowing item boxes</span> on the track to pick up a random item. Press <span className="font-semibold text-white">Spacebar</span> to use it!</p>
+            <p className="text-white/80 mb-2">Drive through <span className="font-semibold text-yellow-300">glowing item boxes</span> on the track to pick up a random item. Press <span className="font-semibold text-white">{actionKeys(bindings, "useItem")}</span> to use it!</p>
             <ul className="list-disc list-inside text-white/80 space-y-1">
-              <li><span className="text-green-300 font-semibold">Mushroom</span> — Instant speed boost</li>
-              <li><span className="text-yellow-300 font-semibold">Banana</span> — Drop behind you; spins out anyone who hits it</li>
-              <li><span className="text-red-300 font-semibold">Missile</span> — Fires forward along the track, hits the first kart ahead</li>
-              <li><span className="text-cyan-300 font-semibold">Shield</span> — Blocks one incoming hit for 10 seconds</li>
-              <li><span className="text-purple-300 font-semibold">Lightning</span> — Zaps ALL opponents, slowing them down</li>
+              {ITEMS.map((item) => (
+                <li key={item.id}>{item.icon} <span className="font-semibold text-white">{item.name}</span> — {item.help}</li>
+              ))}
             </ul>
             <p className="text-white/60 text-sm mt-1">Trailing racers get stronger items — comebacks are always possible!</p>
           </div>
@@ -2033,7 +2611,7 @@ function HowToPlayScreen(){
           </div>
           <div>
             <h3 className="text-lg font-bold mb-2 text-indigo-300">Touch Controls</h3>
-            <p className="text-white/80">On iPad/iPhone, on-screen buttons appear for steering, acceleration, and braking.</p>
+            <p className="text-white/80">On iPad/iPhone, on-screen buttons appear for acceleration, braking, drifting and items. Steer with ◀ / ▶ buttons, a drag joystick, or by tilting the device like a wheel — pick one in Settings, where tilt can be calibrated and its sensitivity tuned.</p>
           </div>
         </div>
       </div>
@@ -2044,21 +2622,38 @@ function HowToPlayScreen(){
   );
 }
 
+// Steps of the solo flows; a Grand Prix sets up its cup instead of a track
+function soloSteps(mode) {
+  return mode === "grandPrix" ? ["Character", "Car", "Cup"] : undefined;
+}
+
+// "Gold trophy in the 150cc Grand Prix" for a locked reward
+function rewardHint(entry) {
+  const trophy = TROPHIES.find((t) => t.id === entry.unlock.trophy);
+  const cls = DIFFICULTIES.find((d) => d.id === entry.unlock.difficulty);
+  return `${trophy?.name} trophy in the ${cls?.name} Grand Prix`;
+}
+
 function CharacterScreen(){
   const sel = useSafeSelection();
+  const mode = useMode();
   return (
     <div className="h-full w-full flex flex-col">
-      <StepIndicator step={1} />
+      <StepIndicator step={1} steps={soloSteps(mode)} />
       <div className="flex-1 overflow-y-auto min-h-0 px-4 sm:px-6 pb-4">
         <KartShowcase color={sel.character.color} bodyType={sel.car.id} className="h-40 sm:h-48 mb-4" />
         <div className="text-center text-lg font-semibold mb-3">{sel.character.name}</div>
-        <div className="grid grid-cols-3 sm:grid-cols-6 gap-3">
-          {CHARACTERS.map((c)=> (
-            <button key={c.id} onClick={()=> setCharacter(c)} className={`rounded-2xl border px-2 py-3 text-center transition ${sel.character.id===c.id?"border-white bg-white/10":"border-white/20 bg-white/5 hover:bg-white/10"}`}>
-              <div className="mx-auto h-8 w-8 rounded-full mb-1" style={{background:c.color}} />
-              <div className="text-sm font-medium">{c.name}</div>
-            </button>
-          ))}
+        <div className="grid grid-cols-4 sm:grid-cols-8 gap-3">
+          {CHARACTERS.map((c)=> {
+            const locked = !isRewardOpen(c);
+            return (
+              <button key={c.id} disabled={locked} onClick={()=> setCharacter(c)} title={locked ? `Win a ${rewardHint(c)} to unlock` : undefined}
+                className={`rounded-2xl border px-2 py-3 text-center transition ${locked ? "border-white/10 bg-white/5 opacity-50 cursor-not-allowed" : sel.character.id===c.id?"border-white bg-white/10":"border-white/20 bg-white/5 hover:bg-white/10"}`}>
+                <div className="mx-auto h-8 w-8 rounded-full mb-1 grid place-items-center text-sm" style={{background:c.color}}>{locked && "🔒"}</div>
+                <div className="text-sm font-medium">{c.name}</div>
+              </button>
+            );
+          })}
         </div>
       </div>
       <div className="shrink-0 p-4 border-t border-white/10 flex justify-between">
@@ -2071,9 +2666,10 @@ function CharacterScreen(){
 
 function CarScreen(){
   const sel = useSafeSelection();
+  const mode = useMode();
   return (
     <div className="h-full w-full flex flex-col">
-      <StepIndicator step={2} />
+      <StepIndicator step={2} steps={soloSteps(mode)} />
       <div className="flex-1 overflow-y-auto min-h-0 px-4 sm:px-6 pb-4">
         <KartShowcase color={sel.character.color} bodyType={sel.car.id} className="h-40 sm:h-48 mb-4" />
         <div className="text-center text-lg font-semibold mb-0">{sel.car.name}</div>
@@ -2083,17 +2679,24 @@ function CarScreen(){
           <Stat label="Top Speed" v={sel.car.maxSpeed/4} max={10} />
           <Stat label="Handling" v={sel.car.handling*10} max={12} />
         </div>
-        <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
-          {CARS.map((c)=> (
-            <button key={c.id} onClick={()=> setCar(c)} className={`rounded-2xl border px-3 py-3 text-center transition ${sel.car.id===c.id?"border-white bg-white/10":"border-white/20 bg-white/5 hover:bg-white/10"}`}>
-              <div className="font-semibold">{c.name}</div>
-            </button>
-          ))}
+        <div className="grid grid-cols-2 sm:grid-cols-5 gap-3">
+          {CARS.map((c)=> {
+            const locked = !isRewardOpen(c);
+            return (
+              <button key={c.id} disabled={locked} onClick={()=> setCar(c)} title={locked ? `Win a ${rewardHint(c)} to unlock` : undefined}
+                className={`rounded-2xl border px-3 py-3 text-center transition ${locked ? "border-white/10 bg-white/5 opacity-50 cursor-not-allowed" : sel.car.id===c.id?"border-white bg-white/10":"border-white/20 bg-white/5 hover:bg-white/10"}`}>
+                <div className="font-semibold">{locked && "🔒 "}{c.name}</div>
+                {locked && <div className="text-xs text-white/60">{rewardHint(c)}</div>}
+              </button>
+            );
+          })}
         </div>
       </div>
       <div className="shrink-0 p-4 border-t border-white/10 flex justify-between">
         <button onClick={()=> setScreen("character")} className="rounded-xl bg-white/10 px-4 py-2">Back</button>
-        <button onClick={()=> setScreen("track")} className="rounded-xl bg-indigo-500 px-6 py-2 font-semibold">Next: Track</button>
+        {mode === "grandPrix"
+          ? <button onClick={()=> setScreen("cup")} className="rounded-xl bg-indigo-500 px-6 py-2 font-semibold">Next: Cup</button>
+          : <button onClick={()=> setScreen("track")} className="rounded-xl bg-indigo-500 px-6 py-2 font-semibold">Next: Track</button>}
       </div>
     </div>
   );
@@ -2111,48 +2714,421 @@ function Stat({ label, v, max }){
   );
 }
 
+// Split-screen setup: 2–4 seats, each with a character, car and control scheme
+function PlayersScreen(){
+  const players = useLocalPlayers();
+  const setCount = (n) => {
+    const next = players.slice(0, n);
+    while (next.length < n) {
+      const character = CHARACTERS.find((c) => isRewardOpen(c) && !next.some((p) => p.character === c.id)) || CHARACTERS[0];
+      const scheme = CONTROL_SCHEMES.find((c) => !next.some((p) => p.scheme === c.id)) || CONTROL_SCHEMES[0];
+      next.push({ character: character.id, car: CARS[next.length % CARS.length].id, scheme: scheme.id });
+    }
+    setLocalPlayers(next);
+  };
+  const update = (i, patch) => setLocalPlayers(players.map((p, j) => (j === i ? { ...p, ...patch } : p)));
+  return (
+    <div className="h-full w-full flex flex-col">
+      <StepIndicator step={1} steps={["Players", "Track"]} />
+      <div className="flex-1 overflow-y-auto min-h-0 px-4 sm:px-6 pb-4">
+        <div className="flex items-center justify-center gap-2 mb-4">
+          <span className="text-white/80 mr-1">Players</span>
+          {[2, 3, 4].map((n) => (
+            <button key={n} onClick={() => setCount(n)} className={`rounded-xl border px-4 py-1 ${players.length === n ? "bg-white/20 border-white/50" : "bg-white/5 border-white/20"}`}>{n}</button>
+          ))}
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          {players.map((p, i) => {
+            const character = CHARACTERS.find((c) => c.id === p.character) || CHARACTERS[0];
+            return (
+              <div key={i} className="rounded-2xl border border-white/20 bg-white/5 p-4">
+                <div className="flex items-center justify-between mb-3">
+                  <div className="font-black text-lg" style={{ color: character.color }}>P{i + 1} · {character.name}</div>
+                  <select value={p.scheme} onChange={(e) => update(i, { scheme: e.target.value })} className="rounded-lg bg-zinc-800 border border-white/20 px-2 py-1 text-sm">
+                    {CONTROL_SCHEMES.map((c) => (
+                      <option key={c.id} value={c.id} disabled={players.some((o, j) => j !== i && o.scheme === c.id)}>{c.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="flex gap-2 flex-wrap mb-3">
+                  {CHARACTERS.filter(isRewardOpen).map((c) => {
+                    const taken = players.some((o, j) => j !== i && o.character === c.id);
+                    return (
+                      <button key={c.id} disabled={taken} onClick={() => update(i, { character: c.id })} title={c.name}
+                        className={`h-8 w-8 rounded-full border-2 ${p.character === c.id ? "border-white" : "border-transparent"} ${taken ? "opacity-20 cursor-not-allowed" : ""}`}
+                        style={{ background: c.color }} />
+                    );
+                  })}
+                </div>
+                <div className="flex gap-2 flex-wrap">
+                  {CARS.filter(isRewardOpen).map((c) => (
+                    <button key={c.id} onClick={() => update(i, { car: c.id })} className={`rounded-xl border px-3 py-1 text-sm ${p.car === c.id ? "border-white bg-white/10" : "border-white/20 bg-white/5 hover:bg-white/10"}`}>{c.name}</button>
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+        <div className="mt-4 text-center text-xs text-white/50">
+          Keyboard schemes use Q / Enter / U / Num 0 for items. Gamepads: stick or D-pad to steer, A/RT gas, B/LT brake, X/RB item, Y/LB drift. Esc or Start pauses.
+        </div>
+      </div>
+      <div className="shrink-0 p-4 border-t border-white/10 flex justify-between">
+        <button onClick={()=> setScreen("home")} className="rounded-xl bg-white/10 px-4 py-2">Back</button>
+        <button onClick={()=> setScreen("track")} className="rounded-xl bg-indigo-500 px-6 py-2 font-semibold">Next: Track</button>
+      </div>
+    </div>
+  );
+}
+
+// Online lobby: connect to a relay, create or join a room, pick a kart. The
+// host also picks class, track and laps and starts the race for everyone.
+function OnlineScreen(){
+  const online = useOnline();
+  const { character, car, track, laps, difficulty } = useSafeSelection();
+  const [url, setUrl] = useState(defaultRelayUrl);
+  const [name, setName] = useState(() => character.name);
+  const [room, setRoom] = useState("");
+  const session = netplay.session;
+  const isHost = !!session?.isHost();
+  const unlocked = getUnlocked(difficulty);
+  // Coming back from a race: the host tells everyone the race is over
+  useEffect(() => { if (netplay.session?.isHost()) publishLobby(); }, []);
+
+  const pickCharacter = (c) => { setCharacter(c); sendProfile(); };
+  const pickCar = (c) => { setCar(c); sendProfile(); };
+  const pickTrack = (t) => { setTrack(t); publishLobby(); };
+  const pickLaps = (n) => { setLaps(n); publishLobby(); };
+  const pickDifficulty = (d) => { setDifficulty(d); publishLobby(); };
+
+  if (online.status !== "connected" || !session) {
+    const busy = online.status === "connecting";
+    return (
+      <div className="h-full w-full grid place-items-center">
+        <div className="w-[min(92vw,420px)] rounded-2xl border border-white/20 bg-white/5 p-6">
+          <h2 className="text-2xl font-extrabold mb-1">Online</h2>
+          <p className="text-sm text-white/60 mb-4">Race friends on your network. One of you runs the relay with <span className="font-mono">npm run relay</span>.</p>
+          <label className="block text-xs uppercase tracking-wider text-white/60 mb-1">Server</label>
+          <input value={url} onChange={(e) => setUrl(e.target.value)} className="w-full mb-3 rounded-lg bg-zinc-800 border border-white/20 px-3 py-2 font-mono text-sm" />
+          <label className="block text-xs uppercase tracking-wider text-white/60 mb-1">Your name</label>
+          <input value={name} maxLength={20} onChange={(e) => setName(e.target.value)} className="w-full mb-3 rounded-lg bg-zinc-800 border border-white/20 px-3 py-2" />
+          <label className="block text-xs uppercase tracking-wider text-white/60 mb-1">Room code</label>
+          <input value={room} maxLength={4} onChange={(e) => setRoom(e.target.value.toUpperCase())} placeholder="Leave empty to create a room" className="w-full mb-4 rounded-lg bg-zinc-800 border border-white/20 px-3 py-2 font-mono uppercase" />
+          {online.error && <div className="mb-3 text-sm text-red-300">{online.error}</div>}
+          <div className="flex justify-between gap-2">
+            <button onClick={() => setScreen("home")} className="rounded-xl bg-white/10 px-4 py-2">Back</button>
+            <button disabled={busy} onClick={() => goOnline(url.trim(), { room: room.trim(), name: name.trim() })} className="rounded-xl bg-indigo-500 hover:bg-indigo-400 px-6 py-2 font-semibold disabled:opacity-50">
+              {busy ? "Connecting…" : room.trim() ? "Join Room" : "Create Room"}
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const lobbyTrack = TRACKS.find((t) => t.id === online.lobby?.track);
+  const lobbyClass = DIFFICULTIES.find((d) => d.id === online.lobby?.difficulty);
+  return (
+    <div className="h-full w-full flex flex-col">
+      <div className="flex-1 overflow-y-auto min-h-0 px-4 sm:px-6 pb-4 pt-8">
+        <div className="text-center mb-4">
+          <div className="text-xs uppercase tracking-widest text-white/60">Room</div>
+          <div className="text-4xl font-black font-mono tracking-widest select-all">{online.room}</div>
+        </div>
+        <div className="max-w-2xl mx-auto grid md:grid-cols-2 gap-4">
+          <div className="rounded-2xl border border-white/20 bg-white/5 p-4">
+            <div className="text-sm uppercase tracking-wider text-white/70 mb-2">Players</div>
+            {(online.lobby?.players || []).map((p, i) => {
+              const c = CHARACTERS.find((x) => x.id === p.character);
+              return (
+                <div key={p.id} className="flex items-center gap-2 py-1">
+                  <span className="h-4 w-4 rounded-full border border-white/30" style={{ background: c?.color || "#666" }} />
+                  <span className="font-semibold">{p.name}</span>
+                  <span className="text-white/50 text-sm">{c?.name || "…"} · {CARS.find((x) => x.id === p.car)?.name || "…"}</span>
+                  {i === 0 && <span className="ml-auto text-xs rounded bg-yellow-500/80 text-black px-1.5">HOST</span>}
+                  {p.id === online.myId && <span className={`${i === 0 ? "" : "ml-auto "}text-xs rounded bg-white/20 px-1.5`}>YOU</span>}
+                </div>
+              );
+            })}
+            <div className="mt-3 text-sm text-white/60">
+              {lobbyTrack ? <>Track <span className="text-white">{lobbyTrack.name}</span> · {online.lobby.laps} laps{lobbyClass && <> · {lobbyClass.name}</>}</> : "Waiting for the host…"}
+            </div>
+          </div>
+          <div className="rounded-2xl border border-white/20 bg-white/5 p-4">
+            <div className="text-sm uppercase tracking-wider text-white/70 mb-2">Your kart</div>
+            <div className="flex gap-2 flex-wrap mb-3">
+              {CHARACTERS.filter(isRewardOpen).map((c) => (
+                <button key={c.id} onClick={() => pickCharacter(c)} title={c.name}
+                  className={`h-8 w-8 rounded-full border-2 ${character.id === c.id ? "border-white" : "border-transparent"}`} style={{ background: c.color }} />
+              ))}
+            </div>
+            <div className="flex gap-2 flex-wrap">
+              {CARS.filter(isRewardOpen).map((c) => (
+                <button key={c.id} onClick={() => pickCar(c)} className={`rounded-xl border px-3 py-1 text-sm ${car.id === c.id ? "border-white bg-white/10" : "border-white/20 bg-white/5 hover:bg-white/10"}`}>{c.name}</button>
+              ))}
+            </div>
+            {isHost && (
+              <>
+                <div className="text-sm uppercase tracking-wider text-white/70 mt-4 mb-2">Class</div>
+                <ClassPicker value={difficulty} onChange={pickDifficulty} />
+                <div className="text-sm uppercase tracking-wider text-white/70 mt-4 mb-2">Track</div>
+                <div className="flex gap-2 flex-wrap mb-3">
+                  {TRACKS.filter((t) => unlocked[t.id]).map((t) => (
+                    <button key={t.id} onClick={() => pickTrack(t)} className={`rounded-xl border px-3 py-1 text-sm ${track.id === t.id ? "border-white bg-white/10" : "border-white/20 bg-white/5 hover:bg-white/10"}`}>{t.name}</button>
+                  ))}
+                </div>
+                <div className="flex items-center gap-2 text-sm">
+                  <span className="text-white/70">Laps</span>
+                  <button onClick={() => pickLaps(Math.max(1, laps - 1))} className="rounded-lg bg-white/10 px-2">−</button>
+                  <span className="tabular-nums w-4 text-center">{laps}</span>
+                  <button onClick={() => pickLaps(Math.min(7, laps + 1))} className="rounded-lg bg-white/10 px-2">+</button>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+      <div className="shrink-0 p-4 border-t border-white/10 flex justify-between">
+        <button onClick={() => { leaveOnline(); setScreen("home"); }} className="rounded-xl bg-white/10 px-4 py-2">Leave</button>
+        {isHost
+          ? <button onClick={startOnlineRace} className="rounded-xl bg-indigo-500 hover:bg-indigo-400 px-6 py-2 font-semibold">Start Race</button>
+          : <div className="text-sm text-white/60 self-center">The host starts the race</div>}
+      </div>
+    </div>
+  );
+}
+
+// Difficulty class buttons; a locked class says what opens it
+function ClassPicker({ value, onChange }) {
+  return (
+    <div className="flex gap-2 flex-wrap">
+      {DIFFICULTIES.map((d) => {
+        const locked = !isClassUnlocked(d.id);
+        return (
+          <button key={d.id} disabled={locked} onClick={() => onChange(d.id)} title={locked ? `Win every track on ${d.unlockedBy} to unlock` : undefined}
+            className={`rounded-xl border px-3 py-1 text-sm ${locked ? "border-white/10 bg-white/5 opacity-50 cursor-not-allowed" : value === d.id ? "border-white bg-white/10" : "border-white/20 bg-white/5 hover:bg-white/10"}`}>
+            {locked && "🔒 "}{d.name}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
 function TrackScreen(){
   const sel = useSafeSelection();
+  const mode = useMode();
+  const mushrooms = useTimeTrialMushrooms();
   const [laps, setL] = useState(sel.laps);
-  const [unlocked, setUnlocked] = useState(getUnlocked());
+  const [seedText, setSeedText] = useState("");
+  const [ghost, setGhost] = useState(null);
+  const [ghostError, setGhostError] = useState(null);
+  // ghostError is { text, trackId?, laps? }; one about a track and lap count outlives switching to them
+  useEffect(()=> {
+    setGhost(mode === "timeTrial" ? loadGhost(sel.track.id, laps) : null);
+    setGhostError((err) => (err?.trackId === sel.track.id && err.laps === sel.laps ? err : null));
+  }, [mode, sel.track.id, laps]);
+  const onImportGhost = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const { replay, newBest } = importGhost(await file.text());
+      const track = findTrack(replay.meta.trackId);
+      if (!track || !(isUserTrackId(track.id) || getUnlocked()[track.id])) {
+        setGhostError({ text: newBest ? "Ghost saved for a track you can't race yet" : "You already have a faster ghost on that track" });
+        return;
+      }
+      // Changing the track or laps reloads the saved ghost; refresh it in case neither changed
+      setTrack(track);
+      setLaps(replay.meta.laps);
+      setGhost(loadGhost(track.id, replay.meta.laps));
+      setGhostError(newBest ? null : { text: `Kept your faster ghost (the imported one ran ${formatTime(ghostTime(replay))})`, trackId: track.id, laps: replay.meta.laps });
+    } catch (err) { setGhostError({ text: err.message }); }
+  };
+  // Time Trial always runs TIME_TRIAL_DIFFICULTY, on any track opened in some class
+  const unlocked = getUnlocked(mode === "timeTrial" ? null : sel.difficulty);
+  const className = DIFFICULTIES.find((d) => d.id === sel.difficulty)?.name;
   useEffect(()=> setL(sel.laps), [sel.laps]);
-  useEffect(()=> setUnlocked(getUnlocked()), []);
+  useEffect(()=> { if (!isUserTrackId(sel.track.id) && !unlocked[sel.track.id]) setTrack(TRACKS[0]); }, [mode, sel.difficulty, sel.track.id]);
+  const [tracks, setTracks] = useState(allTracks);
+  const [trackError, setTrackError] = useState(null);
+  const [dragging, setDragging] = useState(false);
+  const onImportTrack = async (file) => {
+    if (!file) return;
+    try {
+      const imported = importTrack(await file.text());
+      setTracks(allTracks());
+      setTrack(imported);
+      setTrackError(null);
+    } catch (err) { setTrackError(`${file.name}: ${err.message}`); }
+  };
+  const onDeleteTrack = (t) => {
+    removeUserTrack(t.id);
+    setTracks(allTracks());
+    if (sel.track.id === t.id) setTrack(TRACKS[0]);
+  };
+  const dropHandlers = {
+    onDragOver: (e) => { e.preventDefault(); setDragging(true); },
+    onDragLeave: (e) => { if (!e.currentTarget.contains(e.relatedTarget)) setDragging(false); },
+    onDrop: (e) => { e.preventDefault(); setDragging(false); onImportTrack(e.dataTransfer.files?.[0]); },
+  };
   const diffLabel = (d) => d === 1 ? "Easy" : d === 2 ? "Medium" : "Hard";
   const diffColor = (d) => d === 1 ? "text-green-400" : d === 2 ? "text-yellow-400" : "text-red-400";
   return (
-    <div className="h-full w-full flex flex-col">
-      <StepIndicator step={3} />
+    <div className="h-full w-full flex flex-col relative" {...dropHandlers}>
+      {dragging && (
+        <div className="pointer-events-none absolute inset-2 z-20 grid place-items-center rounded-2xl border-2 border-dashed border-indigo-300 bg-indigo-500/20 text-lg font-semibold">Drop a track file to import it</div>
+      )}
+      {mode === "splitScreen" ? <StepIndicator step={2} steps={["Players", "Track"]} /> : <StepIndicator step={3} />}
       <div className="flex-1 overflow-y-auto min-h-0 px-4 sm:px-6 pb-4">
         <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mb-4">
-          {TRACKS.map((t)=> {
-            const isLocked = !unlocked[t.id];
+          {tracks.map((t)=> {
+            const isLocked = !isUserTrackId(t.id) && !unlocked[t.id];
             return (
-              <button key={t.id} onClick={()=> { if (!isLocked) setTrack(t); }} className={`rounded-2xl border px-4 py-4 text-left transition relative ${isLocked ? "border-white/10 bg-white/5 opacity-50 cursor-not-allowed" : sel.track.id===t.id?"border-white bg-white/10":"border-white/20 bg-white/5 hover:bg-white/10"}`}>
-                {isLocked && (
-                  <div className="absolute inset-0 flex items-center justify-center z-10 rounded-2xl bg-black/40">
-                    <div className="text-center">
-                      <div className="text-2xl mb-1">🔒</div>
-                      <div className="text-xs text-white/60">Win previous track to unlock</div>
+              <div key={t.id} className="flex flex-col gap-1">
+                <button onClick={()=> { if (!isLocked) setTrack(t); }} className={`rounded-2xl border px-4 py-4 text-left transition relative ${isLocked ? "border-white/10 bg-white/5 opacity-50 cursor-not-allowed" : sel.track.id===t.id?"border-white bg-white/10":"border-white/20 bg-white/5 hover:bg-white/10"}`}>
+                  {isLocked && (
+                    <div className="absolute inset-0 flex items-center justify-center z-10 rounded-2xl bg-black/40">
+                      <div className="text-center">
+                        <div className="text-2xl mb-1">🔒</div>
+                        <div className="text-xs text-white/60">Win previous track{mode === "timeTrial" ? "" : ` on ${className}`} to unlock</div>
+                      </div>
                     </div>
+                  )}
+                  <div className="flex items-center justify-between mb-2">
+                    <div className="font-semibold text-lg">{t.name}</div>
+                    <div className={`text-xs font-medium ${diffColor(t.difficulty)}`}>{diffLabel(t.difficulty)}</div>
                   </div>
-                )}
-                <div className="flex items-center justify-between mb-2">
-                  <div className="font-semibold text-lg">{t.name}</div>
-                  <div className={`text-xs font-medium ${diffColor(t.difficulty)}`}>{diffLabel(t.difficulty)}</div>
+                  <TrackPreview track={t} />
+                </button>
+                <div className="flex items-center gap-2 px-1 text-xs text-white/60">
+                  <span className="truncate">{isUserTrackId(t.id) ? `Imported${t.author ? ` · by ${t.author}` : ""}` : "Built-in"}</span>
+                  <button onClick={()=> exportTrackFile(t)} className="ml-auto rounded-lg bg-white/10 border border-white/20 px-2 py-0.5 hover:bg-white/20 transition">Export</button>
+                  {isUserTrackId(t.id) && <button onClick={()=> onDeleteTrack(t)} className="rounded-lg bg-red-500/20 border border-red-400/40 px-2 py-0.5 hover:bg-red-500/30 transition">Delete</button>}
                 </div>
-                <TrackPreview track={t} />
-              </button>
+              </div>
             );
           })}
         </div>
+        <div className="mb-4 flex items-center gap-3 flex-wrap text-sm">
+          <label className="cursor-pointer rounded-lg bg-white/10 border border-white/20 px-3 py-1 hover:bg-white/20 transition">
+            Import Track
+            <input type="file" accept=".json,application/json" onChange={(e)=> { const file = e.target.files?.[0]; e.target.value = ""; onImportTrack(file); }} className="hidden" />
+          </label>
+          <span className="text-white/50">or drop a track file anywhere on this screen</span>
+          {trackError && <div className="w-full whitespace-pre-line text-red-300">{trackError}</div>}
+        </div>
+        {mode !== "timeTrial" && (
+          <div className="mb-4">
+            <div className="mb-2 text-white/80">Class</div>
+            <ClassPicker value={sel.difficulty} onChange={setDifficulty} />
+          </div>
+        )}
         <div className="mb-2">
           <div className="mb-2 text-white/80">Laps: {laps}</div>
           <input type="range" min={1} max={7} value={laps} onChange={(e)=>{ setL(+e.target.value); setLaps(+e.target.value); }} className="w-full" />
         </div>
+        {mode === "timeTrial" ? (
+          <>
+            <div className="mb-2">
+              <div className="mb-2 text-white/80">Mushrooms: {mushrooms}</div>
+              <input type="range" min={0} max={5} value={mushrooms} onChange={(e)=> setTimeTrialMushrooms(+e.target.value)} className="w-full" />
+            </div>
+            <div className="mb-2 rounded-xl bg-white/5 border border-white/20 px-3 py-2 flex items-center justify-between gap-3 flex-wrap">
+              <div className="text-sm text-white/80">
+                Personal best <span className="font-semibold tabular-nums text-white">{ghost ? formatTime(ghostTime(ghost)) : "—"}</span>
+                <span className="text-white/50"> · {sel.track.name}, {laps} {laps === 1 ? "lap" : "laps"}</span>
+              </div>
+              <div className="flex gap-2 text-sm">
+                {ghost && (
+                  <button onClick={()=> downloadText(`hyperkart-ghost-${ghost.meta.trackId}-${ghost.meta.laps}laps.replay.json`, exportGhost(ghost))} className="rounded-lg bg-white/10 border border-white/20 px-3 py-1 hover:bg-white/20 transition">Export Ghost</button>
+                )}
+                <label className="cursor-pointer rounded-lg bg-white/10 border border-white/20 px-3 py-1 hover:bg-white/20 transition">
+                  Import Ghost
+                  <input type="file" accept=".json,application/json" onChange={onImportGhost} className="hidden" />
+                </label>
+              </div>
+              {ghostError && <div className="w-full text-sm whitespace-pre-line text-red-300">{ghostError.text}</div>}
+            </div>
+          </>
+        ) : (
+          <div className="mb-2">
+            <div className="mb-2 text-white/80">Race seed</div>
+            <input value={seedText} onChange={(e)=> setSeedText(e.target.value)} placeholder="Random — or paste a seed from a finish screen" className="w-full rounded-xl bg-white/5 border border-white/20 px-3 py-2 font-mono text-sm placeholder:font-sans placeholder:text-white/30" />
+          </div>
+        )}
+      </div>
+      <div className="shrink-0 p-4 border-t border-white/10 flex justify-between">
+        <button onClick={()=> setScreen(mode === "splitScreen" ? "players" : "car")} className="rounded-xl bg-white/10 px-4 py-2">Back</button>
+        <button onClick={()=> startRace(parseSeed(seedText))} className="rounded-xl bg-green-500 px-6 py-2 font-semibold">{mode === "timeTrial" ? "Start Time Trial" : "Start Race"}</button>
+      </div>
+    </div>
+  );
+}
+
+// Grand Prix setup: class and laps for a cup over every track, with the
+// trophies won so far and the rewards they open
+function GrandPrixScreen(){
+  const sel = useSafeSelection();
+  const trophies = getTrophies();
+  const start = () => {
+    setGrandPrix(createGrandPrix({ difficulty: sel.difficulty, character: sel.character.id, car: sel.car.id, laps: sel.laps }));
+    startRace();
+  };
+  return (
+    <div className="h-full w-full flex flex-col">
+      <StepIndicator step={3} steps={soloSteps("grandPrix")} />
+      <div className="flex-1 overflow-y-auto min-h-0 px-4 sm:px-6 pb-4">
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mb-4">
+          {TRACKS.map((t, i) => (
+            <div key={t.id} className="rounded-2xl border border-white/20 bg-white/5 px-4 py-4">
+              <div className="flex items-center justify-between mb-2">
+                <div className="font-semibold text-lg">{t.name}</div>
+                <div className="text-xs text-white/60">Race {i + 1}</div>
+              </div>
+              <TrackPreview track={t} />
+            </div>
+          ))}
+        </div>
+        <div className="mb-4">
+          <div className="mb-2 text-white/80">Class</div>
+          <ClassPicker value={sel.difficulty} onChange={setDifficulty} />
+        </div>
+        <div className="mb-4">
+          <div className="mb-2 text-white/80">Laps per race: {sel.laps}</div>
+          <input type="range" min={1} max={7} value={sel.laps} onChange={(e)=> setLaps(+e.target.value)} className="w-full" />
+        </div>
+        <div className="mb-4 text-sm text-white/70">
+          Every racer scores points by finishing place: {GP_POINTS.map((p, i) => `${ordinal(i + 1)} ${p}`).join(" · ")}. The top three after the last race take a trophy.
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          <div className="rounded-2xl border border-white/20 bg-white/5 p-4">
+            <div className="text-sm uppercase tracking-wider text-white/70 mb-2">Trophies</div>
+            {DIFFICULTIES.map((d) => {
+              const trophy = TROPHIES.find((t) => t.id === trophies[d.id]);
+              return (
+                <div key={d.id} className="flex items-center justify-between py-1 text-sm">
+                  <span>{d.name}</span>
+                  <span style={{ color: trophy?.color }}>{trophy ? `${trophy.icon} ${trophy.name}` : "—"}</span>
+                </div>
+              );
+            })}
+          </div>
+          <div className="rounded-2xl border border-white/20 bg-white/5 p-4">
+            <div className="text-sm uppercase tracking-wider text-white/70 mb-2">Rewards</div>
+            {[...CHARACTERS, ...CARS].filter((e) => e.unlock).map((e) => (
+              <div key={e.id} className="flex items-center justify-between gap-3 py-1 text-sm">
+                <span className="font-semibold">{isRewardOpen(e) ? "✓" : "🔒"} {e.name}</span>
+                <span className="text-white/60 text-right">{rewardHint(e)}</span>
+              </div>
+            ))}
+          </div>
+        </div>
       </div>
       <div className="shrink-0 p-4 border-t border-white/10 flex justify-between">
         <button onClick={()=> setScreen("car")} className="rounded-xl bg-white/10 px-4 py-2">Back</button>
-        <button onClick={()=> setScreen("race")} className="rounded-xl bg-green-500 px-6 py-2 font-semibold">Start Race</button>
+        <button onClick={start} className="rounded-xl bg-green-500 px-6 py-2 font-semibold">Start Grand Prix</button>
       </div>
     </div>
   );
@@ -2207,13 +3183,54 @@ function Confetti() {
   );
 }
 
-function FinishScreen({ position, trackId }) {
+// Every lap of the player's race split into sectors; the fastest lap is highlighted
+function LapTable({ laps, record }) {
+  if (!laps?.length) return null;
+  const best = Math.min(...laps.map((l) => l.time));
+  const sectors = (lap) => [...lap.splits, lap.time].map((t, i, all) => (i === 0 ? t : t - all[i - 1]));
+  return (
+    <div className="mb-4">
+      <table className="w-full text-sm tabular-nums">
+        <thead>
+          <tr className="text-xs uppercase tracking-wider text-white/50">
+            <th className="text-left font-medium pb-1">Lap</th>
+            {SECTOR_SPLITS.map((_, i) => <th key={i} className="text-right font-medium pb-1">S{i + 1}</th>)}
+            <th className="text-right font-medium pb-1">S{SECTOR_SPLITS.length + 1}</th>
+            <th className="text-right font-medium pb-1">Time</th>
+          </tr>
+        </thead>
+        <tbody>
+          {laps.map((lap, i) => {
+            const isBest = lap.time === best;
+            const parts = lap.splits.length === SECTOR_SPLITS.length ? sectors(lap) : Array(SECTOR_SPLITS.length + 1).fill(null);
+            return (
+              <tr key={i} className={isBest ? "text-yellow-300 font-semibold" : "text-white/80"}>
+                <td className="text-left">{i + 1}{isBest && " ★"}</td>
+                {parts.map((t, j) => <td key={j} className="text-right">{t != null ? formatTime(t) : "—"}</td>)}
+                <td className="text-right">{formatTime(lap.time)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <div className="mt-2 text-xs text-white/60">
+        {!record || best < record.time ? <span className="text-green-300 font-semibold">New track record!</span> : <>Track record {formatTime(record.time)}</>}
+      </div>
+    </div>
+  );
+}
+
+// `online`: no unlocks or seed replays; the way on leads back to the lobby.
+// `testDrive`: an editor draft — no unlocks, the way on leads back to the editor.
+function FinishScreen({ position, trackId, difficulty, seed, laps, record, online = false, testDrive: drafted = false }) {
   const isWinner = position === 1;
   const isPodium = position <= 3;
-  // Unlock next track on win
+  // Unlock next track (or, after the last one, the next class) on win
   useEffect(() => {
-    if (isWinner && trackId) unlockNext(trackId);
-  }, [isWinner, trackId]);
+    if (isWinner && trackId) unlockNext(trackId, difficulty);
+  }, [isWinner, trackId, difficulty]);
+  const trackIndex = TRACKS.findIndex(t => t.id === trackId);
+  const opensClasses = trackIndex === TRACKS.length - 1 ? DIFFICULTIES.filter(d => d.unlockedBy === difficulty) : [];
   const posText = position === 1 ? "1st" : position === 2 ? "2nd" : position === 3 ? "3rd" : `${position}th`;
   const borderColor = isWinner ? "border-yellow-400/60" : isPodium ? "border-white/30" : "border-white/20";
   const bgGrad = isWinner
@@ -2226,7 +3243,7 @@ function FinishScreen({ position, trackId }) {
     <div className="absolute inset-0 grid place-items-center pointer-events-none z-10">
       {isWinner && <Confetti />}
       <div
-        className={`pointer-events-auto ${bgGrad} border ${borderColor} rounded-2xl p-8 text-center max-w-sm mx-4`}
+        className={`pointer-events-auto ${bgGrad} border ${borderColor} rounded-2xl p-8 text-center max-w-md mx-4`}
         style={{ animation: "slideUp 0.5s ease-out" }}
       >
         {isWinner && <div className="text-6xl mb-2">🏆</div>}
@@ -2241,12 +3258,115 @@ function FinishScreen({ position, trackId }) {
         </div>
         <div className={`text-lg mb-6 ${isWinner ? "text-yellow-100/90" : "text-white/70"}`}>
           {isWinner ? (
-            <>You won the race!{trackId && TRACKS.findIndex(t=>t.id===trackId) < TRACKS.length - 1 && <span className="block text-sm mt-1 text-green-300">New track unlocked!</span>}</>
+            <>You won the race!{trackIndex >= 0 && trackIndex < TRACKS.length - 1 && <span className="block text-sm mt-1 text-green-300">New track unlocked!</span>}
+              {opensClasses.map(d => <span key={d.id} className="block text-sm mt-1 text-green-300">{d.name} class unlocked!</span>)}</>
           ) : isPodium ? "Great race! So close!" : "Better luck next time!"}
         </div>
+        <LapTable laps={laps} record={record} />
+        {seed != null && (
+          <div className="mb-4 flex items-center justify-center gap-2 text-sm text-white/70">
+            <span>Seed <span className="font-mono font-semibold text-white select-all">{formatSeed(seed)}</span></span>
+            <button onClick={() => startRace(seed)} className="rounded-lg bg-white/10 border border-white/20 px-2 py-0.5 text-xs hover:bg-white/20 transition">Race this seed</button>
+          </div>
+        )}
+        <div className="flex gap-3 justify-center flex-wrap">
+          {online ? (
+            netplay.session && <button onClick={() => setScreen("online")} className="rounded-xl px-5 py-2 font-semibold transition bg-indigo-500 hover:bg-indigo-400">Back to Lobby</button>
+          ) : drafted ? (
+            <>
+              <button onClick={() => setScreen("editor")} className="rounded-xl px-5 py-2 font-semibold transition bg-indigo-500 hover:bg-indigo-400">Back to Editor</button>
+              <button onClick={() => testDrive()} className="rounded-xl bg-white/10 border border-white/20 px-4 py-2 hover:bg-white/20 transition">Drive Again</button>
+            </>
+          ) : (
+            <>
+              <button onClick={() => setScreen("track")} className="rounded-xl bg-white/10 border border-white/20 px-4 py-2 hover:bg-white/20 transition">Change Track</button>
+              <button onClick={() => startRace()} className={`rounded-xl px-5 py-2 font-semibold transition ${isWinner ? "bg-yellow-500 hover:bg-yellow-400 text-black" : "bg-indigo-500 hover:bg-indigo-400"}`}>Race Again</button>
+            </>
+          )}
+          {liveRace.recorder && (
+            <button onClick={() => watchReplay(openReplay(finishReplay(liveRace.recorder, liveRace.state)))} className="rounded-xl bg-white/10 border border-white/20 px-4 py-2 hover:bg-white/20 transition">Watch Replay</button>
+          )}
+          <button onClick={() => { if (online) leaveOnline(); setScreen("home"); }} className="rounded-xl bg-white/10 border border-white/20 px-4 py-2 hover:bg-white/20 transition">Main Menu</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Split-screen results: every local player's place, race time and best lap
+function SplitFinishScreen({ players, seed }) {
+  const results = players
+    .map((p, i) => {
+      const r = getRacer(humanId(i));
+      const best = r?.lapTimes.length ? Math.min(...r.lapTimes.map((l) => l.time)) : null;
+      return { index: i, name: p.character.name, color: p.character.color, place: r?.finishPlace || r?.place || i + 1, time: r?.finishTime, best };
+    })
+    .sort((a, b) => a.place - b.place);
+  const fastest = Math.min(...results.map((r) => r.best ?? Infinity));
+  return (
+    <div className="absolute inset-0 grid place-items-center pointer-events-none z-10">
+      <div className="pointer-events-auto bg-black/80 border border-white/20 rounded-2xl p-8 text-center max-w-md mx-4" style={{ animation: "slideUp 0.5s ease-out" }}>
+        <div className="text-5xl mb-2">🏁</div>
+        <div className="text-3xl font-black mb-4">P{results[0].index + 1} {results[0].place === 1 ? "wins!" : "finishes ahead"}</div>
+        <table className="w-full text-sm tabular-nums mb-6">
+          <thead>
+            <tr className="text-xs uppercase tracking-wider text-white/50">
+              <th className="text-left font-medium pb-1">Place</th>
+              <th className="text-left font-medium pb-1">Player</th>
+              <th className="text-right font-medium pb-1">Time</th>
+              <th className="text-right font-medium pb-1">Best lap</th>
+            </tr>
+          </thead>
+          <tbody>
+            {results.map((r) => (
+              <tr key={r.index}>
+                <td className="text-left font-bold">{r.place}</td>
+                <td className="text-left font-semibold" style={{ color: r.color }}>P{r.index + 1} · {r.name}</td>
+                <td className="text-right">{r.time != null ? formatTime(r.time) : "—"}</td>
+                <td className={`text-right ${r.best === fastest ? "text-yellow-300 font-semibold" : ""}`}>{r.best != null ? formatTime(r.best) : "—"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="mb-4 flex items-center justify-center gap-2 text-sm text-white/70">
+          <span>Seed <span className="font-mono font-semibold text-white select-all">{formatSeed(seed)}</span></span>
+          <button onClick={() => startRace(seed)} className="rounded-lg bg-white/10 border border-white/20 px-2 py-0.5 text-xs hover:bg-white/20 transition">Race this seed</button>
+        </div>
+        <div className="flex gap-3 justify-center flex-wrap">
+          <button onClick={() => setScreen("track")} className="rounded-xl bg-white/10 border border-white/20 px-4 py-2 hover:bg-white/20 transition">Change Track</button>
+          <button onClick={() => startRace()} className="rounded-xl px-5 py-2 font-semibold transition bg-indigo-500 hover:bg-indigo-400">Race Again</button>
+          {liveRace.recorder && (
+            <button onClick={() => watchReplay(openReplay(finishReplay(liveRace.recorder, liveRace.state)))} className="rounded-xl bg-white/10 border border-white/20 px-4 py-2 hover:bg-white/20 transition">Watch Replay</button>
+          )}
+          <button onClick={() => setScreen("home")} className="rounded-xl bg-white/10 border border-white/20 px-4 py-2 hover:bg-white/20 transition">Main Menu</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function TimeTrialFinishScreen({ time, best, newBest, laps, record }) {
+  return (
+    <div className="absolute inset-0 grid place-items-center pointer-events-none z-10">
+      {newBest && <Confetti />}
+      <div
+        className={`pointer-events-auto border rounded-2xl p-8 text-center max-w-md mx-4 ${newBest ? "bg-gradient-to-b from-cyan-900/70 via-black/70 to-black/80 border-cyan-300/60" : "bg-black/70 border-white/20"}`}
+        style={{ animation: "slideUp 0.5s ease-out" }}
+      >
+        <div className="text-5xl mb-2">⏱️</div>
+        <div className="text-5xl font-black mb-1 tabular-nums">{time != null ? formatTime(time) : "—"}</div>
+        <div className={`text-lg mb-6 ${newBest ? "text-cyan-200" : "text-white/70"}`}>
+          {newBest
+            ? best != null ? `New personal best! ${formatTime(best - time)} faster` : "First ghost saved!"
+            : `Best ${formatTime(best)} · +${formatTime(time - best)}`}
+        </div>
+        <LapTable laps={laps} record={record} />
         <div className="flex gap-3 justify-center flex-wrap">
           <button onClick={() => setScreen("track")} className="rounded-xl bg-white/10 border border-white/20 px-4 py-2 hover:bg-white/20 transition">Change Track</button>
-          <button onClick={() => setScreen("race")} className={`rounded-xl px-5 py-2 font-semibold transition ${isWinner ? "bg-yellow-500 hover:bg-yellow-400 text-black" : "bg-indigo-500 hover:bg-indigo-400"}`}>Race Again</button>
+          <button onClick={() => startRace()} className="rounded-xl px-5 py-2 font-semibold transition bg-indigo-500 hover:bg-indigo-400">Retry</button>
+          {liveRace.recorder && (
+            <button onClick={() => watchReplay(openReplay(finishReplay(liveRace.recorder, liveRace.state)))} className="rounded-xl bg-white/10 border border-white/20 px-4 py-2 hover:bg-white/20 transition">Watch Replay</button>
+          )}
           <button onClick={() => setScreen("home")} className="rounded-xl bg-white/10 border border-white/20 px-4 py-2 hover:bg-white/20 transition">Main Menu</button>
         </div>
       </div>
@@ -2254,60 +3374,817 @@ function FinishScreen({ position, trackId }) {
   );
 }
 
+// Cup racers by id with a display name (AI go by "CPU n", as in the item feed)
+function cupRacers(gp) {
+  const { character } = grandPrixKart(gp);
+  return Object.fromEntries(grandPrixRoster(gp).map((r, i) => [r.id, { ...r, name: r.kind === "player" ? character.name : `CPU ${i}` }]));
+}
+
+// Standings so far; `latest` adds a column with the points of the last race
+function StandingsTable({ gp, latest = false }) {
+  const racers = cupRacers(gp);
+  const race = gp.results.length - 1;
+  return (
+    <table className="w-full text-sm tabular-nums mb-4">
+      <thead>
+        <tr className="text-xs uppercase tracking-wider text-white/50">
+          <th className="text-left font-medium pb-1">Pos</th>
+          <th className="text-left font-medium pb-1">Racer</th>
+          {latest && <th className="text-right font-medium pb-1">Race</th>}
+          <th className="text-right font-medium pb-1">Points</th>
+        </tr>
+      </thead>
+      <tbody>
+        {grandPrixStandings(gp).map((row, i) => {
+          const racer = racers[row.id];
+          const place = row.places[race];
+          return (
+            <tr key={row.id} className={racer?.kind === "player" ? "bg-white/10 font-semibold" : "text-white/80"}>
+              <td className="text-left">{i + 1}</td>
+              <td className="text-left" style={{ color: racer?.color }}>{racer?.name || row.id}</td>
+              {latest && <td className="text-right text-white/70">{place ? `${ordinal(place)} +${pointsForPlace(place)}` : "—"}</td>}
+              <td className="text-right">{row.points}</td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+}
+
+// Between Grand Prix races: the player's place, everyone's points and the way
+// on to the next track (or, after the last one, the trophy ceremony)
+function GrandPrixFinishScreen({ gp, rewards, position, laps, record }) {
+  const over = isGrandPrixOver(gp);
+  const next = grandPrixTrack(gp);
+  const track = TRACKS[gp.results.length - 1];
+  return (
+    <div className="absolute inset-0 grid place-items-center pointer-events-none z-10">
+      {position === 1 && <Confetti />}
+      <div className="pointer-events-auto bg-black/80 border border-white/20 rounded-2xl p-6 text-center max-w-md w-full mx-4 max-h-full overflow-y-auto" style={{ animation: "slideUp 0.5s ease-out" }}>
+        <div className="text-xs uppercase tracking-widest text-white/60">Grand Prix · race {gp.results.length} of {TRACKS.length}</div>
+        <div className="text-4xl font-black mb-1">{ordinal(position)} Place</div>
+        <div className="text-white/70 mb-4">{track?.name} · +{pointsForPlace(position)} points</div>
+        <StandingsTable gp={gp} latest />
+        <LapTable laps={laps} record={record} />
+        {rewards.map((e) => <div key={e.id} className="mb-1 text-sm text-green-300">{e.name} unlocked!</div>)}
+        <div className="mt-3 flex gap-3 justify-center flex-wrap">
+          {over ? (
+            <button onClick={() => setScreen("podium")} className="rounded-xl px-5 py-2 font-semibold transition bg-yellow-500 hover:bg-yellow-400 text-black">Trophy Ceremony</button>
+          ) : (
+            <button onClick={() => startRace()} className="rounded-xl px-5 py-2 font-semibold transition bg-indigo-500 hover:bg-indigo-400">Next Race: {next.name}</button>
+          )}
+          {liveRace.recorder && (
+            <button onClick={() => watchReplay(openReplay(finishReplay(liveRace.recorder, liveRace.state)))} className="rounded-xl bg-white/10 border border-white/20 px-4 py-2 hover:bg-white/20 transition">Watch Replay</button>
+          )}
+          <button onClick={() => setScreen("home")} className="rounded-xl bg-white/10 border border-white/20 px-4 py-2 hover:bg-white/20 transition">Main Menu</button>
+        </div>
+        {!over && <div className="mt-3 text-xs text-white/50">The cup is saved; you can carry on from the main menu.</div>}
+      </div>
+    </div>
+  );
+}
+
+function TrophyModel({ color }) {
+  const metal = <meshStandardMaterial color={color} metalness={0.8} roughness={0.25} />;
+  return (
+    <group>
+      <mesh position={[0, 0.1, 0]}><boxGeometry args={[0.5, 0.2, 0.5]} /><meshStandardMaterial color="#27272a" /></mesh>
+      <mesh position={[0, 0.35, 0]}><cylinderGeometry args={[0.06, 0.1, 0.3, 12]} />{metal}</mesh>
+      <mesh position={[0, 0.72, 0]}><cylinderGeometry args={[0.32, 0.1, 0.45, 20]} />{metal}</mesh>
+      {[-1, 1].map((side) => (
+        <mesh key={side} position={[side * 0.32, 0.75, 0]}><torusGeometry args={[0.12, 0.03, 8, 16]} />{metal}</mesh>
+      ))}
+    </group>
+  );
+}
+
+// Top three of the final standings on the podium steps, the player's trophy
+// spinning above their kart
+const PODIUM_STEPS = [{ x: 0, height: 1.2 }, { x: -2.4, height: 0.8 }, { x: 2.4, height: 0.5 }];
+
+function PodiumScene({ top, trophy }) {
+  return (
+    <Canvas camera={{ position: [0, 3.2, 7.5], fov: 40 }} dpr={[1, 1.5]}>
+      <color attach="background" args={["#0f172a"]} />
+      <ambientLight intensity={0.5} />
+      <directionalLight position={[4, 8, 6]} intensity={1.1} />
+      <SafeEnvironment preset="sunset" background={false} />
+      {top.map((racer, i) => {
+        const step = PODIUM_STEPS[i];
+        return (
+          <group key={racer.id} position={[step.x, 0, 0]}>
+            <mesh position={[0, step.height / 2, 0]}>
+              <boxGeometry args={[2.2, step.height, 2]} />
+              <meshStandardMaterial color={TROPHIES[i].color} metalness={0.3} roughness={0.5} />
+            </mesh>
+            <group position={[0, step.height, 0]} rotation={[0, Math.PI + (step.x ? -Math.sign(step.x) * 0.3 : 0), 0]}>
+              <KartModel color={racer.color} accent={racer.accent} bodyType={racer.bodyType} />
+            </group>
+            {racer.kind === "player" && trophy && (
+              <group position={[0, step.height + 1.3, 0]}>
+                <AutoRotate><TrophyModel color={trophy.color} /></AutoRotate>
+              </group>
+            )}
+          </group>
+        );
+      })}
+    </Canvas>
+  );
+}
+
+// End of a cup: podium, trophy and final standings. The cup stays in the save
+// until this screen is left, so a reload comes back here.
+function PodiumScreen(){
+  const [gp] = useState(getGrandPrix);
+  if (!gp) {
+    return (
+      <div className="h-full w-full grid place-items-center">
+        <button onClick={()=> setScreen("home")} className="rounded-xl bg-indigo-500 px-6 py-2 font-semibold">Back to Menu</button>
+      </div>
+    );
+  }
+  const racers = cupRacers(gp);
+  const standings = grandPrixStandings(gp);
+  const place = standings.findIndex((row) => row.id === humanId(0)) + 1;
+  const trophy = TROPHIES.find((t) => t.id === trophyForPlace(place));
+  const cls = DIFFICULTIES.find((d) => d.id === gp.difficulty);
+  const leave = (screen) => { setGrandPrix(null); setScreen(screen); };
+  return (
+    <div className="h-full w-full flex flex-col relative">
+      {trophy && <Confetti />}
+      <div className="flex-1 overflow-y-auto min-h-0 px-4 sm:px-6 pb-4 pt-8">
+        <div className="text-center mb-3">
+          <div className="text-xs uppercase tracking-widest text-white/60">{cls?.name} Grand Prix</div>
+          <div className="text-4xl font-black" style={{ color: trophy?.color }}>{trophy ? `${trophy.icon} ${trophy.name} Trophy!` : `${ordinal(place)} Overall`}</div>
+          {!trophy && <div className="text-white/70">Finish in the top three to take a trophy.</div>}
+        </div>
+        <div className="h-56 sm:h-72 max-w-2xl mx-auto rounded-2xl overflow-hidden border border-white/10 mb-4">
+          <PodiumScene top={standings.slice(0, 3).map((row) => racers[row.id])} trophy={trophy} />
+        </div>
+        <div className="max-w-md mx-auto">
+          <StandingsTable gp={gp} />
+        </div>
+      </div>
+      <div className="shrink-0 p-4 border-t border-white/10 flex justify-center gap-3">
+        <button onClick={()=> leave("cup")} className="rounded-xl bg-white/10 border border-white/20 px-4 py-2">New Cup</button>
+        <button onClick={()=> leave("home")} className="rounded-xl bg-indigo-500 px-6 py-2 font-semibold">Main Menu</button>
+      </div>
+    </div>
+  );
+}
+
 function RaceScreen(){
-  const { character, car, track, laps } = useSafeSelection();
+  const { character, car, track, laps, difficulty } = useSafeSelection();
   const platform = usePlatform();
   const [finished, setFinished] = useState(false);
+  const [seed] = useState(() => useStore.get().raceSeed ?? randomSeed());
+  // Mode settings are fixed for the life of this screen (remounted per race)
+  const [{ mode, mushrooms, ghost, players, online, grandPrix, raceTrack, raceLaps, raceDifficulty }] = useState(() => {
+    const { mode, ttMushrooms, localPlayers, editorTrack } = useStore.get();
+    // Online races take track, laps, class and grid from the host's start message
+    const start = mode === "online" && netplay.session ? netplay.start : null;
+    // Grand Prix races take them (and the kart) from the saved cup
+    const grandPrix = mode === "grandPrix" ? getGrandPrix() : null;
+    const toHuman = (p) => ({
+      character: CHARACTERS.find((c) => c.id === p.character) || CHARACTERS[0],
+      car: CARS.find((c) => c.id === p.car) || CARS[0],
+      scheme: p.scheme,
+      name: p.name,
+    });
+    return {
+      mode,
+      mushrooms: ttMushrooms,
+      ghost: mode === "timeTrial" ? loadGhost((track || TRACKS[0]).id, laps) : null,
+      players: mode === "splitScreen" ? localPlayers.map(toHuman) : start ? start.players.map(toHuman) : null,
+      online: start && { session: netplay.session, start, localIndex: Math.max(0, start.players.findIndex((p) => p.id === netplay.session.id)) },
+      grandPrix,
+      raceTrack: (start && TRACKS.find((t) => t.id === start.track)) || (grandPrix && grandPrixTrack(grandPrix)) || (mode === "testDrive" && editorTrack) || track || TRACKS[0],
+      raceLaps: start ? start.laps : grandPrix ? grandPrix.laps : laps,
+      raceDifficulty: start ? start.difficulty : grandPrix ? grandPrix.difficulty : mode === "timeTrial" ? TIME_TRIAL_DIFFICULTY : difficulty,
+    };
+  });
+  const kart = grandPrix ? grandPrixKart(grandPrix) : { character, car };
+  const [trial, setTrial] = useState(null);
+  const [cup, setCup] = useState(null); // { gp, rewards } once a Grand Prix race is in the standings
+  const [record] = useState(() => getBestLap(raceTrack.id, raceDifficulty));
+  const me = () => getRacer(humanId(online?.localIndex ?? 0));
   useEffect(()=>{ setFinished(false); }, [character, car, track]);
+  const onFinish = useCallback(() => {
+    if (mode === "timeTrial" && liveRace.recorder) {
+      const run = finishReplay(liveRace.recorder, liveRace.state);
+      setTrial({ time: ghostTime(run), best: ghostTime(ghost), newBest: saveGhostIfBest(run) });
+    }
+    if (grandPrix) setCup(finishGrandPrixRace(grandPrix, liveRace.state));
+    setFinished(true);
+  }, [mode, ghost, grandPrix]);
   return (
     <div className="h-full w-full">
-      <RaceScene theme={track || TRACKS[0]} character={character || CHARACTERS[0]} car={car || CARS[0]} platform={platform} onFinish={()=> setFinished(true)} />
-      {finished && <FinishScreen position={liveRace.position} trackId={track?.id} />}
+      <RaceScene theme={raceTrack} character={kart.character || CHARACTERS[0]} car={kart.car || CARS[0]} players={players} laps={raceLaps} difficulty={raceDifficulty} platform={platform} seed={seed} mode={mode} mushrooms={mushrooms} ghost={ghost} record={record} online={online} onFinish={onFinish} />
+      {finished && (mode === "timeTrial"
+        ? <TimeTrialFinishScreen {...trial} laps={getPlayer()?.lapTimes} record={record} />
+        : online ? <FinishScreen position={me()?.finishPlace || me()?.place || 1} laps={me()?.lapTimes} record={record} online />
+        : cup ? <GrandPrixFinishScreen {...cup} position={getPlayer()?.finishPlace || getPlayer()?.place || 1} laps={getPlayer()?.lapTimes} record={record} />
+        : players ? <SplitFinishScreen players={players} seed={seed} />
+        : mode === "testDrive" ? <FinishScreen position={getPlayer()?.finishPlace || getPlayer()?.place || 1} laps={getPlayer()?.lapTimes} record={record} testDrive />
+        : <FinishScreen position={getPlayer()?.finishPlace || getPlayer()?.place || 1} trackId={track?.id} difficulty={raceDifficulty} seed={seed} laps={getPlayer()?.lapTimes} record={record} />)}
+    </div>
+  );
+}
+
+// -----------------------------
+// Track editor
+// -----------------------------
+const EDITOR_TOOLS = [
+  { id: "waypoints", label: "Waypoints", hint: "Click to add · drag to move · select to set height and bank, or Delete to remove" },
+  { id: "boostTs", label: "Boost pads", hint: "Click the road to add · click a pad to remove" },
+  { id: "itemBoxTs", label: "Item boxes", hint: "Click the road to add · click a box to remove" },
+];
+
+// Top-down map of the draft in world units (x right, z down). Waypoints are
+// dragged with pointer capture; markers snap to the nearest centerline point.
+function TrackEditorMap({ track, curve, tool, selected, onSelect }) {
+  const svgRef = useRef(null);
+  const drag = useRef(null);
+  const line = useMemo(() => sampleCurve(curve).map(([x, z]) => `${x.toFixed(1)},${z.toFixed(1)}`).join(" "), [curve]);
+  const toWorld = (e) => {
+    const pt = svgRef.current.createSVGPoint();
+    pt.x = e.clientX;
+    pt.y = e.clientY;
+    const p = pt.matrixTransform(svgRef.current.getScreenCTM().inverse());
+    return [p.x, p.y];
+  };
+  const markerAt = (t) => curve.getPointAt(t);
+
+  const onBackground = (e) => {
+    const point = toWorld(e);
+    if (tool === "waypoints") {
+      const { track: next, index } = insertWaypoint(track, point);
+      setEditorTrack(next);
+      onSelect(index);
+      drag.current = index;
+      svgRef.current.setPointerCapture(e.pointerId);
+      return;
+    }
+    const { t, dist } = nearestTrackT(curve, point);
+    if (dist <= track.trackWidth) setEditorTrack(addMarker(track, tool, t));
+  };
+  const onWaypoint = (e, i) => {
+    e.stopPropagation();
+    if (tool !== "waypoints") return;
+    onSelect(i);
+    drag.current = i;
+    svgRef.current.setPointerCapture(e.pointerId);
+  };
+  const onMove = (e) => {
+    if (drag.current == null) return;
+    setEditorTrack(moveWaypoint(useStore.get().editorTrack, drag.current, toWorld(e)));
+  };
+  const endDrag = () => { drag.current = null; };
+
+  return (
+    <svg ref={svgRef} viewBox={`${-MAP_EXTENT} ${-MAP_EXTENT} ${MAP_EXTENT * 2} ${MAP_EXTENT * 2}`}
+      onPointerDown={onBackground} onPointerMove={onMove} onPointerUp={endDrag} onPointerCancel={endDrag}
+      className="h-full w-full touch-none select-none rounded-2xl border border-white/20" style={{ background: track.turf }}>
+      <defs>
+        <pattern id="editor-grid" width={10} height={10} patternUnits="userSpaceOnUse">
+          <path d="M10 0H0V10" fill="none" stroke="rgba(255,255,255,0.08)" strokeWidth={0.3} />
+        </pattern>
+      </defs>
+      <rect x={-MAP_EXTENT} y={-MAP_EXTENT} width={MAP_EXTENT * 2} height={MAP_EXTENT * 2} fill="url(#editor-grid)" />
+      <polygon points={line} fill="none" stroke="#fff" strokeOpacity={0.6} strokeWidth={track.trackWidth + 1.5} strokeLinejoin="round" />
+      <polygon points={line} fill="none" stroke={track.roadColor || "#555"} strokeWidth={track.trackWidth} strokeLinejoin="round" />
+      <polygon points={line} fill="none" stroke="rgba(255,255,255,0.35)" strokeWidth={0.4} strokeDasharray="3 3" />
+      {(() => {
+        // Start line + direction arrow at t = 0
+        const p = curve.getPointAt(0);
+        const d = curve.getTangentAt(0);
+        const hw = track.trackWidth / 2;
+        return (
+          <g pointerEvents="none">
+            <line x1={p.x - d.z * hw} y1={p.z + d.x * hw} x2={p.x + d.z * hw} y2={p.z - d.x * hw} stroke="#fff" strokeWidth={1.5} />
+            <line x1={p.x} y1={p.z} x2={p.x + d.x * 10} y2={p.z + d.z * 10} stroke="#fff" strokeWidth={1} />
+            <circle cx={p.x + d.x * 10} cy={p.z + d.z * 10} r={1.5} fill="#fff" />
+          </g>
+        );
+      })()}
+      {track.boostTs.map((t, i) => {
+        const p = markerAt(t);
+        return (
+          <rect key={`b${i}`} x={p.x - 3} y={p.z - 3} width={6} height={6} rx={1} fill="#22d3ee" stroke="#fff" strokeWidth={0.5}
+            pointerEvents={tool === "boostTs" ? "auto" : "none"}
+            onPointerDown={(e) => { e.stopPropagation(); setEditorTrack(removeMarker(track, "boostTs", i)); }} />
+        );
+      })}
+      {track.itemBoxTs.map((t, i) => {
+        const p = markerAt(t);
+        return (
+          <rect key={`i${i}`} x={p.x - 2.5} y={p.z - 2.5} width={5} height={5} fill="#facc15" stroke="#fff" strokeWidth={0.5} transform={`rotate(45 ${p.x} ${p.z})`}
+            pointerEvents={tool === "itemBoxTs" ? "auto" : "none"}
+            onPointerDown={(e) => { e.stopPropagation(); setEditorTrack(removeMarker(track, "itemBoxTs", i)); }} />
+        );
+      })}
+      {track.waypoints.map(([x, z, height = 0, bank = 0], i) => (
+        <g key={i} onPointerDown={(e) => onWaypoint(e, i)} pointerEvents={tool === "waypoints" ? "auto" : "none"} opacity={tool === "waypoints" ? 1 : 0.4}>
+          <title>{`Waypoint ${i + 1} · height ${height} · bank ${bank}°`}</title>
+          {height > 0 && <circle cx={x} cy={z} r={4 + Math.min(height, 20) / 4} fill="none" stroke="#a5b4fc" strokeWidth={0.6} pointerEvents="none" />}
+          <circle cx={x} cy={z} r={4} fill={selected === i ? "#f472b6" : "#6366f1"} stroke="#fff" strokeWidth={0.8} className="cursor-move" />
+          <text x={x} y={z + 1.3} textAnchor="middle" fontSize={3.5} fill="#fff" pointerEvents="none">{i + 1}</text>
+        </g>
+      ))}
+    </svg>
+  );
+}
+
+// Static stand-ins for the item boxes (the live ItemBoxes animate off the race clock)
+function ItemBoxMarkers({ boxes }) {
+  return boxes.map((box, i) => (
+    <mesh key={i} position={[box.x, box.y + 1.4, box.z]} rotation={[0.6, 0.8, 0]}>
+      <boxGeometry args={[1.2, 1.2, 1.2]} />
+      <meshStandardMaterial color="#facc15" emissive="#a16207" emissiveIntensity={0.6} transparent opacity={0.85} />
+    </mesh>
+  ));
+}
+
+function TrackEditorScreen(){
+  const track = useEditorTrack();
+  const sel = useSafeSelection();
+  const [tool, setTool] = useState("waypoints");
+  const [selected, setSelected] = useState(null);
+  const curve = useMemo(() => createTrackCurve(track.waypoints), [track.waypoints]);
+  // The 3D preview lags a frame or two behind drags so the map stays responsive
+  const preview = useDeferredValue(track);
+  const previewCurve = useMemo(() => createTrackCurve(preview.waypoints), [preview.waypoints]);
+  const previewBoxes = useMemo(() => preview.itemBoxTs.map((t) => previewCurve.getPointAt(t)), [preview.itemBoxTs, previewCurve]);
+  const edit = (patch) => setEditorTrack(updateDraft(track, patch));
+  const problems = useMemo(() => validateTrack(preview), [preview]);
+  const [saved, setSaved] = useState(null);
+  useEffect(() => setSaved(null), [track]);
+  const saveToLibrary = () => {
+    try { setSaved(`Saved as “${importTrack(encodeTrack(track)).name}” — pick it on the track screen`); }
+    catch (err) { setSaved(err.message); }
+  };
+  const deleteSelected = useCallback(() => {
+    if (selected == null) return;
+    setEditorTrack(removeWaypoint(useStore.get().editorTrack, selected));
+    setSelected(null);
+  }, [selected]);
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.target.tagName === "INPUT" || e.target.tagName === "SELECT") return;
+      if (e.key === "Delete" || e.key === "Backspace") { e.preventDefault(); deleteSelected(); }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [deleteSelected]);
+  const field = "w-full rounded-lg bg-white/5 border border-white/20 px-2 py-1";
+  const point = selected != null ? track.waypoints[selected] : null;
+  const elevate = (patch) => setEditorTrack(setWaypointElevation(track, selected, patch));
+  const surfaces = trackSurfaces(track);
+  const editSurfaces = (patch) => setEditorTrack(setSurfaces(track, patch));
+
+  return (
+    <div className="h-full w-full flex flex-col">
+      <div className="flex-1 min-h-0 grid grid-cols-1 lg:grid-cols-[1fr_280px] gap-3 p-3 overflow-y-auto">
+        <div className="grid grid-rows-[auto_1fr] gap-2 min-h-[360px]">
+          <div className="flex items-center gap-2 flex-wrap text-sm">
+            {EDITOR_TOOLS.map((t) => (
+              <button key={t.id} onClick={() => { setTool(t.id); setSelected(null); }} className={`rounded-lg border px-3 py-1 ${tool === t.id ? "bg-white/20 border-white/60" : "bg-white/5 border-white/20"}`}>{t.label}</button>
+            ))}
+            {tool === "waypoints" && (
+              <button onClick={deleteSelected} disabled={selected == null || track.waypoints.length <= MIN_WAYPOINTS} className="rounded-lg border border-red-400/50 bg-red-500/20 px-3 py-1 disabled:opacity-40">Delete point</button>
+            )}
+            <span className="text-white/50">{EDITOR_TOOLS.find((t) => t.id === tool).hint}</span>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2 min-h-0">
+            <div className="aspect-square md:aspect-auto min-h-0">
+              <TrackEditorMap track={track} curve={curve} tool={tool} selected={selected} onSelect={setSelected} />
+            </div>
+            <div className="aspect-square md:aspect-auto min-h-0 rounded-2xl overflow-hidden border border-white/20">
+              <Canvas camera={{ position: [0, 110, 110], fov: 50 }} dpr={[1, 1.5]}>
+                <TrackScenery theme={preview} curve={previewCurve} seed={hashString(preview.id)} />
+                <ItemBoxMarkers boxes={previewBoxes} />
+                <OrbitControls makeDefault maxPolarAngle={Math.PI / 2.2} />
+              </Canvas>
+            </div>
+          </div>
+        </div>
+
+        <div className="space-y-3 text-sm">
+          {tool === "waypoints" && point && (
+            <div className="rounded-lg border border-pink-400/40 bg-pink-500/10 px-2 py-1.5 space-y-1">
+              <div className="text-white/70">Waypoint {selected + 1}</div>
+              <label className="block">
+                <div className="text-white/60">Height: {point[2] || 0}</div>
+                <input type="range" min={HEIGHT_RANGE[0]} max={HEIGHT_RANGE[1]} step={0.5} value={point[2] || 0} onChange={(e) => elevate({ height: +e.target.value })} className="w-full" />
+              </label>
+              <label className="block">
+                <div className="text-white/60">Bank: {point[3] || 0}° (positive raises the right edge)</div>
+                <input type="range" min={-MAX_BANK} max={MAX_BANK} value={point[3] || 0} onChange={(e) => elevate({ bank: +e.target.value })} className="w-full" />
+              </label>
+            </div>
+          )}
+          <label className="block">
+            <div className="mb-1 text-white/70">Name</div>
+            <input value={track.name} maxLength={40} onChange={(e) => edit({ name: e.target.value })} className={field} />
+          </label>
+          <label className="block">
+            <div className="mb-1 text-white/70">Track width: {track.trackWidth}</div>
+            <input type="range" min={TRACK_WIDTH_RANGE[0]} max={TRACK_WIDTH_RANGE[1]} value={track.trackWidth} onChange={(e) => edit({ trackWidth: +e.target.value })} className="w-full" />
+          </label>
+          <div className="grid grid-cols-2 gap-2">
+            <label className="block">
+              <div className="mb-1 text-white/70">Theme</div>
+              <select value={track.theme} onChange={(e) => edit({ theme: e.target.value })} className={field}>
+                {TRACK_THEMES.map((t) => <option key={t} value={t} className="bg-slate-900">{t}</option>)}
+              </select>
+            </label>
+            <label className="block">
+              <div className="mb-1 text-white/70">Lighting</div>
+              <select value={track.envPreset} onChange={(e) => edit({ envPreset: e.target.value })} className={field}>
+                {ENV_PRESETS.map((p) => <option key={p} value={p} className="bg-slate-900">{p}</option>)}
+              </select>
+            </label>
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <label className="block">
+              <div className="mb-1 text-white/70">Runoff</div>
+              <select value={surfaces.runoff} onChange={(e) => editSurfaces({ runoff: e.target.value })} className={field}>
+                {RUNOFF_SURFACES.map((s) => <option key={s} value={s} className="bg-slate-900">{SURFACES[s].label}</option>)}
+              </select>
+            </label>
+            <label className="block">
+              <div className="mb-1 text-white/70">Beyond</div>
+              <select value={surfaces.terrain} onChange={(e) => editSurfaces({ terrain: e.target.value })} className={field}>
+                {RUNOFF_SURFACES.map((s) => <option key={s} value={s} className="bg-slate-900">{SURFACES[s].label}</option>)}
+              </select>
+            </label>
+          </div>
+          <label className="block">
+            <div className="mb-1 text-white/70">Runoff width: {surfaces.runoffWidth}</div>
+            <input type="range" min={RUNOFF_WIDTH_RANGE[0]} max={RUNOFF_WIDTH_RANGE[1]} value={surfaces.runoffWidth} onChange={(e) => editSurfaces({ runoffWidth: +e.target.value })} className="w-full" />
+          </label>
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={surfaces.walls.length > 0} onChange={(e) => editSurfaces({ walls: e.target.checked })} />
+            <span className="text-white/70">Walls beyond the runoff</span>
+          </label>
+          <div>
+            <div className="mb-1 text-white/70">Colors</div>
+            <div className="grid grid-cols-5 gap-2">
+              {TRACK_COLORS.map(({ key, label }) => (
+                <label key={key} className="flex flex-col items-center gap-1 text-xs text-white/60">
+                  <input type="color" value={track[key]} onChange={(e) => edit({ [key]: e.target.value })} className="h-8 w-full rounded bg-transparent" />
+                  {label}
+                </label>
+              ))}
+            </div>
+          </div>
+          <div className="rounded-lg border border-white/10 bg-white/5 px-2 py-1.5">
+            {problems.length ? (
+              <ul className="list-disc list-inside text-amber-300 space-y-0.5">
+                {problems.map((p) => <li key={p}>{p}</li>)}
+              </ul>
+            ) : <div className="text-green-300">Track is valid — ready to save or share</div>}
+          </div>
+          <div className="flex gap-2">
+            <button onClick={saveToLibrary} disabled={problems.length > 0} className="rounded-lg bg-indigo-500 px-3 py-1 font-semibold disabled:opacity-40">Save to My Tracks</button>
+            <button onClick={() => exportTrackFile(track)} className="rounded-lg bg-white/10 border border-white/20 px-3 py-1 hover:bg-white/20 transition">Export</button>
+          </div>
+          {saved && <div className="text-white/70 whitespace-pre-line">{saved}</div>}
+          <div className="text-white/60">
+            {track.waypoints.length} waypoints · {track.boostTs.length} boost pads · {track.itemBoxTs.length} item boxes · {Math.round(curve.getLength())} m lap
+          </div>
+          <div>
+            <div className="mb-1 text-white/70">Start over from</div>
+            <div className="flex gap-2 flex-wrap">
+              {allTracks().map((t) => (
+                <button key={t.id} onClick={() => { setEditorTrack(createDraftTrack(t)); setSelected(null); }} className="rounded-lg bg-white/10 border border-white/20 px-2 py-1 hover:bg-white/20 transition">{t.name}</button>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+      <div className="shrink-0 p-4 border-t border-white/10 flex justify-between items-center gap-3">
+        <button onClick={() => setScreen("home")} className="rounded-xl bg-white/10 px-4 py-2">Back</button>
+        <div className="text-xs text-white/50 hidden sm:block">Test drive uses {sel.character.name} in the {sel.car.name}</div>
+        <button onClick={testDrive} className="rounded-xl bg-green-500 px-6 py-2 font-semibold">Test Drive</button>
+      </div>
+    </div>
+  );
+}
+
+// -----------------------------
+// Replay playback
+// -----------------------------
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+// Feeds recorded frames into liveRace instead of the simulation, so the same
+// kart/item renderers play the race back. `playback.cursor` is a fractional
+// frame index; the fraction becomes the interpolation alpha.
+function ReplayPlayer({ replay, playback }) {
+  useFrame((_, dt) => {
+    const pb = playback.current;
+    const last = replay.frames.length - 1;
+    if (pb.playing) {
+      pb.cursor += Math.min(dt, 0.1) * pb.speed / (replay.meta.recordEvery * SIM_DT);
+      if (pb.cursor >= last) { pb.cursor = last; pb.playing = false; }
+    }
+    const i = Math.max(0, Math.min(Math.floor(pb.cursor), last - 1));
+    liveRace.prev = replay.frames[i];
+    liveRace.state = replay.frames[Math.min(i + 1, last)];
+    liveRace.alpha = clamp(pb.cursor - i, 0, 1);
+  });
+  return null;
+}
+
+function ReplayScreen(){
+  const replay = useStore.useHook((s) => s.replay);
+  const { meta } = replay;
+  const track = meta.track;
+  const world = useMemo(() => createRaceWorld({
+    track,
+    humans: meta.racers.filter((r) => r.kind === "player").map((r) => ({
+      car: CARS.find((c) => c.id === r.bodyType) || CARS[0],
+      character: { color: r.color },
+    })),
+    laps: meta.laps,
+    difficulty: meta.difficulty,
+    aiRacers: meta.racers.filter((r) => r.kind === "ai"),
+    items: meta.mode !== "timeTrial",
+  }), [replay]);
+  const frameTime = meta.recordEvery * SIM_DT;
+  const humanCount = meta.racers.filter((r) => r.kind === "player").length;
+  const duration = (replay.frames.length - 1) * frameTime;
+
+  const playback = useRef({ cursor: 0, playing: true, speed: 1 });
+  const kartRefs = useRef({});
+  const [target, setTarget] = useState("player");
+  const targetId = useRef(target);
+  targetId.current = target;
+  const cameraTarget = useMemo(() => ({ get current() { return kartRefs.current[targetId.current]; } }), []);
+
+  // UI mirrors the playback ref a few times a second, like the race HUD
+  const [view, setView] = useState({ cursor: 0, playing: true, speed: 1 });
+  useEffect(() => {
+    const id = setInterval(() => setView({ ...playback.current }), 100);
+    return () => clearInterval(id);
+  }, []);
+  const control = (patch) => { Object.assign(playback.current, patch); setView({ ...playback.current }); };
+  const togglePlay = () => {
+    const pb = playback.current;
+    if (pb.playing) control({ playing: false });
+    else control({ playing: true, cursor: pb.cursor >= replay.frames.length - 1 ? 0 : pb.cursor });
+  };
+
+  // The world is only read for entrant colors (minimap); nothing steps it
+  useLayoutEffect(() => {
+    liveRace.world = world;
+    liveRace.recorder = null;
+    return () => { liveRace.world = null; liveRace.state = null; liveRace.prev = null; };
+  }, [world]);
+
+  const watched = getRacer(target);
+  const exportReplay = () => downloadText(`hyperkart-${track.id}-${formatSeed(meta.seed)}.replay.json`, encodeReplay(replay));
+
+  return (
+    <div className="relative h-full w-full">
+      <Canvas shadows camera={{ position:[0,10,15], fov:55 }}>
+        <ReplayPlayer replay={replay} playback={playback} />
+        <TrackScenery theme={track} curve={world.curve} seed={meta.seed} />
+        {meta.racers.map((r) => (
+          <Kart key={r.id} ref={(el) => (kartRefs.current[r.id] = el)} racerId={r.id} color={r.color} accent={r.accent} bodyType={r.bodyType} />
+        ))}
+        {meta.racers.filter((r) => r.kind === "player").map((r) => <SurfaceDust key={r.id} racerId={r.id} />)}
+        <CameraRig targetRef={cameraTarget} />
+        <ItemBoxes boxes={world.itemBoxes} />
+        <TrapEntities />
+        <MissileEntities curve={world.curve} />
+        {track.theme !== "classic" && <StarsField count={1000} radius={250} seed={meta.seed} />}
+      </Canvas>
+
+      <div className="pointer-events-none absolute top-4 left-1/2 -translate-x-1/2 text-center bg-black/50 rounded-2xl px-6 py-3 backdrop-blur-md border border-white/20">
+        <div className="text-xs uppercase tracking-widest text-white/70 mb-1">Replay · {track.name}</div>
+        {watched && (
+          <div className="text-lg font-bold tabular-nums">
+            Lap {Math.min(watched.lap, meta.laps)} <span className="text-white/50">/</span> {meta.laps} <span className="text-white/50">·</span> P{watched.place}
+          </div>
+        )}
+      </div>
+      <MiniMap curve={world.curve} />
+
+      <div className="absolute bottom-4 left-1/2 -translate-x-1/2 w-[min(94vw,720px)] rounded-2xl bg-black/60 border border-white/20 backdrop-blur-md p-3 space-y-3">
+        <div className="flex items-center gap-3">
+          <button onClick={togglePlay} className="w-10 rounded-xl bg-white/10 border border-white/20 px-2 py-1 hover:bg-white/20 transition" title={view.playing ? "Pause" : "Play"}>
+            {view.playing ? "❚❚" : "▶"}
+          </button>
+          <input
+            type="range" min={0} max={replay.frames.length - 1} step={0.01} value={view.cursor}
+            onChange={(e) => control({ cursor: Number(e.target.value) })}
+            className="flex-1 accent-indigo-400"
+          />
+          <div className="text-sm tabular-nums text-white/80 whitespace-nowrap">{formatTime(view.cursor * frameTime)} / {formatTime(duration)}</div>
+        </div>
+        <div className="flex items-center justify-between gap-3 flex-wrap text-sm">
+          <div className="flex gap-1">
+            {REPLAY_SPEEDS.map((sp) => (
+              <button key={sp} onClick={() => control({ speed: sp })} className={`rounded-lg border px-2 py-0.5 ${view.speed === sp ? "bg-white/20 border-white/50" : "bg-white/5 border-white/20"}`}>{sp}×</button>
+            ))}
+          </div>
+          <div className="flex gap-1 items-center">
+            <span className="text-white/60 mr-1">Camera</span>
+            {meta.racers.map((r, i) => (
+              <button key={r.id} onClick={() => setTarget(r.id)} className={`rounded-lg border px-2 py-0.5 flex items-center gap-1 ${target === r.id ? "bg-white/20 border-white/50" : "bg-white/5 border-white/20"}`}>
+                <span className="inline-block w-3 h-3 rounded-full" style={{ background: r.color }} />
+                {r.kind !== "player" ? `CPU ${i - humanCount + 1}` : humanCount > 1 ? `P${i + 1}` : "You"}
+              </button>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <button onClick={exportReplay} className="rounded-lg bg-white/10 border border-white/20 px-3 py-0.5 hover:bg-white/20 transition">Export</button>
+            <button onClick={() => setScreen("home")} className="rounded-lg bg-white/10 border border-white/20 px-3 py-0.5 hover:bg-white/20 transition">Exit</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Keyboard bindings: two slots per action. Click a slot and press a key (Esc
+// cancels, Backspace clears). A key already in use moves to the new action.
+function BindingsEditor({ onDone }) {
+  const bindings = useBindings();
+  const [capture, setCapture] = useState(null); // { action, slot }
+  const [notice, setNotice] = useState(null);
+  const labelOf = (id) => ACTIONS.find((a) => a.id === id)?.label || id;
+  useEffect(() => {
+    if (!capture) return;
+    // Capture phase + stopImmediatePropagation keeps the key away from the race controls
+    const onKey = (e) => {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      if (e.code === "Escape") { setCapture(null); return; }
+      const code = e.code === "Backspace" || e.code === "Delete" ? null : e.code;
+      const { bindings: next, conflict } = assignBinding(useStore.get().bindings, capture.action, capture.slot, code);
+      setBindings(next);
+      setNotice(conflict ? `${keyLabel(code)} was bound to ${labelOf(conflict.action)} — moved to ${labelOf(capture.action)}.` : null);
+      setCapture(null);
+    };
+    window.addEventListener("keydown", onKey, true);
+    return () => window.removeEventListener("keydown", onKey, true);
+  }, [capture]);
+  const unbound = ACTIONS.filter((a) => !bindings[a.id]?.some(Boolean));
+  return (
+    <div>
+      <div className="text-sm text-white/60 mb-3">Click a slot, then press a key. Esc cancels, Backspace clears the slot.</div>
+      <div className="grid grid-cols-[1fr_auto_auto] gap-x-3 gap-y-1.5 items-center text-sm">
+        {ACTIONS.map((a) => (
+          <React.Fragment key={a.id}>
+            <div className="text-white/80">{a.label}</div>
+            {Array.from({ length: BINDING_SLOTS }, (_, slot) => {
+              const active = capture?.action === a.id && capture.slot === slot;
+              return (
+                <button key={slot} onClick={() => setCapture({ action: a.id, slot })}
+                  className={`min-w-[7rem] rounded-lg border px-3 py-1 ${active ? "border-indigo-300 bg-indigo-500/40 animate-pulse" : "border-white/20 bg-white/5 hover:bg-white/10"}`}>
+                  {active ? "Press a key…" : keyLabel(bindings[a.id]?.[slot])}
+                </button>
+              );
+            })}
+          </React.Fragment>
+        ))}
+      </div>
+      {notice && <div className="mt-3 text-sm text-amber-300">{notice}</div>}
+      {unbound.length > 0 && <div className="mt-2 text-sm text-red-300">No key for: {unbound.map((a) => a.label).join(", ")}</div>}
+      <div className="mt-4 flex gap-2 justify-end">
+        <button onClick={() => { setBindings(DEFAULT_BINDINGS); setNotice(null); }} className="rounded-xl bg-white/10 border border-white/20 px-3 py-2 text-sm hover:bg-white/20 transition">Reset to defaults</button>
+        <button onClick={onDone} className="rounded-xl bg-indigo-500 hover:bg-indigo-400 px-4 py-2 text-sm font-semibold">Done</button>
+      </div>
+    </div>
+  );
+}
+
+const TOUCH_STEERING_LABELS = { buttons: "Buttons", joystick: "Joystick", tilt: "Tilt" };
+
+// Touch panel of the settings: steering style, tilt sensitivity and calibration
+function TouchSettings() {
+  const touch = useTouchSettings();
+  const [angle, setAngle] = useState(deviceTilt.angle);
+  const [denied, setDenied] = useState(false);
+  useDeviceTilt(touch.steering === "tilt", setAngle);
+  // Picking Tilt / Calibrate is the tap iOS needs before it reports orientation
+  const askTilt = async () => {
+    const granted = (await requestTiltPermission()) === "granted";
+    setDenied(!granted);
+    return granted;
+  };
+  const pick = async (steering) => {
+    if (steering === "tilt" && !(await askTilt())) return;
+    setTouchSettings({ steering });
+  };
+  const calibrate = async () => {
+    if (!(await askTilt()) || deviceTilt.angle == null) return;
+    setTouchSettings({ tiltCenter: clamp(deviceTilt.angle, -90, 90) });
+  };
+  const steer = tiltToSteer(angle, touch.tiltCenter, touch.tiltSensitivity);
+  return (
+    <div>
+      <div className="font-semibold mb-1">Touch Controls</div>
+      <div className="flex gap-2 mb-2">
+        {TOUCH_STEERING.map((id) => (
+          <button key={id} onClick={() => pick(id)} className={`rounded-xl px-3 py-1 border ${touch.steering === id ? "bg-white/20 border-white/60" : "bg-white/5 border-white/10"}`}>{TOUCH_STEERING_LABELS[id]}</button>
+        ))}
+      </div>
+      <ul className="list-disc list-inside text-white/70">
+        <li>{touch.steering === "buttons" ? "◀ / ▶ — Steering" : touch.steering === "joystick" ? "Drag the stick — Steering" : "Tilt the device like a wheel — Steering"}</li>
+        <li>▲ — Accelerate</li>
+        <li>▼ — Brake</li>
+        <li>DRIFT — Drift</li>
+        <li>USE — Use item</li>
+      </ul>
+      {touch.steering === "tilt" && (
+        <div className="mt-2 space-y-2">
+          <label className="flex items-center gap-2">
+            <span className="w-24">Sensitivity</span>
+            <input type="range" min={0.5} max={2} step={0.1} value={touch.tiltSensitivity}
+              onChange={(e) => setTouchSettings({ tiltSensitivity: Number(e.target.value) })} className="flex-1" />
+            <span className="w-10 text-right">{touch.tiltSensitivity.toFixed(1)}×</span>
+          </label>
+          <div className="flex items-center gap-2">
+            <button onClick={calibrate} className="rounded-xl bg-white/10 border border-white/20 px-3 py-1 hover:bg-white/20 transition">Calibrate</button>
+            <div className="h-2 flex-1 rounded-full bg-white/10 relative overflow-hidden">
+              <div className="absolute top-0 bottom-0 bg-cyan-400/70"
+                style={steer < 0 ? { right: "50%", width: `${-steer * 50}%` } : { left: "50%", width: `${steer * 50}%` }} />
+            </div>
+          </div>
+          <div className="text-xs text-white/50">{angle == null ? "Waiting for the device's motion sensor…" : "Hold the device in your driving position and press Calibrate."}</div>
+        </div>
+      )}
+      {denied && <div className="mt-1 text-xs text-amber-300">Motion access was denied — allow it in the browser settings to use tilt.</div>}
     </div>
   );
 }
 
 function SettingsModal(){
-  const { showSettings } = useSettings();
+  const { showSettings, paused } = useSettings();
   const platform = usePlatform();
   const screen = useScreen();
+  const mode = useMode();
+  const bindings = useBindings();
+  const [saveMsg, setSaveMsg] = useState(null);
+  const [confirmReset, setConfirmReset] = useState(false);
+  const [editingKeys, setEditingKeys] = useState(false);
+  useEffect(() => { if (!showSettings) { setSaveMsg(null); setConfirmReset(false); setEditingKeys(false); } }, [showSettings]);
+  const onImportSave = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      applySave(importSave(await file.text()));
+      setSaveMsg({ ok: true, text: "Save imported." });
+    } catch (err) { setSaveMsg({ ok: false, text: err.message }); }
+  };
+  const onReset = () => {
+    if (!confirmReset) { setConfirmReset(true); return; }
+    applySave(resetProgress());
+    clearGhosts();
+    setConfirmReset(false);
+    setSaveMsg({ ok: true, text: "Progress reset." });
+  };
   if(!showSettings) return null;
   return (
     <div className="fixed inset-0 bg-black/50 backdrop-blur-sm grid place-items-center z-20">
       <div className="w-[min(92vw,680px)] rounded-2xl border border-white/20 bg-zinc-900/90 p-6">
         <div className="flex items-center justify-between mb-4">
-          <div className="text-xl font-bold">Settings</div>
+          <div className="text-xl font-bold">{paused ? "Paused" : "Settings"}</div>
           <button onClick={()=> setShowSettings(false)} className="rounded-xl bg-white/10 px-3 py-1">✕</button>
         </div>
+        {editingKeys ? <BindingsEditor onDone={() => setEditingKeys(false)} /> : (
         <div className="grid md:grid-cols-2 gap-6">
           <div>
             <div className="text-sm uppercase tracking-wider text-white/70 mb-2">Platform</div>
             <div className="flex gap-2 flex-wrap">
-              {["Laptop","iPad","iPhone"].map(p=> (
+              {PLATFORMS.map(p=> (
                 <button key={p} onClick={()=> setPlatform(p)} className={`rounded-xl border px-3 py-1 ${platform===p?"bg-white/20 border-white/50":"bg-white/5 border-white/20"}`}>{p}</button>
               ))}
             </div>
             <div className="mt-4 text-sm text-white/80">
-              {platform === "Laptop" ? (
+              {platform === "Controller" ? (
                 <div>
-                  <div className="font-semibold mb-1">Controls</div>
+                  <div className="font-semibold mb-1">Controller</div>
                   <ul className="list-disc list-inside text-white/70">
-                    <li>W / ↑ — Accelerate</li>
-                    <li>S / ↓ — Brake / Reverse (+ A/D to drift)</li>
-                    <li>A / ← — Steer Left</li>
-                    <li>D / → — Steer Right</li>
-                    <li>Esc / P — Pause</li>
+                    {GAMEPAD_MAPPING.map(([button, action]) => <li key={button}>{button} — {action}</li>)}
                   </ul>
+                  <div className="mt-1 text-xs text-white/50">Standard-layout pads (Xbox names shown). Keyboard keys keep working.</div>
                 </div>
-              ) : (
+              ) : platform === "Laptop" ? (
                 <div>
-                  <div className="font-semibold mb-1">Touch Controls</div>
+                  <div className="font-semibold mb-1">Controls</div>
                   <ul className="list-disc list-inside text-white/70">
-                    <li>Left / Right — Steering</li>
-                    <li>▲ — Accelerate</li>
-                    <li>▼ — Brake</li>
+                    {ACTIONS.map((a) => <li key={a.id}>{actionKeys(bindings, a.id)} — {a.label}</li>)}
                   </ul>
+                  <button onClick={() => setEditingKeys(true)} className="mt-2 rounded-xl bg-white/10 border border-white/20 px-3 py-1 text-sm hover:bg-white/20 transition">Edit key bindings</button>
                 </div>
+              ) : (
+                <TouchSettings />
               )}
             </div>
           </div>
@@ -2317,11 +4194,25 @@ function SettingsModal(){
               {screen === "race" && (
                 <button onClick={()=> { setShowSettings(false); }} className="rounded-xl bg-green-500 px-3 py-2">Resume</button>
               )}
-              <button onClick={()=> { setShowSettings(false); setScreen("home"); }} className="rounded-xl bg-red-500/80 px-3 py-2">End Game</button>
+              <button onClick={()=> { setShowSettings(false); setScreen(mode === "online" && netplay.session ? "online" : mode === "testDrive" && screen === "race" ? "editor" : "home"); }} className="rounded-xl bg-red-500/80 px-3 py-2">{mode === "online" && screen === "race" ? "Leave Race" : mode === "testDrive" && screen === "race" ? "Back to Editor" : "End Game"}</button>
+            </div>
+            <div className="text-sm uppercase tracking-wider text-white/70 mt-6 mb-2">Save data</div>
+            <div className="flex gap-2 flex-wrap text-sm">
+              <button onClick={()=> downloadText("hyperkart-save.json", exportSave())} className="rounded-xl bg-white/10 border border-white/20 px-3 py-2 hover:bg-white/20 transition">Export save</button>
+              <label className="cursor-pointer rounded-xl bg-white/10 border border-white/20 px-3 py-2 hover:bg-white/20 transition">
+                Import save
+                <input type="file" accept=".json,application/json" onChange={onImportSave} className="hidden" />
+              </label>
+              <button onClick={onReset} className={`rounded-xl border px-3 py-2 transition ${confirmReset ? "bg-red-500/80 border-red-300" : "bg-white/10 border-white/20 hover:bg-white/20"}`}>
+                {confirmReset ? "Really reset? Tap again" : "Reset progress"}
+              </button>
             </div>
+            <div className="mt-1 text-xs text-white/50">Reset clears unlocked tracks, best laps and ghosts.</div>
+            {saveMsg && <div className={`mt-2 text-sm ${saveMsg.ok ? "text-green-300" : "text-red-300"}`}>{saveMsg.text}</div>}
             <div className="mt-4 text-sm text-white/70">HyperKart 3D demo — made with WebGL and a lot of enthusiasm. 🏁</div>
           </div>
         </div>
+        )}
       </div>
     </div>
   );
@@ -2355,24 +4246,640 @@ test("TRACKS has classic/city/west", ()=>{
   ["classic","city","west"].forEach(id=>{ if(!ids.has(id)) throw new Error(`missing track ${id}`); });
 });
 
-test("ITEMS has 5 items with ids", ()=>{
-  if(ITEMS.length !== 5) throw new Error(`expected 5 items, got ${ITEMS.length}`);
-  ["mushroom","banana","missile","shield","lightning"].forEach(id=>{
-    if(!ITEMS.find(i=>i.id===id)) throw new Error(`missing item ${id}`);
+test("ITEMS has 10 items with ids and a weight per position column", ()=>{
+  if(ITEMS.length !== 10) throw new Error(`expected 10 items, got ${ITEMS.length}`);
+  ["mushroom","tripleMushroom","banana","tripleBanana","fakeBox","oil","missile","shield","lightning","seeker"].forEach(id=>{
+    const item = ITEMS.find(i=>i.id===id);
+    if(!item) throw new Error(`missing item ${id}`);
+    if(item.weights.length !== 5 || !item.help || !item.feed || !item.icon) throw new Error(`item ${id} is missing registry fields`);
   });
 });
 
-test("getRandomItem returns valid item id", ()=>{
+test("getRandomItem returns valid item id, and the leader seeker only in last place", ()=>{
   for(let pos=1; pos<=5; pos++){
-    const id = getRandomItem(pos);
+    const id = getRandomItem(pos, createRng(pos));
     if(!ITEMS.find(i=>i.id===id)) throw new Error(`invalid item id "${id}" for position ${pos}`);
   }
+  const rolls = (pos, racers) => { const rng = createRng(pos * 31 + racers); return Array.from({ length: 400 }, () => getRandomItem(pos, rng, racers)); };
+  if(rolls(8, 8).every((id) => id !== "seeker") || rolls(7, 8).includes("seeker") || rolls(1, 8).includes("seeker")) throw new Error("seekers should go to last place alone");
+  if(rolls(1, 8).includes("lightning")) throw new Error("the leader should never get lightning");
+});
+
+test("race state has item system fields", ()=>{
+  const world = createRaceWorld({ track: TRACKS[0], car: CARS[0], character: CHARACTERS[0] });
+  const state = createRaceState(world);
+  if(!Array.isArray(state.traps)) throw new Error("traps not array");
+  if(!Array.isArray(state.missiles)) throw new Error("missiles not array");
+  if(typeof state.itemBoxCooldowns !== "object") throw new Error("itemBoxCooldowns not object");
+});
+
+test("stepRace is deterministic and leaves its input untouched", ()=>{
+  const world = createRaceWorld({ track: TRACKS[1], car: CARS[1], character: CHARACTERS[0] });
+  const input = { player: { left: false, right: true, up: true, down: false, useItem: true } };
+  const run = () => {
+    let s = createRaceState(world, { seed: 7 });
+    for(let i=0; i<90; i++) s = stepRace(world, s, input);
+    return s;
+  };
+  const a = run(), b = run();
+  if(JSON.stringify(a) !== JSON.stringify(b)) throw new Error("same seed + inputs gave different states");
+  const start = createRaceState(world, { seed: 7 });
+  const before = JSON.stringify(start);
+  stepRace(world, start, input);
+  if(JSON.stringify(start) !== before) throw new Error("stepRace mutated its input state");
+});
+
+test("seeded RNG repeats per seed and seeds round-trip through text", ()=>{
+  const a = createRng(1234), b = createRng(1234);
+  for(let i=0; i<20; i++) if(a() !== b()) throw new Error("same seed diverged");
+  const seed = 0xdeadbeef;
+  if(parseSeed(formatSeed(seed)) !== seed) throw new Error("formatSeed/parseSeed did not round-trip");
+  if(parseSeed("") !== null) throw new Error("blank seed should mean random");
+});
+
+test("replays survive export/import and re-simulate exactly", ()=>{
+  const world = createRaceWorld({ track: TRACKS[0], car: CARS[0], character: CHARACTERS[0], laps: 1, aiRacers: [AI_RACERS[0]] });
+  let state = createRaceState(world, { seed: 42 });
+  const rec = createReplayRecorder(world, state, { trackId: TRACKS[0].id });
+  for(let i=0; i<120; i++){
+    const inputs = { player: { up: true, left: i > 60, useItem: i === 90 } };
+    state = stepRace(world, state, inputs);
+    recordReplayTick(rec, inputs, state);
+  }
+  const finished = finishReplay(rec, state);
+  const replay = decodeReplay(encodeReplay(finished));
+  if(replay.frames.length !== 60) throw new Error(`expected 60 frames, got ${replay.frames.length}`);
+  const last = replay.frames[replay.frames.length - 1].racers[0];
+  if(Math.abs(last.x - state.racers[0].x) > 0.05 || Math.abs(last.z - state.racers[0].z) > 0.05) throw new Error("last frame drifted from the race");
+  if(JSON.stringify(resimulateReplay(world, replay)) !== JSON.stringify(state)) throw new Error("re-simulation diverged");
+  let threw = false;
+  try { decodeReplay("{}"); } catch { threw = true; }
+  if(!threw) throw new Error("garbage should not decode");
+  let damaged = null;
+  try { decodeReplay(encodeReplay({ ...finished, bytes: finished.bytes.slice(0, -3) })); } catch (err) { damaged = err.message; }
+  if(damaged !== "Replay frames are damaged") throw new Error(`truncated frames should be reported as damaged, got ${damaged}`);
+  const broken = (meta) => { try { decodeReplay(encodeReplay({ ...finished, meta: { ...finished.meta, ...meta } })); } catch (err) { return err.message; } return null; };
+  if(!broken({ track: { ...TRACKS[0], waypoints: {} } })?.startsWith("Replay track is invalid")) throw new Error("a replay with a broken track should not decode");
+  if(broken({ items: undefined }) !== "Replay is missing its item list") throw new Error("a replay without its item list should not decode");
+});
+
+test("replay frames keep missiles, traps and held items", ()=>{
+  const world = createRaceWorld({ track: TRACKS[0], car: CARS[0], character: CHARACTERS[0], laps: 1 });
+  const state = createRaceState(world, { seed: 3 });
+  const [a, b] = state.racers;
+  state.missiles.push({ id: 1, kind: "seeker", t: a.t, progress: a.t, offset: 1.5, x: a.x + 1, z: a.z - 2, speed: 0, owner: a.id, target: b.id, spawnTime: 0 });
+  state.traps.push({ id: 2, kind: "oil", x: a.x, z: a.z, owner: a.id, spawnTime: 0, caught: [] });
+  Object.assign(b, { item: "tripleBanana", itemUses: 2 });
+  const rec = createReplayRecorder(world, state, { trackId: TRACKS[0].id });
+  recordReplayTick(rec, {}, state);
+  recordReplayTick(rec, {}, state);
+  const [frame] = decodeReplay(encodeReplay(finishReplay(rec, state))).frames;
+  const [m] = frame.missiles;
+  if(m?.kind !== "seeker" || m.target !== b.id || Math.abs(m.x - a.x - 1) > 0.05 || Math.abs(m.z - a.z + 2) > 0.05) throw new Error(`missile lost in the replay: ${JSON.stringify(m)}`);
+  if(frame.traps[0]?.kind !== "oil" || frame.racers[1].item !== "tripleBanana" || frame.racers[1].itemUses !== 2) throw new Error("replay frames should keep trap kinds and held items");
+});
+
+test("time trial runs solo with stocked mushrooms and a ghost that follows the run", ()=>{
+  const world = createRaceWorld({ track: TRACKS[0], car: CARS[0], character: CHARACTERS[0], laps: 1, aiRacers: [], items: false, mushrooms: 2 });
+  if(world.entrants.length !== 1 || world.itemBoxes.length !== 0) throw new Error("time trial should have no AI or item boxes");
+  let state = createRaceState(world, { seed: 1 });
+  const rec = createReplayRecorder(world, state, { trackId: TRACKS[0].id, mode: "timeTrial" });
+  for(let i=0; i<90; i++){
+    const inputs = { player: { up: true, useItem: i === 30 || i === 31 || i === 40 } };
+    state = stepRace(world, state, inputs);
+    recordReplayTick(rec, inputs, state);
+  }
+  if(state.racers[0].mushrooms !== 0) throw new Error(`expected both mushrooms used, ${state.racers[0].mushrooms} left`);
+  const ghost = openReplay(finishReplay(rec, state));
+  const pose = sampleGhost(ghost, 1.0);
+  if(!pose || !Number.isFinite(pose.x) || !Number.isFinite(pose.yaw)) throw new Error("ghost pose missing mid-run");
+  if(sampleGhost(ghost, 10) !== null) throw new Error("ghost should vanish after its run");
+});
+
+test("lap times and sector splits add up to the finish time", ()=>{
+  const world = createRaceWorld({ track: TRACKS[0], car: CARS[0], character: CHARACTERS[0], laps: 2, aiRacers: [], items: false });
+  const { curve, gates, curveLength } = world;
+  // Two laps the short way: the kart is put 1.5 m before every gate, sector line and the
+  // finish line in turn and driven across it
+  const marks = [...gates.slice(1), ...SECTOR_SPLITS, 1].sort((a, b) => a - b);
+  let state = createRaceState(world, { seed: 3 });
+  for (let lap = 0; lap < 2; lap++) {
+    for (const mark of marks) {
+      const t = (mark - 1.5 / curveLength + 1) % 1, at = curve.getPointAt(t), tang = curve.getTangentAt(t);
+      Object.assign(state.racers[0], { x: at.x, z: at.z, t, yaw: Math.atan2(tang.z, tang.x), vel: 20 });
+      for (let i = 0; i < 8; i++) state = stepRace(world, state, { player: { up: true } });
+    }
+  }
+  const p = state.racers[0];
+  if(!p.finished || p.lapTimes.length !== 2) throw new Error(`expected 2 timed laps, got ${p.lapTimes.length}`);
+  const total = p.lapTimes.reduce((sum, l) => sum + l.time, 0);
+  if(Math.abs(total - p.finishTime) > 1e-6) throw new Error("lap times do not sum to the finish time");
+  for(const lap of p.lapTimes){
+    if(lap.splits.length !== SECTOR_SPLITS.length) throw new Error("missing sector split");
+    if(!(lap.splits[0] < lap.splits[1] && lap.splits[1] < lap.time)) throw new Error("splits out of order");
+  }
+});
+
+test("laps need every checkpoint gate in order, for players and AI alike", ()=>{
+  const world = createRaceWorld({ track: TRACKS[1], car: CARS[0], character: CHARACTERS[0], laps: 1, items: false, aiRacers: AI_RACERS.slice(0, 2) });
+  const { curve, gates } = world;
+  const put = (state, t, yaw = 0, i = 0, lane = 0) => {
+    const p = curve.getPointAt(t), tang = curve.getTangentAt(t), len = Math.hypot(tang.x, tang.z);
+    Object.assign(state.racers[i], { x: p.x - (tang.z / len) * lane, z: p.z + (tang.x / len) * lane, t, yaw: Math.atan2(tang.z, tang.x) + yaw, vel: 20 });
+    return state;
+  };
+  const drive = (state, ticks, input = { up: true }) => {
+    for (let i = 0; i < ticks; i++) state = stepRace(world, state, { player: input });
+    return state;
+  };
+  // Backing over the line and driving forward again is not a lap
+  let state = createRaceState(world, { seed: 2 });
+  for (let i = 0; i < 3; i++) state = drive(put(state, 0.995), 15);
+  if(state.racers[0].lap !== 1) throw new Error("wiggling across the line should not count laps");
+  // Progress that jumps onto a later stretch of road skips no gate
+  state = put(createRaceState(world, { seed: 2 }), gates[1] - 0.005);
+  Object.assign(state.racers[0], { x: curve.getPointAt(gates[1] + 0.08).x, z: curve.getPointAt(gates[1] + 0.08).z });
+  state = drive(state, 1);
+  if(state.racers[0].gate !== 0 || !missedGate(world, state.racers[0])) throw new Error("a jump past a gate should leave it to be passed");
+  // Driving against the track raises the warning after a moment
+  state = drive(put(createRaceState(world, { seed: 2 }), 0.9, Math.PI), 70);
+  if(!state.racers[0].wrongWay) throw new Error("driving backwards should warn");
+  // AI karts crossing the line count a lap only with every gate behind them
+  state = put(put(createRaceState(world, { seed: 2 }), 0.995, 0, 1, -2.5), 0.995, 0, 2, 2.5);
+  Object.assign(state.racers[1], { gate: gates.length - 1 });
+  Object.assign(state.racers[2], { gate: gates.length - 2 });
+  state = drive(state, 20, {});
+  if(state.racers[1].lap !== 2 || state.racers[2].lap !== 1) throw new Error(`AI laps should follow the gates: ${state.racers[1].lap}, ${state.racers[2].lap}`);
+});
+
+test("AI karts drive the kart model: they lap on their own, drift, dodge bananas and boost on mushrooms", ()=>{
+  // A lone AI laps the twistiest track (TRACKS[1]) cleanly, drifting its tight corners
+  const lap = createRaceWorld({ track: TRACKS[1], humans: [], aiRacers: [AI_RACERS[0]], laps: 1, items: false });
+  let state = createRaceState(lap, { seed: 5 });
+  let drifted = false, respawned = false;
+  while (!isRaceOver(lap, state) && state.tick < 60 * 30) {
+    state = stepRace(lap, state, {});
+    drifted ||= state.racers[0].drifting;
+    respawned ||= state.racers[0].respawnTimer > 0;
+  }
+  if(!isRaceOver(lap, state) || state.racers[0].finishPlace !== 1 || respawned) throw new Error(`AI should finish a clean lap (tick ${state.tick}, respawned: ${respawned})`);
+  if(!drifted) throw new Error("AI should drift through the tight corners");
+  const world = createRaceWorld({ track: TRACKS[0], humans: [], aiRacers: [AI_RACERS[0]], laps: 1, items: false });
+  // Already at speed on the grid, then a banana dropped on its line 25 m ahead gets steered around
+  const atSpeed = (t) => {
+    const next = createRaceState(world, { seed: 1 });
+    const p = world.curve.getPointAt(t), tang = world.curve.getTangentAt(t);
+    Object.assign(next.racers[0], { x: p.x, z: p.z, t, yaw: Math.atan2(tang.z, tang.x), vel: 20 });
+    return next;
+  };
+  state = atSpeed(0.02);
+  for (let i = 0; i < 30; i++) state = stepRace(world, state, {});
+  const r = state.racers[0], tang = world.curve.getTangentAt(r.t), len = Math.hypot(tang.x, tang.z);
+  const ahead = world.curve.getPointAt((r.t + 25 / world.curveLength) % 1), off = getCrossTrackOffset(world.curve, r, r.t);
+  state.traps.push({ id: 99, kind: "banana", x: ahead.x - (tang.z / len) * off, z: ahead.z + (tang.x / len) * off, owner: "player", spawnTime: state.time });
+  for (let i = 0; i < 90; i++) state = stepRace(world, state, {});
+  if(state.racers[0].spinout > 0 || state.traps.length !== 1) throw new Error("AI should steer around a banana on its line");
+  // A mushroom is saved through the corners and used on the next straight, where it is a
+  // speed boost, not a jump along the track
+  const holding = (t) => { const next = atSpeed(t); Object.assign(next.racers[0], { item: "mushroom", itemDelay: 0 }); return next; };
+  state = holding(0.35);
+  for (let i = 0; i < 30; i++) state = stepRace(world, state, {});
+  if(state.racers[0].item !== "mushroom") throw new Error("AI should keep its mushroom through the corners");
+  state = holding(0.85);
+  let before = state.racers[0];
+  for (let i = 0; i < 30 && state.racers[0].item; i++) { before = state.racers[0]; state = stepRace(world, state, {}); }
+  if(state.racers[0].item || !(state.racers[0].vel > before.vel + 5) || Math.hypot(state.racers[0].x - before.x, state.racers[0].z - before.z) > 2) throw new Error("AI mushroom should boost speed");
+});
+
+test("AI use items when the moment is right: missiles in range, bananas on a tail, shields against threats", ()=>{
+  const world = createRaceWorld({ track: TRACKS[2], car: CARS[0], character: CHARACTERS[0], items: false, aiRacers: [AI_RACERS[1], AI_RACERS[2]] });
+  const place = (r, progress) => {
+    const t = progress % 1, p = world.curve.getPointAt(t), tang = world.curve.getTangentAt(t);
+    Object.assign(r, { x: p.x, z: p.z, t, lap: 1 + Math.floor(progress), yaw: Math.atan2(tang.z, tang.x) });
+  };
+  // One tick with the player at `playerT` and AI `i` at 0.5 holding `item`; returns what it did
+  const decide = (i, item, playerT, setup = () => {}) => {
+    const state = createRaceState(world, { seed: 1 });
+    const [player, ...ai] = state.racers;
+    place(player, playerT);
+    ai.forEach((r, j) => place(r, 0.5 + j * 0.2));
+    Object.assign(ai[i], { item, itemDelay: 0 });
+    setup(state);
+    const next = stepRace(world, state, {});
+    return { used: next.events.some((e) => e.racer === ai[i].id), racer: next.racers[i + 1] };
+  };
+  const m = 1 / world.curveLength; // one metre of curve fraction
+  if(decide(0, "missile", 0.5 + 120 * m).used || !decide(0, "missile", 0.5 + 30 * m).used) throw new Error("missiles should wait for a target in range");
+  if(decide(1, "lightning", 0.65).used || !decide(1, "lightning", 0.7 + 150 * m).used) throw new Error("lightning should go off only when far behind");
+  if(decide(1, "banana", 0.2).used || !decide(1, "banana", 0.7 - 5 * m).used) throw new Error("a defensive AI keeps its banana until someone is on its tail");
+  // A stationary player missile at racer `r`'s spot, `back` metres behind it
+  const missileAt = (r, back = 0) => {
+    const t = r.t - back * m, p = world.curve.getPointAt(t);
+    return { id: 50, kind: "missile", t, progress: t, offset: 0, x: back ? p.x : r.x, z: back ? p.z : r.z, speed: 0, owner: "player", target: r.id, spawnTime: 0 };
+  };
+  const missileBehind = (state) => state.missiles.push(missileAt(state.racers[1], 10));
+  if(decide(0, "shield", 0.2).used || !decide(0, "shield", 0.2, missileBehind).racer.shield) throw new Error("shields should be saved for incoming missiles");
+  const blocked = decide(1, "banana", 0.2, (state) => state.missiles.push(missileAt(state.racers[2]))).racer;
+  if(blocked.item || blocked.spinout > 0) throw new Error("a banana in hand should take a missile's hit");
+});
+
+test("difficulty classes scale kart and AI pace, and mirror flips the track", ()=>{
+  const classes = Object.fromEntries(DIFFICULTIES.map((d) => [d.id, d]));
+  if(!(classes["50cc"].speed < classes["100cc"].speed && classes["100cc"].speed < classes["150cc"].speed)) throw new Error("classes should get faster from 50cc to 150cc");
+  if(!(classes["50cc"].aiSkill < classes["150cc"].aiSkill && classes["50cc"].rubberBand < classes["150cc"].rubberBand)) throw new Error("AI should corner and chase harder on faster classes");
+  // The player's speed cap: launched over it, a kart settles on maxSpeed × class speed within a few ticks
+  const capped = (difficulty) => {
+    const world = createRaceWorld({ track: TRACKS[0], car: CARS[0], character: CHARACTERS[0], aiRacers: [], items: false, difficulty });
+    let state = createRaceState(world, { seed: 2 });
+    state.racers[0].vel = CARS[0].maxSpeed * 2;
+    for (let i = 0; i < 20; i++) state = stepRace(world, state, { player: { up: true } });
+    return state.racers[0].vel;
+  };
+  const ratio = classes["50cc"].speed / classes["150cc"].speed;
+  const kart = capped("50cc") / capped("150cc");
+  if(Math.abs(kart - ratio) > 0.02) throw new Error(`50cc karts should top out at ${ratio} of 150cc, got ${kart.toFixed(2)}`);
+  // A lone AI (no rubber banding without a human) over its first five seconds
+  const aiTop = (difficulty) => {
+    const world = createRaceWorld({ track: TRACKS[0], humans: [], aiRacers: [AI_RACERS[3]], items: false, difficulty });
+    let state = createRaceState(world, { seed: 2 });
+    let top = 0;
+    for (let i = 0; i < 300; i++) {
+      state = stepRace(world, state, {});
+      top = Math.max(top, state.racers[0].vel);
+    }
+    return top;
+  };
+  if(!(aiTop("50cc") < aiTop("150cc") * 0.9)) throw new Error("AI should be slower on 50cc");
+  const flat = createRaceWorld({ track: TRACKS[0], car: CARS[0], character: CHARACTERS[0], aiRacers: [], items: false, difficulty: "150cc" });
+  const mirror = createRaceWorld({ track: TRACKS[0], car: CARS[0], character: CHARACTERS[0], aiRacers: [], items: false, difficulty: "mirror" });
+  for (const t of [0, 0.3, 0.7]) {
+    const p = flat.curve.getPointAt(t), q = mirror.curve.getPointAt(t);
+    if(Math.abs(p.x + q.x) > 1e-6 || Math.abs(p.z - q.z) > 1e-6) throw new Error("mirror should negate x and keep z");
+  }
+  if(mirror.track !== TRACKS[0]) throw new Error("mirror should flip the curve, not the track");
+  if(createRaceWorld({ track: TRACKS[0], car: CARS[0], character: CHARACTERS[0], difficulty: "nope" }).difficulty.id !== DEFAULT_DIFFICULTY) throw new Error("unknown classes should fall back to the default");
+});
+
+test("stuck karts respawn at their last checkpoint and can't be hit for a moment", ()=>{
+  const world = createRaceWorld({ track: TRACKS[1], car: CARS[0], character: CHARACTERS[0], laps: 1, items: false, aiRacers: [] });
+  const { curve, gates } = world;
+  let state = createRaceState(world, { seed: 4 });
+  const t = gates[3] + 0.02, p = curve.getPointAt(t), tang = curve.getTangentAt(t);
+  // Nose against the right-hand barrier, foot down
+  const edge = wallOffset(world, t) - 0.5, len = Math.hypot(tang.x, tang.z);
+  Object.assign(state.racers[0], { x: p.x - (tang.z / len) * edge, z: p.z + (tang.x / len) * edge, t, gate: 3, yaw: Math.atan2(tang.z, tang.x) + Math.PI / 2 });
+  let ticks = 0;
+  while (!(state.racers[0].respawnTimer > 0) && ticks < 600) { state = stepRace(world, state, { player: { up: true } }); ticks++; }
+  const r = state.racers[0];
+  const gate = curve.getPointAt(gates[3]);
+  if(ticks < 180 || ticks > 240) throw new Error(`auto respawn should take about 3 s, took ${ticks} ticks`);
+  if(r.t !== gates[3] || Math.hypot(r.x - gate.x, r.z - gate.z) > 1e-9 || r.vel !== 0) throw new Error("respawn should stop the kart at the last gate");
+  state.traps.push({ id: 999, kind: "banana", x: r.x, z: r.z, owner: "nobody", spawnTime: state.time });
+  state = stepRace(world, state, { player: {} });
+  if(state.racers[0].spinout > 0 || state.traps.length !== 1) throw new Error("a respawning kart should pass through items");
+});
+
+test("grass slows karts down, walls only stand where the track has them, and far off-track respawns", ()=>{
+  const make = (track) => createRaceWorld({ track, car: CARS[0], character: CHARACTERS[0], laps: 1, items: false, aiRacers: [] });
+  const classic = make(TRACKS[0]), city = make(TRACKS[1]);
+  const hw = classic.trackWidth / 2;
+  if(surfaceAt(classic, 0) !== "road" || surfaceAt(classic, -(hw + CURB_WIDTH / 2)) !== "curb" || surfaceAt(classic, hw + CURB_WIDTH + 1) !== "grass") throw new Error("wrong surface zones");
+  if(wallOffset(classic, 0.3) !== null || wallOffset(city, 0.3) == null) throw new Error("only City should have walls by default");
+  // Same kart, same speed, side by side: one on the road, one out on the grass
+  const drive = (offset) => {
+    let state = createRaceState(classic, { seed: 2 });
+    const t = 0.02, p = classic.curve.getPointAt(t), tang = classic.curve.getTangentAt(t), len = Math.hypot(tang.x, tang.z);
+    Object.assign(state.racers[0], { x: p.x - (tang.z / len) * offset, z: p.z + (tang.x / len) * offset, t, yaw: Math.atan2(tang.z, tang.x), vel: 20 });
+    for (let i = 0; i < 30; i++) state = stepRace(classic, state, { player: { up: true } });
+    return state.racers[0];
+  };
+  const road = drive(0), grass = drive(hw + CURB_WIDTH + 4);
+  if(grass.surface !== "grass" || !(grass.vel < road.vel - 3)) throw new Error(`grass should slow the kart (road ${road.vel.toFixed(1)}, grass ${grass.vel.toFixed(1)})`);
+  const lost = drive(hw + CURB_WIDTH + classic.surfaces.runoffWidth + 40);
+  if(!(lost.respawnTimer > 0) || lost.surface !== "road") throw new Error("a kart far off the track should respawn");
+  const problems = validateTrack({ ...TRACKS[0], itemBoxTs: [], surfaces: { runoff: "lava", walls: [[0.2, 2]] } }).join(" | ");
+  if(!/runoff must be one of/.test(problems) || !/Walls must be/.test(problems)) throw new Error("bad surfaces should be reported");
+});
+
+test("save data migrates old records and repairs damaged fields", ()=>{
+  const migrated = normalizeSave(migrateSave({ version: 0, bestLaps: { classic: { time: 31.5, splits: [10, 21] } } }));
+  if(migrated.version !== 2 || migrated.bestLaps["150cc"].classic?.time !== 31.5) throw new Error("legacy best laps were not migrated");
+  const perClass = normalizeSave(migrateSave({ version: 1, progress: { unlockedTracks: { classic: true, city: true } }, bestLaps: {} }));
+  if(!perClass.progress.unlockedTracks["50cc"].city || !perClass.progress.unlockedTracks["150cc"].city || perClass.progress.unlockedTracks.mirror.city) throw new Error("old unlocks should carry over to every open class");
+  if(perClass.progress.unlockedClasses.mirror || !perClass.progress.unlockedClasses["50cc"]) throw new Error("mirror should start locked");
+  const repaired = normalizeSave({ version: 2, progress: { unlockedTracks: { "100cc": { classic: false, city: "yes" } }, unlockedClasses: { "50cc": false } }, selection: { car: "tank", laps: 99, difficulty: "500cc" }, settings: { platform: "Fridge" }, bestLaps: { "150cc": { west: { time: -1, splits: [] } } } });
+  if(!repaired.progress.unlockedTracks["100cc"].classic || repaired.progress.unlockedTracks["100cc"].city) throw new Error("unlocks not repaired");
+  if(!repaired.progress.unlockedClasses["50cc"]) throw new Error("starting classes cannot be locked");
+  if(repaired.selection.car !== CARS[0].id || repaired.selection.laps !== DEFAULT_LAPS || repaired.selection.difficulty !== DEFAULT_DIFFICULTY) throw new Error("selection not repaired");
+  if(repaired.settings.platform !== null || repaired.settings.musicEnabled !== true) throw new Error("settings not repaired");
+  if(Object.keys(repaired.bestLaps["150cc"]).length) throw new Error("bad best lap kept");
+  if(JSON.stringify(normalizeSave("garbage")) !== JSON.stringify(normalizeSave(null))) throw new Error("garbage should normalize to defaults");
+});
+
+test("items hit every racer but their owner, AI included", ()=>{
+  const world = createRaceWorld({ track: TRACKS[0], humans: [], aiRacers: AI_RACERS.slice(0, 3), items: false });
+  const start = createRaceState(world, { seed: 6 });
+  const [a, b, c] = start.racers;
+  const hits = structuredClone(start);
+  hits.traps.push({ id: 1, kind: "banana", x: a.x, z: a.z, owner: b.id, spawnTime: 0 }, { id: 2, kind: "banana", x: b.x, z: b.z, owner: b.id, spawnTime: 0 });
+  hits.missiles.push({ id: 3, kind: "missile", t: c.t, progress: c.t, offset: 0, x: c.x, z: c.z, speed: 0, owner: a.id, target: c.id, spawnTime: 0 });
+  const hit = stepRace(world, hits, {});
+  if(!(hit.racers[0].spinout > 0) || !(hit.racers[2].spinout > 0)) throw new Error("AI bananas and missiles should hit other AI");
+  if(hit.racers[1].spinout > 0) throw new Error("an AI should not slip on its own banana");
+  // The back marker (a trickster, ~67 m behind) calls lightning on the other two
+  const zap = structuredClone(start);
+  Object.assign(zap.racers[0], { item: "lightning", itemDelay: 0 });
+  const zapped = stepRace(world, zap, {});
+  if(zapped.lightningOwner !== a.id || zapped.racers[0].spinout > 0 || !zapped.racers.slice(1).every((r) => r.spinout > 0)) throw new Error("AI lightning should spin every other racer");
+});
+
+test("missiles home in on the next racer ahead and are stopped by bananas and shields", ()=>{
+  const humans = [{ car: CARS[0], character: CHARACTERS[0] }, { car: CARS[1], character: CHARACTERS[1] }];
+  const world = createRaceWorld({ track: TRACKS[2], humans, aiRacers: [], items: false });
+  // P2 parked `ahead` metres up the road, 4 m right of the centre; P1 fires
+  const fire = (ahead, setup = () => {}) => {
+    let state = createRaceState(world, { seed: 2 });
+    const put = (r, t, off) => {
+      const p = world.curve.getPointAt(t), tang = world.curve.getTangentAt(t), len = Math.hypot(tang.x, tang.z);
+      Object.assign(r, { x: p.x - (tang.z / len) * off, z: p.z + (tang.x / len) * off, t, yaw: Math.atan2(tang.z, tang.x) });
+    };
+    put(state.racers[0], 0.3, 0);
+    put(state.racers[1], 0.3 + ahead / world.curveLength, 4);
+    state.racers[0].item = "missile";
+    setup(state);
+    state = stepRace(world, state, { player: { useItem: true } });
+    const target = state.missiles[0]?.target;
+    for (let i = 0; i < 60 * 7 && state.missiles.length; i++) state = stepRace(world, state, {});
+    return { target, state, p2: state.racers[1] };
+  };
+  const hit = fire(40);
+  if(hit.target !== humanId(1) || !(hit.p2.spinout > 0)) throw new Error("the missile should lock on P2 and steer into it");
+  const behind = fire(-20);
+  if(behind.target !== null || behind.p2.spinout > 0) throw new Error("a missile should never come round to hit a kart behind");
+  const banana = fire(40, (state) => {
+    const t = 0.3 + 30 / world.curveLength, p = world.curve.getPointAt(t), tang = world.curve.getTangentAt(t), len = Math.hypot(tang.x, tang.z);
+    state.traps.push({ id: 90, kind: "banana", x: p.x - (tang.z / len) * 4, z: p.z + (tang.x / len) * 4, owner: humanId(1), spawnTime: 0 });
+  });
+  if(banana.p2.spinout > 0 || banana.state.traps.length) throw new Error("a banana in the way should destroy the missile");
+  const shield = fire(40, (state) => Object.assign(state.racers[1], { shield: true, shieldTimer: 10 }));
+  if(shield.p2.spinout > 0 || shield.p2.shield) throw new Error("a shield should take the missile's hit");
+});
+
+test("registry items: triple mushrooms and bananas, fake boxes, oil slicks and the leader seeker", ()=>{
+  const humans = [0, 1, 2].map((i) => ({ car: CARS[0], character: CHARACTERS[i] }));
+  const world = createRaceWorld({ track: TRACKS[2], humans, aiRacers: [], items: false });
+  const m = 1 / world.curveLength;
+  const put = (r, t, off = 0) => {
+    const p = world.curve.getPointAt(t), tang = world.curve.getTangentAt(t), len = Math.hypot(tang.x, tang.z);
+    Object.assign(r, { x: p.x - (tang.z / len) * off, z: p.z + (tang.x / len) * off, t, yaw: Math.atan2(tang.z, tang.x) });
+  };
+  const setup = () => {
+    const state = createRaceState(world, { seed: 4 });
+    state.racers.forEach((r, i) => put(r, 0.3 + i * 60 * m, 0));
+    return state;
+  };
+  // Three presses, three boosts
+  let state = setup();
+  Object.assign(state.racers[0], { item: "tripleMushroom", itemUses: 3 });
+  const speeds = [];
+  for (let i = 0; i < 3; i++) {
+    state = stepRace(world, state, { player: { useItem: true } });
+    speeds.push(state.racers[0].vel);
+    state = stepRace(world, state, {});
+  }
+  if(state.racers[0].item || !(speeds[0] > 5 && speeds[1] > speeds[0] + 5 && speeds[2] > speeds[1])) throw new Error(`each press should boost: ${speeds}`);
+  // Trailing bananas take one missile each, then drop one at a time
+  state = setup();
+  const p1 = state.racers[0];
+  Object.assign(p1, { item: "tripleBanana", itemUses: 3 });
+  state.missiles.push({ id: 50, kind: "missile", t: p1.t, progress: p1.t, offset: 0, x: p1.x, z: p1.z, speed: 0, owner: humanId(1), target: p1.id, spawnTime: 0 });
+  state = stepRace(world, state, {});
+  if(state.racers[0].spinout > 0 || state.racers[0].itemUses !== 2) throw new Error("a trailing banana should take the missile's hit");
+  state = stepRace(world, state, { player: { useItem: true } });
+  if(state.traps.length !== 1 || state.traps[0].kind !== "banana" || state.racers[0].itemUses !== 1) throw new Error("a press should drop one trailing banana");
+  // A fake box spins out the kart that touches it and is gone
+  state = setup();
+  state.traps.push({ id: 60, kind: "fakeBox", x: state.racers[1].x, z: state.racers[1].z, owner: "player", spawnTime: 0 });
+  state = stepRace(world, state, {});
+  if(!(state.racers[1].spinout > 0) || state.traps.length) throw new Error("a fake item box should spin out whoever drives into it");
+  // An oil slick stays and sends every kart through it sliding, once each
+  state = setup();
+  put(state.racers[1], 0.5, -1.2);
+  put(state.racers[2], 0.5, 1.2);
+  state.racers.forEach((r) => { r.vel = 20; });
+  const oil = world.curve.getPointAt(0.5);
+  state.traps.push({ id: 70, kind: "oil", x: oil.x, z: oil.z, owner: "player", spawnTime: 0, caught: [] });
+  state = stepRace(world, state, {});
+  const slid = state.racers.slice(1);
+  if(!slid.every((r) => r.spinout > 0 && r.vel > 10) || state.traps[0]?.caught.length !== 2) throw new Error("oil should send both karts sliding on and stay");
+  for (let i = 0; i < 60; i++) state = stepRace(world, state, {});
+  if(state.traps.length !== 1 || state.racers.slice(1).some((r) => r.spinout > 0)) throw new Error("oil should catch each kart once");
+  // The seeker flies past P2 to the leader, and its blast catches a kart beside it
+  const seek = (p2Ahead) => {
+    let s = setup();
+    put(s.racers[1], 0.3 + p2Ahead * m, 0);
+    put(s.racers[2], 0.3 + 120 * m, -2);
+    s.racers[0].item = "seeker";
+    s = stepRace(world, s, { player: { useItem: true } });
+    const target = s.missiles[0]?.target;
+    for (let i = 0; i < 60 * 5 && s.missiles.length; i++) s = stepRace(world, s, {});
+    s = stepRace(world, s, {}); // the blast lands on the next step
+    return { target, p2: s.racers[1], p3: s.racers[2] };
+  };
+  const far = seek(40);
+  if(far.target !== humanId(2) || !(far.p3.spinout > 0) || far.p2.spinout > 0) throw new Error("the seeker should pass P2 and hit the leader");
+  if(!(seek(117).p2.spinout > 0)) throw new Error("the seeker's blast should catch a kart next to the leader");
+  // AI spend every use of a multi-use item
+  const aiWorld = createRaceWorld({ track: TRACKS[0], humans: [], aiRacers: AI_RACERS.slice(0, 1), items: false });
+  let ai = createRaceState(aiWorld, { seed: 2 });
+  Object.assign(ai.racers[0], { item: "tripleMushroom", itemUses: 3, itemDelay: 0 });
+  let boosts = 0;
+  for (let i = 0; i < 60 * 20 && ai.racers[0].item; i++) { ai = stepRace(aiWorld, ai, {}); boosts += ai.events.length; }
+  if(boosts !== 3 || ai.racers[0].item) throw new Error(`AI should use all three mushrooms, used ${boosts}`);
+});
+
+test("split-screen humans start side by side and can hit each other with items", ()=>{
+  const humans = [{ car: CARS[0], character: CHARACTERS[0] }, { car: CARS[1], character: CHARACTERS[1] }];
+  const world = createRaceWorld({ track: TRACKS[0], humans, aiRacers: [] });
+  const start = createRaceState(world, { seed: 9 });
+  const [p1, p2] = start.racers;
+  if(p2.id !== humanId(1) || Math.hypot(p1.x - p2.x, p1.z - p2.z) < 2) throw new Error("humans should get their own grid slots");
+  const withBananas = structuredClone(start);
+  withBananas.traps.push({ id: 1, kind: "banana", x: p1.x, z: p1.z, owner: p2.id, spawnTime: 0 }, { id: 2, kind: "banana", x: p2.x, z: p2.z, owner: p2.id, spawnTime: 0 });
+  const next = stepRace(world, withBananas, {});
+  if(!(next.racers[0].spinout > 0)) throw new Error("P2's banana should spin out P1");
+  if(next.racers[1].spinout > 0) throw new Error("P2 should not slip on its own banana");
+});
+
+test("analog steering is proportional and replays keep analog input exactly", ()=>{
+  const world = createRaceWorld({ track: TRACKS[0], car: CARS[0], character: CHARACTERS[0], laps: 1, aiRacers: [] });
+  let moving = createRaceState(world, { seed: 3 });
+  for(let i=0; i<60; i++) moving = stepRace(world, moving, { player: { up: true } });
+  const yawAfter = (controls) => stepRace(world, moving, { player: controls }).racers[0].yaw - moving.racers[0].yaw;
+  const half = yawAfter({ steer: 0.5, throttle: 1 });
+  const full = yawAfter({ steer: 1, throttle: 1 });
+  if(!(half > 0 && Math.abs(full / half - 2) < 1e-6)) throw new Error("half stick should turn half as fast");
+  if(Math.abs(full - yawAfter({ right: true, up: true })) > 1e-12) throw new Error("full stick should match the key");
+  let state = createRaceState(world, { seed: 3 });
+  const rec = createReplayRecorder(world, state, { trackId: TRACKS[0].id });
+  for(let i=0; i<90; i++){
+    const inputs = { player: { steer: Math.sin(i / 9) * 0.734, throttle: 0.61 + (i % 7) / 31, brake: 0, drift: i > 70 } };
+    state = stepRace(world, state, inputs);
+    recordReplayTick(rec, inputs, state);
+  }
+  const replay = decodeReplay(encodeReplay(finishReplay(rec, state)));
+  if(JSON.stringify(resimulateReplay(world, replay)) !== JSON.stringify(state)) throw new Error("analog replay diverged");
+});
+
+test("key bindings move conflicting keys, survive the save and respawn puts the kart back on track", ()=>{
+  const { bindings, conflict } = assignBinding(DEFAULT_BINDINGS, "drift", 1, "Space");
+  if(conflict?.action !== "useItem" || bindings.useItem[0] !== null || bindings.drift[1] !== "Space") throw new Error("Space should move from Use item to Drift");
+  const repaired = normalizeSave({ settings: { bindings: { up: ["KeyW", "KeyW"], left: "nope", useItem: ["KeyW", "Space"] } } }).settings.bindings;
+  if(repaired.up.join() !== "KeyW," || repaired.left.join() !== DEFAULT_BINDINGS.left.join() || repaired.useItem.join() !== ",Space") throw new Error(`bad repair ${JSON.stringify(repaired)}`);
+  if(bindingLookup(repaired).KeyW !== "up" || keyLabel("ArrowUp") !== "↑") throw new Error("lookup / labels");
+  const world = createRaceWorld({ track: TRACKS[0], car: CARS[0], character: CHARACTERS[0], laps: 1, aiRacers: [] });
+  const off = createRaceState(world, { seed: 1 });
+  Object.assign(off.racers[0], { x: off.racers[0].x + 4, vel: 12, yaw: 1 });
+  const back = stepRace(world, off, { player: { respawn: true } }).racers[0];
+  const p = world.curve.getPointAt(back.t);
+  if(back.vel !== 0 || Math.hypot(back.x - p.x, back.z - p.z) > 1e-9) throw new Error("respawn should stop the kart on the centerline");
+});
+
+test("tilt maps to proportional steer around the calibrated center and touch settings are repaired", ()=>{
+  if(tiltToSteer(10, 10, 1) !== 0 || tiltToSteer(1, 0, 1) !== 0) throw new Error("center and deadzone should give no steer");
+  if(Math.abs(tiltToSteer(25, 10, 1) - 0.5) > 1e-9 || tiltToSteer(-80, 0, 1) !== -1) throw new Error("tilt should be proportional up to full lock");
+  if(Math.abs(tiltToSteer(15, 0, 2) - 1) > 1e-9) throw new Error("sensitivity should shrink the tilt needed for full lock");
+  const touch = normalizeSave({ settings: { touch: { steering: "wheel", tiltSensitivity: 9, tiltCenter: -20 } } }).settings.touch;
+  if(touch.steering !== "buttons" || touch.tiltSensitivity !== 1 || touch.tiltCenter !== -20) throw new Error(`bad repair ${JSON.stringify(touch)}`);
+});
+
+test("editor drafts insert, move and remove waypoints and race with their own item boxes", ()=>{
+  let draft = createDraftTrack(TRACKS[1]);
+  if(draft.id !== DRAFT_TRACK_ID || draft.itemBoxTs.length !== 8 || draft.waypoints === TRACKS[1].waypoints) throw new Error("draft should be a copy with spelled-out item boxes");
+  const { track: inserted, index } = insertWaypoint(draft, [54, 0]);
+  if(index !== 2 || inserted.waypoints.length !== 13) throw new Error(`point should go between its neighbours, got ${index}`);
+  if(moveWaypoint(inserted, index, [999, -0.04]).waypoints[index].join() !== `${MAP_EXTENT},0`) throw new Error("moves should clamp to the map");
+  for (let i = 0; i < 20; i++) draft = removeWaypoint(draft, 0);
+  if(draft.waypoints.length !== MIN_WAYPOINTS) throw new Error("loop should keep a minimum of waypoints");
+  draft = addMarker(removeMarker(draft, "itemBoxTs", 0), "itemBoxTs", 1.25);
+  if(draft.itemBoxTs[1] !== 0.25 || draft.itemBoxTs.length !== 8) throw new Error("markers should wrap and stay sorted");
+  const world = createRaceWorld({ track: draft, car: CARS[0], character: CHARACTERS[0] });
+  const curve = createTrackCurve(draft.waypoints);
+  if(world.itemBoxes.length !== 8 || Math.abs(nearestTrackT(curve, [world.itemBoxes[1].x, world.itemBoxes[1].z]).t - 0.25) > 0.003) throw new Error("item boxes should follow itemBoxTs");
+});
+
+test("track files round-trip built-in tracks and reject broken ones with readable errors", ()=>{
+  for (const t of TRACKS) {
+    const problems = validateTrack({ ...t, itemBoxTs: [] });
+    if(problems.length) throw new Error(`${t.id} should be valid: ${problems.join("; ")}`);
+  }
+  const copy = decodeTrack(encodeTrack(TRACKS[2]));
+  if(!isUserTrackId(copy.id) || JSON.stringify(copy.waypoints) !== JSON.stringify(TRACKS[2].waypoints) || copy.itemBoxTs.length !== 8) throw new Error("round trip lost data");
+  if(decodeTrack(encodeTrack(copy)).id !== copy.id) throw new Error("re-importing should keep the id");
+  const broken = (patch) => validateTrack({ ...copy, ...patch }).join(" | ");
+  if(!/at least 4 waypoints/.test(broken({ waypoints: [[0, 0], [40, 0], [0, 40]] }))) throw new Error("too few waypoints");
+  if(!/crosses itself/.test(broken({ waypoints: [[-60, -40], [60, 40], [60, -40], [-60, 40]] }))) throw new Error("figure eight");
+  if(!/Boost pad 2 is at 1.5/.test(broken({ boostTs: [0.2, 1.5] }))) throw new Error("boost range");
+  const hairpin = broken({ waypoints: [[0, 0], [60, 0], [60, 6], [0, 6]], trackWidth: 16 });
+  if(!/too tight/.test(hairpin) || !/closer than its width/.test(hairpin)) throw new Error(`tight hairpin: ${hairpin}`);
+  if(!/Road color/.test(broken({ roadColor: "grey" }))) throw new Error("bad color");
+  let threw = null;
+  try { decodeTrack(JSON.stringify({ format: "hyperkart-track", version: 1, track: { ...copy, turf: "#12" } })); } catch(e) { threw = e.message; }
+  if(!threw || !/Ground color/.test(threw)) throw new Error("decode should refuse invalid tracks");
+});
+
+test("hills slow climbing karts, banks raise the right edge and flat tracks stay flat", ()=>{
+  const heights = [0, 4, 8, 12, 16, 20, 24, 24, 20, 16, 12, 8, 4, 0];
+  const hill = { ...TRACKS[0], waypoints: TRACKS[0].waypoints.map(([x, z], i) => [x, z, heights[i], i === 3 ? 20 : 0]) };
+  const problems = validateTrack({ ...hill, itemBoxTs: [] });
+  if(problems.length) throw new Error(`hill track should be valid: ${problems.join("; ")}`);
+  if(!/steeper/.test(validateTrack({ ...hill, itemBoxTs: [], waypoints: hill.waypoints.map((p, i) => (i === 1 ? [p[0], p[1], 40, 0] : p)) }).join())) throw new Error("cliffs should be rejected");
+  const flatCurve = createTrackCurve(TRACKS[0].waypoints);
+  const flatPose = surfacePose(flatCurve, 3, -60, 1, 0.02);
+  if(!flatCurve.flat || flatPose.y || flatPose.pitch || flatPose.roll) throw new Error("flat tracks should have no height, pitch or roll");
+  const hillCurve = createTrackCurve(hill.waypoints);
+  const banked = trackFrameAt(hillCurve, nearestTrackT(hillCurve, hill.waypoints[3]).t);
+  if(!(banked.right.y > 0.2 && banked.up.y > 0.8)) throw new Error("a positive bank should raise the right edge");
+  const speedAfter = (track) => {
+    const world = createRaceWorld({ track, car: CARS[0], character: CHARACTERS[0], laps: 1, aiRacers: [] });
+    let state = createRaceState(world, { seed: 1 });
+    for (let i = 0; i < 180; i++) state = stepRace(world, state, { player: autopilotInput(world, state, "player") });
+    return state.racers[0].vel;
+  };
+  if(!(speedAfter(hill) < speedAfter(TRACKS[0]) - 1)) throw new Error("climbing should cost speed");
+  const { track: split } = insertWaypoint(hill, [-59, 7]); // halfway between waypoints 3 and 4 (heights 8 and 12)
+  if(split.waypoints[3][2] !== 10 || moveWaypoint(split, 3, [0, 0]).waypoints[3][2] !== 10) throw new Error("inserted points should take the road's height and keep it when moved");
+  if(setWaypointElevation(hill, 0, { bank: 90 }).waypoints[0].join() !== `${hill.waypoints[0][0]},${hill.waypoints[0][1]},0,${MAX_BANK}`) throw new Error("bank should clamp");
+});
+
+test("online client prediction matches the host once its inputs are acknowledged", ()=>{
+  const players = [{ id: 1, name: "Host" }, { id: 2, name: "Guest" }];
+  const humans = [{ car: CARS[0], character: CHARACTERS[0] }, { car: CARS[1], character: CHARACTERS[1] }];
+  const world = createRaceWorld({ track: TRACKS[0], humans, aiRacers: [], laps: 1 });
+  const start = createRaceState(world, { seed: 5 });
+  start.racers[1].item = "banana";
+  const host = createNetHost(players, 1);
+  const client = createNetClient(world, start, "player-2");
+  // Both directions delayed by LATENCY ticks
+  const LATENCY = 4;
+  const toHost = [], toClient = [];
+  let hostState = start;
+  const hostTick = () => {
+    while (toHost.length && toHost[0].at <= hostState.tick) hostReceiveInput(host, 2, toHost.shift().msg);
+    const inputs = hostTickInputs(host, { player: { up: true } });
+    hostState = stepRace(world, hostState, inputs);
+    const snap = hostAfterStep(host, hostState, inputs);
+    if (snap) toClient.push({ at: hostState.tick + LATENCY, msg: structuredClone(snap) });
+  };
+  const events = [];
+  for(let i=0; i<180; i++){
+    const input = { ...autopilotInput(world, client.predicted, "player-2"), useItem: i === 30 };
+    toHost.push({ at: hostState.tick + LATENCY, msg: clientStep(client, input) });
+    hostTick();
+    while (toClient.length && toClient[0].at <= hostState.tick) {
+      const { msg } = toClient.shift();
+      events.push(...msg.events);
+      clientReceiveSnapshot(client, msg, 0);
+    }
+  }
+  const predicted = client.predicted.racers[1];
+  while (host.acks["player-2"] !== client.tick) hostTick();
+  const actual = hostState.racers[1];
+  if(Math.hypot(predicted.x - actual.x, predicted.z - actual.z) > 1e-6) throw new Error("prediction diverged from the host");
+  const drop = events.find((e) => e.racer === "player-2" && e.item === "banana");
+  if(!drop || !hostState.traps.some((b) => b.id === drop.id && b.owner === "player-2")) throw new Error("banana drop should reach the client as an event");
 });
 
-test("liveRace has item system fields", ()=>{
-  if(!Array.isArray(liveRace.activeBananas)) throw new Error("activeBananas not array");
-  if(!Array.isArray(liveRace.activeMissiles)) throw new Error("activeMissiles not array");
-  if(typeof liveRace.itemBoxCooldowns !== "object") throw new Error("itemBoxCooldowns not object");
+test("grand prix scores every racer, keeps standings in the save and trophies open rewards", ()=>{
+  const order = (ids) => ({ racers: ids.map((id, i) => ({ id, finished: true, finishPlace: i + 1, place: i + 1 })) });
+  let gp = createGrandPrix({ difficulty: "50cc", character: CHARACTERS[0].id, car: CARS[0].id, laps: 1 });
+  if(grandPrixTrack(gp)?.id !== TRACKS[0].id || grandPrixRoster(gp).length !== 1 + AI_RACERS.length) throw new Error("a cup should start on the first track with the full grid");
+  gp = recordGrandPrixRace(gp, order(["player", "ai-0", "ai-1", "ai-2", "ai-3"]));
+  gp = recordGrandPrixRace(gp, order(["ai-0", "player", "ai-1", "ai-2", "ai-3"]));
+  let standings = grandPrixStandings(gp);
+  if(standings[0].id !== "ai-0" || standings[0].points !== GP_POINTS[0] + GP_POINTS[1] || standings[1].id !== "player") throw new Error("a tie on points and wins should go to the latest race's better finisher");
+  if(standings.find((row) => row.id === "ai-3").points !== GP_POINTS[4] * 2) throw new Error("AI should score points too");
+  // The player is home while ai-3 is still racing in 2nd: it is ranked after the finishers
+  gp = recordGrandPrixRace(gp, { racers: [
+    { id: "player", finished: true, finishPlace: 1, place: 1 }, { id: "ai-3", finished: false, place: 2 }, { id: "ai-0", finished: true, finishPlace: 2, place: 3 },
+    { id: "ai-1", finished: false, place: 4 }, { id: "ai-2", finished: false, place: 5 },
+  ] });
+  if(gp.results[2].join() !== "player,ai-0,ai-3,ai-1,ai-2") throw new Error(`unfinished racers should follow the finishers, got ${gp.results[2]}`);
+  if(!isGrandPrixOver(gp) || grandPrixTrack(gp) !== null) throw new Error("the cup should end after every track");
+  standings = grandPrixStandings(gp);
+  if(standings[0].id !== "player" || trophyForPlace(1) !== "gold" || trophyForPlace(4) !== null) throw new Error("the overall winner should take gold");
+  const saved = normalizeSave({ progress: { grandPrix: gp, trophies: { "50cc": "silver", "100cc": "platinum" } } });
+  if(JSON.stringify(saved.progress.grandPrix) !== JSON.stringify(gp)) throw new Error("a cup should survive the save");
+  if(saved.progress.trophies["50cc"] !== "silver" || saved.progress.trophies["100cc"] !== null) throw new Error("trophies not repaired");
+  if(normalizeSave({ progress: { grandPrix: { ...gp, car: "tank" } } }).progress.grandPrix !== null) throw new Error("a damaged cup should be dropped");
+  let trophies = normalizeSave(null).progress.trophies;
+  const nova = CHARACTERS.find((c) => c.id === "nova");
+  const comet = CARS.find((c) => c.id === "comet");
+  if(isRewardUnlocked(nova, trophies) || storeFieldsFromSave(normalizeSave({ selection: { character: "nova" } })).selectedCharacter.id !== CHARACTERS[0].id) throw new Error("rewards should start locked");
+  trophies = awardTrophy(trophies, "50cc", "bronze");
+  if(!isRewardUnlocked(nova, trophies) || isRewardUnlocked(comet, trophies)) throw new Error("bronze on 50cc should open Nova only");
+  const gold = awardTrophy(trophies, "150cc", "gold");
+  if(newRewards(trophies, gold).map((e) => e.id).join() !== "comet" || awardTrophy(gold, "150cc", "bronze") !== gold) throw new Error("gold should open Comet and never be downgraded");
 });
 
 function DevTestOverlay(){
@@ -2400,8 +4907,10 @@ function DevTestOverlay(){
 // -----------------------------
 export default function HyperKart3D(){
   const screen = useScreen();
+  const raceKey = useRaceKey();
   useEffect(()=>{
-    // sensible default platform guess
+    // sensible default platform guess (first run only — afterwards the saved choice wins)
+    if (loadSave().settings.platform) return;
     const ua = (typeof navigator !== "undefined" ? navigator.userAgent : "").toLowerCase();
     if(/iphone/.test(ua)) setPlatform("iPhone");
     else if(/ipad|tablet/.test(ua)) setPlatform("iPad");
@@ -2420,8 +4929,14 @@ export default function HyperKart3D(){
       {screen === "howto" && <HowToPlayScreen />}
       {screen === "character" && <CharacterScreen />}
       {screen === "car" && <CarScreen />}
+      {screen === "players" && <PlayersScreen />}
       {screen === "track" && <TrackScreen />}
-      {screen === "race" && <RaceScreen />}
+      {screen === "cup" && <GrandPrixScreen />}
+      {screen === "race" && <RaceScreen key={raceKey} />}
+      {screen === "podium" && <PodiumScreen />}
+      {screen === "replay" && <ReplayScreen />}
+      {screen === "online" && <OnlineScreen />}
+      {screen === "editor" && <TrackEditorScreen />}
       <SettingsModal />
     </div>
   );
@@ -0,0 +1,108 @@
+/*****************************
+ * HyperKart 3D — keyboard bindings
+ * - ACTIONS is the single table of rebindable actions; the race input hook,
+ *   the bindings editor and the help screens all read from it
+ * - Each action has two slots holding KeyboardEvent.code values (or null);
+ *   a code is bound to at most one slot across all actions
+ * - Stored in the save (settings.bindings) — see saveData.js
+ *****************************/
+
+export const ACTIONS = [
+  { id: "up", label: "Accelerate" },
+  { id: "down", label: "Brake / Reverse" },
+  { id: "left", label: "Steer left" },
+  { id: "right", label: "Steer right" },
+  { id: "useItem", label: "Use item" },
+  { id: "drift", label: "Drift" },
+  { id: "lookBack", label: "Look back" },
+  { id: "respawn", label: "Respawn" },
+  { id: "pause", label: "Pause" },
+];
+
+export const BINDING_SLOTS = 2;
+
+export const DEFAULT_BINDINGS = {
+  up: ["KeyW", "ArrowUp"],
+  down: ["KeyS", "ArrowDown"],
+  left: ["KeyA", "ArrowLeft"],
+  right: ["KeyD", "ArrowRight"],
+  useItem: ["Space", null],
+  drift: ["ShiftLeft", "ShiftRight"],
+  lookBack: ["KeyC", null],
+  respawn: ["KeyR", null],
+  pause: ["Escape", "KeyP"],
+};
+
+const CODE_PATTERN = /^[A-Za-z0-9]{1,24}$/;
+const isCode = (v) => typeof v === "string" && CODE_PATTERN.test(v);
+
+/** Fills in missing actions / slots and drops codes bound more than once (earlier actions keep them). */
+export function normalizeBindings(raw) {
+  const src = raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+  const used = new Set();
+  const out = {};
+  for (const { id } of ACTIONS) {
+    const slots = Array.isArray(src[id]) ? src[id] : DEFAULT_BINDINGS[id];
+    out[id] = Array.from({ length: BINDING_SLOTS }, (_, i) => {
+      const code = isCode(slots[i]) ? slots[i] : null;
+      if (!code || used.has(code)) return null;
+      used.add(code);
+      return code;
+    });
+  }
+  return out;
+}
+
+/** The action and slot currently holding `code`, or null. */
+export function findBinding(bindings, code) {
+  for (const { id } of ACTIONS) {
+    const slot = bindings[id]?.indexOf(code) ?? -1;
+    if (slot >= 0) return { action: id, slot };
+  }
+  return null;
+}
+
+/**
+ * Binds `code` to `action`'s `slot` (null clears it). A code already bound
+ * elsewhere moves here; the slot it left is reported as `conflict`.
+ */
+export function assignBinding(bindings, action, slot, code) {
+  const next = Object.fromEntries(Object.entries(bindings).map(([id, slots]) => [id, [...slots]]));
+  const previous = code ? findBinding(bindings, code) : null;
+  const conflict = previous && !(previous.action === action && previous.slot === slot) ? previous : null;
+  if (conflict) next[conflict.action][conflict.slot] = null;
+  next[action][slot] = code;
+  return { bindings: next, conflict };
+}
+
+/** KeyboardEvent.code → action id, for the input hook. */
+export function bindingLookup(bindings) {
+  const map = {};
+  for (const [action, slots] of Object.entries(bindings)) slots.forEach((code) => { if (code) map[code] = action; });
+  return map;
+}
+
+const KEY_NAMES = {
+  ArrowUp: "↑", ArrowDown: "↓", ArrowLeft: "←", ArrowRight: "→",
+  Space: "Space", Escape: "Esc", Enter: "Enter", Tab: "Tab", Backquote: "`",
+  ShiftLeft: "Left Shift", ShiftRight: "Right Shift", ControlLeft: "Left Ctrl", ControlRight: "Right Ctrl",
+  AltLeft: "Left Alt", AltRight: "Right Alt", MetaLeft: "Left ⌘", MetaRight: "Right ⌘",
+  Minus: "-", Equal: "=", BracketLeft: "[", BracketRight: "]", Backslash: "\\",
+  Semicolon: ";", Quote: "'", Comma: ",", Period: ".", Slash: "/",
+};
+
+/** Readable name of a KeyboardEvent.code ("KeyW" → "W", "Numpad4" → "Num 4"). */
+export function keyLabel(code) {
+  if (!code) return "—";
+  if (KEY_NAMES[code]) return KEY_NAMES[code];
+  if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+  if (/^Digit\d$/.test(code)) return code.slice(5);
+  if (code.startsWith("Numpad")) return `Num ${code.slice(6)}`;
+  return code;
+}
+
+/** "W / ↑" — every key bound to `action`, for help text. */
+export function actionKeys(bindings, action) {
+  const codes = (bindings[action] || []).filter(Boolean);
+  return codes.length ? codes.map(keyLabel).join(" / ") : "unbound";
+}
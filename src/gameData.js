@@ -0,0 +1,179 @@
+/*****************************
+ * HyperKart 3D — static game data
+ * Plain data only (no React / WebGL) so the headless race simulation in
+ * raceSim.js can load it under Node as well as in the browser.
+ *****************************/
+
+// -----------------------------
+// Data: characters, cars, tracks
+// -----------------------------
+// Entries with `unlock` are Grand Prix rewards: they open once a trophy at
+// least that good has been won on that class (see grandPrix.js)
+export const CHARACTERS = [
+  { id: "rex", name: "Rex", color: "#29b6f6" },
+  { id: "luna", name: "Luna", color: "#ef5da8" },
+  { id: "bolt", name: "Bolt", color: "#ffe082" },
+  { id: "ember", name: "Ember", color: "#ff7043" },
+  { id: "oak", name: "Oak", color: "#8bc34a" },
+  { id: "ghost", name: "Ghost", color: "#cfd8dc" },
+  { id: "nova", name: "Nova", color: "#b388ff", unlock: { difficulty: "50cc", trophy: "bronze" } },
+  { id: "titan", name: "Titan", color: "#ffca28", unlock: { difficulty: "100cc", trophy: "silver" } },
+];
+
+export const CARS = [
+  { id: "sprinter", name: "Sprinter", accel: 9.5, maxSpeed: 28, handling: 1.0, desc: "Balanced all-rounder" },
+  { id: "torque", name: "Torque", accel: 7.5, maxSpeed: 34, handling: 0.8, desc: "Raw power, slides in turns" },
+  { id: "glider", name: "Glider", accel: 8.5, maxSpeed: 31, handling: 1.1, desc: "Nimble and precise" },
+  { id: "bulldog", name: "Bulldog", accel: 6.5, maxSpeed: 36, handling: 0.7, desc: "Heavy hitter, top speed king" },
+  { id: "comet", name: "Comet", accel: 9, maxSpeed: 34, handling: 1.05, desc: "Champion's ride: quick off the line and sharp", unlock: { difficulty: "150cc", trophy: "gold" } },
+];
+
+export const TRACKS = [
+  {
+    id: "classic",
+    name: "Speedway",
+    theme: "classic",
+    difficulty: 1,
+    sky: "#87ceeb",
+    fog: "#a6d5f7",
+    seatColor: "#334155",
+    turf: "#2e7d32",
+    roadColor: "#555555",
+    trackWidth: 16,
+    envPreset: "park",
+    waypoints: [
+      [-32,-58],[-58,-32],[-68,0],[-50,14],[-36,25],[-43,40],[-25,54],
+      [0,61],[32,54],[58,32],[68,0],[58,-36],[32,-58],[0,-63],
+    ],
+    boostTs: [0.15, 0.5, 0.8],
+  },
+  {
+    id: "city",
+    name: "Street Circuit",
+    theme: "city",
+    difficulty: 2,
+    sky: "#1a1a2e",
+    fog: "#16213e",
+    seatColor: "#1f2937",
+    turf: "#1a1a2e",
+    roadColor: "#222233",
+    trackWidth: 14,
+    envPreset: "night",
+    waypoints: [
+      [27,18],[54,18],[54,-18],[27,-18],[27,-45],[-27,-45],
+      [-27,-18],[-54,-18],[-54,18],[-27,18],[-27,45],[27,45],
+    ],
+    boostTs: [0.12, 0.45, 0.78],
+  },
+  {
+    id: "west",
+    name: "Canyon Run",
+    theme: "west",
+    difficulty: 3,
+    sky: "#ffcc80",
+    fog: "#ffc080",
+    seatColor: "#5d4037",
+    turf: "#c2956a",
+    roadColor: "#8B5A2B",
+    trackWidth: 16,
+    envPreset: "sunset",
+    waypoints: [
+      [0,72],[40,65],[72,40],[79,0],[72,-36],[45,-65],
+      [0,-72],[-40,-61],[-72,-32],[-76,9],[-54,43],[-22,68],
+    ],
+    boostTs: [0.1, 0.4, 0.7],
+  },
+];
+
+export const DEFAULT_LAPS = 3;
+export const PLATFORMS = ["Laptop", "Controller", "iPad", "iPhone"];
+
+// -----------------------------
+// Driving surfaces
+// -----------------------------
+// grip scales steering, speedMul caps top speed and drag is how fast (per
+// second) speed above that cap bleeds away. `color` tints runoff and dust.
+export const SURFACES = {
+  road: { label: "Road", grip: 1, drag: 0, speedMul: 1, color: "#555555" },
+  curb: { label: "Curb", grip: 0.9, drag: 1, speedMul: 0.9, color: "#ff3333" },
+  grass: { label: "Grass", grip: 0.55, drag: 2, speedMul: 0.55, color: "#4f8f3a" },
+  sand: { label: "Sand", grip: 0.45, drag: 3, speedMul: 0.45, color: "#d2a46c" },
+  gravel: { label: "Gravel", grip: 0.5, drag: 2.5, speedMul: 0.5, color: "#9a968c" },
+};
+
+// What lies beyond the curbs, per theme. Tracks may override any field with
+// their own `surfaces` (see trackSurfaces in raceSim.js): `runoff` is the
+// band of `runoffWidth` metres next to the curbs, `terrain` everything past
+// it, and `walls` (true, or [[fromT, toT], …]) puts barriers at the runoff's
+// outer edge.
+export const THEME_SURFACES = {
+  classic: { runoff: "grass", runoffWidth: 10, terrain: "grass", walls: false },
+  city: { runoff: "gravel", runoffWidth: 3, terrain: "gravel", walls: true },
+  west: { runoff: "gravel", runoffWidth: 4, terrain: "sand", walls: false },
+};
+
+// -----------------------------
+// Items & Power-ups
+// -----------------------------
+// One entry per item a box can give. `weights` are its odds by race position,
+// from the leader to last place (see getRandomItem: longer or shorter fields
+// are spread over the columns, and the last column is last place only).
+// `uses` is how many presses it lasts, `icon` / `color` its HUD badge,
+// `help` its line in How to Play and `feed` what the online item feed says.
+// What it does is ITEM_BEHAVIOR in raceSim.js; how it looks is ITEM_MODELS
+// in HyperKart3D.jsx.
+export const ITEMS = [
+  { id: "mushroom", name: "Mushroom", display: "BOOST", icon: "🍄", color: "#22c55e", weights: [30, 25, 20, 10, 10], help: "Instant speed boost", feed: "used a mushroom" },
+  { id: "tripleMushroom", name: "Triple Mushroom", display: "BOOST ×3", icon: "🍄", color: "#15803d", uses: 3, weights: [0, 5, 10, 15, 10], help: "Three boosts, one per press", feed: "used a mushroom" },
+  { id: "banana", name: "Banana", display: "BANANA", icon: "🍌", color: "#eab308", weights: [20, 15, 10, 5, 5], help: "Drop behind you; spins out anyone who hits it. Held, it blocks a missile from behind", feed: "dropped a banana" },
+  { id: "tripleBanana", name: "Triple Banana", display: "BANANA ×3", icon: "🍌", color: "#ca8a04", uses: 3, weights: [10, 10, 5, 0, 0], help: "Three bananas trail behind you, each blocking one hit from behind; drop them one at a time", feed: "dropped a banana" },
+  { id: "fakeBox", name: "Fake Item Box", display: "FAKE BOX", icon: "❓", color: "#dc2626", weights: [10, 5, 5, 0, 0], help: "Looks like an item box; spins out whoever drives into it", feed: "left a fake item box" },
+  { id: "oil", name: "Oil Slick", display: "OIL", icon: "🛢️", color: "#334155", weights: [10, 10, 5, 5, 0], help: "A wide puddle that sends every kart through it sliding", feed: "spilled oil" },
+  { id: "missile", name: "Missile", display: "MISSILE", icon: "🚀", color: "#ef4444", weights: [5, 20, 25, 25, 20], help: "Locks on to the next kart ahead and homes in on it; a shield or a banana stops it", feed: "fired a missile" },
+  { id: "shield", name: "Shield", display: "SHIELD", icon: "🛡️", color: "#06b6d4", weights: [15, 10, 5, 5, 0], help: "Blocks one incoming hit for 10 seconds", feed: "raised a shield" },
+  { id: "lightning", name: "Lightning", display: "ZAP", icon: "⚡", color: "#a855f7", weights: [0, 0, 15, 35, 35], help: "Zaps ALL opponents, slowing them down", feed: "called down lightning" },
+  { id: "seeker", name: "Leader Seeker", display: "SEEKER", icon: "🎯", color: "#2563eb", weights: [0, 0, 0, 0, 20], help: "Last place only: flies to the leader, past everything in its way, and blasts them", feed: "sent a seeker after the leader" },
+];
+
+// -----------------------------
+// Difficulty classes
+// -----------------------------
+// One row per class, picked before the race. `speed` scales every kart's top
+// speed (players and AI), `aiSkill` how fast AI take corners, `mistakes` how
+// often they lift off, `rubberBand` how hard they chase or wait for the
+// leader and `itemAggression` how soon they fire a pickup. `mirror` flips the
+// track left to right. A class with `unlockedBy` opens once every track has
+// been won on that class.
+export const DIFFICULTIES = [
+  { id: "50cc", name: "50cc", speed: 0.8, aiSkill: 0.85, mistakes: 2, rubberBand: 0.5, itemAggression: 0.5, mirror: false },
+  { id: "100cc", name: "100cc", speed: 0.9, aiSkill: 0.93, mistakes: 1.4, rubberBand: 0.75, itemAggression: 0.75, mirror: false },
+  { id: "150cc", name: "150cc", speed: 1, aiSkill: 1, mistakes: 1, rubberBand: 1, itemAggression: 1, mirror: false },
+  { id: "mirror", name: "Mirror", speed: 1, aiSkill: 1, mistakes: 1, rubberBand: 1, itemAggression: 1, mirror: true, unlockedBy: "150cc" },
+];
+
+export const DEFAULT_DIFFICULTY = "100cc";
+export const TIME_TRIAL_DIFFICULTY = "150cc"; // lap records and ghosts are all set at full speed
+
+// -----------------------------
+// Grand Prix
+// -----------------------------
+// Championship points by finishing place, 1st first; places past the end
+// score nothing. A cup's top three take the TROPHIES, best first.
+export const GP_POINTS = [15, 12, 10, 8, 6, 4, 2, 1];
+export const TROPHIES = [
+  { id: "gold", name: "Gold", icon: "🏆", color: "#facc15" },
+  { id: "silver", name: "Silver", icon: "🥈", color: "#cbd5e1" },
+  { id: "bronze", name: "Bronze", icon: "🥉", color: "#d97706" },
+];
+
+// -----------------------------
+// AI opponents (roster)
+// -----------------------------
+// `tier` sets driving skill, `personality` how it plays its items (see
+// AI_SKILL and AI_ITEM_STYLE in raceSim.js)
+export const AI_RACERS = [
+  { color: "#ef5da8", accent: "#fff", startT: 0.08, speedMul: 0.95, bodyType: "glider", offset: -2.5, tier: "challenger", personality: "trickster" },
+  { color: "#ffe082", accent: "#fff", startT: 0.16, speedMul: 1.02, bodyType: "torque", offset: 2.5, tier: "threat", personality: "aggressive" },
+  { color: "#ff7043", accent: "#fff", startT: 0.24, speedMul: 0.88, bodyType: "bulldog", offset: -1.0, tier: "rookie", personality: "defensive" },
+  { color: "#8bc34a", accent: "#fff", startT: 0.32, speedMul: 0.92, bodyType: "sprinter", offset: 1.0, tier: "competitive", personality: "balanced" },
+];
@@ -0,0 +1,89 @@
+/*****************************
+ * HyperKart 3D — Time Trial ghosts
+ * - A ghost is the replay (replay.js) of a personal-best Time Trial run, so
+ *   ghost files are ordinary exported replay files
+ * - One ghost per track and lap count, kept in localStorage as replay text;
+ *   a run or an imported ghost file only replaces it by being faster
+ * - sampleGhost() gives the recorded pose at a race time for rendering
+ *****************************/
+import { SIM_DT, angleLerp, lerp } from "./raceSim.js";
+import { decodeReplay, encodeReplay } from "./replay.js";
+
+const GHOST_KEY = "hyperkart.ghost";
+
+function ghostKey(trackId, laps) { return `${GHOST_KEY}.${trackId}.${laps}`; }
+
+function storage() {
+  try { return globalThis.localStorage ?? null; } catch { return null; }
+}
+
+/** Finish time of the run's human racer, or null if it never finished. */
+export function ghostTime(replay) {
+  return replay?.meta.results?.find((r) => r.id === "player")?.finishTime ?? null;
+}
+
+export function loadGhost(trackId, laps) {
+  const text = storage()?.getItem(ghostKey(trackId, laps));
+  if (!text) return null;
+  try { return decodeReplay(text); } catch { return null; }
+}
+
+function writeGhost(replay) {
+  try {
+    storage()?.setItem(ghostKey(replay.meta.trackId, replay.meta.laps), encodeReplay(replay));
+  } catch {
+    // Storage full or blocked — the run still counts, it just isn't kept
+  }
+}
+
+/** Keeps `replay` as the track's ghost if it beats the saved one. Returns true for a new best. */
+export function saveGhostIfBest(replay) {
+  const time = ghostTime(replay);
+  if (time == null) return false;
+  const best = loadGhost(replay.meta.trackId, replay.meta.laps);
+  if (best && ghostTime(best) <= time) return false;
+  writeGhost(replay);
+  return true;
+}
+
+/** Removes every saved ghost (Reset progress). */
+export function clearGhosts() {
+  const store = storage();
+  if (!store) return;
+  const keys = [];
+  for (let i = 0; i < store.length; i++) {
+    const key = store.key(i);
+    if (key?.startsWith(`${GHOST_KEY}.`)) keys.push(key);
+  }
+  keys.forEach((key) => store.removeItem(key));
+}
+
+/**
+ * Reads a ghost file and keeps it as its track's ghost if it beats the saved
+ * one, like a run of your own. Returns { replay, newBest }. Throws on anything else.
+ */
+export function importGhost(text) {
+  const replay = decodeReplay(text);
+  if (replay.meta.mode !== "timeTrial" || !replay.meta.trackId || ghostTime(replay) == null) {
+    throw new Error("Not a finished Time Trial run");
+  }
+  return { replay, newBest: saveGhostIfBest(replay) };
+}
+
+export function exportGhost(replay) {
+  return encodeReplay(replay);
+}
+
+/** Interpolated { x, z, yaw } of the ghost at race `time`; null once its run is over. */
+export function sampleGhost(replay, time) {
+  const { frames, meta } = replay;
+  const index = meta.racers.findIndex((r) => r.kind === "player");
+  // Frame k was packed at tick (k + 1) * recordEvery
+  const f = Math.max(0, time / (meta.recordEvery * SIM_DT) - 1);
+  const i = Math.floor(f);
+  if (index < 0 || i >= frames.length - 1) return null;
+  const a = frames[i].racers[index];
+  const b = frames[i + 1].racers[index];
+  const k = f - i;
+  return { x: lerp(a.x, b.x, k), z: lerp(a.z, b.z, k), yaw: angleLerp(a.yaw, b.yaw, k) };
+}
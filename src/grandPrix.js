@@ -0,0 +1,113 @@
+/*****************************
+ * HyperKart 3D — Grand Prix cups
+ * - A cup is every TRACKS entry in order, raced with one character, car,
+ *   class and lap count; it is plain data so the save can keep it mid-cup
+ * - `results` holds one finishing order (racer ids) per race run so far;
+ *   points and standings are always worked out from it
+ * - Every racer scores GP_POINTS by place, AI included; the top three of
+ *   the final standings take the TROPHIES
+ * - Trophies are kept per class (best one only) and open the CHARACTERS and
+ *   CARS entries that have an `unlock`
+ *****************************/
+import { AI_RACERS, CARS, CHARACTERS, GP_POINTS, TRACKS, TROPHIES } from "./gameData.js";
+import { humanId } from "./raceSim.js";
+
+/** A new cup (`character` / `car` are ids, `difficulty` a DIFFICULTIES id). */
+export function createGrandPrix({ difficulty, character, car, laps }) {
+  return { difficulty, character, car, laps, results: [] };
+}
+
+/** The cup's character and car entries. */
+export function grandPrixKart(gp) {
+  return {
+    character: CHARACTERS.find((c) => c.id === gp.character) || CHARACTERS[0],
+    car: CARS.find((c) => c.id === gp.car) || CARS[0],
+  };
+}
+
+/**
+ * Everyone in the cup: the player, then the AI in grid order with the ids
+ * the race gives them (an AI wearing the player's colour sits the cup out,
+ * as it does in every race).
+ */
+export function grandPrixRoster(gp) {
+  const { character, car } = grandPrixKart(gp);
+  const rivals = AI_RACERS.filter((ai) => ai.color !== character.color);
+  return [
+    { id: humanId(0), kind: "player", color: character.color, accent: "#fff", bodyType: car.id },
+    ...rivals.map((ai, i) => ({ id: `ai-${i}`, kind: "ai", color: ai.color, accent: ai.accent, bodyType: ai.bodyType })),
+  ];
+}
+
+/** The track the next race is on, or null once the cup is over. */
+export function grandPrixTrack(gp) {
+  return TRACKS[gp.results.length] ?? null;
+}
+
+export function isGrandPrixOver(gp) {
+  return gp.results.length >= TRACKS.length;
+}
+
+export function pointsForPlace(place) {
+  return GP_POINTS[place - 1] ?? 0;
+}
+
+/** Racer ids of a race in finishing order: finishers by place, then everyone still out there by where they are. */
+export function finishOrder(state) {
+  const rank = (r) => (r.finished ? r.finishPlace ?? r.place : state.racers.length + r.place);
+  return [...state.racers].sort((a, b) => rank(a) - rank(b)).map((r) => r.id);
+}
+
+/** The cup with a race added (`state` is that race's state once the player is home). */
+export function recordGrandPrixRace(gp, state) {
+  return { ...gp, results: [...gp.results, finishOrder(state)] };
+}
+
+/**
+ * Standings after the races run so far, leader first: [{ id, points, places }]
+ * with `places` one entry per race (0 where the racer wasn't in it). Ties go
+ * to more wins, then to whoever placed better in the latest race.
+ */
+export function grandPrixStandings(gp) {
+  const ids = [...new Set(gp.results.flat())];
+  const last = gp.results.length - 1;
+  const wins = (row) => row.places.filter((p) => p === 1).length;
+  const latest = (row) => row.places[last] || Infinity;
+  return ids
+    .map((id) => {
+      const places = gp.results.map((order) => order.indexOf(id) + 1);
+      return { id, places, points: places.reduce((sum, p) => sum + (p ? pointsForPlace(p) : 0), 0) };
+    })
+    .sort((a, b) => b.points - a.points || wins(b) - wins(a) || latest(a) - latest(b));
+}
+
+/** The trophy id for finishing a cup in `place`, or null off the podium. */
+export function trophyForPlace(place) {
+  return TROPHIES[place - 1]?.id ?? null;
+}
+
+const trophyRank = (id) => {
+  const i = TROPHIES.findIndex((t) => t.id === id);
+  return i < 0 ? Infinity : i;
+};
+
+/** Whether trophy `have` (an id or null) is at least as good as `need`. */
+export function trophyAtLeast(have, need) {
+  return trophyRank(have) <= trophyRank(need);
+}
+
+/** `trophies` (class id → best trophy id or null) after winning `trophy` on `difficulty`; a worse one changes nothing. */
+export function awardTrophy(trophies, difficulty, trophy) {
+  if (!trophy || trophyAtLeast(trophies[difficulty], trophy)) return trophies;
+  return { ...trophies, [difficulty]: trophy };
+}
+
+/** Whether a CHARACTERS / CARS entry can be picked with these trophies. */
+export function isRewardUnlocked(entry, trophies) {
+  return !entry.unlock || trophyAtLeast(trophies[entry.unlock.difficulty], entry.unlock.trophy);
+}
+
+/** Characters and cars that `after` opens and `before` didn't. */
+export function newRewards(before, after) {
+  return [...CHARACTERS, ...CARS].filter((e) => !isRewardUnlocked(e, before) && isRewardUnlocked(e, after));
+}
@@ -0,0 +1,22 @@
+/*****************************
+ * HyperKart 3D — best-lap records
+ * Fastest lap per track and difficulty class, with its sector splits, kept in
+ * the save (saveData.js) so the HUD can show deltas against it in later sessions.
+ *****************************/
+import { loadSave, updateSave } from "./saveData.js";
+
+/** { time, splits } of the track's fastest lap on `difficulty` (a class id), or null. */
+export function getBestLap(trackId, difficulty) {
+  return loadSave().bestLaps[difficulty]?.[trackId] || null;
+}
+
+/** Saves `lap` ({ time, splits }) if it beats the track record for the class. Returns true for a new record. */
+export function submitLap(trackId, difficulty, lap) {
+  const best = getBestLap(trackId, difficulty);
+  if (best && best.time <= lap.time) return false;
+  updateSave((s) => ({
+    ...s,
+    bestLaps: { ...s.bestLaps, [difficulty]: { ...s.bestLaps[difficulty], [trackId]: { time: lap.time, splits: lap.splits } } },
+  }));
+  return true;
+}
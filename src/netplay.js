@@ -0,0 +1,198 @@
+/*****************************
+ * HyperKart 3D — online multiplayer
+ * - Peers meet in a room on the relay (server/relay.js); the room's host runs
+ *   the authoritative simulation (raceSim.js) with everyone's inputs
+ * - Clients send one input per tick and get a snapshot every SNAPSHOT_EVERY
+ *   ticks carrying the full state, the inputs in use and the item events
+ * - Own kart: predicted by replaying unacknowledged inputs on top of the last
+ *   snapshot (reconciliation); other karts: interpolated between snapshots
+ *   INTERP_DELAY ticks in the past
+ * - Everything but connectRelay() is plain data in / data out, so host and
+ *   client can be wired together without a socket (see the self-tests)
+ *
+ * Game messages (the `data` of relay messages):
+ *   client → host  { kind: "profile", character, car }
+ *   host → all     { kind: "lobby", track, laps, difficulty, players: [{ id, name, character, car }] }
+ *   host → all     { kind: "start", seed, track, laps, difficulty, players }
+ *   client → host  { kind: "input", tick, input }
+ *   host → all     { kind: "snapshot", tick, state, acks, inputs, events }
+ *****************************/
+import { humanId, stepRace } from "./raceSim.js";
+
+export const SNAPSHOT_EVERY = 3; // 20 Hz
+export const INTERP_DELAY = 6; // ticks (100 ms) behind the newest snapshot
+const MAX_QUEUED_INPUTS = 6; // host drops the oldest beyond this (client ran ahead)
+const MAX_SNAPSHOTS = 20;
+const NO_INPUT = { left: false, right: false, up: false, down: false, useItem: false };
+
+// -----------------------------
+// Relay connection
+// -----------------------------
+/**
+ * Opens a WebSocket to the relay and joins `room` (or creates one).
+ * Resolves to a session once the relay welcomes us; rejects with a readable Error.
+ */
+export function connectRelay(url, { room, name } = {}) {
+  return new Promise((resolve, reject) => {
+    let ws;
+    try { ws = new WebSocket(url); } catch { reject(new Error(`Invalid server address: ${url}`)); return; }
+    const listeners = new Set();
+    const session = {
+      id: null, room: null, hostId: null, peers: [],
+      isHost: () => session.id != null && session.id === session.hostId,
+      send: (to, data) => { if (ws.readyState === 1) ws.send(JSON.stringify({ type: "send", to, data })); },
+      subscribe: (fn) => { listeners.add(fn); return () => listeners.delete(fn); },
+      close: () => ws.close(),
+    };
+    const emit = (event) => listeners.forEach((fn) => fn(event));
+    let welcomed = false;
+
+    ws.onmessage = (e) => {
+      let msg;
+      try { msg = JSON.parse(e.data); } catch { return; }
+      if (msg.type === "welcome") {
+        session.id = msg.id;
+        session.room = msg.room;
+      } else if (msg.type === "room") {
+        session.hostId = msg.hostId;
+        session.peers = msg.peers;
+        if (!welcomed) { welcomed = true; resolve(session); }
+        emit({ type: "room", peers: msg.peers, hostId: msg.hostId });
+      } else if (msg.type === "message") {
+        emit({ type: "message", from: msg.from, data: msg.data });
+      } else if (msg.type === "error") {
+        if (!welcomed) { reject(new Error(msg.message)); ws.close(); } else emit({ type: "error", message: msg.message });
+      }
+    };
+    ws.onopen = () => ws.send(JSON.stringify({ type: "join", room: room || undefined, name }));
+    ws.onerror = () => { if (!welcomed) reject(new Error(`Could not reach ${url}`)); };
+    ws.onclose = () => emit({ type: "closed" });
+  });
+}
+
+// -----------------------------
+// Lobby (host side)
+// -----------------------------
+/** The lobby the host broadcasts: room peers in join order with their picks. */
+export function buildLobby(peers, profiles, { track, laps, difficulty }) {
+  return {
+    kind: "lobby",
+    track,
+    laps,
+    difficulty,
+    players: peers.map((p) => ({ id: p.id, name: p.name, ...(profiles[p.id] || {}) })),
+  };
+}
+
+/** Racer id of each lobby player — lobby order is the grid order. */
+export function racerIdFor(players, peerId) {
+  const i = players.findIndex((p) => p.id === peerId);
+  return i < 0 ? null : humanId(i);
+}
+
+// -----------------------------
+// Host
+// -----------------------------
+/** `players` is the start message's list; `localId` is the host's own peer id. */
+export function createNetHost(players, localId) {
+  const remote = {}; // peerId → racerId
+  players.forEach((p, i) => { if (p.id !== localId) remote[p.id] = humanId(i); });
+  return { remote, queues: {}, inputs: {}, acks: {}, events: [] };
+}
+
+export function hostReceiveInput(host, peerId, msg) {
+  const racerId = host.remote[peerId];
+  if (!racerId) return;
+  const queue = host.queues[racerId] || (host.queues[racerId] = []);
+  queue.push(msg);
+  if (queue.length > MAX_QUEUED_INPUTS) queue.splice(0, queue.length - MAX_QUEUED_INPUTS);
+}
+
+/** A peer left: its kart coasts from now on. */
+export function hostDropPeer(host, peerId) {
+  const racerId = host.remote[peerId];
+  if (!racerId) return;
+  delete host.remote[peerId];
+  delete host.queues[racerId];
+  host.inputs[racerId] = NO_INPUT;
+}
+
+/** Inputs for the next tick: one queued input per remote racer (the last one is held if none arrived). */
+export function hostTickInputs(host, localInputs) {
+  for (const racerId of Object.values(host.remote)) {
+    const next = host.queues[racerId]?.shift();
+    if (next) {
+      host.inputs[racerId] = next.input;
+      host.acks[racerId] = next.tick;
+    }
+  }
+  return { ...host.inputs, ...localInputs };
+}
+
+/** Call after each step; returns the snapshot message to broadcast, or null. */
+export function hostAfterStep(host, state, inputs) {
+  host.events.push(...state.events);
+  if (state.tick % SNAPSHOT_EVERY !== 0) return null;
+  const snapshot = { kind: "snapshot", tick: state.tick, state, acks: { ...host.acks }, inputs, events: host.events };
+  host.events = [];
+  return snapshot;
+}
+
+// -----------------------------
+// Client
+// -----------------------------
+export function createNetClient(world, initialState, racerId) {
+  return {
+    world,
+    racerId,
+    tick: 0,
+    pending: [], // [{ tick, input }] not yet acknowledged by the host
+    snapshots: [{ tick: 0, state: initialState, at: 0 }],
+    inputs: {}, // other racers' inputs from the last snapshot, used for prediction
+    predicted: initialState,
+    predictedPrev: initialState,
+  };
+}
+
+/** Advances the local prediction by one tick; returns the input message to send to the host. */
+export function clientStep(client, input) {
+  client.tick += 1;
+  client.pending.push({ tick: client.tick, input });
+  client.predictedPrev = client.predicted;
+  client.predicted = stepRace(client.world, client.predicted, { ...client.inputs, [client.racerId]: input });
+  return { kind: "input", tick: client.tick, input };
+}
+
+/** Applies a host snapshot: buffers it for interpolation and re-predicts from it. `now` is in ms. */
+export function clientReceiveSnapshot(client, snapshot, now) {
+  const newest = client.snapshots[client.snapshots.length - 1];
+  if (snapshot.tick <= newest.tick) return;
+  client.snapshots.push({ tick: snapshot.tick, state: snapshot.state, at: now });
+  if (client.snapshots.length > MAX_SNAPSHOTS) client.snapshots.shift();
+  client.inputs = snapshot.inputs;
+  const acked = snapshot.acks[client.racerId] ?? 0;
+  client.pending = client.pending.filter((p) => p.tick > acked);
+  let state = snapshot.state;
+  for (const p of client.pending) state = stepRace(client.world, state, { ...client.inputs, [client.racerId]: p.input });
+  client.predicted = state;
+}
+
+/**
+ * What to draw at `now` (ms): { prev, state, alpha } for the remote karts and
+ * items, INTERP_DELAY ticks behind the estimated host tick.
+ */
+export function clientView(client, now, tickMs) {
+  const snaps = client.snapshots;
+  const newest = snaps[snaps.length - 1];
+  const hostTick = newest.tick + (now - newest.at) / tickMs;
+  const renderTick = Math.min(hostTick - INTERP_DELAY, newest.tick);
+  for (let i = snaps.length - 1; i > 0; i--) {
+    const a = snaps[i - 1];
+    const b = snaps[i];
+    if (renderTick >= a.tick) {
+      const alpha = Math.min(1, Math.max(0, (renderTick - a.tick) / (b.tick - a.tick)));
+      return { prev: a.state, state: b.state, alpha };
+    }
+  }
+  return { prev: snaps[0].state, state: snaps[0].state, alpha: 0 };
+}
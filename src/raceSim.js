@@ -0,0 +1,1097 @@
+/*****************************
+ * HyperKart 3D — headless race simulation
+ * - Fixed timestep: stepRace(world, state, inputs) returns the next state
+ *   without touching its input, so the same state + inputs always give the
+ *   same result
+ * - No React / WebGL: runs in the browser or under Node (regression runs,
+ *   balancing) — the 3D components only render whatever state it produces
+ * - world: static race setup (track curve, entrants, boost pads, item boxes,
+ *   checkpoint gates, surface layout, curvature for the AI)
+ * - Every kart runs the same vehicle model (stepKart); AI karts get their
+ *   controls from aiControls instead of an input device
+ * - state: plain cloneable data for every racer and item, plus RNG state
+ *   (state.rng, seeded from state.seed — see rng.js)
+ *****************************/
+import * as THREE from "three";
+import { AI_RACERS, CARS, DEFAULT_DIFFICULTY, DEFAULT_LAPS, DIFFICULTIES, ITEMS, SURFACES, THEME_SURFACES } from "./gameData.js";
+import { nextRandom } from "./rng.js";
+
+export const SIM_DT = 1 / 60;
+const GRAVITY = 9.8; // pulls karts back on climbs, speeds them up on descents
+const ITEM_BOX_COUNT = 8;
+// Curve fractions where sector split times are taken (the line closes the last sector)
+export const SECTOR_SPLITS = [1 / 3, 2 / 3];
+// Checkpoint gates: one per GATE_SPACING metres of road (at least MIN_GATES),
+// the first on the start/finish line. A lap counts once every gate has been
+// passed in order.
+const GATE_SPACING = 40;
+const MIN_GATES = 4;
+const WRONG_WAY_DELAY = 1; // seconds of driving against the track before the warning
+// Recovery: a kart stuck (trying to drive but not moving) or facing backwards
+// this long is put back at its last checkpoint gate, then can't be hit for
+// RESPAWN_GRACE seconds
+const AUTO_RESPAWN_DELAY = 3;
+const STUCK_SPEED = 1;
+export const RESPAWN_GRACE = 2;
+// Surfaces: road, then curbs CURB_WIDTH wide, then the runoff band, then
+// terrain. Karts drive anywhere but are brought back from beyond
+// OFF_TRACK_DISTANCE past the runoff, or when they leave road raised higher
+// than FALL_HEIGHT.
+export const CURB_WIDTH = 0.6;
+const OFF_TRACK_DISTANCE = 25;
+const FALL_HEIGHT = 1.5;
+const NO_INPUT = { left: false, right: false, up: false, down: false, useItem: false };
+// Analog inputs are rounded to 1/ANALOG_STEPS so replays can store them exactly
+export const ANALOG_STEPS = 100;
+// AI driving: the track's curvature is sampled every CURVATURE_STEP metres;
+// AI steer at a point LOOK_AHEAD metres (+ LOOK_AHEAD_TIME seconds of speed)
+// up the road and plan their speed over the next BRAKE_HORIZON metres
+const CURVATURE_STEP = 2;
+const LOOK_AHEAD = 3;
+const LOOK_AHEAD_TIME = 0.3;
+const BRAKE_HORIZON = 40;
+const COAST_DECEL = 1.2; // speed lost per metre off the throttle (a little under the model's 1.5)
+const DODGE_RANGE = 30; // metres ahead an AI starts steering around bananas and slower karts
+const DODGE_GAP = 3; // side clearance it leaves them
+// Per AI tier: `corner` is how close to the car's turning limit it takes
+// corners (1 = the limit), `drift` whether it drifts through tight ones,
+// `dodge` how early it spots hazards (share of DODGE_RANGE)
+const AI_SKILL = {
+  rookie: { corner: 0.8, drift: false, dodge: 0.5 },
+  competitive: { corner: 0.88, drift: true, dodge: 0.8 },
+  challenger: { corner: 0.92, drift: true, dodge: 0.9 },
+  threat: { corner: 0.97, drift: true, dodge: 1 },
+};
+// AI items: after a short reaction time (AI_ITEM_REACTION seconds, shortened
+// by the class's itemAggression) an AI waits for the right moment to use
+// what it holds (see aiWantsItem)
+const AI_ITEM_REACTION = [0.4, 1.2];
+const STRAIGHT_CURVATURE = 0.02; // below this over the next 30 m a mushroom is worth it
+const CORNER_CURVATURE = 0.03; // a bend this sharp ahead is where bananas get laid
+const TAIL_RANGE = 8; // metres: a kart this close behind gets the held banana
+const BANANA_BLOCK_RANGE = 8; // metres: a banana this close on its line calls for the shield
+// Projectiles (missiles, seekers) fly along the track locked on a racer and
+// close in across the road at MISSILE_TURN m/s
+const MISSILE_TURN = 14;
+const MISSILE_HIT_RADIUS = 2;
+const MISSILE_BANANA_RADIUS = 1.5; // a banana (or fake box) this close destroys the missile and itself
+const SEEKER_BLAST = 5; // metres: karts this close to the seeker's target spin out with it
+// Per AI personality: `missileRange` is how far ahead (metres) a kart may be
+// to fire at it, `holdBanana` keeps a banana as a rear guard instead of
+// laying it before corners, `trapRange` is how close a follower must be for
+// a corner banana to be worth it, `shieldRange` how near an incoming missile
+// gets before the shield goes up, and `lightningGap` how far behind the
+// leader (metres) it has to be before it sets lightning off
+const AI_ITEM_STYLE = {
+  aggressive: { missileRange: 70, holdBanana: false, trapRange: 40, shieldRange: 15, lightningGap: 40 },
+  balanced: { missileRange: 50, holdBanana: false, trapRange: 60, shieldRange: 30, lightningGap: 80 },
+  defensive: { missileRange: 30, holdBanana: true, trapRange: 0, shieldRange: 45, lightningGap: 120 },
+  trickster: { missileRange: 45, holdBanana: false, trapRange: 120, shieldRange: 25, lightningGap: 60 },
+};
+
+// -----------------------------
+// Utilities
+// -----------------------------
+export function clamp(v, min, max) { return Math.min(max, Math.max(min, v)); }
+export function lerp(a, b, t) { return a + (b - a) * t; }
+export function angleLerp(a, b, t) {
+  const diff = ((((b - a + Math.PI) % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI)) - Math.PI;
+  return a + diff * t;
+}
+
+// -----------------------------
+// Track curve utilities
+// -----------------------------
+// Waypoints are [x, z] or [x, z, height, bank]: height in world units above
+// the ground, bank in degrees (positive raises the right-hand edge, looking
+// along the racing direction).
+export function createTrackCurve(waypoints) {
+  const pts = waypoints.map(([x, z, y = 0]) => new THREE.Vector3(x, y, z));
+  const curve = new THREE.CatmullRomCurve3(pts, true, "catmullrom", 0.5);
+  curve.banks = waypoints.map((p) => ((p[3] || 0) * Math.PI) / 180);
+  curve.flat = waypoints.every((p) => !p[2] && !p[3]);
+  return curve;
+}
+
+// The same loop flipped left to right (Mirror class): x and the bank change sign
+function mirrorWaypoints(waypoints) {
+  return waypoints.map(([x, z, height, bank]) => (height || bank ? [-x, z, height || 0, -(bank || 0)] : [-x, z]));
+}
+
+/** The DIFFICULTIES row for `id`, falling back to DEFAULT_DIFFICULTY. */
+export function difficultyById(id) {
+  return DIFFICULTIES.find((d) => d.id === id) || DIFFICULTIES.find((d) => d.id === DEFAULT_DIFFICULTY);
+}
+
+// Bank angle (radians) at curve fraction t, eased between waypoints
+function bankAt(curve, t) {
+  const n = curve.banks.length;
+  const f = curve.getUtoTmapping(t) * n;
+  const i = Math.floor(f) % n;
+  const k = f - Math.floor(f);
+  const a = curve.banks[i];
+  return a + (curve.banks[(i + 1) % n] - a) * k * k * (3 - 2 * k);
+}
+
+/**
+ * Road frame at curve fraction t: centre `point`, unit `tangent`, and the
+ * road surface's `right` and `up` vectors (tilted by the bank).
+ */
+export function trackFrameAt(curve, t) {
+  const point = curve.getPointAt(t);
+  const tangent = curve.getTangentAt(t);
+  const flatRight = new THREE.Vector3(-tangent.z, 0, tangent.x).normalize();
+  const flatUp = new THREE.Vector3().crossVectors(flatRight, tangent);
+  const bank = curve.flat ? 0 : bankAt(curve, t);
+  const right = flatRight.clone().multiplyScalar(Math.cos(bank)).addScaledVector(flatUp, Math.sin(bank));
+  const up = flatUp.clone().multiplyScalar(Math.cos(bank)).addScaledVector(flatRight, -Math.sin(bank));
+  return { point, tangent, right, up };
+}
+
+/** Rise per unit of horizontal travel for a kart at t heading along `yaw` (+ = climbing). */
+export function trackGrade(curve, t, yaw) {
+  const tang = curve.getTangentAt(t);
+  const horiz = Math.hypot(tang.x, tang.z) || 1;
+  return (tang.y / horiz) * ((Math.cos(yaw) * tang.x + Math.sin(yaw) * tang.z) / horiz);
+}
+
+/**
+ * Where a kart at (x, z) near curve fraction t sits on the road surface:
+ * height `y`, `pitch` (nose up +) and `roll` (right side up +) for heading `yaw`.
+ */
+export function surfacePose(curve, x, z, yaw, t) {
+  if (curve.flat) return { y: 0, pitch: 0, roll: 0 };
+  const { point, tangent, right } = trackFrameAt(curve, t);
+  const th = Math.hypot(tangent.x, tangent.z) || 1;
+  const tx = tangent.x / th, tz = tangent.z / th;
+  const along = tangent.y / th; // grade along the track
+  const across = right.y / (Math.hypot(right.x, right.z) || 1); // cross slope from the bank
+  const offset = (x - point.x) * -tz + (z - point.z) * tx;
+  const hx = Math.cos(yaw), hz = Math.sin(yaw);
+  const fwd = hx * tx + hz * tz; // heading · track direction
+  const side = hz * tx - hx * tz; // heading · track right
+  return {
+    y: point.y + offset * across,
+    pitch: Math.atan(along * fwd + across * side),
+    roll: Math.atan(across * fwd - along * side),
+  };
+}
+
+export function findNearestT(curve, pos, lastT, searchRadius = 0.15, steps = 60) {
+  let bestT = lastT;
+  let bestDist = Infinity;
+  for (let i = -steps; i <= steps; i++) {
+    let t = lastT + (i / steps) * searchRadius;
+    t = ((t % 1) + 1) % 1;
+    if (t > 1 - 1e-9) t = 0; // rounding can leave a whole lap as 0.999…, which is the line
+
+    const p = curve.getPointAt(t);
+    const d = (pos.x - p.x) ** 2 + (pos.z - p.z) ** 2;
+    if (d < bestDist) { bestDist = d; bestT = t; }
+  }
+  return bestT;
+}
+
+export function getCrossTrackOffset(curve, pos, t) {
+  const center = curve.getPointAt(t);
+  const tang = curve.getTangentAt(t);
+  const nx = -tang.z, nz = tang.x;
+  const len = Math.hypot(nx, nz) || 1;
+  const dx = pos.x - center.x, dz = pos.z - center.z;
+  return (dx * (nx / len) + dz * (nz / len));
+}
+
+/**
+ * Signed curvature (1/turn radius; positive turns right, as steering does)
+ * every CURVATURE_STEP metres round the loop, flattened to the ground plane.
+ */
+export function trackCurvature(curve) {
+  const n = Math.max(16, Math.round(curve.getLength() / CURVATURE_STEP));
+  const ds = curve.getLength() / n;
+  const heading = (t) => { const tang = curve.getTangentAt(t); return Math.atan2(tang.z, tang.x); };
+  return Array.from({ length: n }, (_, i) => (angleLerp(heading(i / n), heading((i + 1) / n), 1) - heading(i / n)) / ds);
+}
+
+// Sharpest curvature (by size, keeping its sign) between `from` and `to` metres ahead of t
+function curvatureAhead(world, t, from, to) {
+  const n = world.curvature.length;
+  const start = Math.floor(t * n + from / CURVATURE_STEP);
+  const end = Math.floor(t * n + to / CURVATURE_STEP);
+  let k = 0;
+  for (let i = start; i <= end; i++) {
+    const c = world.curvature[((i % n) + n) % n];
+    if (Math.abs(c) > Math.abs(k)) k = c;
+  }
+  return k;
+}
+
+// -----------------------------
+// Items
+// -----------------------------
+/**
+ * `random` is a seeded generator (see rng.js) so item rolls replay with the
+ * race. The `racers` in the field are spread over the ITEMS weight columns,
+ * the last column going to last place alone.
+ */
+export function getRandomItem(position, random, racers = ITEMS[0].weights.length) {
+  const last = ITEMS[0].weights.length - 1;
+  const column = position >= racers ? last : Math.min(last - 1, Math.floor(((position - 1) * last) / Math.max(1, racers - 1)));
+  const total = ITEMS.reduce((sum, item) => sum + item.weights[column], 0);
+  let r = random() * total;
+  for (const item of ITEMS) {
+    r -= item.weights[column];
+    if (r <= 0 && item.weights[column] > 0) return item.id;
+  }
+  return ITEMS[0].id;
+}
+
+/**
+ * What each item in ITEMS does. `use` runs on every press (it returns the id
+ * of anything it put on the track, for the item events) and `ai` says whether
+ * an AI holding it should press now (see aiWantsItem). A `guard` item takes a
+ * missile's hit from behind while held, one use per hit.
+ * - `trap`: laid on the road; the first other kart within `radius` gets
+ *   `hit` (a trap that `lasts` stays and catches each kart once instead).
+ *   `blocksMissiles` traps destroy a missile flying into them.
+ * - `projectile`: flies along the track at `speed` × the kart's top speed
+ *   (see stepMissiles), locked on the next racer ahead or, with `seek:
+ *   "leader"`, on whoever leads. A `piercing` one passes every trap, guard
+ *   and kart on the way to its target.
+ */
+const ITEM_BEHAVIOR = {
+  mushroom: { use: boost, ai: aiOnStraight },
+  tripleMushroom: { use: boost, ai: aiOnStraight },
+  banana: {
+    use: (c) => layTrap(c, "banana"), guard: true, ai: aiDropsTrap,
+    trap: { radius: 2, lifetime: 15, blocksMissiles: true, hit: (state, r) => spinOut(state, r, 1.0, 8) },
+  },
+  tripleBanana: { use: (c) => layTrap(c, "banana"), guard: true, ai: aiDropsTrap },
+  fakeBox: {
+    use: (c) => layTrap(c, "fakeBox"), ai: aiDropsTrap,
+    trap: { radius: 2, lifetime: 20, blocksMissiles: true, hit: (state, r) => spinOut(state, r, 1.0, 8) },
+  },
+  oil: {
+    use: (c) => layTrap(c, "oil"), ai: aiDropsTrap,
+    // Sends the kart sliding on with part of its speed rather than stopping it
+    trap: { radius: 3, lifetime: 10, lasts: true, hit: (state, r) => { const vel = r.vel * 0.7; spinOut(state, r, 0.8, 5); r.vel = vel; } },
+  },
+  missile: {
+    use: (c) => launch(c, "missile"), ai: ({ ahead, style }) => ahead <= style.missileRange,
+    projectile: { speed: 2, lifetime: 6 },
+  },
+  shield: { use: ({ r }) => { r.shield = true; r.shieldTimer = 10; }, ai: aiNeedsShield },
+  lightning: { use: callLightning, ai: ({ leader, style }) => leader >= style.lightningGap },
+  seeker: {
+    use: (c) => launch(c, "seeker"), ai: ({ leader }) => leader > 0,
+    projectile: { speed: 2.5, lifetime: 30, seek: "leader", piercing: true, blast: SEEKER_BLAST },
+  },
+};
+
+// Spends one use of the held item
+function spendItem(r) {
+  r.itemUses = (r.itemUses || 1) - 1;
+  if (r.itemUses <= 0) { r.item = null; r.itemUses = 0; }
+}
+
+function boost({ r, maxSpeed }) {
+  r.vel = Math.min(maxSpeed * 1.4, r.vel + maxSpeed * 0.5);
+}
+
+function layTrap({ state, r }, kind) {
+  const trap = { id: state.nextId++, kind, x: r.x, z: r.z, owner: r.id, spawnTime: state.time };
+  if (ITEM_BEHAVIOR[kind].trap.lasts) trap.caught = []; // racer ids it already got
+  state.traps.push(trap);
+  return trap.id;
+}
+
+function launch({ world, state, r, entrant }, kind) {
+  const spec = ITEM_BEHAVIOR[kind].projectile;
+  const target = spec.seek === "leader" ? raceLeader(state, r.id) : nextRacerAhead(state, r);
+  state.missiles.push({
+    id: state.nextId, kind, t: r.t, progress: raceProgress(r), offset: getCrossTrackOffset(world.curve, r, r.t), x: r.x, z: r.z,
+    speed: entrant.car.maxSpeed * world.difficulty.speed * spec.speed, owner: r.id, target: target?.id ?? null, spawnTime: state.time,
+  });
+  return state.nextId++;
+}
+
+// Everyone else spins (resolved at the start of their step) and is slowed for a while
+function callLightning({ state, r }) {
+  state.lightningTimer = 2.0;
+  state.lightningOwner = r.id;
+  state.racers.forEach((o) => { if (o !== r) o.pendingSpin = 1.0; });
+}
+
+function spinOut(state, r, time, rate) {
+  r.vel = 0;
+  r.spinout = time;
+  r.spinYawRate = spinDirection(state) * rate;
+}
+
+// -----------------------------
+// World + initial state
+// -----------------------------
+/** Item box positions (curve fractions) for tracks that don't list their own `itemBoxTs`. */
+export function defaultItemBoxTs() {
+  return Array.from({ length: ITEM_BOX_COUNT }, (_, i) => (i + 0.5) / ITEM_BOX_COUNT);
+}
+
+/** Checkpoint gate positions (curve fractions, the first at 0) for a lap of `length` metres. */
+export function checkpointGates(length) {
+  const count = Math.max(MIN_GATES, Math.round(length / GATE_SPACING));
+  return Array.from({ length: count }, (_, i) => i / count);
+}
+
+/** Surface layout of `track`: its theme's defaults under the track's own `surfaces`, with walls as [[fromT, toT], …]. */
+export function trackSurfaces(track) {
+  const s = { ...(THEME_SURFACES[track.theme] || THEME_SURFACES.classic), ...(track.surfaces || {}) };
+  return { ...s, walls: s.walls === true ? [[0, 1]] : Array.isArray(s.walls) ? s.walls : [] };
+}
+
+/** Surface name ("road", "curb" or a runoff / terrain surface) `offset` metres from the centerline. */
+export function surfaceAt(world, offset) {
+  const past = Math.abs(offset) - world.trackWidth / 2;
+  if (past <= 0) return "road";
+  if (past <= CURB_WIDTH) return "curb";
+  return past <= CURB_WIDTH + world.surfaces.runoffWidth ? world.surfaces.runoff : world.surfaces.terrain;
+}
+
+/** Distance from the centerline to the barrier at curve fraction t, or null where the track has none. */
+export function wallOffset(world, t) {
+  const { walls, runoffWidth } = world.surfaces;
+  const walled = walls.some(([from, to]) => (from <= to ? t >= from && t <= to : t >= from || t <= to));
+  return walled ? world.trackWidth / 2 + CURB_WIDTH + runoffWidth : null;
+}
+
+/** Racer id of the i-th human: "player" for the first, then "player-2", … */
+export function humanId(i) {
+  return i === 0 ? "player" : `player-${i + 1}`;
+}
+
+/**
+ * One human by default ({ car, character }); split-screen passes `humans`, a
+ * list of { car, character }. Time Trial passes `aiRacers: []`, `items: false`
+ * (no item boxes) and a `mushrooms` allotment each human starts with.
+ * `difficulty` is a DIFFICULTIES id; on a mirror class the curve is flipped
+ * while `track` stays as given.
+ */
+export function createRaceWorld({ track, car, character, humans, laps = DEFAULT_LAPS, aiRacers = AI_RACERS, items = true, mushrooms = 0, difficulty = DEFAULT_DIFFICULTY }) {
+  const drivers = humans || [{ car, character }];
+  const rules = difficultyById(difficulty);
+  const curve = createTrackCurve(rules.mirror ? mirrorWaypoints(track.waypoints) : track.waypoints);
+  const pointAt = (t) => { const p = curve.getPointAt(t); return { t, x: p.x, y: p.y, z: p.z }; };
+  return {
+    track,
+    curve,
+    curveLength: curve.getLength(),
+    gates: checkpointGates(curve.getLength()),
+    surfaces: trackSurfaces(track),
+    curvature: trackCurvature(curve),
+    trackWidth: track.trackWidth || 10,
+    laps,
+    difficulty: rules,
+    boostPads: (track.boostTs || []).map(pointAt),
+    itemBoxes: items ? (track.itemBoxTs || defaultItemBoxTs()).map(pointAt) : [],
+    startMushrooms: mushrooms,
+    entrants: [
+      ...drivers.map((h, i) => ({ id: humanId(i), kind: "player", car: h.car, color: h.character.color, accent: "#fff", bodyType: h.car.id })),
+      // AI drive the car their body is modelled on
+      ...aiRacers.map((ai, i) => ({ id: `ai-${i}`, kind: "ai", car: CARS.find((c) => c.id === ai.bodyType) || CARS[0], ...ai })),
+    ],
+  };
+}
+
+function createRacer(id) {
+  return {
+    id, x: 0, z: 0, yaw: 0, vel: 0, t: 0, lap: 1, place: 1,
+    gate: 0, wrongWayTime: 0, wrongWay: false, // gate: checkpoint gates cleared this lap
+    finished: false, finishTime: null, finishPlace: null,
+    lapStart: 0, splits: [], lapTimes: [], // lapTimes: [{ time, splits }] per completed lap
+    steer: 0, throttle: 0, // last applied analog controls (-1..1, 0..1), for rendering
+    drifting: false, driftTime: 0, driftDir: 0,
+    spinout: 0, spinYawRate: 0, pendingSpin: 0,
+    item: null, itemUses: 0, itemHeld: false, itemDelay: 0, mushrooms: 0, shield: false, shieldTimer: 0,
+    lastBoost: 0, wobble: 0, respawnHeld: false, stuckTime: 0, respawnTimer: 0,
+    surface: "road",
+  };
+}
+
+export function createRaceState(world, { seed = 1 } = {}) {
+  const state = {
+    seed: seed >>> 0,
+    tick: 0, time: 0, rng: seed | 0, nextId: 1,
+    lightningTimer: 0, lightningOwner: null, // racer id of whoever called the lightning
+    events: [], // item uses during the last tick: { racer, item, id? }
+    traps: [], // items laid on the road: { id, kind, x, z, owner, spawnTime }
+    missiles: [],
+    itemBoxCooldowns: {},
+    racers: [],
+  };
+  const humanCount = world.entrants.filter((e) => e.kind === "player").length;
+  let grid = 0;
+  for (const entrant of world.entrants) {
+    const r = createRacer(entrant.id);
+    if (entrant.kind === "player") {
+      const startP = world.curve.getPointAt(0);
+      const startTang = world.curve.getTangentAt(0);
+      // Humans line up side by side across the start line, 3 units apart
+      const lane = (grid++ - (humanCount - 1) / 2) * 3;
+      const len = Math.hypot(startTang.x, startTang.z) || 1;
+      r.x = startP.x - (startTang.z / len) * lane;
+      r.z = startP.z + (startTang.x / len) * lane;
+      r.yaw = Math.atan2(startTang.z, startTang.x);
+      r.mushrooms = world.startMushrooms;
+    } else {
+      r.t = entrant.startT;
+      // AI start up the road; the gates behind them count as cleared
+      r.gate = world.gates.filter((g) => g > 0 && g <= r.t).length;
+      r.wobble = nextRandom(state) * Math.PI * 2;
+      placeAI(world, r, entrant);
+    }
+    state.racers.push(r);
+  }
+  updatePlaces(state);
+  return state;
+}
+
+// -----------------------------
+// Step
+// -----------------------------
+/** Advances the race by one SIM_DT tick. `inputs` maps racer id → controls. */
+export function stepRace(world, prev, inputs = {}) {
+  const state = structuredClone(prev);
+  const dt = SIM_DT;
+  state.tick += 1;
+  state.time += dt;
+  state.events = [];
+
+  state.racers.forEach((r, i) => {
+    const entrant = world.entrants[i];
+    const controls = entrant.kind === "player" ? inputs[r.id] || NO_INPUT : aiControls(world, state, r, entrant, dt);
+    stepKart(world, state, r, entrant, controls, dt);
+  });
+
+  if (state.lightningTimer > 0) state.lightningTimer -= dt;
+
+  // Expire old traps
+  state.traps = state.traps.filter((trap) => state.time - trap.spawnTime <= ITEM_BEHAVIOR[trap.kind].trap.lifetime);
+  stepMissiles(world, state, dt);
+
+  updatePlaces(state);
+  return state;
+}
+
+// Logged so observers (online clients, HUD feeds) can announce item use
+function itemEvent(state, r, item, id) {
+  state.events.push(id == null ? { racer: r.id, item } : { racer: r.id, item, id });
+}
+
+function raceProgress(r) { return (r.lap - 1) + r.t; }
+
+// The racer furthest ahead other than `id`, still racing
+function raceLeader(state, id) {
+  return state.racers
+    .filter((o) => o.id !== id && !o.finished)
+    .reduce((best, o) => (!best || raceProgress(o) > raceProgress(best) ? o : best), null);
+}
+
+// The closest racer ahead of `r` still racing (null for the leader)
+function nextRacerAhead(state, r) {
+  const mine = raceProgress(r);
+  return state.racers
+    .filter((o) => o !== r && !o.finished && raceProgress(o) > mine)
+    .reduce((best, o) => (!best || raceProgress(o) < raceProgress(best) ? o : best), null);
+}
+
+/**
+ * Missiles follow the track at their own cross-track `offset`, steering it
+ * toward their target's. A missile loses its lock once it has overtaken the
+ * target (or the target finished) and flies on straight; a seeker switches to
+ * whoever leads now. Bananas in the way destroy a missile; old ones expire.
+ */
+function stepMissiles(world, state, dt) {
+  const { curve, curveLength, trackWidth } = world;
+  const edge = trackWidth / 2 + CURB_WIDTH;
+  for (const m of state.missiles) {
+    m.progress += (m.speed * dt) / curveLength;
+    m.t = ((m.progress % 1) + 1) % 1;
+    if (ITEM_BEHAVIOR[m.kind].projectile.seek === "leader") m.target = raceLeader(state, m.owner)?.id ?? null;
+    const target = state.racers.find((o) => o.id === m.target);
+    if (!target || target.finished || raceProgress(target) < m.progress - MISSILE_HIT_RADIUS / curveLength) m.target = null;
+    else {
+      const want = getCrossTrackOffset(curve, target, target.t);
+      m.offset += clamp(want - m.offset, -MISSILE_TURN * dt, MISSILE_TURN * dt);
+    }
+    m.offset = clamp(m.offset, -edge, edge);
+    const p = curve.getPointAt(m.t);
+    const tang = curve.getTangentAt(m.t);
+    const len = Math.hypot(tang.x, tang.z) || 1;
+    m.x = p.x - (tang.z / len) * m.offset;
+    m.z = p.z + (tang.x / len) * m.offset;
+  }
+  state.missiles = state.missiles.filter((m) => {
+    const spec = ITEM_BEHAVIOR[m.kind].projectile;
+    if (state.time - m.spawnTime > spec.lifetime) return false;
+    if (spec.piercing) return true;
+    const ti = state.traps.findIndex((trap) => ITEM_BEHAVIOR[trap.kind].trap.blocksMissiles && Math.hypot(trap.x - m.x, trap.z - m.z) < MISSILE_BANANA_RADIUS);
+    if (ti < 0) return true;
+    state.traps.splice(ti, 1);
+    return false;
+  });
+}
+
+function humanRacers(world, state) {
+  return state.racers.filter((_, i) => world.entrants[i].kind === "player");
+}
+
+function updatePlaces(state) {
+  for (const r of state.racers) {
+    const mine = raceProgress(r);
+    r.place = 1 + state.racers.filter((o) => o !== r && raceProgress(o) > mine).length;
+    if (r.finished && r.finishPlace == null) r.finishPlace = r.place;
+  }
+}
+
+// Whether going forward from curve fraction `from` by `span` passes gate `g`
+// (landing exactly on it counts; t is quantized, so it often does)
+function passesGate(from, span, g) {
+  const ahead = (g - from + 1) % 1;
+  return ahead > 0 && ahead <= span + 1e-9;
+}
+
+/**
+ * Checkpoint gates in order: passing the next one clears it, passing the
+ * start/finish line after the last one completes the lap, and driving back
+ * through the last cleared gate un-clears it. `moved` is the distance the kart
+ * actually covered this tick. t may run a little ahead of it on the inside of
+ * a bend, but progress of more than a track width beyond it (t jumping onto a
+ * neighbouring stretch of road) passes nothing.
+ */
+function updateGates(world, state, r, prevT, moved) {
+  const { gates } = world;
+  const d = ((r.t - prevT + 1.5) % 1) - 0.5; // progress along the lap this tick
+  if (d > 0 && passesGate(prevT, d, gates[(r.gate + 1) % gates.length]) && d * world.curveLength <= moved + world.trackWidth) {
+    r.gate += 1;
+    if (r.gate === gates.length) {
+      r.gate = 0;
+      completeLap(world, state, r);
+    }
+  } else if (d < 0 && r.gate > 0 && passesGate(r.t, -d, gates[r.gate])) {
+    r.gate -= 1;
+  }
+}
+
+/** Whether `r` is past the next checkpoint gate without having passed it (it has to go back). */
+export function missedGate(world, r) {
+  if (r.finished) return false;
+  const { gates } = world;
+  const behind = (r.t - gates[(r.gate + 1) % gates.length] + 1) % 1;
+  return behind > 0.02 && behind < 0.5;
+}
+
+function completeLap(world, state, r) {
+  if (!r.finished) {
+    r.lapTimes.push({ time: state.time - r.lapStart, splits: r.splits });
+    r.splits = [];
+    r.lapStart = state.time;
+  }
+  r.lap += 1;
+  if (r.lap > world.laps && !r.finished) {
+    r.finished = true;
+    r.finishTime = state.time;
+  }
+}
+
+// Records the lap time at each sector line, in order, as the racer crosses it
+function updateSplits(state, r, prevT) {
+  const next = SECTOR_SPLITS[r.splits.length];
+  if (r.finished || next == null) return;
+  if (prevT < next && r.t >= next && r.t - prevT < 0.5) r.splits.push(state.time - r.lapStart);
+}
+
+function tickShield(r, dt) {
+  if (r.shieldTimer > 0) {
+    r.shieldTimer -= dt;
+    if (r.shieldTimer <= 0) r.shield = false;
+  }
+}
+
+function pickupItemBox(world, state, r) {
+  if (r.item) return false;
+  for (let bi = 0; bi < world.itemBoxes.length; bi++) {
+    const cd = state.itemBoxCooldowns[bi];
+    if (cd && state.time < cd) continue;
+    const bp = world.itemBoxes[bi];
+    if (Math.hypot(r.x - bp.x, r.z - bp.z) < 3) {
+      r.item = getRandomItem(r.place, () => nextRandom(state), state.racers.length);
+      r.itemUses = ITEMS.find((item) => item.id === r.item).uses || 1;
+      state.itemBoxCooldowns[bi] = state.time + 5;
+      return true;
+    }
+  }
+  return false;
+}
+
+const quantize = (v, lo, hi) => Math.round(clamp(v, lo, hi) * ANALOG_STEPS) / ANALOG_STEPS;
+
+/**
+ * Controls as analog values. Keys give ±1 / 0 / 1; gamepads may pass
+ * `steer` (-1 left … 1 right), `throttle` and `brake` (0..1) instead.
+ * `drift` is a dedicated drift button (the brake + steer combo still works).
+ */
+function analogControls(c) {
+  return {
+    steer: c.steer != null ? quantize(c.steer, -1, 1) : (c.right ? 1 : 0) - (c.left ? 1 : 0),
+    throttle: c.throttle != null ? quantize(c.throttle, 0, 1) : c.up ? 1 : 0,
+    brake: c.brake != null ? quantize(c.brake, 0, 1) : c.down ? 1 : 0,
+    drift: !!c.drift,
+  };
+}
+
+// Puts a kart back on the centerline at its last cleared checkpoint gate,
+// facing along the track, still and briefly untouchable
+function respawnRacer(world, r) {
+  r.t = world.gates[r.gate];
+  const p = world.curve.getPointAt(r.t);
+  const tang = world.curve.getTangentAt(r.t);
+  r.x = p.x;
+  r.z = p.z;
+  r.yaw = Math.atan2(tang.z, tang.x);
+  r.vel = 0;
+  r.drifting = false;
+  r.driftTime = 0;
+  r.spinout = 0;
+  r.pendingSpin = 0;
+  r.stuckTime = 0;
+  r.wrongWayTime = 0;
+  r.wrongWay = false;
+  r.respawnTimer = RESPAWN_GRACE;
+}
+
+// Why a kart needs putting back on the track, or null. Hazards that can take a
+// kart off the road add their check here.
+function recoveryReason(world, r, facing) {
+  if (r.finished) return null;
+  if (r.stuckTime >= AUTO_RESPAWN_DELAY) return facing < 0 ? "backwards" : "stuck";
+  const past = Math.abs(getCrossTrackOffset(world.curve, r, r.t)) - world.trackWidth / 2 - CURB_WIDTH;
+  if (past > world.surfaces.runoffWidth + OFF_TRACK_DISTANCE) return "offTrack";
+  if (past > 0 && !world.curve.flat && world.curve.getPointAt(r.t).y > FALL_HEIGHT) return "fell";
+  return null;
+}
+
+function spinDirection(state) { return nextRandom(state) > 0.5 ? 1 : -1; }
+
+// One tick of the vehicle model for any kart: players' controls come from
+// their input device, AI's from aiControls
+function stepKart(world, state, r, entrant, controls, dt) {
+  const { curve } = world;
+  const ai = entrant.kind === "ai";
+  const { handling, accel } = entrant.car;
+  const maxSpeed = entrant.car.maxSpeed * world.difficulty.speed * (ai ? aiPace(world, state, r, entrant) : 1);
+
+  tickShield(r, dt);
+  const graced = r.respawnTimer > 0; // just respawned: items and karts pass through
+  if (graced) r.respawnTimer = Math.max(0, r.respawnTimer - dt);
+
+  // --- Lightning from another racer lands at the start of our step ---
+  if (graced) r.pendingSpin = 0;
+  if (r.pendingSpin > 0 && r.spinout <= 0) {
+    if (r.shield) { r.shield = false; }
+    else {
+      r.spinout = r.pendingSpin;
+      r.spinYawRate = spinDirection(state) * 8;
+      r.vel = 0;
+    }
+  }
+  r.pendingSpin = 0;
+
+  // --- Spin-out (from item hit) ---
+  if (r.spinout > 0) {
+    r.spinout -= dt;
+    r.vel *= 0.9;
+    r.yaw += r.spinYawRate * dt;
+    r.x += Math.cos(r.yaw) * r.vel * dt;
+    r.z += Math.sin(r.yaw) * r.vel * dt;
+    r.t = findNearestT(curve, r, r.t);
+    r.drifting = false;
+    return; // skip normal controls during spin-out
+  }
+  r.spinout = 0;
+
+  // --- Respawn (edge-triggered): back onto the centerline, facing along the track ---
+  if (controls.respawn && !r.respawnHeld) respawnRacer(world, r);
+  r.respawnHeld = !!controls.respawn;
+
+  // --- Lightning slowdown ---
+  const lightningMul = state.lightningTimer > 0 && state.lightningOwner !== r.id ? 0.5 : 1.0;
+
+  // --- Steering (classic kart: responsive at low speed, tighter at high speed) ---
+  r.surface = surfaceAt(world, getCrossTrackOffset(curve, r, r.t));
+  const surface = SURFACES[r.surface];
+  const speedRatio = clamp(Math.abs(r.vel) / maxSpeed, 0, 1);
+  const steerRate = handling * 2.5 * (1.0 - 0.4 * speedRatio) * surface.grip;
+
+  const { steer, throttle, brake, drift } = analogControls(controls);
+  r.steer = steer;
+  r.throttle = throttle;
+  const turning = Math.abs(steer) > 0.1;
+  const canDrift = (brake > 0.5 || drift) && turning && speedRatio > 0.3;
+
+  if (canDrift) {
+    // Enter or continue drift
+    if (!r.drifting) {
+      r.drifting = true;
+      r.driftDir = steer < 0 ? -1 : 1;
+      r.driftTime = 0;
+    }
+    // A partly deflected stick holds a wider drift line
+    const driftSteer = steerRate * (1.0 + 0.4 * Math.abs(steer));
+    r.yaw += r.driftDir * driftSteer * dt;
+    r.driftTime += dt;
+    r.vel *= (1 - 0.2 * dt); // slight speed loss during drift
+  } else {
+    // Drift boost on release
+    if (r.drifting && r.driftTime > 0.3) {
+      const boostAmt = Math.min(r.driftTime / 1.5, 1.0) * 10;
+      r.vel = Math.min(maxSpeed * 1.3, r.vel + boostAmt);
+    }
+    r.drifting = false;
+    r.driftTime = 0;
+
+    // Normal steering, proportional to stick deflection
+    if (steer) r.yaw += steer * steerRate * dt;
+  }
+
+  // --- Acceleration (ease-in: stronger at low speed) ---
+  const accelRate = accel * 0.7 * (1.0 - 0.3 * speedRatio);
+  if (!r.drifting) {
+    if (throttle > 0) r.vel += accelRate * throttle * dt;
+    if (throttle < 1) r.vel *= (1 - 1.5 * (1 - throttle) * dt); // natural deceleration
+    if (brake > 0) r.vel -= accel * 0.9 * brake * dt; // brake
+  }
+  // --- Gravity on hills ---
+  if (!curve.flat) {
+    const grade = trackGrade(curve, r.t, r.yaw);
+    r.vel -= (GRAVITY * grade / Math.sqrt(1 + grade * grade)) * dt;
+  }
+  // --- Surface drag: speed above the surface's top speed bleeds away ---
+  const topSpeed = maxSpeed * surface.speedMul;
+  if (surface.drag > 0 && Math.abs(r.vel) > topSpeed) {
+    r.vel -= Math.sign(r.vel) * (Math.abs(r.vel) - topSpeed) * Math.min(1, surface.drag * dt);
+  }
+  r.vel = clamp(r.vel, -maxSpeed * 0.3, maxSpeed * lightningMul);
+
+  // --- Integrate position ---
+  r.x += Math.cos(r.yaw) * r.vel * dt;
+  r.z += Math.sin(r.yaw) * r.vel * dt;
+  const moved = Math.abs(r.vel) * dt;
+
+  // --- Barriers (only where the track has walls) ---
+  const prevT = r.t;
+  r.t = findNearestT(curve, r, r.t);
+  const crossOff = getCrossTrackOffset(curve, r, r.t);
+  const wall = wallOffset(world, r.t);
+  if (wall != null && Math.abs(crossOff) > wall) {
+    const sign = crossOff > 0 ? 1 : -1;
+    const center = curve.getPointAt(r.t);
+    const tang = curve.getTangentAt(r.t);
+    const nx = -tang.z, nz = tang.x;
+    const len = Math.hypot(nx, nz) || 1;
+    r.x = center.x + (nx / len) * sign * wall;
+    r.z = center.z + (nz / len) * sign * wall;
+    r.vel *= 0.7;
+  }
+
+  // --- Kart-to-kart collision ---
+  for (const other of state.racers) {
+    if (other === r || graced || other.respawnTimer > 0) continue;
+    const dx = r.x - other.x;
+    const dz = r.z - other.z;
+    const dist = Math.hypot(dx, dz);
+    if (dist < 2.0 && dist > 0.01) {
+      r.x += (dx / dist) * (2.0 - dist) * 0.5;
+      r.z += (dz / dist) * (2.0 - dist) * 0.5;
+      r.vel *= 0.85;
+    }
+  }
+
+  // --- Boost pad detection ---
+  for (const pad of world.boostPads) {
+    if (Math.hypot(r.x - pad.x, r.z - pad.z) < 6 && state.time - r.lastBoost > 1.0) {
+      r.vel = Math.min(maxSpeed * 1.3, r.vel + 10);
+      r.lastBoost = state.time;
+    }
+  }
+
+  // --- Item box pickup (AI take a moment to react to what they got) ---
+  if (pickupItemBox(world, state, r) && ai) {
+    const [lo, hi] = AI_ITEM_REACTION;
+    r.itemDelay = (lo + nextRandom(state) * (hi - lo)) / world.difficulty.itemAggression;
+  }
+
+  // --- Use item (edge-triggered on the button press; see ITEM_BEHAVIOR) ---
+  // With no box item in hand, the press spends one of the stocked mushrooms.
+  if (controls.useItem && !r.item && !r.itemHeld && r.mushrooms > 0) {
+    r.mushrooms -= 1;
+    r.item = "mushroom";
+    r.itemUses = 1;
+  }
+  if (controls.useItem && r.item && !r.itemHeld) {
+    r.itemHeld = true;
+    const item = r.item;
+    spendItem(r);
+    itemEvent(state, r, item, ITEM_BEHAVIOR[item].use({ world, state, r, entrant, maxSpeed }));
+    // AI let go of the button and think again before the next use
+    if (ai && r.item) r.itemDelay = AI_ITEM_REACTION[0];
+  }
+  if (!controls.useItem) r.itemHeld = false;
+
+  // --- Traps on the road (anyone else's) ---
+  for (let ti = state.traps.length - 1; ti >= 0; ti--) {
+    const trap = state.traps[ti];
+    const spec = ITEM_BEHAVIOR[trap.kind].trap;
+    if (trap.owner === r.id || graced || trap.caught?.includes(r.id)) continue;
+    if (Math.hypot(r.x - trap.x, r.z - trap.z) < spec.radius) {
+      if (spec.lasts) trap.caught.push(r.id);
+      else state.traps.splice(ti, 1);
+      if (r.shield) { r.shield = false; continue; }
+      spec.hit(state, r);
+    }
+  }
+
+  // --- Missile collision (anyone else's missiles, on this stretch of road) ---
+  // Missiles come from behind, so a guard item held in hand takes the hit too
+  for (let mi = state.missiles.length - 1; mi >= 0; mi--) {
+    const m = state.missiles[mi];
+    const spec = ITEM_BEHAVIOR[m.kind].projectile;
+    if (m.owner === r.id || graced || (spec.piercing && m.target !== r.id)) continue;
+    const along = Math.abs(((r.t - m.t + 1.5) % 1) - 0.5) * world.curveLength;
+    if (Math.hypot(r.x - m.x, r.z - m.z) < MISSILE_HIT_RADIUS && along < MISSILE_HIT_RADIUS * 2) {
+      state.missiles.splice(mi, 1);
+      if (r.shield) { r.shield = false; continue; }
+      if (!spec.piercing && ITEM_BEHAVIOR[r.item]?.guard) { spendItem(r); continue; }
+      spinOut(state, r, 1.2, 10);
+      if (!spec.blast) continue;
+      // The rest of the blast lands at the start of their next step, like lightning
+      state.racers.forEach((o) => {
+        if (o !== r && o.id !== m.owner && Math.hypot(o.x - r.x, o.z - r.z) < spec.blast) o.pendingSpin = 1.2;
+      });
+    }
+  }
+
+  // --- Lap counting ---
+  updateSplits(state, r, prevT);
+  updateGates(world, state, r, prevT, moved);
+
+  // --- Wrong way: moving against the track for a moment ---
+  const tang = curve.getTangentAt(r.t);
+  const facing = (Math.cos(r.yaw) * tang.x + Math.sin(r.yaw) * tang.z) / (Math.hypot(tang.x, tang.z) || 1);
+  const along = facing * Math.sign(r.vel);
+  r.wrongWayTime = along < -0.3 && Math.abs(r.vel) > 2 && !(r.spinout > 0) && !r.finished ? r.wrongWayTime + dt : 0;
+  r.wrongWay = r.wrongWayTime >= WRONG_WAY_DELAY;
+
+  // --- Automatic recovery ---
+  const stuck = (throttle > 0 || brake > 0) && Math.abs(r.vel) < STUCK_SPEED;
+  r.stuckTime = stuck || facing < -0.5 ? r.stuckTime + dt : 0;
+  if (recoveryReason(world, r, facing)) respawnRacer(world, r);
+}
+
+// Puts an AI kart on its grid slot: at its start progress, in its lane, facing along the track
+function placeAI(world, r, entrant) {
+  const { curve } = world;
+  const p = curve.getPointAt(r.t);
+  const tang = curve.getTangentAt(r.t);
+  const len = Math.hypot(tang.x, tang.z) || 1;
+  const off = clamp(entrant.offset || 0, -world.trackWidth / 2 + 1.5, world.trackWidth / 2 - 1.5);
+  r.x = p.x - (tang.z / len) * off;
+  r.z = p.z + (tang.x / len) * off;
+  r.yaw = Math.atan2(tang.z, tang.x);
+}
+
+// Top-speed multiplier for an AI kart: its own pace, smooth rubber banding
+// against the leading human (as strong as the class allows) and a slight
+// ebb and flow
+function aiPace(world, state, r, entrant) {
+  const player = humanRacers(world, state).reduce((lead, h) => (!lead || raceProgress(h) > raceProgress(lead) ? h : lead), null);
+  const gap = player ? raceProgress(r) - raceProgress(player) : 0;
+  const strength = world.difficulty.rubberBand;
+  const rubberBand = clamp(1.0 - gap * 0.3 * strength, 1 - 0.25 * strength, 1 + 0.3 * strength);
+  const wobbleSpeed = 1 + Math.sin(state.time * 0.7 + r.wobble) * 0.06;
+  return (entrant.speedMul ?? 0.85) * rubberBand * wobbleSpeed;
+}
+
+// Fastest speed at which `car` can follow curvature `k` with normal steering,
+// taking `corner` of its turning limit (see the steering rate in stepKart)
+function cornerSpeed(k, handling, maxSpeed, corner) {
+  const rate = handling * 2.5 * corner;
+  return rate / (Math.abs(k) + (rate * 0.4) / maxSpeed);
+}
+
+/**
+ * What an AI kart does this tick, as analog controls for stepKart: steer at
+ * a point up its racing line, brake in time for the corners ahead, drift
+ * through tight ones, go round traps and slower karts, and use its item
+ * once the delay after picking it up runs out.
+ */
+function aiControls(world, state, r, entrant, dt) {
+  const { curve, curveLength, trackWidth } = world;
+  const skill = AI_SKILL[entrant.tier] || AI_SKILL.competitive;
+  const { handling, accel } = entrant.car;
+  const maxSpeed = entrant.car.maxSpeed * world.difficulty.speed * aiPace(world, state, r, entrant);
+  const corner = Math.min(1, skill.corner * world.difficulty.aiSkill);
+  const speed = Math.abs(r.vel);
+  const hw = trackWidth / 2;
+
+  // --- Racing line: own lane, lane changes, the inside of the next corner ---
+  const overtakeOff = Math.sin(state.time * 1.2 + r.wobble * 2) * 3.5;
+  const weaveOff = Math.sin(state.time * 0.7 + r.wobble) * 2.0;
+  const apex = clamp(curvatureAhead(world, r.t, 5, 30) * 20, -1, 1) * (hw - 2) * 0.6;
+  let lane = clamp((entrant.offset || 0) + weaveOff + overtakeOff * 0.6 + apex, -hw + 1.5, hw - 1.5);
+
+  // --- Hazards ahead: traps it would run into and slower karts ---
+  const tang = curve.getTangentAt(r.t);
+  const len = Math.hypot(tang.x, tang.z) || 1;
+  const hazards = [
+    ...state.traps.filter((trap) => trap.owner !== r.id),
+    ...state.racers.filter((o) => o !== r && o.vel < r.vel - 1),
+  ];
+  for (const h of hazards) {
+    const along = ((h.x - r.x) * tang.x + (h.z - r.z) * tang.z) / len;
+    if (along < 1 || along > DODGE_RANGE * skill.dodge) continue;
+    // Its place across the road, measured where it sits up the track
+    const off = getCrossTrackOffset(curve, h, (r.t + along / curveLength) % 1);
+    if (Math.abs(off - lane) >= DODGE_GAP) continue;
+    // Pass on the side with room, switching sides if that one runs out of road
+    const side = off > lane ? -1 : 1;
+    const pass = off + side * DODGE_GAP;
+    lane = Math.abs(pass) <= hw - 1 ? pass : clamp(off - side * DODGE_GAP, -hw + 1, hw - 1);
+  }
+
+  // --- Steering: pure pursuit of a point up the line ---
+  const ahead = (r.t + (LOOK_AHEAD + speed * LOOK_AHEAD_TIME) / curveLength) % 1;
+  const p = curve.getPointAt(ahead);
+  const at = curve.getTangentAt(ahead);
+  const atLen = Math.hypot(at.x, at.z) || 1;
+  const aim = Math.atan2(p.z + (at.x / atLen) * lane - r.z, p.x - (at.z / atLen) * lane - r.x);
+  const diff = angleLerp(r.yaw, aim, 1) - r.yaw;
+  const steer = clamp(diff * 3, -1, 1);
+
+  // --- Speed: the slowest corner ahead, less what coasting sheds on the way ---
+  let target = maxSpeed;
+  for (let d = 0; d <= BRAKE_HORIZON; d += CURVATURE_STEP * 2) {
+    const k = curvatureAhead(world, r.t, d, d + CURVATURE_STEP * 2);
+    target = Math.min(target, cornerSpeed(k, handling, maxSpeed, corner) + COAST_DECEL * d);
+  }
+  // Every so often it lifts for a moment (a small, human-looking mistake);
+  // lower classes make them more often
+  const mistakeCycle = (8 + r.wobble * 1.3) / world.difficulty.mistakes;
+  const lifting = state.time % mistakeCycle < 0.2;
+  let throttle = 1;
+  let brake = 0;
+  if (lifting) {
+    throttle = 0.5;
+  } else if (speed > target + 0.5) {
+    throttle = 0;
+    // Half brake at most: any more while steering starts a drift
+    if (speed > target + 3) brake = 0.5;
+  } else if (speed > target - 1) {
+    // Hold speed: enough throttle to balance the natural slow-down
+    const push = accel * 0.7 * (1 - 0.3 * clamp(speed / maxSpeed, 0, 1));
+    throttle = (1.5 * speed) / (push + 1.5 * speed);
+  }
+
+  // --- Drift: into corners tighter than normal steering can follow, out once lined up ---
+  const steerRate = handling * 2.5 * (1 - 0.4 * clamp(speed / maxSpeed, 0, 1));
+  const k = curvatureAhead(world, r.t, 0, 15);
+  const drift = skill.drift && speed > maxSpeed * 0.45 && Math.sign(steer) === Math.sign(k) && (r.drifting
+    ? diff * r.driftDir > 0.02
+    : speed * Math.abs(k) > steerRate * 0.85);
+
+  // --- Items: once it has reacted, when the moment is right ---
+  let useItem = false;
+  if (r.item) {
+    r.itemDelay -= dt;
+    useItem = r.itemDelay <= 0 && aiWantsItem(world, state, r, entrant);
+  }
+
+  return { steer, throttle, brake, drift, useItem };
+}
+
+// Metres along the track from `a` forward to `b` (negative: b is behind), laps included
+function gapTo(world, a, b) {
+  return (raceProgress(b) - raceProgress(a)) * world.curveLength;
+}
+
+/**
+ * Whether an AI kart should use the item it holds now: each item's `ai` in
+ * ITEM_BEHAVIOR decides from the gaps to the nearest kart ahead and behind
+ * and to the leader (metres) and the AI's personality.
+ */
+function aiWantsItem(world, state, r, entrant) {
+  const style = AI_ITEM_STYLE[entrant.personality] || AI_ITEM_STYLE.balanced;
+  const gaps = state.racers.filter((o) => o !== r && !o.finished).map((o) => gapTo(world, r, o));
+  const wants = ITEM_BEHAVIOR[r.item]?.ai;
+  return !wants || wants({
+    world, state, r, style,
+    ahead: Math.min(Infinity, ...gaps.filter((g) => g > 0)),
+    behind: Math.min(Infinity, ...gaps.filter((g) => g < 0).map((g) => -g)),
+    leader: Math.max(0, ...gaps),
+  });
+}
+
+// Mushrooms: on a straight, or to get back from the grass
+function aiOnStraight({ world, r }) {
+  return Math.abs(curvatureAhead(world, r.t, 0, 30)) < STRAIGHT_CURVATURE || r.surface !== "road";
+}
+
+// Bananas and other traps: on the kart right behind, or on the line before a
+// corner unless the personality keeps them as a rear guard
+function aiDropsTrap({ world, r, style, behind }) {
+  if (behind <= TAIL_RANGE) return true;
+  return !style.holdBanana && behind <= style.trapRange && Math.abs(curvatureAhead(world, r.t, 10, 30)) > CORNER_CURVATURE;
+}
+
+// Shield: once a missile is closing in or a trap on its line can't be avoided
+function aiNeedsShield({ world, state, r, style }) {
+  if (r.shield) return false;
+  const missile = state.missiles.some((m) => m.target === r.id && ((r.t - m.t + 1) % 1) * world.curveLength <= style.shieldRange);
+  const offset = getCrossTrackOffset(world.curve, r, r.t);
+  const trap = state.traps.some((b) => {
+    if (b.owner === r.id || Math.hypot(b.x - r.x, b.z - r.z) > BANANA_BLOCK_RANGE) return false;
+    const t = findNearestT(world.curve, b, r.t, 0.05);
+    return ((t - r.t + 1) % 1) < 0.5 && Math.abs(getCrossTrackOffset(world.curve, b, t) - offset) < DODGE_GAP;
+  });
+  return missile || trap;
+}
+
+// -----------------------------
+// Headless helpers
+// -----------------------------
+/** Simple line-following controls, for driving player slots without a human. */
+export function autopilotInput(world, state, racerId) {
+  const r = state.racers.find((x) => x.id === racerId);
+  if (!r) return NO_INPUT;
+  const target = world.curve.getPointAt((r.t + 0.02) % 1);
+  const heading = Math.atan2(target.z - r.z, target.x - r.x);
+  const diff = angleLerp(r.yaw, heading, 1) - r.yaw;
+  // Items are pressed every other tick, so ones with several uses get them all
+  return { left: diff < -0.05, right: diff > 0.05, up: true, down: false, useItem: !!r.item && state.tick % 2 === 0 };
+}
+
+/** True once every player-controlled racer (or, with none, every racer) has finished. */
+export function isRaceOver(world, state) {
+  const humans = humanRacers(world, state);
+  return (humans.length ? humans : state.racers).every((r) => r.finished);
+}
+
+/**
+ * Runs a whole race without rendering. `inputFor(world, state)` returns the
+ * inputs map for each tick; by default every player slot uses autopilotInput.
+ */
+export function runRace(world, state, { inputFor, maxTicks = 60 * 60 * 15 } = {}) {
+  const control = inputFor || ((w, s) => Object.fromEntries(
+    w.entrants.filter((e) => e.kind === "player").map((e) => [e.id, autopilotInput(w, s, e.id)])
+  ));
+  let s = state;
+  while (s.tick < maxTicks && !isRaceOver(world, s)) s = stepRace(world, s, control(world, s));
+  return s;
+}
@@ -0,0 +1,280 @@
+/*****************************
+ * HyperKart 3D — race replays
+ * - Recorder: every simulation tick logs the human inputs (run-length encoded
+ *   bitmasks, plus analog steer / throttle / brake from gamepads as integer
+ *   hundredths); every RECORD_EVERY ticks it packs a snapshot of racers, item
+ *   boxes, traps and missiles into a small binary frame
+ * - File: JSON wrapper (metadata + inputs) with the frames as base64, so a
+ *   3-lap race exports to a couple hundred KB and can be shared as one file
+ * - Decoded frames have the same shape the 3D renderers read from the race
+ *   state (racers / traps / missiles / itemBoxCooldowns), so playback just
+ *   swaps them in
+ * - Recording stops a few seconds after the last human finishes
+ * - Seed + inputs also re-simulate the race exactly (resimulateReplay)
+ *****************************/
+import { ITEMS } from "./gameData.js";
+import { ANALOG_STEPS, SIM_DT, createRaceState, defaultItemBoxTs, stepRace } from "./raceSim.js";
+import { validateTrack } from "./trackFiles.js";
+
+export const REPLAY_FORMAT = "hyperkart-replay";
+export const REPLAY_VERSION = 1;
+const RECORD_EVERY = 2; // snapshot at 30 Hz; playback interpolates between them
+const POS_SCALE = 20; // Int16 world units → 0.05 precision, ±1638 range
+const YAW_SCALE = 10000; // Int16 radians (wrapped to ±π)
+const INPUT_KEYS = ["left", "right", "up", "down", "useItem", "drift", "respawn"];
+const ANALOG_KEYS = ["steer", "throttle", "brake"];
+const MAX_REPLAY_TICKS = 60 * 60 * 20;
+// 2: missiles carry their position and target. 3: held items, trap and
+// missile kinds (as indexes into meta.items)
+const FRAME_VERSION = 3;
+const FINISH_TAIL = 3; // seconds kept after the last human crosses the line
+
+// -----------------------------
+// Recording
+// -----------------------------
+export function createReplayRecorder(world, state, meta = {}) {
+  return {
+    meta: {
+      ...meta,
+      seed: state.seed,
+      laps: world.laps,
+      difficulty: world.difficulty.id,
+      track: world.track,
+      recordEvery: RECORD_EVERY,
+      frameVersion: FRAME_VERSION,
+      items: ITEMS.map((item) => item.id),
+      racers: world.entrants.map(({ id, kind, color, accent, bodyType }) => ({ id, kind, color, accent, bodyType })),
+    },
+    humans: world.entrants.filter((e) => e.kind === "player").map((e) => e.id),
+    inputs: {},
+    bytes: [],
+    ticks: 0,
+    done: false,
+  };
+}
+
+function inputMask(controls) {
+  let mask = 0;
+  INPUT_KEYS.forEach((k, i) => { if (controls && controls[k]) mask |= 1 << i; });
+  return mask;
+}
+
+function maskToInput(mask) {
+  return Object.fromEntries(INPUT_KEYS.map((k, i) => [k, !!(mask & (1 << i))]));
+}
+
+// Analog values as integers (null = not given); null for keyboard-only input
+function inputAnalog(controls) {
+  if (!controls || ANALOG_KEYS.every((k) => controls[k] == null)) return null;
+  return ANALOG_KEYS.map((k) => (controls[k] == null ? null : Math.round(controls[k] * ANALOG_STEPS)));
+}
+
+const sameAnalog = (a, b) => (a === null || b === null ? a === b : a.every((v, i) => v === b[i]));
+
+/** Call once per simulation tick with the inputs that produced `state`. */
+export function recordReplayTick(rec, inputs, state) {
+  if (rec.done || rec.ticks >= MAX_REPLAY_TICKS) return;
+  rec.ticks += 1;
+  for (const id of rec.humans) {
+    const runs = rec.inputs[id] || (rec.inputs[id] = []);
+    const mask = inputMask(inputs[id]);
+    const analog = inputAnalog(inputs[id]);
+    const last = runs[runs.length - 1];
+    // Runs are [mask, count] or [mask, count, steer, throttle, brake]
+    if (last && last[0] === mask && sameAnalog(last.length > 2 ? last.slice(2) : null, analog)) last[1] += 1;
+    else runs.push(analog ? [mask, 1, ...analog] : [mask, 1]);
+  }
+  if (state.tick % RECORD_EVERY === 0) packFrame(rec.bytes, state);
+  const humans = state.racers.filter((r) => rec.humans.includes(r.id));
+  if (humans.every((r) => r.finished) && state.time - Math.max(...humans.map((r) => r.finishTime)) >= FINISH_TAIL) {
+    rec.done = true;
+  }
+}
+
+/** Stops recording; returns { meta, inputs, bytes } ready for openReplay/encodeReplay. */
+export function finishReplay(rec, state) {
+  rec.done = true;
+  return {
+    meta: {
+      ...rec.meta,
+      ticks: rec.ticks,
+      results: state.racers.map((r) => ({ id: r.id, place: r.finishPlace || r.place, finishTime: r.finishTime })),
+    },
+    inputs: rec.inputs,
+    bytes: Uint8Array.from(rec.bytes),
+  };
+}
+
+/** Unpacks a finished or imported replay's frames for playback. */
+export function openReplay(replay) {
+  return { ...replay, frames: decodeFrames(replay.bytes, replay.meta) };
+}
+
+// -----------------------------
+// Binary frames
+// -----------------------------
+function wrapAngle(a) { return Math.atan2(Math.sin(a), Math.cos(a)); }
+
+function pushI16(out, v) {
+  const n = Math.max(-32768, Math.min(32767, Math.round(v))) & 0xffff;
+  out.push(n & 0xff, n >> 8);
+}
+function pushU16(out, v) {
+  const n = Math.max(0, Math.min(65535, Math.round(v)));
+  out.push(n & 0xff, n >> 8);
+}
+
+function packFrame(out, state) {
+  const itemIndex = (id) => { const i = ITEMS.findIndex((item) => item.id === id); return i < 0 ? 255 : i; };
+  for (const r of state.racers) {
+    pushI16(out, r.x * POS_SCALE);
+    pushI16(out, r.z * POS_SCALE);
+    pushI16(out, wrapAngle(r.yaw) * YAW_SCALE);
+    out.push(
+      (r.drifting ? 1 : 0) | (r.driftDir > 0 ? 2 : 0) | (r.shield ? 4 : 0) | (r.spinout > 0 ? 8 : 0) | (r.finished ? 16 : 0),
+      Math.min(255, r.lap),
+      r.place,
+      itemIndex(r.item),
+      Math.min(255, r.itemUses),
+    );
+  }
+  const boxCount = Object.keys(state.itemBoxCooldowns).length ? Math.max(...Object.keys(state.itemBoxCooldowns).map(Number)) + 1 : 0;
+  out.push(boxCount);
+  for (let i = 0; i < boxCount; i += 8) {
+    let mask = 0;
+    for (let b = 0; b < 8 && i + b < boxCount; b++) {
+      const cd = state.itemBoxCooldowns[i + b];
+      if (cd && state.time < cd) mask |= 1 << b;
+    }
+    out.push(mask);
+  }
+  const traps = state.traps.slice(-255);
+  out.push(traps.length);
+  for (const b of traps) { pushU16(out, b.id % 65536); out.push(itemIndex(b.kind)); pushI16(out, b.x * POS_SCALE); pushI16(out, b.z * POS_SCALE); }
+  const missiles = state.missiles.slice(-255);
+  out.push(missiles.length);
+  for (const m of missiles) {
+    pushU16(out, m.id % 65536);
+    out.push(itemIndex(m.kind));
+    pushU16(out, m.t * 65535);
+    pushI16(out, m.x * POS_SCALE);
+    pushI16(out, m.z * POS_SCALE);
+    const target = state.racers.findIndex((r) => r.id === m.target);
+    out.push(target < 0 ? 255 : target);
+  }
+}
+
+function decodeFrames(bytes, meta) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const frames = [];
+  let o = 0;
+  // Offset of the next `n` bytes; truncated or corrupted frames run out early
+  const take = (n) => {
+    if (o + n > bytes.length) throw new Error("Replay frames are damaged");
+    o += n;
+    return o - n;
+  };
+  const i16 = () => view.getInt16(take(2), true);
+  const u16 = () => view.getUint16(take(2), true);
+  const u8 = () => view.getUint8(take(1));
+  // Before version 3 the only held item recorded was a banana (flag 32), and
+  // every trap was a banana and every missile a missile
+  const version = meta.frameVersion || 1;
+  const item = () => meta.items[u8()] ?? null;
+  while (o < bytes.length) {
+    const time = (frames.length + 1) * meta.recordEvery * SIM_DT;
+    const racers = meta.racers.map(({ id }) => {
+      const x = i16() / POS_SCALE, z = i16() / POS_SCALE, yaw = i16() / YAW_SCALE;
+      const flags = u8(), lap = u8(), place = u8();
+      const held = version < 3 ? { item: flags & 32 ? "banana" : null, itemUses: flags & 32 ? 1 : 0 } : { item: item(), itemUses: u8() };
+      return {
+        id, x, z, yaw, lap, place, ...held,
+        drifting: !!(flags & 1), driftDir: flags & 2 ? 1 : -1, shield: !!(flags & 4),
+        spinout: flags & 8 ? 1 : 0, finished: !!(flags & 16),
+      };
+    });
+    const itemBoxCooldowns = {};
+    const boxCount = u8();
+    for (let i = 0; i < boxCount; i += 8) {
+      const mask = u8();
+      for (let b = 0; b < 8 && i + b < boxCount; b++) if (mask & (1 << b)) itemBoxCooldowns[i + b] = time + 1;
+    }
+    const traps = Array.from({ length: u8() }, () => ({ id: u16(), kind: version < 3 ? "banana" : item(), x: i16() / POS_SCALE, z: i16() / POS_SCALE }));
+    // Version 1 frames only have the missile's place along the track
+    const missiles = Array.from({ length: u8() }, () => {
+      const m = { id: u16(), kind: version < 3 ? "missile" : item(), t: u16() / 65535 };
+      if (version < 2) return m;
+      m.x = i16() / POS_SCALE;
+      m.z = i16() / POS_SCALE;
+      m.target = meta.racers[u8()]?.id ?? null;
+      return m;
+    });
+    frames.push({ time, racers, itemBoxCooldowns, traps, missiles, lightningTimer: 0 });
+  }
+  return frames;
+}
+
+// -----------------------------
+// File format
+// -----------------------------
+function toBase64(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+}
+function fromBase64(text) {
+  const bin = atob(text);
+  const out = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+  return out;
+}
+
+export function encodeReplay(replay) {
+  return JSON.stringify({
+    format: REPLAY_FORMAT,
+    version: REPLAY_VERSION,
+    meta: replay.meta,
+    inputs: replay.inputs,
+    frames: toBase64(replay.bytes),
+  });
+}
+
+/** Parses an exported replay and unpacks its frames. Throws on anything else. */
+export function decodeReplay(text) {
+  let doc;
+  try { doc = JSON.parse(text); } catch { throw new Error("Not a replay file (invalid JSON)"); }
+  if (!doc || doc.format !== REPLAY_FORMAT) throw new Error("Not a HyperKart replay file");
+  if (doc.version > REPLAY_VERSION) throw new Error(`Replay version ${doc.version} is newer than this game supports`);
+  const { meta } = doc;
+  if (!meta?.track || !Array.isArray(meta.racers) || !meta.recordEvery) throw new Error("Replay is missing track or racer data");
+  // The embedded track is raced again on playback, so it has to pass the same checks as a track file
+  const trackErrors = validateTrack({ itemBoxTs: defaultItemBoxTs(), ...meta.track });
+  if (trackErrors.length) throw new Error(`Replay track is invalid:\n• ${trackErrors.join("\n• ")}`);
+  if ((meta.frameVersion || 1) >= 3 && !(Array.isArray(meta.items) && meta.items.every((id) => typeof id === "string"))) throw new Error("Replay is missing its item list");
+  let bytes;
+  try { bytes = fromBase64(doc.frames || ""); } catch { throw new Error("Replay frames are damaged"); }
+  const replay = openReplay({ meta, inputs: doc.inputs || {}, bytes });
+  if (!replay.frames.length) throw new Error("Replay has no frames");
+  return replay;
+}
+
+/** Rebuilds the per-tick input maps from the run-length encoded log. */
+export function replayInputs(replay) {
+  const ticks = Array.from({ length: replay.meta.ticks || 0 }, () => ({}));
+  for (const [id, runs] of Object.entries(replay.inputs)) {
+    let tick = 0;
+    for (const [mask, count, ...analog] of runs) {
+      const input = maskToInput(mask);
+      ANALOG_KEYS.forEach((k, i) => { if (analog[i] != null) input[k] = analog[i] / ANALOG_STEPS; });
+      for (let i = 0; i < count && tick < ticks.length; i++) ticks[tick++][id] = input;
+    }
+  }
+  return ticks;
+}
+
+/** Re-runs the race from seed + inputs; `world` must match the recorded setup. */
+export function resimulateReplay(world, replay) {
+  let state = createRaceState(world, { seed: replay.meta.seed });
+  for (const inputs of replayInputs(replay)) state = stepRace(world, state, inputs);
+  return state;
+}
@@ -0,0 +1,52 @@
+/*****************************
+ * HyperKart 3D — seeded random numbers
+ * Every gameplay and scenery random draw goes through here so a race seed
+ * reproduces the same race (bug reports, fair challenges).
+ *****************************/
+
+// mulberry32 — the generator state lives on a plain object (`state.rng`), so
+// the race state can carry it and stepping stays reproducible.
+export function nextRandom(state) {
+  let x = (state.rng = (state.rng + 0x6d2b79f5) | 0);
+  x = Math.imul(x ^ (x >>> 15), x | 1);
+  x ^= x + Math.imul(x ^ (x >>> 7), x | 61);
+  return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
+}
+
+/** Returns a `() => number in [0, 1)` generator for the given seed. */
+export function createRng(seed) {
+  const state = { rng: seed | 0 };
+  return () => nextRandom(state);
+}
+
+// 32-bit FNV-1a
+export function hashString(str, seed = 0) {
+  let h = (0x811c9dc5 ^ seed) >>> 0;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+/** Independent sub-seed for one consumer (e.g. "props", "road-texture"). */
+export function deriveSeed(seed, label) {
+  return hashString(label, seed >>> 0);
+}
+
+/** A fresh seed for a new race — the only place we read Math.random. */
+export function randomSeed() {
+  return (Math.random() * 2 ** 32) >>> 0;
+}
+
+export function formatSeed(seed) {
+  return (seed >>> 0).toString(16).toUpperCase().padStart(8, "0");
+}
+
+/** Up to 8 hex digits parse as-is; any other text is hashed. Blank → null. */
+export function parseSeed(text) {
+  const str = String(text ?? "").trim();
+  if (!str) return null;
+  if (/^[0-9a-f]{1,8}$/i.test(str)) return parseInt(str, 16) >>> 0;
+  return hashString(str);
+}
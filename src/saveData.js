@@ -0,0 +1,248 @@
+/*****************************
+ * HyperKart 3D — save data
+ * - One versioned JSON document in localStorage: unlocks, last selection,
+ *   settings (including key bindings) and best laps (ghosts keep their own keys — see ghosts.js)
+ * - Unlocks, Grand Prix trophies and best laps are kept per difficulty class (DIFFICULTIES)
+ * - A Grand Prix in progress is saved after every race so a reload can carry on
+ * - Older saves are upgraded step by step through MIGRATIONS
+ * - Anything unreadable is backed up under SAVE_BACKUP_KEY and replaced by
+ *   defaults; individual bad fields fall back to their defaults
+ * - Works without localStorage (Node, private mode): the save then lives in
+ *   memory for the session
+ *****************************/
+import { DEFAULT_BINDINGS, normalizeBindings } from "./bindings.js";
+import { CARS, CHARACTERS, DEFAULT_DIFFICULTY, DEFAULT_LAPS, DIFFICULTIES, PLATFORMS, TRACKS, TROPHIES } from "./gameData.js";
+import { isUserTrackId } from "./trackFiles.js";
+
+export const SAVE_FORMAT = "hyperkart-save";
+export const SAVE_VERSION = 2;
+const SAVE_KEY = "hyperkart.save";
+const SAVE_BACKUP_KEY = "hyperkart.save.corrupt";
+const LEGACY_BEST_LAPS_KEY = "hyperkart.bestLaps";
+const MAX_LAPS = 7;
+
+export function defaultSave() {
+  return {
+    version: SAVE_VERSION,
+    progress: {
+      // Per class: win (1st place) on a track to unlock the next one there
+      unlockedTracks: Object.fromEntries(DIFFICULTIES.map((d) => [d.id, Object.fromEntries(TRACKS.map((t, i) => [t.id, i === 0]))])),
+      // Classes with `unlockedBy` open once every track is won on that class
+      unlockedClasses: Object.fromEntries(DIFFICULTIES.map((d) => [d.id, !d.unlockedBy])),
+      // Per class: best Grand Prix trophy (TROPHIES id) or null
+      trophies: Object.fromEntries(DIFFICULTIES.map((d) => [d.id, null])),
+      // Cup in progress (grandPrix.js), kept until its podium is left
+      grandPrix: null,
+    },
+    selection: {
+      character: CHARACTERS[0].id,
+      car: CARS[0].id,
+      track: TRACKS[0].id,
+      laps: DEFAULT_LAPS,
+      ttMushrooms: 3,
+      difficulty: DEFAULT_DIFFICULTY,
+    },
+    settings: {
+      platform: null, // null = guess from the user agent
+      musicEnabled: true,
+      bindings: DEFAULT_BINDINGS, // action → two KeyboardEvent.code slots (bindings.js)
+      touch: {
+        steering: "buttons", // buttons | joystick | tilt
+        tiltSensitivity: 1, // 0.5–2: higher = less tilt for full lock
+        tiltCenter: 0, // calibrated neutral tilt, degrees
+      },
+    },
+    bestLaps: Object.fromEntries(DIFFICULTIES.map((d) => [d.id, {}])), // classId → trackId → { time, splits }
+  };
+}
+
+// MIGRATIONS[n] upgrades a version-n save to version n + 1.
+const MIGRATIONS = [
+  // 0 → 1: before the save system only best laps were stored, under their own key
+  (old) => ({ version: 1, bestLaps: old.bestLaps }),
+  // 1 → 2: unlocks and best laps became per class. Every race used to run at
+  // today's 150cc, so old records go there and old unlocks carry over to
+  // each class that starts open.
+  (old) => ({
+    ...old,
+    version: 2,
+    progress: {
+      unlockedTracks: Object.fromEntries(DIFFICULTIES.filter((d) => !d.unlockedBy).map((d) => [d.id, old.progress?.unlockedTracks])),
+    },
+    bestLaps: { "150cc": old.bestLaps },
+  }),
+];
+
+export function migrateSave(raw) {
+  let data = raw;
+  for (let v = data.version ?? 0; v < SAVE_VERSION; v++) data = MIGRATIONS[v](data);
+  return data;
+}
+
+const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+const pickId = (list, id, fallback) => (list.some((x) => x.id === id) ? id : fallback);
+const isTime = (v) => Number.isFinite(v) && v > 0;
+const inRange = (v, lo, hi) => Number.isFinite(v) && v >= lo && v <= hi;
+export const TOUCH_STEERING = ["buttons", "joystick", "tilt"];
+
+// A saved cup, or null if any part of it can't be trusted
+function normalizeGrandPrix(gp) {
+  if (!isObject(gp) || !Array.isArray(gp.results) || gp.results.length > TRACKS.length) return null;
+  if (!DIFFICULTIES.some((d) => d.id === gp.difficulty) || !CHARACTERS.some((c) => c.id === gp.character) || !CARS.some((c) => c.id === gp.car)) return null;
+  if (!Number.isInteger(gp.laps) || gp.laps < 1 || gp.laps > MAX_LAPS) return null;
+  const isOrder = (order) => Array.isArray(order) && order.length > 0 && order.every((id) => typeof id === "string") && new Set(order).size === order.length;
+  if (!gp.results.every(isOrder)) return null;
+  return { difficulty: gp.difficulty, character: gp.character, car: gp.car, laps: gp.laps, results: gp.results.map((order) => [...order]) };
+}
+
+/** Fills in / repairs every field so the rest of the game can trust the shape. */
+export function normalizeSave(raw) {
+  const d = defaultSave();
+  const src = isObject(raw) ? raw : {};
+  const unlocked = isObject(src.progress?.unlockedTracks) ? src.progress.unlockedTracks : {};
+  const classes = isObject(src.progress?.unlockedClasses) ? src.progress.unlockedClasses : {};
+  const trophies = isObject(src.progress?.trophies) ? src.progress.trophies : {};
+  const sel = isObject(src.selection) ? src.selection : {};
+  const settings = isObject(src.settings) ? src.settings : {};
+  const touch = isObject(settings.touch) ? settings.touch : {};
+  const records = isObject(src.bestLaps) ? src.bestLaps : {};
+  const bestLaps = {};
+  for (const { id } of DIFFICULTIES) {
+    bestLaps[id] = {};
+    for (const [trackId, lap] of Object.entries(isObject(records[id]) ? records[id] : {})) {
+      if (isObject(lap) && isTime(lap.time) && Array.isArray(lap.splits) && lap.splits.every(isTime)) {
+        bestLaps[id][trackId] = { time: lap.time, splits: lap.splits };
+      }
+    }
+  }
+  return {
+    version: SAVE_VERSION,
+    progress: {
+      unlockedTracks: Object.fromEntries(DIFFICULTIES.map((d) => {
+        const tracks = isObject(unlocked[d.id]) ? unlocked[d.id] : {};
+        return [d.id, Object.fromEntries(TRACKS.map((t, i) => [t.id, i === 0 || tracks[t.id] === true]))];
+      })),
+      unlockedClasses: Object.fromEntries(DIFFICULTIES.map((d) => [d.id, !d.unlockedBy || classes[d.id] === true])),
+      trophies: Object.fromEntries(DIFFICULTIES.map((d) => [d.id, TROPHIES.some((t) => t.id === trophies[d.id]) ? trophies[d.id] : null])),
+      grandPrix: normalizeGrandPrix(src.progress?.grandPrix),
+    },
+    selection: {
+      character: pickId(CHARACTERS, sel.character, d.selection.character),
+      car: pickId(CARS, sel.car, d.selection.car),
+      // Imported tracks may have been removed since; the game falls back when it can't find one
+      track: isUserTrackId(sel.track) ? sel.track : pickId(TRACKS, sel.track, d.selection.track),
+      laps: Number.isInteger(sel.laps) && sel.laps >= 1 && sel.laps <= MAX_LAPS ? sel.laps : d.selection.laps,
+      ttMushrooms: Number.isInteger(sel.ttMushrooms) && sel.ttMushrooms >= 0 && sel.ttMushrooms <= 5 ? sel.ttMushrooms : d.selection.ttMushrooms,
+      difficulty: pickId(DIFFICULTIES, sel.difficulty, d.selection.difficulty),
+    },
+    settings: {
+      platform: PLATFORMS.includes(settings.platform) ? settings.platform : d.settings.platform,
+      musicEnabled: typeof settings.musicEnabled === "boolean" ? settings.musicEnabled : d.settings.musicEnabled,
+      bindings: normalizeBindings(settings.bindings),
+      touch: {
+        steering: TOUCH_STEERING.includes(touch.steering) ? touch.steering : d.settings.touch.steering,
+        tiltSensitivity: inRange(touch.tiltSensitivity, 0.5, 2) ? touch.tiltSensitivity : d.settings.touch.tiltSensitivity,
+        tiltCenter: inRange(touch.tiltCenter, -90, 90) ? touch.tiltCenter : d.settings.touch.tiltCenter,
+      },
+    },
+    bestLaps,
+  };
+}
+
+// -----------------------------
+// Storage
+// -----------------------------
+function storage() {
+  try { return globalThis.localStorage ?? null; } catch { return null; }
+}
+
+let cache = null;
+let loadStatus = null; // "new" | "ok" | "migrated" | "recovered"
+
+function readLegacy(store) {
+  try {
+    const bestLaps = JSON.parse(store?.getItem(LEGACY_BEST_LAPS_KEY) || "null");
+    return bestLaps ? { version: 0, bestLaps } : null;
+  } catch {
+    return null;
+  }
+}
+
+function readSave() {
+  const store = storage();
+  let text = null;
+  try { text = store?.getItem(SAVE_KEY) ?? null; } catch { /* blocked */ }
+  if (text == null) {
+    const legacy = readLegacy(store);
+    if (!legacy) return { data: defaultSave(), status: "new" };
+    return { data: normalizeSave(migrateSave(legacy)), status: "migrated" };
+  }
+  try {
+    const raw = JSON.parse(text);
+    if (!isObject(raw)) throw new Error("not an object");
+    const version = Number.isInteger(raw.version) ? raw.version : 0;
+    const data = normalizeSave(version < SAVE_VERSION ? migrateSave({ ...raw, version }) : raw);
+    return { data, status: version < SAVE_VERSION ? "migrated" : "ok" };
+  } catch {
+    try { store?.setItem(SAVE_BACKUP_KEY, text); } catch { /* nothing more we can do */ }
+    return { data: defaultSave(), status: "recovered" };
+  }
+}
+
+function persist(data) {
+  const store = storage();
+  try {
+    store?.setItem(SAVE_KEY, JSON.stringify(data));
+    store?.removeItem(LEGACY_BEST_LAPS_KEY);
+  } catch {
+    // Storage full or blocked — keep playing from the in-memory copy
+  }
+}
+
+/** The current save (read from storage once per session). */
+export function loadSave() {
+  if (!cache) {
+    const { data, status } = readSave();
+    cache = data;
+    loadStatus = status;
+    if (status !== "ok") persist(cache);
+  }
+  return cache;
+}
+
+/** How the save was found at startup; "recovered" means it was unreadable and reset. */
+export function getSaveStatus() {
+  loadSave();
+  return loadStatus;
+}
+
+/** Applies `fn(save) → save` and writes the result. */
+export function updateSave(fn) {
+  cache = normalizeSave(fn(loadSave()));
+  persist(cache);
+  return cache;
+}
+
+/** Clears unlocks, trophies, the cup in progress and records; selection and settings are kept. */
+export function resetProgress() {
+  const d = defaultSave();
+  return updateSave((s) => ({ ...s, progress: d.progress, bestLaps: d.bestLaps }));
+}
+
+// -----------------------------
+// Files
+// -----------------------------
+export function exportSave() {
+  return JSON.stringify({ format: SAVE_FORMAT, ...loadSave() }, null, 2);
+}
+
+/** Replaces the save with an exported one. Throws a readable Error if the file is unusable. */
+export function importSave(text) {
+  let raw;
+  try { raw = JSON.parse(text); } catch { throw new Error("Not a save file (invalid JSON)"); }
+  if (!isObject(raw) || raw.format !== SAVE_FORMAT) throw new Error("Not a HyperKart save file");
+  if (!Number.isInteger(raw.version) || raw.version < 1) throw new Error("Save file has no valid version");
+  if (raw.version > SAVE_VERSION) throw new Error(`Save version ${raw.version} is newer than this game supports`);
+  const { format, ...data } = raw;
+  return updateSave(() => migrateSave(data));
+}
@@ -0,0 +1,142 @@
+/*****************************
+ * HyperKart 3D — track editor model
+ * - A draft is an ordinary track object (same shape as TRACKS in gameData.js)
+ *   so the race, the preview and replays use it unchanged
+ * - Every edit returns a new draft; the editor screen keeps the latest one in
+ *   the store and rebuilds the curve from it
+ * - Boost pads and item boxes are curve fractions (boostTs / itemBoxTs)
+ * - Waypoints are [x, z] on flat ground or [x, z, height, bank] (see
+ *   createTrackCurve); map edits keep a waypoint's height and bank
+ * - `surfaces` overrides the theme's runoff, terrain and walls (see
+ *   trackSurfaces); it is left out while it matches the theme
+ *****************************/
+import { THEME_SURFACES } from "./gameData.js";
+import { clamp, defaultItemBoxTs } from "./raceSim.js";
+
+export const DRAFT_TRACK_ID = "custom";
+export const MIN_WAYPOINTS = 4;
+export const TRACK_WIDTH_RANGE = [8, 24];
+export const MAP_EXTENT = 150; // waypoints stay within ±MAP_EXTENT on both axes
+export const HEIGHT_RANGE = [0, 40];
+export const MAX_BANK = 45; // degrees either way
+export const TRACK_THEMES = ["classic", "city", "west"];
+export const RUNOFF_SURFACES = ["grass", "sand", "gravel"];
+export const RUNOFF_WIDTH_RANGE = [0, 30];
+export const ENV_PRESETS = ["apartment", "city", "dawn", "forest", "lobby", "night", "park", "studio", "sunset", "warehouse"];
+export const TRACK_COLORS = [
+  { key: "sky", label: "Sky" },
+  { key: "fog", label: "Fog" },
+  { key: "turf", label: "Ground" },
+  { key: "roadColor", label: "Road" },
+  { key: "seatColor", label: "Seats" },
+];
+
+const round1 = (v) => Math.round(v * 10) / 10;
+const roundT = (t) => Math.round((((t % 1) + 1) % 1) * 1000) / 1000;
+
+/** A new draft copied from `base` (a built-in track), with its item boxes spelled out. */
+export function createDraftTrack(base) {
+  return {
+    ...base,
+    id: DRAFT_TRACK_ID,
+    name: `${base.name} (custom)`.slice(0, 40),
+    waypoints: base.waypoints.map((p) => [...p]),
+    boostTs: [...(base.boostTs || [])],
+    itemBoxTs: [...(base.itemBoxTs || defaultItemBoxTs())],
+  };
+}
+
+export function updateDraft(track, patch) {
+  const next = { ...track, ...patch };
+  next.trackWidth = clamp(next.trackWidth, ...TRACK_WIDTH_RANGE);
+  return next;
+}
+
+// [x, z] plus height and bank; the last two are dropped while both are zero
+function clampPoint([x, z], height = 0, bank = 0) {
+  const p = [round1(clamp(x, -MAP_EXTENT, MAP_EXTENT)), round1(clamp(z, -MAP_EXTENT, MAP_EXTENT))];
+  const h = round1(clamp(height, ...HEIGHT_RANGE));
+  const b = Math.round(clamp(bank, -MAX_BANK, MAX_BANK));
+  return h || b ? [...p, h, b] : p;
+}
+
+/** Changes the runoff / terrain / walls (`patch` is part of a `surfaces` object). */
+export function setSurfaces(track, patch) {
+  const theme = THEME_SURFACES[track.theme] || THEME_SURFACES.classic;
+  const merged = { ...theme, ...track.surfaces, ...patch };
+  merged.runoffWidth = clamp(Math.round(merged.runoffWidth), ...RUNOFF_WIDTH_RANGE);
+  const surfaces = Object.fromEntries(Object.entries(merged).filter(([k, v]) => JSON.stringify(v) !== JSON.stringify(theme[k])));
+  const next = { ...track, surfaces };
+  if (!Object.keys(surfaces).length) delete next.surfaces;
+  return next;
+}
+
+/** Moves a waypoint on the map; its height and bank stay. */
+export function moveWaypoint(track, index, point) {
+  const waypoints = track.waypoints.map((p, i) => (i === index ? clampPoint(point, p[2], p[3]) : p));
+  return { ...track, waypoints };
+}
+
+/** Sets a waypoint's height and/or bank (`patch` is { height?, bank? }). */
+export function setWaypointElevation(track, index, { height, bank }) {
+  const waypoints = track.waypoints.map((p, i) => (i === index ? clampPoint(p, height ?? p[2], bank ?? p[3]) : p));
+  return { ...track, waypoints };
+}
+
+/** Inserts `point` into the loop between the two neighbouring waypoints it is closest to. Returns { track, index }. */
+export function insertWaypoint(track, point) {
+  const pts = track.waypoints;
+  let best = 0;
+  let bestK = 0;
+  let bestDist = Infinity;
+  for (let i = 0; i < pts.length; i++) {
+    const [ax, az] = pts[i];
+    const [bx, bz] = pts[(i + 1) % pts.length];
+    const dx = bx - ax, dz = bz - az;
+    const k = clamp(((point[0] - ax) * dx + (point[1] - az) * dz) / (dx * dx + dz * dz || 1), 0, 1);
+    const d = (point[0] - ax - dx * k) ** 2 + (point[1] - az - dz * k) ** 2;
+    if (d < bestDist) { bestDist = d; best = i; bestK = k; }
+  }
+  // The new waypoint starts at the height and bank of the road it splits
+  const a = pts[best], b = pts[(best + 1) % pts.length];
+  const mix = (j) => (a[j] || 0) + ((b[j] || 0) - (a[j] || 0)) * bestK;
+  const waypoints = [...pts];
+  waypoints.splice(best + 1, 0, clampPoint(point, mix(2), mix(3)));
+  return { track: { ...track, waypoints }, index: best + 1 };
+}
+
+/** Removes a waypoint unless the loop would drop below MIN_WAYPOINTS. */
+export function removeWaypoint(track, index) {
+  if (track.waypoints.length <= MIN_WAYPOINTS) return track;
+  return { ...track, waypoints: track.waypoints.filter((_, i) => i !== index) };
+}
+
+/** Curve fraction of the centerline point nearest to `point` (whole-loop search). */
+export function nearestTrackT(curve, point, samples = 400) {
+  let bestT = 0;
+  let bestDist = Infinity;
+  for (let i = 0; i < samples; i++) {
+    const t = i / samples;
+    const p = curve.getPointAt(t);
+    const d = (point[0] - p.x) ** 2 + (point[1] - p.z) ** 2;
+    if (d < bestDist) { bestDist = d; bestT = t; }
+  }
+  return { t: roundT(bestT), dist: Math.sqrt(bestDist) };
+}
+
+/** Adds a boost pad / item box (`key` is "boostTs" or "itemBoxTs") at curve fraction `t`. */
+export function addMarker(track, key, t) {
+  return { ...track, [key]: [...track[key], roundT(t)].sort((a, b) => a - b) };
+}
+
+export function removeMarker(track, key, index) {
+  return { ...track, [key]: track[key].filter((_, i) => i !== index) };
+}
+
+/** Centerline of `curve` sampled for drawing, as [[x, z], …]. */
+export function sampleCurve(curve, samples = 240) {
+  return Array.from({ length: samples }, (_, i) => {
+    const p = curve.getPointAt(i / samples);
+    return [p.x, p.z];
+  });
+}
@@ -0,0 +1,258 @@
+/*****************************
+ * HyperKart 3D — track files
+ * - A track file is a versioned JSON document wrapping one track object (the
+ *   shape of TRACKS in gameData.js, plus itemBoxTs and optional metadata)
+ * - validateTrack() lists every problem in readable words; decodeTrack()
+ *   refuses a file with any problem, so the race never sees a broken track
+ * - Imported tracks are kept in localStorage and listed after the built-in
+ *   ones; their ids start with "user-"
+ *****************************/
+import { TRACKS } from "./gameData.js";
+import { clamp, createTrackCurve, defaultItemBoxTs } from "./raceSim.js";
+import { hashString } from "./rng.js";
+import { ENV_PRESETS, HEIGHT_RANGE, MAP_EXTENT, MAX_BANK, MIN_WAYPOINTS, RUNOFF_SURFACES, RUNOFF_WIDTH_RANGE, TRACK_COLORS, TRACK_THEMES, TRACK_WIDTH_RANGE } from "./trackEditor.js";
+
+export const TRACK_FORMAT = "hyperkart-track";
+export const TRACK_VERSION = 1;
+const TRACKS_KEY = "hyperkart.tracks";
+const USER_ID = /^user-[a-z0-9]{1,12}$/;
+const COLOR = /^#[0-9a-fA-F]{6}$/;
+const MIN_WAYPOINT_GAP = 2;
+// Tightest turn allowed, as a multiple of trackWidth, measured over a stretch
+// half a track width long. Below it the inner road edge folds over itself; the
+// tightest corners on the built-in tracks sit at 0.35–0.45.
+const MIN_TURN_RADIUS = 0.3;
+const MAX_GRADE = 0.4; // steepest climb or drop, as rise over run
+const CHECK_SPACING = 2; // metres between centerline samples for the geometry checks
+// Fields a track file may carry; anything else is dropped on import
+const TRACK_FIELDS = ["name", "author", "description", "difficulty", "theme", "envPreset", "trackWidth", "waypoints", "boostTs", "itemBoxTs", "surfaces", ...TRACK_COLORS.map((c) => c.key)];
+
+const pct = (t) => `${Math.round(t * 100)}%`;
+
+function segmentsCross(p, q, r, s) {
+  const d = (q[0] - p[0]) * (s[1] - r[1]) - (q[1] - p[1]) * (s[0] - r[0]);
+  if (Math.abs(d) < 1e-12) return false;
+  const u = ((r[0] - p[0]) * (s[1] - r[1]) - (r[1] - p[1]) * (s[0] - r[0])) / d;
+  const v = ((r[0] - p[0]) * (q[1] - p[1]) - (r[1] - p[1]) * (q[0] - p[0])) / d;
+  return u > 0 && u < 1 && v > 0 && v < 1;
+}
+
+// First crossing of the closed centerline with itself, as a curve fraction, or null
+function findCrossing(pts) {
+  const n = pts.length;
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 2; j < n; j++) {
+      if (i === 0 && j === n - 1) continue; // neighbours across the start line
+      if (segmentsCross(pts[i], pts[(i + 1) % n], pts[j], pts[(j + 1) % n])) return i / n;
+    }
+  }
+  return null;
+}
+
+// Smallest turn radius along the loop (`pts` evenly spaced `ds` apart) and where it is
+function tightestTurn(pts, ds, span) {
+  const n = pts.length;
+  const step = Math.max(1, Math.round(span / ds));
+  let radius = Infinity;
+  let at = 0;
+  for (let i = 0; i < n; i++) {
+    const a = pts[(i - step + n) % n], b = pts[i], c = pts[(i + step) % n];
+    const area2 = Math.abs((b[0] - a[0]) * (c[1] - a[1]) - (c[0] - a[0]) * (b[1] - a[1]));
+    if (area2 < 1e-9) continue;
+    const r = (Math.hypot(b[0] - a[0], b[1] - a[1]) * Math.hypot(c[0] - b[0], c[1] - b[1]) * Math.hypot(c[0] - a[0], c[1] - a[1])) / (2 * area2);
+    if (r < radius) { radius = r; at = i / n; }
+  }
+  return { radius, at };
+}
+
+// Two stretches of road that are more than a half turn apart along the lap but
+// closer than `width` side by side — their surfaces overlap. First one or null.
+function findOverlap(pts, ds, width) {
+  const n = pts.length;
+  const skip = Math.ceil((Math.PI * width) / 2 / ds);
+  for (let i = 0; i < n; i++) {
+    for (let j = i + skip; j < Math.min(n, n - skip + i); j++) {
+      if (Math.hypot(pts[i][0] - pts[j][0], pts[i][1] - pts[j][1]) < width) return [i / n, j / n];
+    }
+  }
+  return null;
+}
+
+// Problems with the optional `surfaces` override (see trackSurfaces)
+function validateSurfaces(surfaces) {
+  if (!surfaces || typeof surfaces !== "object" || Array.isArray(surfaces)) return ["Surfaces must be an object"];
+  const errors = [];
+  for (const key of ["runoff", "terrain"]) {
+    if (surfaces[key] !== undefined && !RUNOFF_SURFACES.includes(surfaces[key])) errors.push(`Surfaces ${key} must be one of ${RUNOFF_SURFACES.join(", ")}`);
+  }
+  const [minRunoff, maxRunoff] = RUNOFF_WIDTH_RANGE;
+  const { runoffWidth, walls } = surfaces;
+  if (runoffWidth !== undefined && !(Number.isFinite(runoffWidth) && runoffWidth >= minRunoff && runoffWidth <= maxRunoff)) {
+    errors.push(`Runoff width must be between ${minRunoff} and ${maxRunoff}`);
+  }
+  const rangeOk = (r) => Array.isArray(r) && r.length === 2 && r.every((t) => Number.isFinite(t) && t >= 0 && t <= 1);
+  if (walls !== undefined && typeof walls !== "boolean" && !(Array.isArray(walls) && walls.every(rangeOk))) {
+    errors.push("Walls must be true, false or a list of [from, to] positions from 0 to 1");
+  }
+  return errors;
+}
+
+/** Every problem with `track`, as readable sentences (empty = valid). */
+export function validateTrack(track) {
+  if (!track || typeof track !== "object") return ["Track data is missing"];
+  const errors = [];
+  if (typeof track.name !== "string" || !track.name.trim() || track.name.length > 40) errors.push("Name must be 1–40 characters");
+  if (track.author !== undefined && (typeof track.author !== "string" || track.author.length > 40)) errors.push("Author must be text of at most 40 characters");
+  if (track.description !== undefined && (typeof track.description !== "string" || track.description.length > 200)) errors.push("Description must be text of at most 200 characters");
+  if (!TRACK_THEMES.includes(track.theme)) errors.push(`Theme must be one of ${TRACK_THEMES.join(", ")}`);
+  if (!ENV_PRESETS.includes(track.envPreset)) errors.push(`Lighting must be one of ${ENV_PRESETS.join(", ")}`);
+  if (![1, 2, 3].includes(track.difficulty)) errors.push("Difficulty must be 1, 2 or 3");
+  const [minWidth, maxWidth] = TRACK_WIDTH_RANGE;
+  const widthOk = Number.isFinite(track.trackWidth) && track.trackWidth >= minWidth && track.trackWidth <= maxWidth;
+  if (!widthOk) errors.push(`Track width must be between ${minWidth} and ${maxWidth}`);
+  for (const { key, label } of TRACK_COLORS) {
+    if (!COLOR.test(track[key])) errors.push(`${label} color must look like #a1b2c3 (got ${JSON.stringify(track[key] ?? null)})`);
+  }
+  for (const [key, label] of [["boostTs", "Boost pad"], ["itemBoxTs", "Item box"]]) {
+    if (!Array.isArray(track[key])) { errors.push(`${label} positions must be a list`); continue; }
+    track[key].forEach((t, i) => {
+      if (!Number.isFinite(t) || t < 0 || t > 1) errors.push(`${label} ${i + 1} is at ${JSON.stringify(t)} — positions run from 0 to 1`);
+    });
+  }
+  if (track.surfaces !== undefined) errors.push(...validateSurfaces(track.surfaces));
+
+  const pts = track.waypoints;
+  if (!Array.isArray(pts) || pts.length < MIN_WAYPOINTS) {
+    errors.push(`A track needs at least ${MIN_WAYPOINTS} waypoints`);
+    return errors;
+  }
+  const badPoint = pts.findIndex((p) => !Array.isArray(p) || p.length < 2 || p.length > 4 || !p.every(Number.isFinite) || Math.abs(p[0]) > MAP_EXTENT || Math.abs(p[1]) > MAP_EXTENT);
+  if (badPoint >= 0) {
+    errors.push(`Waypoint ${badPoint + 1} must be [x, z] or [x, z, height, bank] with x and z within ±${MAP_EXTENT}`);
+    return errors;
+  }
+  const [minHeight, maxHeight] = HEIGHT_RANGE;
+  pts.forEach((p, i) => {
+    if (p.length > 2 && (p[2] < minHeight || p[2] > maxHeight)) errors.push(`Waypoint ${i + 1} height must be between ${minHeight} and ${maxHeight}`);
+    if (p.length > 3 && Math.abs(p[3]) > MAX_BANK) errors.push(`Waypoint ${i + 1} bank must be within ±${MAX_BANK}°`);
+  });
+  const crowded = pts.findIndex((p, i) => {
+    const q = pts[(i + 1) % pts.length];
+    return Math.hypot(q[0] - p[0], q[1] - p[1]) < MIN_WAYPOINT_GAP;
+  });
+  if (crowded >= 0) {
+    errors.push(`Waypoints ${crowded + 1} and ${((crowded + 1) % pts.length) + 1} are closer than ${MIN_WAYPOINT_GAP} m`);
+    return errors;
+  }
+
+  const curve = createTrackCurve(pts);
+  const samples = clamp(Math.ceil(curve.getLength() / CHECK_SPACING), 100, 600);
+  const ds = curve.getLength() / samples;
+  const spaced = curve.getSpacedPoints(samples).slice(0, samples);
+  const line = spaced.map((p) => [p.x, p.z]);
+  const crossing = findCrossing(line);
+  if (crossing != null) {
+    errors.push(`The centerline crosses itself (near ${pct(crossing)} of the lap)`);
+    return errors;
+  }
+  if (!curve.flat) {
+    const steep = spaced.findIndex((p, i) => {
+      const q = spaced[(i + 1) % samples];
+      return Math.abs(q.y - p.y) > MAX_GRADE * Math.hypot(q.x - p.x, q.z - p.z);
+    });
+    if (steep >= 0) errors.push(`The slope near ${pct(steep / samples)} of the lap is steeper than ${Math.round(MAX_GRADE * 100)}% — spread the height change over more road`);
+  }
+  if (widthOk) {
+    const { radius, at } = tightestTurn(line, ds, track.trackWidth / 2);
+    const needed = MIN_TURN_RADIUS * track.trackWidth;
+    if (radius < needed) {
+      errors.push(`The turn near ${pct(at)} of the lap is too tight for width ${track.trackWidth} (radius ${radius.toFixed(1)} m, needs ${needed.toFixed(1)} m) — widen the turn or narrow the track`);
+    }
+    const overlap = findOverlap(line, ds, track.trackWidth);
+    if (overlap) errors.push(`The road at ${pct(overlap[0])} and ${pct(overlap[1])} of the lap runs closer than its width ${track.trackWidth} — move them apart or narrow the track`);
+  }
+  return errors;
+}
+
+/** The file fields of `track` with a stable "user-…" id derived from its content. */
+function toUserTrack(raw) {
+  const track = Object.fromEntries(TRACK_FIELDS.filter((k) => raw[k] !== undefined).map((k) => [k, raw[k]]));
+  track.id = `user-${hashString(JSON.stringify(track)).toString(36)}`;
+  return track;
+}
+
+/** Track file text for any track (built-in, imported or an editor draft). */
+export function encodeTrack(track) {
+  const body = Object.fromEntries(TRACK_FIELDS.filter((k) => track[k] !== undefined).map((k) => [k, track[k]]));
+  body.itemBoxTs = track.itemBoxTs || defaultItemBoxTs();
+  return JSON.stringify({ format: TRACK_FORMAT, version: TRACK_VERSION, track: body }, null, 2);
+}
+
+/** Reads a track file. Throws an Error listing every problem if it isn't a valid track. */
+export function decodeTrack(text) {
+  let doc;
+  try { doc = JSON.parse(text); } catch { throw new Error("Not a track file (invalid JSON)"); }
+  if (!doc || doc.format !== TRACK_FORMAT) throw new Error("Not a HyperKart track file");
+  if (!Number.isInteger(doc.version) || doc.version < 1) throw new Error("Track file has no valid version");
+  if (doc.version > TRACK_VERSION) throw new Error(`Track version ${doc.version} is newer than this game supports`);
+  const raw = doc.track && typeof doc.track === "object" ? doc.track : null;
+  // Hand-written files may leave out item boxes; everything else is required
+  const track = raw && toUserTrack({ itemBoxTs: defaultItemBoxTs(), ...raw });
+  const errors = validateTrack(track);
+  if (errors.length) throw new Error(`Invalid track:\n• ${errors.join("\n• ")}`);
+  return track;
+}
+
+// -----------------------------
+// Local library of imported tracks
+// -----------------------------
+function storage() {
+  try { return globalThis.localStorage ?? null; } catch { return null; }
+}
+
+// Validating is not free, so the parsed library is kept until the stored text changes
+// (which also keeps the track objects stable between lookups)
+let library = { text: null, tracks: [] };
+
+/** Imported tracks, oldest first. Entries that no longer validate are skipped. */
+export function loadUserTracks() {
+  const text = storage()?.getItem(TRACKS_KEY) || "[]";
+  if (text === library.text) return library.tracks;
+  let list;
+  try { list = JSON.parse(text); } catch { list = []; }
+  const tracks = Array.isArray(list) ? list.filter((t) => isUserTrackId(t?.id) && !validateTrack(t).length) : [];
+  library = { text, tracks };
+  return tracks;
+}
+
+function writeUserTracks(list) {
+  try {
+    storage()?.setItem(TRACKS_KEY, JSON.stringify(list));
+    return true;
+  } catch {
+    return false; // storage full or blocked
+  }
+}
+
+/** Reads a track file and adds it to the library (replacing an identical one). Throws on invalid files. */
+export function importTrack(text) {
+  const track = decodeTrack(text);
+  const list = loadUserTracks().filter((t) => t.id !== track.id);
+  if (!writeUserTracks([...list, track])) throw new Error("Could not save the track (browser storage is full or blocked)");
+  return track;
+}
+
+export function removeUserTrack(id) {
+  writeUserTracks(loadUserTracks().filter((t) => t.id !== id));
+}
+
+export const isUserTrackId = (id) => typeof id === "string" && USER_ID.test(id);
+
+/** Built-in and imported tracks, for lookups by id. */
+export function allTracks() {
+  return [...TRACKS, ...loadUserTracks()];
+}
+
+export function findTrack(id) {
+  return allTracks().find((t) => t.id === id) || null;
+}